@@ -1,6 +1,5 @@
 import { useState } from 'react';
 import { 
-  AreaChart, 
   Area, 
   XAxis, 
   YAxis, 
@@ -14,6 +13,7 @@ import {
   Line,
   ReferenceDot,
   ReferenceLine,
+  ReferenceArea,
   ComposedChart
 } from 'recharts';
 
@@ -34,6 +34,54 @@ const formatDate = (dateString) => {
   });
 };
 
+// When the orders from a signal on a bar's close were filled (see lib/execution.js)
+const EXECUTION_MODEL_LABELS = {
+  same_bar_close: 'Same-bar close',
+  next_bar_open: 'Next-bar open',
+  next_bar_vwap: 'Next-bar VWAP'
+};
+
+// The portfolio constraint an order was held back by (see lib/constraints.js)
+const CONSTRAINT_LABELS = {
+  max_trades_per_day: 'Trades per day',
+  cooldown: 'Re-entry cooldown',
+  max_positions: 'Max positions',
+  max_position_weight: 'Position weight',
+  max_sector_weight: 'Sector weight'
+};
+
+// A change of drawdown control (see lib/riskControls.js)
+const RISK_EVENT_LABELS = {
+  circuit_breaker: 'Circuit breaker tripped - positions closed, trading halted',
+  resume: 'Trading resumed',
+  risk_off: 'Risk-off mode started',
+  risk_on: 'Risk-off mode ended'
+};
+
+// Describe a condition tree from a transaction's conditionDetails, marking each branch true (✓) or false (✗)
+const describeCondition = (condition) => {
+  const mark = condition.met === undefined ? '' : condition.met ? ' ✓' : ' ✗';
+  const timeframe = condition.timeframe ? `${condition.timeframe} ` : '';
+  
+  if (condition.type === 'all' || condition.type === 'any') {
+    const joiner = condition.type === 'all' ? ' AND ' : ' OR ';
+    return `(${(condition.conditions || []).map(describeCondition).join(joiner)})${mark}`;
+  }
+  if (condition.type === 'not') {
+    return `NOT ${describeCondition(condition.condition)}`;
+  }
+  if (condition.type === 'technical') {
+    return `${timeframe}${condition.indicator.toUpperCase()} ${(condition.operator || '').replace(/_/g, ' ')} ${condition.value}${mark}`;
+  }
+  if (condition.type === 'consecutive') {
+    return `${condition.days} consecutive ${condition.direction} ${condition.timeframe === 'weekly' ? 'weeks' : condition.timeframe === 'monthly' ? 'months' : 'days'}${mark}`;
+  }
+  if (condition.type === 'pattern') {
+    return `${condition.pattern.replace(/_/g, ' ')} pattern${mark}`;
+  }
+  return `${timeframe}${(condition.metric || '').replace(/_/g, ' ')} ${(condition.operator || '').replace(/_/g, ' ')} ${condition.value}${mark}`;
+};
+
 const MetricCard = ({ title, value, suffix = '', description }) => (
   <div className="bg-white overflow-hidden shadow rounded-lg">
     <div className="px-4 py-5 sm:p-6">
@@ -1247,6 +1295,8 @@ const StockChart = ({ symbol, stockData, transactions, errorFallback }) => {
         high,
         low,
         volume,
+        // Daily change from the server's full-resolution series (the chart series may be downsampled)
+        dailyChange: item.dailyChange,
         isTransactionDate
       };
     } catch (error) {
@@ -1306,8 +1356,8 @@ const StockChart = ({ symbol, stockData, transactions, errorFallback }) => {
     }));
   }
   
-  // Never sample points for daily data - keep all days to ensure accurate percent changes
-  console.log(`${symbol} has ${chartData.length} points, using all data for accurate daily percent changes`);
+  // The server downsamples long series for charting - daily changes come from the full series
+  console.log(`${symbol} has ${chartData.length} chart points`);
   
   // Ensure the data is sorted chronologically
   chartData.sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -1362,9 +1412,9 @@ const StockChart = ({ symbol, stockData, transactions, errorFallback }) => {
     }
   });
   
-  // Recalculate percent change based on consecutive days
-  // This ensures the "dailyChange" property is accurate for our daily data
+  // Calculate percent change based on consecutive points where the server didn't provide it
   for (let i = 1; i < chartData.length; i++) {
+    if (chartData[i].dailyChange !== undefined) continue;
     const previous = chartData[i-1].close;
     const current = chartData[i].close;
     chartData[i].dailyChange = ((current - previous) / previous) * 100;
@@ -1895,7 +1945,10 @@ const StockChart = ({ symbol, stockData, transactions, errorFallback }) => {
                   {transactions.map((tx, index) => {
                     // Parse condition details to display reason for trade
                     let reasonText = 'Strategy criteria met';
-                    if (tx.conditionDetails) {
+                    if (tx.type === 'dividend' || tx.type === 'dividend_charge') {
+                      // Dividend cash flow on the ex-date - received on longs, paid on shorts
+                      reasonText = `Dividend of ${formatCurrency(tx.price)} per share ${tx.type === 'dividend' ? 'received' : 'paid on short'}`;
+                    } else if (tx.conditionDetails) {
                       try {
                         const condition = JSON.parse(tx.conditionDetails);
                         
@@ -1945,6 +1998,39 @@ const StockChart = ({ symbol, stockData, transactions, errorFallback }) => {
                         } else if (condition.metric === 'volume') {
                           // Volume condition
                           reasonText = `Volume ${condition.operator.replace(/_/g, ' ')} ${condition.value}`;
+                        } else if (['all', 'any', 'not'].includes(condition.type)) {
+                          // Condition group - show which branches were true
+                          reasonText = describeCondition(condition);
+                        } else if (['stop_loss', 'take_profit', 'trailing_stop'].includes(condition.type)) {
+                          // Protective exit attached to the position
+                          const exitNames = { stop_loss: 'Stop-loss', take_profit: 'Take-profit', trailing_stop: 'Trailing stop' };
+                          reasonText = `${exitNames[condition.type]} at $${condition.level.toFixed(2)}`;
+                        } else if (condition.type === 'margin_call') {
+                          // Position closed because equity fell below the maintenance margin
+                          reasonText = `Margin call: equity ${formatCurrency(condition.equity)} below ${formatCurrency(condition.requirement)} required`;
+                        } else if (condition.type === 'circuit_breaker') {
+                          // Position closed when the portfolio's drawdown tripped the circuit breaker
+                          reasonText = `Circuit breaker: portfolio ${condition.drawdown.toFixed(2)}% below its peak`;
+                        } else if (condition.type === 'schedule') {
+                          // Condition-free action on a calendar schedule
+                          const rules = [];
+                          if (condition.every) rules.push(condition.every === 1 ? 'every trading day' : `every ${condition.every} trading days`);
+                          if (condition.weekdays) rules.push(`on ${condition.weekdays.map(day => ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'][day]).join(', ')}`);
+                          if (condition.monthDay) rules.push(`on the ${condition.monthDay} trading day of the month`);
+                          if (condition.dates) rules.push('on a scheduled date');
+                          reasonText = `Scheduled ${rules.join(', ')}`;
+                        } else if (condition.type === 'time_exit') {
+                          // Position closed at the close once its holding period or calendar period ran out
+                          const timeExitNames = { hold_period: 'Holding period', max_holding: 'Max holding period', period_end: 'Period end' };
+                          reasonText = `${timeExitNames[condition.reason] || 'Time exit'}: ${condition.detail}`;
+                        } else if (condition.type === 'rebalance') {
+                          // Scheduled rebalance back to the target weight
+                          reasonText = `Rebalance from ${condition.weightBefore.toFixed(1)}% to ${condition.targetWeight.toFixed(1)}% weight`;
+                        } else if (condition.type === 'rotation') {
+                          // Scheduled rotation - ranked in (with its score) or dropped out
+                          reasonText = condition.score !== undefined ?
+                            `Rotation: ranked in with a score of ${condition.score.toFixed(2)}, ${condition.weightBefore.toFixed(1)}% to ${condition.targetWeight.toFixed(1)}% weight` :
+                            `Rotation: dropped out of the ranking, ${condition.weightBefore.toFixed(1)}% to ${condition.targetWeight.toFixed(1)}% weight`;
                         }
                       } catch (e) {
                         console.error('Error parsing condition details:', e);
@@ -1966,7 +2052,8 @@ const StockChart = ({ symbol, stockData, transactions, errorFallback }) => {
                           }`}>
                             {tx.isDayTrading && tx.type === 'buy' ? 'BUY@OPEN' : 
                              tx.isDayTrading && tx.isEodExit ? 'SELL@CLOSE' :
-                             tx.type === 'cover_short' ? 'COVER' : tx.type.toUpperCase()}
+                             tx.type === 'cover_short' ? 'COVER' :
+                             tx.type === 'dividend_charge' ? 'DIVIDEND PAID' : tx.type.toUpperCase()}
                           </span>
                         </td>
                         <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
@@ -2047,6 +2134,7 @@ const ResultsDashboard = ({ results }) => {
   const firstStockSymbol = results?._stockData ? Object.keys(results._stockData)[0] : null;
   const [selectedStock, setSelectedStock] = useState(firstStockSymbol);
   const [loadingChart, setLoadingChart] = useState(false);
+  const [showBenchmark, setShowBenchmark] = useState(true);
   
   // Log the results object to debug
   console.log('Results received in dashboard:', results);
@@ -2107,14 +2195,38 @@ const ResultsDashboard = ({ results }) => {
     );
   }
   
-  // Prepare portfolio value chart data with safety check
-  const portfolioValueData = results.valueHistory && Array.isArray(results.valueHistory) 
-    ? results.valueHistory.map(point => ({
+  // Prepare portfolio value chart data with safety check (the downsampled chart series when provided)
+  const portfolioValueSeries = results.chartSeries?.portfolioValue || results.valueHistory;
+  const portfolioValueData = portfolioValueSeries && Array.isArray(portfolioValueSeries) 
+    ? portfolioValueSeries.map(point => ({
         date: formatDate(point.date),
-        value: point.value || 0 // Use 0 as fallback if value is null/undefined
+        value: point.value || 0, // Use 0 as fallback if value is null/undefined
+        benchmark: point.benchmark,
+        afterTax: point.afterTaxValue,
+        // Longs plus shorts, and longs less shorts, as a multiple of the portfolio value
+        grossLeverage: point.value > 0 && point.grossPositions !== undefined ? point.grossPositions / point.value : null,
+        netLeverage: point.value > 0 && point.positions !== undefined ? point.positions / point.value : null,
+        riskMode: point.riskMode || null
       }))
     : [{ date: formatDate(new Date()), value: 0 }]; // Provide default if valueHistory is missing
   
+  // Runs of days under a drawdown control, shaded on the portfolio value chart
+  const riskSpans = [];
+  portfolioValueData.forEach((point, index) => {
+    if (!point.riskMode) return;
+    const lastSpan = riskSpans[riskSpans.length - 1];
+    if (lastSpan && lastSpan.mode === point.riskMode && lastSpan.endIndex === index - 1) {
+      lastSpan.end = point.date;
+      lastSpan.endIndex = index;
+    } else {
+      riskSpans.push({ mode: point.riskMode, start: point.date, end: point.date, endIndex: index });
+    }
+  });
+  
+  // Metrics and benchmark stats are null when they can't be computed (e.g. no losing days for Sortino)
+  const formatStat = (value) => (value !== null && value !== undefined ? value.toFixed(2) : null);
+  const formatMonth = (entry) => (entry ? new Date(`${entry.month}-01T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'short' }) : '');
+  
   // Prepare transaction summary
   const transactionsByType = results.transactions.reduce((acc, transaction) => {
     const type = transaction.type;
@@ -2181,6 +2293,20 @@ const ResultsDashboard = ({ results }) => {
         </div>
       </div>
       
+      {/* Warm-up warning - symbols without enough history before the start date */}
+      {results.warmup?.insufficient?.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 text-yellow-700 px-4 py-3 rounded">
+          <p className="font-medium">Not enough history to warm up indicators</p>
+          <ul className="text-sm list-disc ml-5">
+            {results.warmup.insufficient.map((entry, index) => (
+              <li key={index}>
+                {entry.symbol}: {entry.available} of {entry.required} {entry.timeframe} bars before {formatDate(results.warmup.startDate)} - early signals may be missed
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
       {/* Debug Panel - only visible in development environment */}
       {process.env.NODE_ENV === 'development' && (
         <div className="mb-4 p-4 bg-gray-100 rounded border border-gray-300">
@@ -2232,16 +2358,116 @@ const ResultsDashboard = ({ results }) => {
           value={(results.metrics.sharpeRatio !== null && results.metrics.sharpeRatio !== undefined) 
             ? results.metrics.sharpeRatio.toFixed(2) 
             : "N/A"} 
-          description="Risk-adjusted return metric"
+          description={`Risk-adjusted return, vs. a ${results.metrics.riskFreeRate || 0}% risk-free rate`}
         />
+        {results.metrics.totalCosts > 0 && (
+          <MetricCard
+            title="Transaction Costs"
+            value={formatCurrency(results.metrics.totalCosts)}
+            description={`Commission ${formatCurrency(results.metrics.costBreakdown?.commission || 0)}, spread ${formatCurrency(results.metrics.costBreakdown?.spread || 0)}, slippage ${formatCurrency(results.metrics.costBreakdown?.slippage || 0)}${Object.entries(results.metrics.costWarnings || {}).map(([warning, fills]) => `. Warning: ${warning} on ${fills} fills`).join('')}`}
+          />
+        )}
+        {results.execution && (results.execution.model !== 'same_bar_close' || results.execution.ordersQueued > 0) && (
+          <MetricCard
+            title="Execution"
+            value={EXECUTION_MODEL_LABELS[results.execution.model] || results.execution.model}
+            description={`${results.execution.ordersFilled} of ${results.execution.ordersQueued} queued orders filled, ${results.execution.ordersExpired} expired${results.execution.openOrders > 0 ? `, ${results.execution.openOrders} still open` : ''}`}
+          />
+        )}
+        {results.prices?.dividends && (
+          <MetricCard
+            title="Dividend Income"
+            value={formatCurrency(results.metrics.dividendIncome || 0)}
+            description="Dividends received, less dividends paid on short positions"
+          />
+        )}
       </div>
       
+      {/* Performance Metrics */}
+      {results.metrics.cagr !== undefined && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Performance Metrics</h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+            <MetricCard
+              title="CAGR"
+              value={formatStat(results.metrics.cagr)}
+              suffix="%"
+              description="Compound annual growth rate"
+            />
+            <MetricCard
+              title="Volatility"
+              value={formatStat(results.metrics.volatility)}
+              suffix="%"
+              description="Annualized standard deviation of daily returns"
+            />
+            <MetricCard
+              title="Sortino Ratio"
+              value={formatStat(results.metrics.sortinoRatio)}
+              description="Return per unit of downside risk"
+            />
+            <MetricCard
+              title="Calmar Ratio"
+              value={formatStat(results.metrics.calmarRatio)}
+              description="CAGR divided by max drawdown"
+            />
+            <MetricCard
+              title="Longest Drawdown"
+              value={results.metrics.maxDrawdownDuration}
+              suffix=" days"
+              description={results.metrics.timeToRecovery !== null
+                ? `Recovered from the deepest drawdown in ${results.metrics.timeToRecovery} days`
+                : 'Not yet recovered from the deepest drawdown'}
+            />
+            <MetricCard
+              title="Market Exposure"
+              value={formatStat(results.metrics.exposure)}
+              suffix="%"
+              description={`Of days with open positions, ${formatStat(results.metrics.averageExposure) || 0}% of the portfolio on average`}
+            />
+            <MetricCard
+              title="Turnover"
+              value={formatStat(results.metrics.turnover)}
+              suffix="%"
+              description="Per year, of the average portfolio value"
+            />
+            <MetricCard
+              title="Best / Worst Month"
+              value={results.metrics.bestMonth ? `${results.metrics.bestMonth.return.toFixed(2)}% / ${results.metrics.worstMonth.return.toFixed(2)}%` : null}
+              description={results.metrics.bestMonth ? `${formatMonth(results.metrics.bestMonth)} / ${formatMonth(results.metrics.worstMonth)}` : ''}
+            />
+            <MetricCard
+              title="Skew / Kurtosis"
+              value={results.metrics.skewness !== null ? `${formatStat(results.metrics.skewness)} / ${formatStat(results.metrics.kurtosis)}` : null}
+              description="Of daily returns (excess kurtosis)"
+            />
+            <MetricCard
+              title="Daily VaR / CVaR (95%)"
+              value={results.metrics.valueAtRisk !== null ? `${formatStat(results.metrics.valueAtRisk)}% / ${formatStat(results.metrics.conditionalValueAtRisk)}%` : null}
+              description="Loss exceeded on 5% of days / average loss on those days"
+            />
+          </div>
+        </div>
+      )}
+      
       {/* Portfolio Value Chart */}
       <div className="bg-white shadow rounded-lg p-4 mb-6">
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Portfolio Value Over Time</h3>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Portfolio Value Over Time</h3>
+          {results.benchmark && (
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={showBenchmark}
+                onChange={(e) => setShowBenchmark(e.target.checked)}
+              />
+              Show {results.benchmark.symbol} buy-and-hold
+            </label>
+          )}
+        </div>
         <div className="h-80">
           <ResponsiveContainer width="100%" height="100%">
-            <AreaChart
+            <ComposedChart
               data={portfolioValueData}
               margin={{
                 top: 10,
@@ -2261,7 +2487,7 @@ const ResultsDashboard = ({ results }) => {
                 tickFormatter={(value) => formatCurrency(value)}
               />
               <Tooltip 
-                formatter={(value) => [formatCurrency(value), 'Portfolio Value']}
+                formatter={(value, name) => [formatCurrency(value), name]}
               />
               <Legend verticalAlign="top" height={36} />
               <Area 
@@ -2271,11 +2497,522 @@ const ResultsDashboard = ({ results }) => {
                 fill="#c7d2fe" 
                 name="Portfolio Value" 
               />
-            </AreaChart>
+              {results.benchmark && showBenchmark && (
+                <Line
+                  type="monotone"
+                  dataKey="benchmark"
+                  stroke="#f59e0b"
+                  strokeWidth={2}
+                  dot={false}
+                  name={`${results.benchmark.symbol} Buy & Hold`}
+                />
+              )}
+              {riskSpans.map(span => (
+                <ReferenceArea
+                  key={`${span.mode}-${span.start}`}
+                  x1={span.start}
+                  x2={span.end}
+                  fill={span.mode === 'circuit_breaker' ? '#fca5a5' : '#fde68a'}
+                  fillOpacity={0.4}
+                  ifOverflow="extendDomain"
+                />
+              ))}
+              {results.taxes && (
+                <Line
+                  type="stepAfter"
+                  dataKey="afterTax"
+                  stroke="#059669"
+                  strokeWidth={2}
+                  strokeDasharray="5 3"
+                  dot={false}
+                  name="After Taxes"
+                />
+              )}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
+        {riskSpans.length > 0 && (
+          <div className="flex space-x-4 text-xs text-gray-500 mt-2">
+            <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-red-300"></span>Circuit breaker - trading halted</span>
+            <span><span className="inline-block w-3 h-3 mr-1 align-middle bg-yellow-200"></span>Risk-off - orders scaled down</span>
+          </div>
+        )}
       </div>
       
+      {/* Benchmark Comparison */}
+      {results.benchmark && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Compared with {results.benchmark.symbol} Buy & Hold</h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-3 lg:grid-cols-6">
+            <MetricCard
+              title={`${results.benchmark.symbol} Return`}
+              value={formatStat(results.benchmark.totalReturn)}
+              suffix="%"
+              description={`Strategy: ${(results.metrics.totalReturn || 0).toFixed(2)}%`}
+            />
+            <MetricCard
+              title="Alpha"
+              value={formatStat(results.benchmark.alpha)}
+              suffix="%"
+              description="Annualized return beyond the benchmark exposure"
+            />
+            <MetricCard
+              title="Beta"
+              value={formatStat(results.benchmark.beta)}
+              description="Sensitivity to benchmark moves"
+            />
+            <MetricCard
+              title="Correlation"
+              value={formatStat(results.benchmark.correlation)}
+              description="Of daily returns"
+            />
+            <MetricCard
+              title="Tracking Error"
+              value={formatStat(results.benchmark.trackingError)}
+              suffix="%"
+              description="Annualized deviation from the benchmark"
+            />
+            <MetricCard
+              title="Information Ratio"
+              value={formatStat(results.benchmark.informationRatio)}
+              description="Excess return per unit of tracking error"
+            />
+          </div>
+        </div>
+      )}
+      
+      {/* Account and Leverage */}
+      {results.account && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">
+            {results.account.type === 'cash' ? 'Cash' : results.account.type === 'margin' ? 'Margin' : 'Leverage'} Account
+          </h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+            <MetricCard
+              title="Gross Leverage"
+              value={formatStat(results.account.averageGrossLeverage)}
+              suffix="x"
+              description={`Average longs plus shorts over equity, ${formatStat(results.account.maxGrossLeverage)}x at most` +
+                (results.account.type === 'leverage' ? ` (limit ${results.account.settings.maxGrossLeverage}x)` : '')}
+            />
+            <MetricCard
+              title="Net Leverage"
+              value={formatStat(results.account.averageNetLeverage)}
+              suffix="x"
+              description={`Average longs less shorts over equity, ${formatStat(results.account.maxNetLeverage)}x at most` +
+                (results.account.type === 'leverage' ? ` (limit ${results.account.settings.maxNetLeverage}x)` : '')}
+            />
+            <MetricCard
+              title="Margin Interest"
+              value={formatCurrency(results.account.interestPaid)}
+              description={results.account.type === 'cash' ?
+                'Cash accounts don\'t borrow' :
+                `${results.account.settings.debitRate}% a year on up to ${formatCurrency(results.account.maxDebitBalance)} borrowed`}
+            />
+            <MetricCard
+              title="Margin Calls"
+              value={results.account.marginCalls}
+              description={`${results.account.forcedSales} forced sales, ${results.account.rejectedOrders} orders over the buying power`}
+            />
+          </div>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart
+                data={portfolioValueData}
+                margin={{
+                  top: 10,
+                  right: 30,
+                  left: 20,
+                  bottom: 60,
+                }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis 
+                  dataKey="date" 
+                  angle={-45} 
+                  textAnchor="end" 
+                  tickMargin={20}
+                />
+                <YAxis tickFormatter={(value) => `${value.toFixed(1)}x`} />
+                <Tooltip 
+                  formatter={(value, name) => [value === null ? 'N/A' : `${value.toFixed(2)}x`, name]}
+                />
+                <Legend verticalAlign="top" height={36} />
+                <Line
+                  type="stepAfter"
+                  dataKey="grossLeverage"
+                  stroke="#4f46e5"
+                  strokeWidth={2}
+                  dot={false}
+                  name="Gross Leverage"
+                />
+                <Line
+                  type="stepAfter"
+                  dataKey="netLeverage"
+                  stroke="#f59e0b"
+                  strokeWidth={2}
+                  dot={false}
+                  name="Net Leverage"
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+      
+      {/* Short Selling */}
+      {results.shortSelling && Object.keys(results.shortSelling.bySymbol).length > 0 && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Short Selling</h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+            <MetricCard
+              title="Short Exposure"
+              value={formatStat(results.shortSelling.averageShortExposure)}
+              suffix="%"
+              description={`Average of the portfolio value, ${formatStat(results.shortSelling.maxShortExposure)}% at most`}
+            />
+            <MetricCard
+              title="Borrow Fees"
+              value={formatCurrency(results.shortSelling.borrowFees)}
+              description={Object.entries(results.shortSelling.bySymbol)
+                .filter(([, stats]) => stats.borrowFees > 0)
+                .map(([symbol, stats]) => `${symbol} ${formatCurrency(stats.borrowFees)}`)
+                .join(', ') || 'No borrow fees charged'}
+            />
+            <MetricCard
+              title="Forced Covers"
+              value={results.shortSelling.forcedCovers}
+              description={`Bought back on margin calls below the ${results.shortSelling.settings.maintenanceMargin}% maintenance margin`}
+            />
+            <MetricCard
+              title="Rejected Shorts"
+              value={results.shortSelling.rejectedShorts}
+              description={`Short orders without the ${results.shortSelling.settings.initialMargin}% initial margin`}
+            />
+          </div>
+        </div>
+      )}
+      
+      {/* Rebalancing */}
+      {results.rebalancing && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">
+            {results.rebalancing.history.some(rebalance => rebalance.type === 'rotate') ? 'Rebalancing and Rotation' : 'Rebalancing'}
+          </h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+            <MetricCard
+              title="Rebalances"
+              value={results.rebalancing.rebalances}
+              description={`${results.rebalancing.skipped} with every weight inside its drift band`}
+            />
+            <MetricCard
+              title="Rebalance Trades"
+              value={results.rebalancing.trades}
+              description={`${formatCurrency(results.rebalancing.bought)} bought, ${formatCurrency(results.rebalancing.sold)} sold`}
+            />
+            <MetricCard
+              title="Rebalance Turnover"
+              value={formatStat(results.rebalancing.turnover)}
+              suffix="%"
+              description={results.metrics.turnover === null ? 'A year' : `A year, of ${formatStat(results.metrics.turnover)}% total turnover`}
+            />
+            <MetricCard
+              title="Rebalance Costs"
+              value={formatCurrency(results.rebalancing.costs)}
+              description={`Of ${formatCurrency(results.metrics.totalCosts)} total transaction costs`}
+            />
+          </div>
+          <div className="overflow-y-auto max-h-80">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Targets</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trades</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Bought</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sold</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Costs</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {[...results.rebalancing.history].reverse().map((rebalance, index) => (
+                  <tr key={`${rebalance.date}-${index}`}>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{rebalance.date}</td>
+                    <td className="px-3 py-2 text-sm text-gray-500">
+                      {Object.entries(rebalance.targets)
+                        .map(([symbol, weight]) => `${symbol} ${weight.toFixed(1)}%` +
+                          (rebalance.scores && rebalance.scores[symbol] !== undefined ? ` (score ${rebalance.scores[symbol].toFixed(2)})` : ''))
+                        .join(', ')}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{rebalance.trades}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(rebalance.bought)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(rebalance.sold)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(rebalance.costs)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
+      {/* Dollar-Cost Averaging */}
+      {results.dollarCostAveraging && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Dollar-Cost Averaging vs. Lump Sum</h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+            <MetricCard
+              title="Invested"
+              value={formatCurrency(results.dollarCostAveraging.invested)}
+              description={`${results.dollarCostAveraging.purchases} scheduled buys from ${results.dollarCostAveraging.startDate}`}
+            />
+            <MetricCard
+              title="Dollar-Cost Averaged"
+              value={formatCurrency(results.dollarCostAveraging.dcaValue)}
+              description={`${formatStat(results.dollarCostAveraging.dcaReturn)}% on the dollars invested`}
+            />
+            <MetricCard
+              title="Lump Sum"
+              value={formatCurrency(results.dollarCostAveraging.lumpSumValue)}
+              description={`${formatStat(results.dollarCostAveraging.lumpSumReturn)}% with everything invested on ${results.dollarCostAveraging.startDate}`}
+            />
+            <MetricCard
+              title="Difference"
+              value={formatCurrency(results.dollarCostAveraging.difference)}
+              description={results.dollarCostAveraging.difference >= 0 ? 'Dollar-cost averaging came out ahead' : 'The lump sum came out ahead'}
+            />
+          </div>
+          <p className="text-sm text-gray-500 mb-4">
+            Shares bought on the schedule and shares bought with the same dollars at once are both valued at the {results.dollarCostAveraging.endDate} close.
+            Sales by the strategy aren't taken out of either side.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Buys</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invested</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Average Cost</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lump Sum Price</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Final Price</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">DCA Value</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lump Sum Value</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {results.dollarCostAveraging.bySymbol.map(entry => (
+                  <tr key={entry.symbol}>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{entry.symbol}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{entry.purchases}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(entry.invested)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{entry.averageCost !== null ? formatCurrency(entry.averageCost) : 'N/A'}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(entry.lumpSumPrice)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(entry.finalPrice)}</td>
+                    <td className={`px-3 py-2 whitespace-nowrap text-sm ${entry.dcaValue >= entry.lumpSumValue ? 'text-green-600' : 'text-gray-500'}`}>{formatCurrency(entry.dcaValue)}</td>
+                    <td className={`px-3 py-2 whitespace-nowrap text-sm ${entry.lumpSumValue > entry.dcaValue ? 'text-green-600' : 'text-gray-500'}`}>{formatCurrency(entry.lumpSumValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
+      {/* Drawdown Controls */}
+      {results.riskControls && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Drawdown Controls</h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+            <MetricCard
+              title="Circuit Breaker Trips"
+              value={results.riskControls.circuitBreakerTrips}
+              description={results.riskControls.settings.circuitBreaker ?
+                `At a ${results.riskControls.settings.circuitBreaker.drawdown}% drawdown, halting ${results.riskControls.settings.circuitBreaker.haltDays} days` :
+                'No circuit breaker'}
+            />
+            <MetricCard
+              title="Days Halted"
+              value={results.riskControls.haltedDays}
+              description={`${results.riskControls.liquidations} positions closed, ${results.riskControls.blockedOrders} orders blocked`}
+            />
+            <MetricCard
+              title="Risk-Off Days"
+              value={results.riskControls.riskOffDays}
+              description={results.riskControls.settings.riskOff ?
+                `At a ${results.riskControls.settings.riskOff.drawdown}% drawdown, trading at ${results.riskControls.settings.riskOff.scale}x size` :
+                'No risk-off mode'}
+            />
+            <MetricCard
+              title="Orders Scaled"
+              value={results.riskControls.scaledOrders}
+              description="Opened or added to in risk-off mode"
+            />
+          </div>
+          {results.riskControls.events.length > 0 && (
+            <div className="overflow-y-auto max-h-80">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Drawdown</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Equity</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {[...results.riskControls.events].reverse().map((event, index) => (
+                    <tr key={`${event.date}-${event.type}-${index}`}>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{event.date}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">
+                        {RISK_EVENT_LABELS[event.type] || event.type}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{event.drawdown.toFixed(2)}%</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(event.equity)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+      
+      {/* Portfolio Constraints */}
+      {results.constraints && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Portfolio Constraints</h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+            <MetricCard
+              title="Orders Rejected"
+              value={results.constraints.rejectedOrders}
+              description="Held back by a limit"
+            />
+            <MetricCard
+              title="Orders Trimmed"
+              value={results.constraints.trimmedOrders}
+              description="Cut down to fit a weight limit"
+            />
+            <MetricCard
+              title="Position Limits"
+              value={results.constraints.settings.maxPositions !== null ? results.constraints.settings.maxPositions : 'None'}
+              description={[
+                results.constraints.settings.maxPositionWeight !== null && `${results.constraints.settings.maxPositionWeight}% max per position`,
+                results.constraints.settings.maxSectorWeight !== null && `${results.constraints.settings.maxSectorWeight}% max per sector`,
+                ...Object.entries(results.constraints.settings.sectorLimits).map(([sector, limit]) => `${limit}% max ${sector}`)
+              ].filter(Boolean).join(', ') || 'Max open positions'}
+            />
+            <MetricCard
+              title="Trading Limits"
+              value={results.constraints.settings.maxTradesPerDay !== null ? `${results.constraints.settings.maxTradesPerDay}/day` : 'None'}
+              description={results.constraints.settings.cooldownBars !== null ? `${results.constraints.settings.cooldownBars} day cooldown before re-entering` : 'No re-entry cooldown'}
+            />
+          </div>
+          {Object.keys(results.constraints.byReason).length > 0 && (
+            <p className="text-sm text-gray-500 mb-4">
+              {Object.entries(results.constraints.byReason)
+                .map(([reason, counts]) => `${CONSTRAINT_LABELS[reason] || reason}: ${counts.rejected} rejected, ${counts.trimmed} trimmed`)
+                .join(' · ')}
+            </p>
+          )}
+          {results.constraints.events.length > 0 && (
+            <div className="overflow-y-auto max-h-80">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Outcome</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Constraint</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {[...results.constraints.events].reverse().map((event, index) => (
+                    <tr key={`${event.date}-${event.symbol}-${index}`}>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{event.date}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{event.symbol}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{event.side.toUpperCase()}</td>
+                      <td className={`px-3 py-2 whitespace-nowrap text-sm ${event.trimmed ? 'text-yellow-600' : 'text-red-600'}`}>
+                        {event.trimmed ? 'Trimmed' : 'Rejected'}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{CONSTRAINT_LABELS[event.reason] || event.reason}</td>
+                      <td className="px-3 py-2 text-sm text-gray-500">{event.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {results.constraints.rejectedOrders + results.constraints.trimmedOrders > results.constraints.events.length && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Showing the first {results.constraints.events.length} of {results.constraints.rejectedOrders + results.constraints.trimmedOrders} rejected or trimmed orders
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+      
+      {/* Taxes */}
+      {results.taxes && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Taxes</h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+            <MetricCard
+              title="After-Tax Return"
+              value={formatStat(results.taxes.afterTaxReturn)}
+              suffix="%"
+              description={`Before taxes: ${(results.metrics.totalReturn || 0).toFixed(2)}%`}
+            />
+            <MetricCard
+              title="Total Tax"
+              value={formatCurrency(results.taxes.totalTax)}
+              description={`Short-term ${results.taxes.settings.shortTermRate}%, long-term ${results.taxes.settings.longTermRate}%, dividends ${results.taxes.settings.dividendRate}%`}
+            />
+            <MetricCard
+              title="Wash Sales"
+              value={results.taxes.washSales}
+              description={`${formatCurrency(results.taxes.washSaleDisallowed)} of losses deferred, ${formatCurrency(results.taxes.deferredLosses)} still in open lots`}
+            />
+            <MetricCard
+              title="Loss Carryforward"
+              value={formatCurrency(results.taxes.lossCarryforward)}
+              description="Net losses left to offset future gains"
+            />
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Year</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Short-Term</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Long-Term</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dividends</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Wash Sales Deferred</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Carryforward Used</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tax</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Loss Carryforward</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {results.taxes.years.map(year => (
+                  <tr key={year.year}>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{year.year}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(year.shortTermGains + year.shortTermLosses)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(year.longTermGains + year.longTermLosses)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(year.dividends)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(year.washSaleDisallowed)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(year.carryforwardUsed)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{formatCurrency(year.tax)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatCurrency(year.carryforward)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
       {/* Transactions Summary */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
         {/* Transaction Counts by Symbol */}
@@ -2340,7 +3077,8 @@ const ResultsDashboard = ({ results }) => {
                       }`}>
                         {transaction.isDayTrading && transaction.type === 'buy' ? 'BUY@OPEN' : 
                          transaction.isDayTrading && transaction.isEodExit ? 'SELL@CLOSE' :
-                         transaction.type === 'cover_short' ? 'COVER' : transaction.type.toUpperCase()}
+                         transaction.type === 'cover_short' ? 'COVER' :
+                         transaction.type === 'dividend_charge' ? 'DIVIDEND PAID' : transaction.type.toUpperCase()}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -2348,6 +3086,12 @@ const ResultsDashboard = ({ results }) => {
                         `${transaction.amountValue} shares` : 
                       transaction.amountType === 'percentage' ?
                         `${transaction.amountValue}% of portfolio` :
+                      transaction.amountType === 'position_percentage' ?
+                        `${formatStat(transaction.amountValue)}% of position` :
+                      transaction.amountType === 'close_position' ?
+                        'Whole position' :
+                      transaction.amountType === 'target_weight' ?
+                        `To ${transaction.amountValue}% weight` :
                         formatCurrency(transaction.amount)
                       }
                     </td>
@@ -2359,6 +3103,81 @@ const ResultsDashboard = ({ results }) => {
         </div>
       </div>
       
+      {/* Trade Ledger */}
+      {results.tradeStats && (
+        <div className="bg-white shadow rounded-lg p-4 mb-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">
+            Trade Ledger ({results.tradeStats.lotMatching.toUpperCase()} lot matching)
+          </h3>
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4 mb-4">
+            <MetricCard
+              title="Win Rate"
+              value={formatStat(results.tradeStats.winRate)}
+              suffix="%"
+              description={`${results.tradeStats.winningTrades} of ${results.tradeStats.totalTrades} closed trades, ${results.openTrades?.length || 0} still open`}
+            />
+            <MetricCard
+              title="Profit Factor"
+              value={formatStat(results.tradeStats.profitFactor)}
+              description="Gross profit / gross loss"
+            />
+            <MetricCard
+              title="Expectancy"
+              value={formatCurrency(results.tradeStats.expectancy)}
+              description={`Average P&L per trade (${formatStat(results.tradeStats.expectancyPercent)}%)`}
+            />
+            <MetricCard
+              title="Average Win / Loss"
+              value={`${formatCurrency(results.tradeStats.averageWin)} / ${formatCurrency(results.tradeStats.averageLoss)}`}
+              description={`Held ${formatStat(results.tradeStats.averageHoldingDays)} days on average`}
+            />
+          </div>
+          <div className="overflow-y-auto max-h-96">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Side</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entry</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Exit</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Days</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">P&L</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MAE / MFE</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opened By</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closed By</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {results.trades.slice(-50).reverse().map((trade, index) => (
+                  <tr key={index}>
+                    <td 
+                      className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900 hover:text-indigo-600 cursor-pointer"
+                      onClick={() => handleStockSelect(trade.symbol)}
+                      title="Click to view stock chart"
+                    >
+                      {trade.symbol}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{trade.side.toUpperCase()}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatDate(trade.entryDate)} @ {formatCurrency(trade.entryPrice)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{formatDate(trade.exitDate)} @ {formatCurrency(trade.exitPrice)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{trade.holdingDays}</td>
+                    <td className={`px-3 py-2 whitespace-nowrap text-sm ${trade.profitLoss >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatCurrency(trade.profitLoss)} ({trade.profitLossPercent.toFixed(2)}%)
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{trade.mae.toFixed(2)}% / {trade.mfe.toFixed(2)}%</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{trade.entryRule}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{trade.exitRule}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {results.trades.length > 50 && (
+              <p className="text-xs text-gray-500 mt-2">Showing the 50 most recent of {results.trades.length} closed trades</p>
+            )}
+          </div>
+        </div>
+      )}
+      
       {/* Positions */}
       <div className="bg-white shadow rounded-lg p-4">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Current Positions</h3>
@@ -0,0 +1,141 @@
+/**
+ * Split and dividend adjustment of price bars
+ *
+ * Prices are configured per strategy as:
+ *   prices: { adjustment: 'raw' | 'split_adjusted' | 'adjusted', dividends: true }
+ * - raw: bars as fetched
+ * - split_adjusted: bars before each split are divided by the split ratio (and volume
+ *   multiplied by it), so a 2:1 split doesn't show up as a 50% drop
+ * - adjusted: prices are also adjusted for dividends, scaled by adjClose / close
+ *   (total-return prices - dividends are already in the price, so they aren't credited)
+ *
+ * With dividends on, holders are credited each dividend in cash on its ex-date and short
+ * holders are charged it. Dividends are reported per share after later splits, so in raw
+ * mode they are scaled back to the share count at the time.
+ *
+ * Some sources already split-adjust their bars. A split is only applied where the bars
+ * show it - where the gap from the previous close to the open on the split date is
+ * closer to the split ratio than to no change.
+ */
+
+const ADJUSTMENT_MODES = ['raw', 'split_adjusted', 'adjusted'];
+
+/**
+ * Resolve the strategy's price settings, applying defaults
+ * @param {object} prices - { adjustment, dividends }
+ * @returns {object} { adjustment, dividends }
+ */
+function resolvePriceSettings(prices) {
+  const settings = prices || {};
+  const adjustment = ADJUSTMENT_MODES.includes(settings.adjustment) ? settings.adjustment : 'split_adjusted';
+  return {
+    adjustment,
+    // Fully adjusted prices already include the dividends
+    dividends: settings.dividends === true && adjustment !== 'adjusted'
+  };
+}
+
+/**
+ * Parse a split ratio such as "2:1" (two new shares for one old) or a number
+ * @param {string|number} ratio - Split ratio
+ * @returns {number|null} New shares per old share, or null if invalid
+ */
+function parseSplitRatio(ratio) {
+  if (typeof ratio === 'number') {
+    return ratio > 0 ? ratio : null;
+  }
+  
+  const parts = String(ratio).split(/[:/]/).map(part => parseFloat(part));
+  const factor = parts.length === 2 ? parts[0] / parts[1] : parts[0];
+  return isFinite(factor) && factor > 0 ? factor : null;
+}
+
+/**
+ * Find the splits that show up in a series of bars
+ * @param {Array} bars - Bars, oldest to newest
+ * @param {Array} splits - Split events [{ date, ratio }]
+ * @returns {Array} Splits [{ date, index, factor }] where index is the first bar on or after the split date
+ */
+function findSplitsInBars(bars, splits) {
+  const found = [];
+  
+  (splits || []).forEach(split => {
+    const factor = parseSplitRatio(split.ratio);
+    if (!factor || factor === 1) return;
+    
+    const index = bars.findIndex(bar => bar.date >= split.date);
+    if (index <= 0) return;
+    
+    // A 2:1 split halves the price - compare the gap with that on a log scale
+    const gap = Math.log(bars[index - 1].close / (bars[index].open || bars[index].close));
+    if (Math.abs(gap - Math.log(factor)) < Math.abs(gap)) {
+      found.push({ date: split.date, index, factor });
+    } else {
+      console.log(`[PRICES] Split ${split.ratio} on ${split.date} is already reflected in the bars, not adjusting`);
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * Adjust a symbol's bars for splits and dividends
+ * @param {Array} bars - Bars { date, open, high, low, close, volume, adjClose }, oldest to newest
+ * @param {object} events - { splits: [{ date, ratio }], dividends: [{ date, amount }] }
+ * @param {object} settings - Resolved price settings
+ * @returns {object} { bars, splits } - Adjusted bars (dividend amounts on the ex-date bar's
+ *   'dividend' field when dividends are credited) and the splits that were found in the bars
+ */
+function adjustBars(bars, events, settings) {
+  const splits = findSplitsInBars(bars, events.splits);
+  
+  // Cumulative factor of the splits after each bar
+  const splitFactors = bars.map(() => 1);
+  splits.forEach(split => {
+    for (let i = 0; i < split.index; i++) {
+      splitFactors[i] *= split.factor;
+    }
+  });
+  
+  let useAdjClose = settings.adjustment === 'adjusted';
+  if (useAdjClose && !bars.every(bar => bar.adjClose > 0 && bar.close > 0)) {
+    console.warn('[PRICES] Missing adjClose values, using split-adjusted prices instead');
+    useAdjClose = false;
+  }
+  
+  const adjusted = bars.map((bar, i) => {
+    if (settings.adjustment === 'raw') {
+      return { ...bar };
+    }
+    
+    const priceFactor = useAdjClose ? bar.adjClose / bar.close : 1 / splitFactors[i];
+    return {
+      ...bar,
+      open: bar.open * priceFactor,
+      high: bar.high * priceFactor,
+      low: bar.low * priceFactor,
+      close: bar.close * priceFactor,
+      volume: bar.volume * splitFactors[i]
+    };
+  });
+  
+  if (settings.dividends) {
+    (events.dividends || []).forEach(dividend => {
+      // Credited on the first bar on or after the ex-date
+      const index = adjusted.findIndex(bar => bar.date >= dividend.date);
+      if (index === -1 || !(dividend.amount > 0)) return;
+      
+      const amount = settings.adjustment === 'raw' ? dividend.amount * splitFactors[index] : dividend.amount;
+      adjusted[index].dividend = (adjusted[index].dividend || 0) + amount;
+    });
+  }
+  
+  return { bars: adjusted, splits };
+}
+
+module.exports = {
+  ADJUSTMENT_MODES,
+  resolvePriceSettings,
+  parseSplitRatio,
+  adjustBars
+};
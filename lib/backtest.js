@@ -85,24 +85,35 @@ function checkConsecutiveCondition(priceHistory, days, direction) {
   return true; // All checks passed
 }
 
-// Import technical indicators
+// Import technical indicators and performance metrics
 const indicators = require('./indicators');
+const metrics = require('./metrics');
+const costs = require('./costs');
+const exits = require('./exits');
+const indicatorState = require('./indicatorState');
+const execution = require('./execution');
+const adjustments = require('./adjustments');
+const trades = require('./trades');
+const taxes = require('./taxes');
+const margin = require('./margin');
+const sizing = require('./sizing');
+const rebalance = require('./rebalance');
+const ranking = require('./ranking');
+const constraints = require('./constraints');
+const riskControls = require('./riskControls');
+const scheduling = require('./scheduling');
 
 /**
- * Checks if a technical indicator condition is met
+ * Computes the current value of a technical indicator from the price history
  * @param {object} condition - The technical indicator condition
- * @param {object} data - Data needed to evaluate the condition
- * @returns {boolean} Whether the condition is met
+ * @param {Array} priceHistory - Price bars, oldest to newest
+ * @returns {number|null} Indicator value on the newest bar (1/0 for crossovers and patterns)
  */
-function checkTechnicalCondition(condition, data) {
-  const { priceHistory } = data;
+function calculateIndicatorValue(condition, priceHistory) {
   const indicatorType = condition.indicator;
   const params = condition.params || {};
   let indicatorValue = null;
   
-  console.log(`[TECHNICAL] Checking ${indicatorType} indicator with params:`, JSON.stringify(params));
-  
-  // Get the current value of the specified indicator
   switch (indicatorType) {
     case 'day_trading_signal': {
       const gapThreshold = params.gapThreshold || 3.0;
@@ -165,7 +176,7 @@ function checkTechnicalCondition(condition, data) {
         const prevHist = macdResult.histogram[priceHistory.length - 2];
         
         if (isNaN(currHist) || isNaN(prevHist)) {
-          return false;
+          return null;
         }
         
         // Bullish crossover (histogram goes from negative to positive)
@@ -257,12 +268,12 @@ function checkTechnicalCondition(condition, data) {
       break;
     }
     case 'volume_change': {
-      if (priceHistory.length < 2) return false;
+      if (priceHistory.length < 2) return null;
       
       const currentVolume = priceHistory[priceHistory.length - 1].volume;
       const previousVolume = priceHistory[priceHistory.length - 2].volume;
       
-      if (previousVolume === 0) return false;
+      if (previousVolume === 0) return null;
       
       indicatorValue = ((currentVolume - previousVolume) / previousVolume) * 100;
       console.log(`[TECHNICAL] Volume change: ${indicatorValue}%`);
@@ -362,7 +373,7 @@ function checkTechnicalCondition(condition, data) {
         console.log(`[TECHNICAL] Gap detected: ${currentGap.value}% (${currentGap.type})`);
       } else {
         console.log(`[TECHNICAL] No gap detected above threshold of ${minGapPercent}%`);
-        return false;
+        return null;
       }
       break;
     }
@@ -390,7 +401,34 @@ function checkTechnicalCondition(condition, data) {
     }
     default:
       console.log(`[TECHNICAL] Unknown indicator type: ${indicatorType}`);
-      return false;
+      return null;
+  }
+  
+  return indicatorValue;
+}
+
+/**
+ * Checks if a technical indicator condition is met
+ * @param {object} condition - The technical indicator condition
+ * @param {object} data - Data needed to evaluate the condition
+ *   ({ priceHistory, indicatorStates } - see lib/indicatorState.js)
+ * @returns {boolean} Whether the condition is met
+ */
+function checkTechnicalCondition(condition, data) {
+  const { priceHistory } = data;
+  const indicatorType = condition.indicator;
+  const params = condition.params || {};
+  
+  console.log(`[TECHNICAL] Checking ${indicatorType} indicator with params:`, JSON.stringify(params));
+  
+  // Read the incrementally updated state when the engine keeps one, instead of
+  // recomputing the indicator over the whole history
+  const state = data.indicatorStates && data.indicatorStates[indicatorState.getIndicatorKey(condition)];
+  let indicatorValue = state ? state.read(condition) : undefined;
+  if (indicatorValue === undefined) {
+    indicatorValue = calculateIndicatorValue(condition, priceHistory);
+  } else {
+    console.log(`[TECHNICAL] ${indicatorType} value from indicator state: ${indicatorValue}`);
   }
   
   // Check if the indicator condition is met
@@ -417,12 +455,229 @@ function checkTechnicalCondition(condition, data) {
 }
 
 /**
- * Main condition checking function that dispatches to the appropriate checker
+ * Minimum number of bars a technical indicator needs before its value is meaningful
+ * @param {object} condition - Technical indicator condition
+ * @returns {number} Required price history length
+ */
+function getMinDataRequired(condition) {
+  const params = condition.params || {};
+  
+  switch (condition.indicator) {
+    case 'rsi':
+      return (params.period || 14) * 2; // RSI needs 2x period
+    case 'macd':
+      return Math.max(
+        (params.fastPeriod || 12), 
+        (params.slowPeriod || 26)
+      ) + 10; // MACD needs longer history for signal
+    case 'ma_relative':
+      return (params.period || 20) + 5;
+    case 'bbands':
+      return (params.period || 20) + 5;
+    case 'obv':
+      return 5; // OBV doesn't need much data
+    case 'atr':
+      return (params.period || 14) + 5;
+    case 'mfi':
+      return (params.period || 14) + 5;
+    case 'volume_change':
+      return 2; // Just need current and previous
+    case 'gap':
+    case 'day_trading_signal':
+      return 2; // Compare today's open with yesterday's close
+    case 'double_bottom':
+      return (params.lookback || 40) + 5;
+    case 'mean_reversion':
+      return (params.period || 20) + 5;
+    default:
+      return 200; // Default to requiring a month of data
+  }
+}
+
+/**
+ * Number of bars of history a single (non-group) condition needs
+ * @param {object} condition - Leaf condition
+ * @param {string} timeframe - Timeframe the condition reads ('daily', 'weekly' or 'monthly')
+ * @returns {number} Required number of bars on the condition's timeframe
+ */
+function getConditionLookback(condition, timeframe) {
+  switch (condition.type) {
+    case 'technical':
+      return getMinDataRequired(condition);
+    case 'consecutive':
+      return condition.days || 1;
+    case 'pattern':
+      if (condition.pattern === 'double_bottom') {
+        return getMinDataRequired({ indicator: 'double_bottom', params: condition.params || {} });
+      }
+      if (condition.pattern && condition.pattern.startsWith('obv_')) {
+        return (condition.period || 14) + 5;
+      }
+      return 2; // Gap patterns compare two bars
+    default:
+      if (condition.metric === 'percent_change') {
+        // Daily changes compare two bars; weekly/monthly changes compare two completed
+        // periods, plus the period in progress
+        return timeframe === 'daily' ? 2 : 3;
+      }
+      // Other simple conditions read the current bar
+      return 1;
+  }
+}
+
+/**
+ * Work out how much price history a strategy's conditions need on each timeframe
+ * @param {object} strategy - Structured strategy object
+ * @returns {object} { daily, weekly, monthly } number of bars required
+ */
+function getRequiredLookback(strategy) {
+  const lookback = { daily: 0, weekly: 0, monthly: 0 };
+  
+  (strategy.actions || []).forEach(action => {
+    getConditionLeaves(action.condition).forEach(leaf => {
+      // Percent changes without their own timeframe use the action's timeframe
+      const ownTimeframe = leaf.timeframe ||
+        (leaf.metric === 'percent_change' ? action.timeframe : null);
+      const timeframe = lookback[ownTimeframe] !== undefined ? ownTimeframe : 'daily';
+      lookback[timeframe] = Math.max(lookback[timeframe], getConditionLookback(leaf, timeframe));
+    });
+    // Risk-based amounts, inverse-volatility rebalances and rankings read daily bars
+    lookback.daily = Math.max(lookback.daily, sizing.getSizingLookback(action.amount));
+    if (action.type === 'rebalance' || action.type === 'rotate') {
+      lookback.daily = Math.max(lookback.daily, rebalance.getRebalanceLookback(action));
+    }
+    if (action.type === 'rotate') {
+      const rank = ranking.resolveRotationSettings(action).rank;
+      lookback.daily = Math.max(lookback.daily, rank.type === 'technical' ?
+        getConditionLookback(rank, 'daily') :
+        ranking.getRankingLookback(rank));
+    }
+  });
+  
+  return lookback;
+}
+
+/**
+ * Convert a lookback into the number of calendar days of warm-up data to fetch
+ * before the start date (about 252 trading days a year, plus a margin for holidays)
+ * @param {object} lookback - { daily, weekly, monthly } bars required
+ * @returns {number} Calendar days
+ */
+function getWarmupCalendarDays(lookback) {
+  return Math.ceil(Math.max(
+    lookback.daily * 1.5,
+    (lookback.weekly + 1) * 7,
+    (lookback.monthly + 1) * 31
+  )) + 10;
+}
+
+/**
+ * Condition group types that combine other conditions
+ */
+const CONDITION_GROUPS = ['all', 'any', 'not'];
+
+/**
+ * Collect the leaf (non-group) conditions of a condition tree
+ * @param {object} condition - Condition or condition group
+ * @returns {Array} Leaf conditions in tree order
+ */
+function getConditionLeaves(condition) {
+  if (!condition) return [];
+  if (condition.type === 'not') return getConditionLeaves(condition.condition);
+  if (condition.type === 'all' || condition.type === 'any') {
+    return (condition.conditions || []).flatMap(getConditionLeaves);
+  }
+  return [condition];
+}
+
+/**
+ * Check whether a condition (tree) contains a day trading gap pattern
+ * @param {object} condition - Condition or condition group
+ * @returns {boolean} True if any leaf is a day_trade_gap_* pattern
+ */
+function isDayTradingCondition(condition) {
+  return getConditionLeaves(condition).some(leaf => 
+    leaf.type === 'pattern' && 
+    (leaf.pattern === 'day_trade_gap_down' || 
+     leaf.pattern === 'day_trade_gap_up' ||
+     leaf.pattern === 'day_trade_gap_any'));
+}
+
+/**
+ * Main condition checking function that dispatches to the appropriate checker.
+ * Condition groups are evaluated recursively:
+ *   { type: 'all', conditions: [...] } - every condition must be met
+ *   { type: 'any', conditions: [...] } - at least one condition must be met
+ *   { type: 'not', condition: {...} } - the condition must not be met
+ * @param {object} condition - The condition object from the strategy
+ * @param {object} data - Data needed to evaluate the condition
+ *   ({ priceHistory, value } or { priceHistory, metrics: { percent_change, price, volume } }).
+ *   Conditions with their own timeframe read historyByTimeframe[timeframe] and percentChanges[timeframe].
+ *   Technical conditions read indicatorStates (or indicatorStatesByTimeframe[timeframe]) when set.
+ * @param {object} trace - Optional object filled with the condition and whether each branch was met
+ * @returns {boolean} Whether the condition is met
+ */
+function checkCondition(condition, data, trace) {
+  if (CONDITION_GROUPS.includes(condition.type)) {
+    const children = condition.type === 'not' ? [condition.condition] : (condition.conditions || []);
+    
+    // Evaluate every branch (no short-circuit) so the trace shows each one's result
+    const childTraces = children.map(() => ({}));
+    const childResults = children.map((child, i) => checkCondition(child, data, childTraces[i]));
+    
+    let met;
+    if (condition.type === 'all') {
+      met = childResults.length > 0 && childResults.every(Boolean);
+    } else if (condition.type === 'any') {
+      met = childResults.some(Boolean);
+    } else {
+      met = !childResults[0];
+    }
+    
+    console.log(`[CONDITION] ${condition.type.toUpperCase()} group: [${childResults.join(', ')}] -> ${met}`);
+    
+    if (trace) {
+      Object.assign(trace, { type: condition.type, met });
+      if (condition.type === 'not') {
+        trace.condition = childTraces[0];
+      } else {
+        trace.conditions = childTraces;
+      }
+    }
+    return met;
+  }
+  
+  const met = checkLeafCondition(condition, data);
+  if (trace) {
+    Object.assign(trace, condition, { met });
+  }
+  return met;
+}
+
+/**
+ * Check a single (non-group) condition
  * @param {object} condition - The condition object from the strategy
  * @param {object} data - Data needed to evaluate the condition
  * @returns {boolean} Whether the condition is met
  */
-function checkCondition(condition, data) {
+function checkLeafCondition(condition, data) {
+  // A condition can read its own bar timeframe (weekly/monthly bars are resampled by calendar)
+  if (condition.timeframe && data.historyByTimeframe) {
+    const history = data.historyByTimeframe[condition.timeframe];
+    if (!history) {
+      console.log(`[CONDITION] Unknown condition timeframe: ${condition.timeframe}, condition not met`);
+      return false;
+    }
+    
+    const percentChange = data.percentChanges?.[condition.timeframe];
+    data = {
+      ...data,
+      priceHistory: history,
+      metrics: data.metrics && { ...data.metrics, percent_change: percentChange },
+      indicatorStates: data.indicatorStatesByTimeframe?.[condition.timeframe]
+    };
+  }
+  
   // Handle different condition types
   if (condition.type === 'consecutive') {
     return checkConsecutiveCondition(
@@ -511,26 +766,61 @@ function checkCondition(condition, data) {
     console.log(`Pattern condition '${condition.pattern}' not yet implemented`);
     return false;
   } else if (condition.type === 'technical') {
-    // Handle technical indicator conditions
+    // Handle technical indicator conditions - check minimum data requirements first
+    const minDataRequired = getMinDataRequired(condition);
+    const historyLength = data.priceHistory?.length || 0;
+    if (historyLength < minDataRequired) {
+      console.log(`[STRATEGY] Insufficient data for ${condition.indicator}. Need at least ${minDataRequired} data points, have ${historyLength}`);
+      return false;
+    }
+    
     return checkTechnicalCondition(condition, data);
   } else {
-    // Default to simple condition
+    // Default to simple condition - the value comes from the caller or the named metric
+    const value = data.value !== undefined ? data.value : data.metrics?.[condition.metric];
+    if (value === undefined || value === null) {
+      console.log(`[STRATEGY] No ${condition.metric} value available, condition not met`);
+      return false;
+    }
+    
     return checkSimpleCondition(
-      data.value,
+      value,
       condition.operator,
       condition.value
     );
   }
 }
 
+// Amount types sized relative to the position already held - always a whole number of shares
+// worked out up front, and nothing to trade when there's no position to size from
+const POSITION_AMOUNT_TYPES = ['position_percentage', 'close_position', 'target_weight'];
+
 /**
- * Calculate the buy/sell amount based on rule
+ * Check whether an amount rule gives an exact number of shares rather than a dollar amount
  * @param {object} amountRule - Rule for calculating amount
+ * @returns {boolean} True for share counts and position-relative amounts
+ */
+function isShareAmount(amountRule) {
+  return amountRule?.type === 'shares' || POSITION_AMOUNT_TYPES.includes(amountRule?.type);
+}
+
+/**
+ * Calculate the buy/sell amount based on rule
+ * @param {object} amountRule - Rule for calculating amount. Besides fixed dollars, shares and a
+ *   percentage of the portfolio, it can be a percentage of the current position ('position_percentage' -
+ *   of the long position for buys and sells, the short one for shorts and covers), the whole position
+ *   ('close_position'), a weight to buy or sell to ('target_weight', percent of the portfolio - a short
+ *   weight for short and cover actions, which covers only buy back towards), or sized from risk (see lib/sizing.js)
  * @param {number} portfolioValue - Current portfolio value
  * @param {number} currentPrice - Current price of the stock
- * @returns {object} Object containing amount in dollars and shares
+ * @param {number} currentQuantity - Shares currently held (negative for a short), for position-relative amounts
+ * @param {string} actionType - Action type ('buy', 'sell', 'short' or 'cover')
+ * @param {object} sizingData - History and closed trades for risk-based amounts (see sizing.calculateRiskAmount)
+ * @returns {object} Object containing amount in dollars and shares - target weights and closes
+ *   also have the side ('buy' or 'sell') that moves the position towards the target, and ATR
+ *   risk amounts the stopLoss (percent) their size assumes
  */
-function calculateAmount(amountRule, portfolioValue, currentPrice) {
+function calculateAmount(amountRule, portfolioValue, currentPrice, currentQuantity = 0, actionType = 'buy', sizingData = {}) {
   // Default result structure
   const result = {
     dollars: 0,
@@ -578,6 +868,57 @@ function calculateAmount(amountRule, portfolioValue, currentPrice) {
       console.log(`[AMOUNT] Using shares: ${value} shares at $${currentPrice}`);
       break;
       
+    case 'position_percentage': {
+      // Buys and sells size from the long position, shorts and covers from the short one
+      const heldShares = (actionType === 'short' || actionType === 'cover') ?
+        Math.max(0, -currentQuantity) :
+        Math.max(0, currentQuantity);
+      result.shares = heldShares * value / 100;
+      result.dollars = result.shares * currentPrice;
+      console.log(`[AMOUNT] Using position_percentage: ${value}% of ${heldShares.toFixed(4)} shares`);
+      break;
+    }
+    
+    case 'close_position':
+      // Whatever the action, closing sells a long and buys back a short
+      result.shares = Math.abs(currentQuantity);
+      result.dollars = result.shares * currentPrice;
+      result.side = currentQuantity > 0 ? 'sell' : 'buy';
+      console.log(`[AMOUNT] Using close_position: all ${currentQuantity.toFixed(4)} shares`);
+      break;
+    
+    case 'target_weight': {
+      // Short and cover actions target a short position of the given weight
+      const weight = (actionType === 'short' || actionType === 'cover') ? -Math.abs(value) : value;
+      const targetDollars = (portfolioValue * weight) / 100;
+      const difference = targetDollars - currentQuantity * currentPrice;
+      // A cover only buys back a short - it never sells to open or add to one
+      if (actionType === 'cover' && difference < 0) {
+        result.side = 'buy';
+        console.log(`[AMOUNT] Using target_weight: the position is already at or below ${weight}% - nothing to cover`);
+        break;
+      }
+      result.dollars = Math.abs(difference);
+      result.shares = currentPrice > 0 ? result.dollars / currentPrice : 0;
+      result.side = difference > 0 ? 'buy' : 'sell';
+      console.log(`[AMOUNT] Using target_weight: ${weight}% of $${portfolioValue} - ${result.side} $${result.dollars.toFixed(2)} to reach it`);
+      break;
+    }
+    
+    case 'atr_risk':
+    case 'inverse_volatility':
+    case 'target_volatility':
+    case 'kelly': {
+      const riskAmount = sizing.calculateRiskAmount(amountRule, portfolioValue, currentPrice, sizingData);
+      result.dollars = riskAmount.dollars;
+      result.shares = currentPrice > 0 ? result.dollars / currentPrice : 0;
+      if (riskAmount.stopLoss !== null) {
+        result.stopLoss = riskAmount.stopLoss;
+      }
+      console.log(`[AMOUNT] Using ${amountType}: $${result.dollars.toFixed(2)}${riskAmount.reason ? ` (${riskAmount.reason})` : ''}`);
+      break;
+    }
+    
     default:
       // Default to fixed amount if type is unknown
       console.log(`[AMOUNT] Unknown amount type: ${amountType}, defaulting to fixed amount`);
@@ -585,8 +926,13 @@ function calculateAmount(amountRule, portfolioValue, currentPrice) {
       result.shares = currentPrice > 0 ? result.dollars / currentPrice : 0;
   }
   
-  // Ensure we never return zero amounts
-  if (result.dollars <= 0 || result.shares <= 0) {
+  // Ensure we never return zero amounts - a position-relative amount with no position, or a
+  // risk-based one without the history to measure the risk, has nothing to trade
+  if (POSITION_AMOUNT_TYPES.includes(amountType) || sizing.RISK_AMOUNT_TYPES.includes(amountType)) {
+    if (result.shares <= 0) {
+      console.log(`[AMOUNT] Nothing to trade for ${amountType}`);
+    }
+  } else if (result.dollars <= 0 || result.shares <= 0) {
     console.warn(`[AMOUNT] Zero or negative amount calculated! Defaulting to $100`);
     result.dollars = 100;
     result.shares = currentPrice > 0 ? 100 / currentPrice : 0;
@@ -596,34 +942,391 @@ function calculateAmount(amountRule, portfolioValue, currentPrice) {
   return result;
 }
 
+/**
+ * Get the ISO week key ("YYYY-Www") for a date string
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string} ISO week-year and week number
+ */
+function getISOWeekKey(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Get the calendar period a date belongs to for a given frequency
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} frequency - 'weekly', 'monthly', 'quarterly' or 'yearly'
+ * @returns {string} Period key (dates in the same period share the same key)
+ */
+function getPeriodKey(dateStr, frequency) {
+  const year = dateStr.slice(0, 4);
+  const month = parseInt(dateStr.slice(5, 7));
+  
+  switch (frequency) {
+    case 'weekly':
+      return getISOWeekKey(dateStr);
+    case 'quarterly':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case 'yearly':
+      return year;
+    case 'monthly':
+    default:
+      return dateStr.slice(0, 7);
+  }
+}
+
+/**
+ * Minimum number of bars kept per symbol and timeframe, whatever the strategy's lookback
+ */
+const MIN_HISTORY_BARS = 30;
+
+/**
+ * Most constraint rejections and trims listed individually in the results (all of them are counted)
+ */
+const MAX_CONSTRAINT_EVENTS = 500;
+
+/**
+ * Fold a daily bar into a series of calendar-resampled bars.
+ * The last bar of the series is the period in progress, built only from the days
+ * seen so far, so indicators on it never see prices from later in the period.
+ * @param {Array} bars - Resampled bars, oldest to newest (modified in place)
+ * @param {object} bar - Daily bar to add
+ * @param {string} date - Date of the daily bar (YYYY-MM-DD)
+ * @param {string} frequency - 'weekly' or 'monthly'
+ * @param {number} maxBars - Number of bars to keep
+ * @returns {boolean} True if the bar started a new period, false if it extended the last one
+ */
+function appendResampledBar(bars, bar, date, frequency, maxBars) {
+  const periodKey = getPeriodKey(date, frequency);
+  const lastBar = bars[bars.length - 1];
+  
+  if (lastBar && lastBar.period === periodKey) {
+    // Same calendar period - extend the bar in progress
+    bars[bars.length - 1] = {
+      ...lastBar,
+      date,
+      high: Math.max(lastBar.high, bar.high || bar.close),
+      low: Math.min(lastBar.low, bar.low || bar.close),
+      close: bar.close,
+      volume: (lastBar.volume || 0) + (bar.volume || 0)
+    };
+    return false;
+  }
+  
+  bars.push({
+    period: periodKey,
+    date,
+    open: bar.open || bar.close,
+    high: bar.high || bar.close,
+    low: bar.low || bar.close,
+    close: bar.close,
+    volume: bar.volume || 0
+  });
+  if (bars.length > maxBars) {
+    bars.shift();
+  }
+  return true;
+}
+
+/**
+ * Percent change between the last two completed periods of a resampled series
+ * @param {Array} bars - Resampled bars, oldest to newest; the last is the period in progress
+ * @returns {number|null} Percent change of the last completed period's close, or null
+ *   if fewer than two periods have completed
+ */
+function getCompletedPeriodChange(bars) {
+  if (!bars || bars.length < 3) return null;
+  return calculatePercentChange(bars[bars.length - 2].close, bars[bars.length - 3].close);
+}
+
+/**
+ * Resolve capital settings for a backtest, applying defaults
+ * @param {object} capital - Capital settings from the strategy
+ * @param {number} capital.initial - Starting cash (default: 10000)
+ * @param {number} capital.cashYield - Annual yield on idle cash in percent (default: 0)
+ * @param {Array} capital.schedule - Deposits (positive amount) and withdrawals (negative amount).
+ *   One-off entries have a 'date'; recurring entries have a 'frequency' and optional 'start'/'end' dates.
+ * @returns {object} Resolved capital settings
+ */
+function resolveCapitalSettings(capital) {
+  const settings = capital || {};
+  const initial = Number(settings.initial);
+  const cashYield = Number(settings.cashYield);
+  
+  return {
+    initial: isNaN(initial) || initial <= 0 ? 10000 : initial,
+    cashYield: isNaN(cashYield) ? 0 : cashYield,
+    schedule: Array.isArray(settings.schedule)
+      ? settings.schedule.filter(entry => entry && typeof entry.amount === 'number' && !isNaN(entry.amount))
+      : []
+  };
+}
+
+/**
+ * Get the net scheduled cash flow that falls on a trading date
+ * @param {Array} schedule - Resolved capital schedule
+ * @param {string} date - Current trading date
+ * @param {string|null} previousDate - Previous trading date (null on the first day)
+ * @returns {number} Net deposit (positive) or withdrawal (negative) for the date
+ */
+function getScheduledCashFlow(schedule, date, previousDate) {
+  // Nothing is scheduled on the first day - that's what the initial capital is for
+  if (!previousDate) return 0;
+  
+  return schedule.reduce((total, entry) => {
+    if (entry.date) {
+      // One-off flows land on the first trading date on or after their date
+      return entry.date > previousDate && entry.date <= date ? total + entry.amount : total;
+    }
+    
+    if (entry.frequency) {
+      if (entry.start && date < entry.start) return total;
+      if (entry.end && date > entry.end) return total;
+      
+      // Recurring flows land on the first trading date of each new period
+      const isNewPeriod = getPeriodKey(date, entry.frequency) !== getPeriodKey(previousDate, entry.frequency);
+      return isNewPeriod ? total + entry.amount : total;
+    }
+    
+    return total;
+  }, 0);
+}
+
+/**
+ * Price an order with the strategy's cost models
+ * @param {object} costSettings - Strategy cost settings (see lib/costs.js)
+ * @param {string} side - 'buy' (buy/cover) or 'sell' (sell/short)
+ * @param {object} bar - Bar the order fills on (volume is used for slippage)
+ * @param {number} referencePrice - Price before costs
+ * @param {object} amountData - { dollars, shares } for the order
+ * @param {boolean} fixedShares - Whether the share count is fixed (otherwise the dollar amount is)
+ * @returns {object} { quantity, fillPrice, notional, costs: { commission, spread, slippage, total }, warnings }
+ */
+function priceOrder(costSettings, side, bar, referencePrice, amountData, fixedShares) {
+  const order = {
+    side,
+    price: referencePrice,
+    quantity: amountData.shares,
+    volume: bar.volume
+  };
+  let fill = costs.calculateFillCosts(costSettings, order);
+  
+  // A dollar amount buys (or shorts) fewer shares once the fill price moves, so price it again
+  if (!fixedShares && fill.fillPrice > 0 && fill.fillPrice !== referencePrice) {
+    order.quantity = amountData.dollars / fill.fillPrice;
+    fill = costs.calculateFillCosts(costSettings, order);
+  }
+  
+  return {
+    quantity: order.quantity,
+    fillPrice: fill.fillPrice,
+    notional: order.quantity * fill.fillPrice,
+    costs: {
+      commission: fill.commission,
+      spread: fill.spread,
+      slippage: fill.slippage,
+      total: fill.total
+    },
+    warnings: fill.warnings
+  };
+}
+
 /**
  * Execute a backtest for a given strategy and historical data
- * @param {object} strategy - Structured strategy object
+ * @param {object} strategy - Structured strategy object (strategy.capital sets starting cash, cash yield and schedule,
+ *   strategy.exits sets default stop-loss/take-profit/trailing-stop rules, overridden by an action's own exits,
+ *   strategy.shortSelling sets the margin and borrow fees of short positions, strategy.account sets the
+ *   account type - cash, margin or leverage - and its buying power and debit interest; 'rebalance' actions
+ *   hold symbols at target weights on a schedule, see lib/rebalance.js, and 'rotate' actions hold the
+ *   symbols ranked best on a metric, see lib/ranking.js; strategy.constraints limits the positions orders
+ *   can build, see lib/constraints.js, and strategy.riskControls halts trading or scales orders down in
+ *   drawdowns, see lib/riskControls.js; an action with a schedule trades on its dates, with or without a
+ *   condition, and scheduled buys are compared with a lump sum as results.dollarCostAveraging, see
+ *   lib/scheduling.js)
  * @param {object} stockData - Historical stock data by symbol
+ * @param {object} options - Backtest options
+ * @param {string} options.startDate - First date to trade (YYYY-MM-DD). Earlier bars only warm up the
+ *   indicator history, and symbols with fewer warm-up bars than the strategy's lookback are reported.
+ * @param {object} options.benchmark - Optional { symbol, bars } to compare against. The benchmark is bought
+ *   and held with the starting capital and the same deposits and withdrawals; its value is added to each
+ *   valueHistory point as 'benchmark', and the comparison is returned as results.benchmark.
+ * @param {object} options.metadata - Optional symbol -> { sector, sharesOutstanding } for the traded symbols,
+ *   used by market-cap rebalance weights and sector limits.
  * @returns {object} Backtest results
  */
-function runBacktest(strategy, stockData) {
+function runBacktest(strategy, stockData, options = {}) {
   // Initialize portfolio and results tracking
-  const initialCash = 10000; // Starting with $10,000
+  const capital = resolveCapitalSettings(strategy.capital);
+  const initialCash = capital.initial;
   const portfolio = {
     cash: initialCash,
     positions: {}, // Symbol -> quantity
     positionCost: {}, // Symbol -> total cost basis
     transactions: [],
+    cashFlows: [], // Deposits and withdrawals from the capital schedule
     valueHistory: [],
     metrics: {
       startDate: null,
       endDate: null,
+      initialCash,
+      netDeposits: 0,
+      cashInterest: 0,
+      dividendIncome: 0,
       totalReturn: 0,
+      timeWeightedReturn: 0,
+      moneyWeightedReturn: null,
       maxDrawdown: 0,
-      sharpeRatio: 0
+      sharpeRatio: 0,
+      totalCosts: 0,
+      costBreakdown: {
+        commission: 0,
+        spread: 0,
+        slippage: 0
+      },
+      costWarnings: {}
     }
   };
+  
+  // Accumulate the transaction costs of every fill into the metrics, and count the fills
+  // each cost model warned about (e.g. bars without volume for volume-based slippage)
+  const recordCosts = (fill) => {
+    portfolio.metrics.costBreakdown.commission += fill.costs.commission;
+    portfolio.metrics.costBreakdown.spread += fill.costs.spread;
+    portfolio.metrics.costBreakdown.slippage += fill.costs.slippage;
+    portfolio.metrics.totalCosts += fill.costs.total;
+    fill.warnings.forEach(warning => {
+      portfolio.metrics.costWarnings[warning] = (portfolio.metrics.costWarnings[warning] || 0) + 1;
+    });
+  };
 
   // Log the initial portfolio state
   console.log(`[PORTFOLIO] Initial cash: $${portfolio.cash.toFixed(2)}`);
+  console.log(`[PORTFOLIO] Cash yield: ${capital.cashYield}% per year, ${capital.schedule.length} scheduled cash flows`);
+  console.log(`[COSTS] Cost models: ${costs.hasCosts(strategy.costs) ? JSON.stringify(strategy.costs) : 'none (frictionless fills)'}`);
   console.log(`[PORTFOLIO] Initializing position cost tracking`);
   
+  // Orders that fill after their signal bar - next-bar market orders, limits and stops
+  const executionSettings = execution.resolveExecutionSettings(strategy.execution);
+  const pendingOrders = [];
+  portfolio.execution = {
+    model: executionSettings.model,
+    ordersQueued: 0,
+    ordersFilled: 0,
+    ordersExpired: 0,
+    openOrders: 0
+  };
+  console.log(`[EXECUTION] Execution model: ${executionSettings.model}`);
+  
+  // Dividends are credited from the 'dividend' field of ex-date bars (see lib/adjustments.js)
+  const priceSettings = adjustments.resolvePriceSettings(strategy.prices);
+  console.log(`[PRICES] ${priceSettings.adjustment} prices, dividends ${priceSettings.dividends ? 'credited' : 'not credited'}`);
+  
+  // The account type sets the buying power and can borrow on margin (see lib/margin.js)
+  const accountSettings = margin.resolveAccountSettings(strategy.account);
+  portfolio.account = {
+    type: accountSettings.type,
+    settings: accountSettings,
+    marginCalls: 0,
+    forcedSales: 0,
+    rejectedOrders: 0,
+    interestPaid: 0,
+    maxDebitBalance: 0,
+    averageGrossLeverage: 0,
+    maxGrossLeverage: 0,
+    averageNetLeverage: 0,
+    maxNetLeverage: 0
+  };
+  if (accountSettings.type === 'cash') {
+    console.log(`[ACCOUNT] Cash account: longs are paid for in full`);
+  } else {
+    console.log(`[ACCOUNT] ${accountSettings.type === 'margin' ? 'Margin' : 'Leverage'} account: ${accountSettings.initialMargin}% initial, ${accountSettings.maintenanceMargin}% maintenance margin` +
+      (accountSettings.type === 'leverage' ? `, max ${accountSettings.maxGrossLeverage}x gross and ${accountSettings.maxNetLeverage}x net leverage` : '') +
+      `, ${accountSettings.debitRate}% debit interest, margin calls closed to ${accountSettings.marginCallBuffer}% above maintenance`);
+  }
+  
+  // Short positions need margin and pay a borrow fee (see lib/margin.js)
+  const shortSettings = margin.resolveShortSettings(strategy.shortSelling);
+  portfolio.shortSelling = {
+    settings: shortSettings,
+    borrowFees: 0,
+    forcedCovers: 0,
+    rejectedShorts: 0,
+    maxShortExposure: 0,
+    averageShortExposure: 0,
+    bySymbol: {} // Symbol -> { borrowFees, maxShares }
+  };
+  const getShortStats = (symbol) => portfolio.shortSelling.bySymbol[symbol] ||
+    (portfolio.shortSelling.bySymbol[symbol] = { borrowFees: 0, maxShares: 0 });
+  console.log(`[MARGIN] Short margin: ${shortSettings.initialMargin}% initial, ${shortSettings.maintenanceMargin}% maintenance, borrow fee ${JSON.stringify(shortSettings.borrowFee)}`);
+  
+  // Rebalance and rotate actions trade on their schedule rather than on signals (see lib/rebalance.js
+  // and lib/ranking.js) - a rotation remembers the symbols it holds, to sell them when they drop out
+  const rebalanceActions = [];
+  strategy.actions.forEach((action, actionIndex) => {
+    if (action.type === 'rebalance') {
+      const settings = rebalance.resolveRebalanceSettings(action);
+      rebalanceActions.push({ action, actionIndex, settings, lastPeriod: null });
+      console.log(`[REBALANCE] ${settings.schedule} rebalance to ${typeof settings.weights === 'object' ? JSON.stringify(settings.weights) : settings.weights + ' weights'}, ${settings.driftBand} point drift band`);
+    } else if (action.type === 'rotate') {
+      const settings = ranking.resolveRotationSettings(action);
+      rebalanceActions.push({ action, actionIndex, settings, lastPeriod: null, holdings: [] });
+      console.log(`[ROTATION] ${settings.schedule} rotation into the ${settings.percentile !== null ? `${settings.percentile}%` : settings.count} ${settings.direction} ranked by ${JSON.stringify(settings.rank)}, ${settings.side}, ${settings.weights} weights`);
+    }
+  });
+  const rebalanceEvents = []; // { date, actionIndex, targets, scores, orders } for each scheduled rebalance or rotation
+  
+  // Other actions with a schedule trade on its dates, whether or not they have a condition (see lib/scheduling.js)
+  const actionSchedules = new Map(); // Action -> resolved schedule
+  strategy.actions.forEach(action => {
+    if (action.type === 'rebalance' || action.type === 'rotate') return;
+    const settings = scheduling.resolveActionSchedule(action.schedule);
+    if (!settings) return;
+    actionSchedules.set(action, settings);
+    console.log(`[SCHEDULE] ${action.type} ${scheduling.describeSchedule(settings)}${action.condition ? ' when its condition is met' : ''}`);
+  });
+  
+  // Portfolio constraints hold back or trim orders that add to positions (see lib/constraints.js)
+  const constraintSettings = constraints.resolveConstraintSettings(strategy.constraints);
+  const symbolSectors = {}; // Symbol -> sector, for sector limits
+  Object.entries(options.metadata || {}).forEach(([symbol, data]) => {
+    if (data && data.sector) symbolSectors[symbol] = data.sector;
+  });
+  portfolio.constraints = constraintSettings ? {
+    settings: constraintSettings,
+    rejectedOrders: 0,
+    trimmedOrders: 0,
+    byReason: {}, // Reason -> { rejected, trimmed }
+    events: [] // { date, symbol, side, reason, message, trimmed } - the first MAX_CONSTRAINT_EVENTS
+  } : null;
+  if (constraintSettings) {
+    console.log(`[CONSTRAINTS] Portfolio constraints: ${JSON.stringify(constraintSettings)}`);
+  }
+  
+  // Drawdown controls halt trading or scale orders down (see lib/riskControls.js)
+  const riskSettings = riskControls.resolveRiskControls(strategy.riskControls);
+  const riskState = {
+    peak: initialCash,
+    mode: null, // 'circuit_breaker' while trading is halted, 'risk_off' while orders are scaled
+    haltedUntil: null // Index of the trading date whose close ends a halt
+  };
+  portfolio.riskControls = riskSettings ? {
+    settings: riskSettings,
+    circuitBreakerTrips: 0,
+    haltedDays: 0,
+    riskOffDays: 0,
+    liquidations: 0,
+    blockedOrders: 0,
+    scaledOrders: 0,
+    events: [] // { date, type, drawdown, equity } each time the mode changes
+  } : null;
+  if (riskSettings) {
+    console.log(`[RISK] Drawdown controls: ${JSON.stringify(riskSettings)}`);
+  }
+  
   // Get unique dates across all stocks, sorted chronologically
   const allDates = new Set();
   Object.values(stockData).forEach(data => {
@@ -635,196 +1338,1072 @@ function runBacktest(strategy, stockData) {
   });
   const tradingDates = Array.from(allDates).sort();
   
-  // Track day trading positions that need to be closed at the end of the day
-  const dayTradingPositions = {};  // Symbol -> entry details
-  
-  if (tradingDates.length === 0) {
-    return { error: 'No trading data available' };
+  // Benchmark buy-and-hold - cash waits for the benchmark's first bar, then is fully invested
+  const benchmarkIndex = options.benchmark && Array.isArray(options.benchmark.bars) ? new Map() : null;
+  if (benchmarkIndex) {
+    options.benchmark.bars.forEach(bar => {
+      const dateStr = typeof bar.date === 'string' ? bar.date : bar.date.toISOString().split('T')[0];
+      benchmarkIndex.set(dateStr, bar);
+    });
   }
+  let benchmarkCash = initialCash;
+  let benchmarkUnits = 0;
+  let benchmarkClose = null;
   
-  portfolio.metrics.startDate = tradingDates[0];
-  portfolio.metrics.endDate = tradingDates[tradingDates.length - 1];
+  // Index each symbol's bars by date so the loop below looks bars up in constant time
+  const barIndex = {}; // Symbol -> Map(date -> bar)
+  Object.keys(stockData).forEach(symbol => {
+    barIndex[symbol] = new Map();
+    stockData[symbol].forEach(bar => {
+      const dateStr = typeof bar.date === 'string' ? bar.date : bar.date.toISOString().split('T')[0];
+      barIndex[symbol].set(dateStr, bar);
+    });
+  });
   
-  // Previous data for calculating changes and tracking patterns
-  const previousData = {};
+  // Keep as much history as the strategy's conditions need on each timeframe
+  const lookback = getRequiredLookback(strategy);
+  const historyLimits = {
+    daily: Math.max(MIN_HISTORY_BARS, lookback.daily),
+    weekly: Math.max(MIN_HISTORY_BARS, lookback.weekly),
+    monthly: Math.max(MIN_HISTORY_BARS, lookback.monthly)
+  };
+  console.log(`[HISTORY] Required lookback: ${lookback.daily} daily, ${lookback.weekly} weekly, ${lookback.monthly} monthly bars`);
   
-  // Historical data for tracking consecutive patterns
-  const historyData = {}; // Symbol -> array of recent prices (oldest to newest)
+  // Bars before the start date are warm-up only - no trading, valuation or cash flows
+  const firstTradingIndex = options.startDate ? tradingDates.findIndex(d => d >= options.startDate) : 0;
+  
+  // Track the stop-loss, take-profit and trailing-stop levels and the holding periods of open positions
+  const positionExits = {}; // Symbol -> exit state (see lib/exits.js)
   
-  // Track timeframes to maintain consistency in data point intervals
-  const timeframeInfo = {
-    currentTimeframe: 'daily', // Always use daily timeframe
-    lastWeekNumber: null,
-    lastMonth: null
+  // Attach, update or drop a position's exit rules after a transaction changes it
+  const syncPositionExits = (symbol, action, date) => {
+    const quantity = portfolio.positions[symbol] || 0;
+    const side = quantity > 0 ? 'long' : quantity < 0 ? 'short' : null;
+    const existing = positionExits[symbol];
+    
+    if (!side) {
+      delete positionExits[symbol];
+      return;
+    }
+    
+    const avgEntryPrice = Math.abs(portfolio.positionCost[symbol] || 0) / Math.abs(quantity);
+    const actionRules = exits.resolveExitRules(action.exits);
+    
+    if (existing && existing.side === side) {
+      // Adding to the position moves the levels with the average entry price
+      existing.entryPrice = avgEntryPrice;
+      if (actionRules) existing.rules = actionRules;
+      return;
+    }
+    
+    const rules = actionRules || exits.resolveExitRules(strategy.exits);
+    if (!rules) {
+      delete positionExits[symbol];
+      return;
+    }
+    
+    positionExits[symbol] = exits.createExitState(rules, side, avgEntryPrice, date);
+    const levels = exits.getExitLevels(positionExits[symbol]);
+    console.log(`[EXITS] ${symbol} ${side} entry at $${avgEntryPrice.toFixed(2)}: stop ${levels.stopPrice === null ? 'none' : '$' + levels.stopPrice.toFixed(2)}, target ${levels.targetPrice === null ? 'none' : '$' + levels.targetPrice.toFixed(2)}`);
   };
   
-  // Log the date range
-  const totalDays = Math.round((new Date(tradingDates[tradingDates.length-1]) - new Date(tradingDates[0])) / (1000 * 60 * 60 * 24));
-  console.log(`Using daily timeframe for ${totalDays} day date range`);
+  // History and closed trades for risk-based amounts - only gathered for the amounts that use them
+  const getSizingData = (symbol, amountRule) => {
+    if (!sizing.RISK_AMOUNT_TYPES.includes(amountRule?.type)) return {};
+    return {
+      history: historyData[symbol],
+      histories: historyData,
+      tradeResults: amountRule.type === 'kelly' ? trades.getClosedTradeResults(portfolio.transactions, strategy.lotMatching) : []
+    };
+  };
   
-  // Function to get week number of a date (ISO week)
-  const getWeekNumber = (date) => {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  // Equity and margin requirements, marked at the date's close (or a symbol's last close
+  // if it has no bar on the date)
+  const getMarginState = (date) => {
+    const prices = {};
+    let equity = portfolio.cash;
+    Object.keys(portfolio.positions).forEach(symbol => {
+      const bar = barIndex[symbol].get(date);
+      prices[symbol] = bar ? bar.close : previousData[symbol]?.close;
+      equity += (portfolio.positions[symbol] || 0) * (prices[symbol] || 0);
+    });
+    return { equity, prices, ...margin.getAccountRequirements(portfolio.positions, prices, shortSettings, accountSettings) };
   };
   
-  // Main backtest loop - iterate through each date
-  tradingDates.forEach((date, dateIndex) => {
-    let totalPortfolioValue = portfolio.cash;
-    let totalPositionValue = 0;
+  // Check that a fill stays within the account's buying power. Shorts need their initial margin
+  // in any account; a cash account pays for longs from cash (short proceeds are collateral and
+  // only buy back the short), a margin account needs the initial margin on all positions, and a
+  // leverage account keeps gross and net exposure under its limits. Fills that only reduce a
+  // position in a margin or leverage account always go through.
+  const hasBuyingPower = (symbol, quantityAfter, fill, date) => {
+    const currentQuantity = portfolio.positions[symbol] || 0;
+    const isBuy = quantityAfter > currentQuantity;
+    const state = getMarginState(date);
     
-    // Update positions value (both long and short positions)
-    Object.keys(portfolio.positions).forEach(symbol => {
-      const quantity = portfolio.positions[symbol];
-      const currentBar = stockData[symbol].find(bar => bar.date === date);
+    if (accountSettings.type === 'cash' && isBuy) {
+      const buyTotal = fill.notional + fill.costs.commission;
+      const availableCash = currentQuantity < 0 ? portfolio.cash : portfolio.cash - state.shortValue;
+      if (availableCash >= buyTotal) return true;
       
-      if (currentBar) {
-        // For short positions (negative quantity), we subtract from the portfolio value
-        // For long positions (positive quantity), we add to the portfolio value
-        const positionValue = currentBar.close * quantity;
-        totalPortfolioValue += positionValue;
-        totalPositionValue += positionValue;
-        
-        // Log position values periodically for debugging
-        if (dateIndex % 20 === 0) {
-          console.log(`[PORTFOLIO] ${symbol} position: ${quantity.toFixed(4)} shares at $${currentBar.close} = $${positionValue.toFixed(2)}`);
+      portfolio.account.rejectedOrders++;
+      console.log(`[TRANSACTION] Insufficient cash ($${availableCash.toFixed(2)} available) to buy $${buyTotal.toFixed(2)} of ${symbol}`);
+      return false;
+    }
+    
+    const isReducing = quantityAfter * currentQuantity >= 0 && Math.abs(quantityAfter) <= Math.abs(currentQuantity);
+    if (isReducing) return true;
+    
+    const positionsAfter = { ...portfolio.positions, [symbol]: quantityAfter };
+    const pricesAfter = { ...state.prices, [symbol]: fill.fillPrice };
+    const after = margin.getAccountRequirements(positionsAfter, pricesAfter, shortSettings, accountSettings);
+    const equityAfter = state.equity - fill.costs.total;
+    const opensShort = quantityAfter < 0 && quantityAfter < currentQuantity;
+    
+    let reason = null;
+    if (accountSettings.type === 'leverage') {
+      const netAfter = after.longValue - after.shortValue;
+      if (equityAfter < after.shortInitialRequirement) {
+        reason = `equity $${equityAfter.toFixed(2)} is below the $${after.shortInitialRequirement.toFixed(2)} short initial requirement`;
+      } else if (after.longValue + after.shortValue > accountSettings.maxGrossLeverage * equityAfter) {
+        reason = `gross exposure $${(after.longValue + after.shortValue).toFixed(2)} would exceed ${accountSettings.maxGrossLeverage}x equity ($${equityAfter.toFixed(2)})`;
+      } else if (Math.abs(netAfter) > accountSettings.maxNetLeverage * equityAfter) {
+        reason = `net exposure $${netAfter.toFixed(2)} would exceed ${accountSettings.maxNetLeverage}x equity ($${equityAfter.toFixed(2)})`;
+      }
+    } else if (equityAfter < after.initialRequirement) {
+      reason = `equity $${equityAfter.toFixed(2)} is below the $${after.initialRequirement.toFixed(2)} initial requirement`;
+    }
+    if (reason === null) return true;
+    
+    portfolio.account.rejectedOrders++;
+    if (opensShort) {
+      portfolio.shortSelling.rejectedShorts++;
+    }
+    console.log(`[MARGIN] Insufficient buying power to ${isBuy ? 'buy' : opensShort ? 'short' : 'sell'} ${symbol}: ${reason}`);
+    return false;
+  };
+  
+  // Where an order would take a symbol's position - a sell only sells down a long before going
+  // short, and a cover only buys back the short
+  const getQuantityAfter = (symbol, action, amountData) => {
+    const currentQuantity = portfolio.positions[symbol] || 0;
+    if (action.type === 'buy') return currentQuantity + amountData.shares;
+    if (action.type === 'cover') return currentQuantity < 0 ? currentQuantity + Math.min(amountData.shares, -currentQuantity) : currentQuantity;
+    if (action.type === 'sell' && currentQuantity > 0) return currentQuantity - Math.min(amountData.shares, currentQuantity);
+    return currentQuantity - amountData.shares;
+  };
+  
+  // Hold an order to the drawdown controls - nothing fills while the circuit breaker has trading
+  // halted, and risk-off mode scales down orders that add to positions. Returns the amount the
+  // order may fill with, or null if it's blocked.
+  const applyRiskControls = (symbol, action, amountData) => {
+    if (!riskSettings || riskState.mode === null) return amountData;
+    
+    if (riskState.mode === 'circuit_breaker') {
+      portfolio.riskControls.blockedOrders++;
+      console.log(`[RISK] Trading halted by the circuit breaker, blocking ${action.type} of ${symbol}`);
+      return null;
+    }
+    
+    const currentQuantity = portfolio.positions[symbol] || 0;
+    if (!constraints.addsToPosition(currentQuantity, getQuantityAfter(symbol, action, amountData))) return amountData;
+    
+    const scale = riskSettings.riskOff.scale;
+    if (scale === 0) {
+      portfolio.riskControls.blockedOrders++;
+      console.log(`[RISK] Risk-off mode, blocking ${action.type} of ${symbol}`);
+      return null;
+    }
+    portfolio.riskControls.scaledOrders++;
+    console.log(`[RISK] Risk-off mode, scaling ${action.type} of ${symbol} by ${scale} to ${(amountData.shares * scale).toFixed(4)} shares`);
+    return { ...amountData, shares: amountData.shares * scale, dollars: amountData.dollars * scale };
+  };
+  
+  // Check an order against the portfolio constraints before it fills. Returns the amount it may
+  // fill with - trimmed if it would break a weight limit - or null if it's rejected.
+  const tradingDateIndex = constraintSettings && constraintSettings.cooldownBars !== null ?
+    new Map(tradingDates.map((tradingDate, index) => [tradingDate, index])) : null;
+  const applyConstraints = (symbol, action, amountData, referencePrice, date) => {
+    if (!constraintSettings) return amountData;
+    
+    const currentQuantity = portfolio.positions[symbol] || 0;
+    const quantityAfter = getQuantityAfter(symbol, action, amountData);
+    if (!constraints.addsToPosition(currentQuantity, quantityAfter)) return amountData;
+    
+    // Fills so far today, and trading days since the symbol's position was last closed
+    let tradesToday = 0;
+    for (let i = portfolio.transactions.length - 1; i >= 0 && portfolio.transactions[i].date === date; i--) {
+      if (['buy', 'sell', 'short', 'cover_short'].includes(portfolio.transactions[i].type)) tradesToday++;
+    }
+    let barsSinceExit = null;
+    if (tradingDateIndex && Math.abs(currentQuantity) < 1e-9) {
+      for (let i = portfolio.transactions.length - 1; i >= 0; i--) {
+        const transaction = portfolio.transactions[i];
+        if (transaction.symbol === symbol && transaction.positionAfter !== undefined) {
+          if (Math.abs(transaction.positionAfter) < 1e-9) barsSinceExit = tradingDateIndex.get(date) - tradingDateIndex.get(transaction.date);
+          break;
         }
       }
+    }
+    
+    const state = getMarginState(date);
+    const check = constraints.checkOrder(constraintSettings, {
+      symbol,
+      currentQuantity,
+      quantityAfter,
+      price: referencePrice,
+      equity: state.equity,
+      positions: portfolio.positions,
+      prices: state.prices,
+      sectors: symbolSectors,
+      tradesToday,
+      barsSinceExit
     });
+    if (check.reason === null) return amountData;
     
-    // Verify total portfolio value is consistent
-    const expectedTotal = portfolio.cash + totalPositionValue;
-    if (Math.abs(expectedTotal - totalPortfolioValue) > 0.01) {
-      console.warn(`[PORTFOLIO] Value inconsistency detected: Cash $${portfolio.cash.toFixed(2)} + Positions $${totalPositionValue.toFixed(2)} = $${expectedTotal.toFixed(2)}, but calculated as $${totalPortfolioValue.toFixed(2)}`);
-      // Correct the value if there's a discrepancy
-      totalPortfolioValue = expectedTotal;
+    const trimmed = check.quantityAfter !== currentQuantity;
+    const stats = portfolio.constraints;
+    stats.byReason[check.reason] = stats.byReason[check.reason] || { rejected: 0, trimmed: 0 };
+    if (trimmed) {
+      stats.trimmedOrders++;
+      stats.byReason[check.reason].trimmed++;
+    } else {
+      stats.rejectedOrders++;
+      stats.byReason[check.reason].rejected++;
+    }
+    if (stats.events.length < MAX_CONSTRAINT_EVENTS) {
+      stats.events.push({ date, symbol, side: action.type, reason: check.reason, message: check.message, trimmed });
     }
+    console.log(`[CONSTRAINTS] ${trimmed ? 'Trimmed' : 'Rejected'} ${action.type} of ${symbol} (${check.reason}): ${check.message}`);
+    if (!trimmed) return null;
     
-    // Track portfolio value at each date
-    portfolio.valueHistory.push({
+    const scale = Math.abs(check.quantityAfter - currentQuantity) / Math.abs(quantityAfter - currentQuantity);
+    return { ...amountData, shares: amountData.shares * scale, dollars: amountData.dollars * scale };
+  };
+  
+  // Close all or part of a position outside the strategy's own orders - stop and time exits,
+  // margin calls and the circuit breaker. Longs are sold and shorts bought back at a reference
+  // price before costs, and the closed share of the cost basis is realized. Returns the transaction.
+  const closePosition = (symbol, quantity, price, exitReason, conditionDetails, date) => {
+    const currentBar = barIndex[symbol].get(date);
+    const position = portfolio.positions[symbol];
+    const isLong = position > 0;
+    const positionQuantity = Math.abs(position);
+    const closeQuantity = Math.min(quantity, positionQuantity);
+    const closeRatio = closeQuantity / positionQuantity;
+    const closeFill = priceOrder(strategy.costs, isLong ? 'sell' : 'buy', currentBar, price, { shares: closeQuantity, dollars: closeQuantity * price }, true);
+    const cashChange = isLong ?
+      closeFill.notional - closeFill.costs.commission :
+      -(closeFill.notional + closeFill.costs.commission);
+    
+    // Realized P&L against the closed share of the cost basis (negative for shorts, holding the short proceeds)
+    const costBasis = (portfolio.positionCost[symbol] || 0) * closeRatio;
+    const profitLoss = cashChange - costBasis;
+    const profitLossPercent = costBasis !== 0 ? (profitLoss / Math.abs(costBasis)) * 100 : 0;
+    
+    if (closeRatio >= 1) {
+      portfolio.positions[symbol] = 0;
+      portfolio.positionCost[symbol] = 0;
+    } else {
+      portfolio.positions[symbol] += isLong ? -closeQuantity : closeQuantity;
+      portfolio.positionCost[symbol] = (portfolio.positionCost[symbol] || 0) - costBasis;
+    }
+    portfolio.cash += cashChange;
+    console.log(`[TRANSACTION] ${isLong ? 'Selling' : 'Covering'} ${closeQuantity.toFixed(4)} of ${positionQuantity.toFixed(4)} shares of ${symbol} at $${closeFill.fillPrice.toFixed(2)} (${exitReason || conditionDetails.type}), P&L $${profitLoss.toFixed(2)} (${profitLossPercent.toFixed(2)}%)`);
+    console.log(`[TRANSACTION] Cash ${isLong ? 'increased' : 'reduced'} by $${Math.abs(cashChange).toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
+    
+    recordCosts(closeFill);
+    const transaction = {
       date,
-      value: totalPortfolioValue,
-      cash: portfolio.cash,
-      positions: totalPositionValue
-    });
+      symbol,
+      type: isLong ? 'sell' : 'cover_short',
+      price: closeFill.fillPrice,
+      referencePrice: price,
+      quantity: closeQuantity,
+      amount: closeFill.notional,
+      amountType: 'position_percentage',
+      amountValue: closeRatio * 100, // Percent of the position
+      costs: closeFill.costs,
+      positionAfter: portfolio.positions[symbol],
+      costBasisAfter: portfolio.positionCost[symbol],
+      conditionDetails: JSON.stringify(conditionDetails),
+      exitPrice: closeFill.fillPrice,
+      profitLoss: profitLoss,
+      profitLossPercent: profitLossPercent
+    };
+    if (exitReason) {
+      transaction.exitReason = exitReason;
+    }
+    if (positionExits[symbol]) {
+      transaction.entryPrice = positionExits[symbol].entryPrice;
+    }
+    portfolio.transactions.push(transaction);
     
-    // Process each stock for trading signals
-    Object.keys(stockData).forEach(symbol => {
-      // Normalized date comparison function
-      const matchDate = (bar, targetDate) => {
-        if (typeof bar.date === 'string') {
-          return bar.date === targetDate;
-        } else if (bar.date instanceof Date) {
-          return bar.date.toISOString().split('T')[0] === targetDate;
+    if (closeRatio >= 1) {
+      delete positionExits[symbol];
+    }
+    return transaction;
+  };
+  
+  // Fill an order from a strategy action on a bar, at a reference price before costs -
+  // the signal bar's close (or open for day trades) under the same-bar-close model, or
+  // a later bar's fill price for queued orders. Returns false if the order couldn't fill.
+  const executeOrder = (order, currentBar, date, referencePrice) => {
+    const { symbol, conditionDetails, isDayTrading } = order;
+    let { action, amountData } = order;
+    
+    if (!(amountData.shares > 0)) {
+      console.log(`[TRANSACTION] No ${symbol} shares to ${action.type} for a ${action.amount.type} amount`);
+      return false;
+    }
+    // A target weight or close buys or sells, whichever moves the position towards it
+    if (amountData.side && amountData.side !== (action.type === 'buy' || action.type === 'cover' ? 'buy' : 'sell')) {
+      action = { ...action, type: amountData.side };
+    }
+    // An ATR risk amount's stop becomes the position's stop-loss, unless the action sets one
+    if (amountData.stopLoss && !(action.exits && action.exits.stopLoss)) {
+      action = { ...action, exits: { ...(action.exits || strategy.exits), stopLoss: amountData.stopLoss } };
+    }
+    // Orders that add to a position are held to the drawdown controls and portfolio constraints
+    amountData = applyRiskControls(symbol, action, amountData);
+    if (!amountData) {
+      return false;
+    }
+    amountData = applyConstraints(symbol, action, amountData, referencePrice, date);
+    if (!amountData) {
+      return false;
+    }
+    
+    if (action.type === 'buy' || action.type === 'cover') {
+      // Buy logic (can be going long or covering a short) - a cover only buys back up to the short position
+      const currentQuantity = portfolio.positions[symbol] || 0;
+      const isCover = action.type === 'cover';
+      if (isCover) {
+        if (currentQuantity >= 0) {
+          console.log(`[TRANSACTION] No short position in ${symbol} to cover`);
+          return false;
+        }
+        const coverShares = Math.min(amountData.shares, -currentQuantity);
+        amountData = { shares: coverShares, dollars: coverShares * referencePrice };
+      }
+      
+      // Price the order with the cost models - spread and slippage raise the fill price
+      const buyFill = priceOrder(strategy.costs, 'buy', currentBar, referencePrice, amountData, isCover || isShareAmount(action.amount));
+      const buyTotal = buyFill.notional + buyFill.costs.commission;
+      
+      if (hasBuyingPower(symbol, currentQuantity + buyFill.quantity, buyFill, date)) {
+        const quantity = buyFill.quantity;
+        
+        // Update positions and cost basis
+        portfolio.positions[symbol] = currentQuantity + quantity;
+        
+        // Track cost basis - different handling for long vs covering shorts
+        if (portfolio.positionCost[symbol] === undefined) {
+          portfolio.positionCost[symbol] = 0;
+          console.log(`[COST BASIS] Initializing ${symbol} cost basis to 0`);
+        }
+        
+        if (currentQuantity < 0) {
+          // Covering a short position - reduce cost basis proportionally 
+          const coverRatio = Math.min(1, quantity / Math.abs(currentQuantity));
+          const oldCost = portfolio.positionCost[symbol];
+          portfolio.positionCost[symbol] *= (1 - coverRatio);
+          console.log(`[COST BASIS] Updated ${symbol} cost basis from $${oldCost.toFixed(2)} to $${portfolio.positionCost[symbol].toFixed(2)} after covering short`);
+        } else {
+          // Adding to a long position - increase cost basis with dollar-weighted average
+          const oldQuantity = currentQuantity;
+          const newQuantity = oldQuantity + quantity;
+          const oldCost = portfolio.positionCost[symbol];
+          
+          // Update cost basis (commissions are part of the cost of the shares)
+          portfolio.positionCost[symbol] = oldCost + buyTotal;
+          
+          // Calculate and log the average cost
+          const avgCost = newQuantity > 0 ? (portfolio.positionCost[symbol] / newQuantity) : 0;
+          console.log(`[COST BASIS] Updated ${symbol} cost basis to $${portfolio.positionCost[symbol].toFixed(2)} after buying ${quantity.toFixed(4)} shares`);
+          console.log(`[COST BASIS] New average cost for ${symbol}: $${avgCost.toFixed(2)} per share`);
         }
+        
+        // Update cash balance
+        portfolio.cash -= buyTotal;
+        console.log(`[TRANSACTION] Cash reduced by $${buyTotal.toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
+        
+        // Determine if this is covering a short or going long
+        const transactionType = currentQuantity < 0 ? 'cover_short' : 'buy';
+        console.log(`[TRANSACTION] ${transactionType.toUpperCase()} ${quantity.toFixed(4)} shares of ${symbol} at $${buyFill.fillPrice} for $${buyFill.notional.toFixed(2)}`);
+        console.log(`[TRANSACTION] Position changes from ${currentQuantity.toFixed(4)} to ${portfolio.positions[symbol].toFixed(4)} shares`);
+        
+        // Record transaction - include the amount type and cost basis for transparency
+        // For day trading patterns the reference price is the open
+        recordCosts(buyFill);
+        portfolio.transactions.push({
+          date,
+          symbol,
+          type: transactionType,
+          price: buyFill.fillPrice,
+          referencePrice,
+          quantity,
+          amount: buyFill.notional, // Quantity * fill price, excluding commission
+          amountType: action.amount.type,
+          amountValue: action.amount.value,
+          costs: buyFill.costs,
+          positionAfter: portfolio.positions[symbol],
+          costBasisAfter: portfolio.positionCost[symbol],
+          conditionDetails: conditionDetails,
+          actionIndex: order.actionIndex,
+          signalDate: order.signalDate,
+          orderType: order.orderType,
+          isDayTrading: isDayTrading,
+          // Add note for day trading entries
+          isOpenEntry: isDayTrading
+        });
+        
+        // A day trading long is closed at the end of the day - a time exit after 0 bars
+        const isDayTrade = isDayTrading && portfolio.positions[symbol] > 0;
+        syncPositionExits(symbol, isDayTrade ? { ...action, exits: { ...(action.exits || strategy.exits), holdBars: 0 } } : action, date);
+        
+        if (isDayTrade) {
+          console.log(`[DAY TRADING] Marking ${symbol} position for EOD exit`);
+          
+          // Detailed debugging for day trading
+          console.log(`[DAY TRADING DEBUG] Current bar data for ${symbol} on ${date}:`);
+          console.log(`[DAY TRADING DEBUG] open: ${currentBar.open}, close: ${currentBar.close}, high: ${currentBar.high}, low: ${currentBar.low}`);
+          console.log(`[DAY TRADING DEBUG] Are open/close the same? ${currentBar.open === currentBar.close ? 'YES' : 'NO'}`);
+          // Use the open-price fill (after costs) for day trading entry
+          console.log(`[DAY TRADING] Entry at OPEN price: $${buyFill.fillPrice}`);
+        }
+      } else {
         return false;
-      };
+      }
+    } else if (action.type === 'sell') {
+      // Sell logic (can be liquidating a long or going short)
+      const currentQuantity = portfolio.positions[symbol] || 0;
       
-      const currentBar = stockData[symbol].find(bar => matchDate(bar, date));
-      if (!currentBar) return;
+      // Handle special case for shares-based amounts when selling
+      let sellQuantity, sellAmount;
+      
+      if (isShareAmount(action.amount)) {
+        // Direct share amount (up to available)
+        sellQuantity = Math.min(amountData.shares, currentQuantity > 0 ? currentQuantity : Number.MAX_SAFE_INTEGER);
+        sellAmount = sellQuantity * referencePrice;
+      } else {
+        // Dollar-based or percentage amount
+        if (currentQuantity > 0) {
+          // Limit to available shares if liquidating a long position
+          const maxSellAmount = currentQuantity * referencePrice;
+          sellAmount = Math.min(amountData.dollars, maxSellAmount);
+          sellQuantity = sellAmount / referencePrice;
+        } else {
+          // No limit if going short
+          sellAmount = amountData.dollars;
+          sellQuantity = amountData.shares;
+        }
+      }
       
-      const previousBar = dateIndex > 0 ? 
-        stockData[symbol].find(bar => matchDate(bar, tradingDates[dateIndex - 1])) : null;
+      // Apply transaction costs - spread and slippage lower the fill price, commission comes out of the proceeds
+      const sellFill = priceOrder(strategy.costs, 'sell', currentBar, referencePrice, { shares: sellQuantity, dollars: sellAmount }, true);
+      sellAmount = sellFill.notional;
+      const sellProceeds = sellAmount - sellFill.costs.commission;
       
-      if (!previousBar) {
-        previousData[symbol] = currentBar;
+      if (!hasBuyingPower(symbol, currentQuantity - sellQuantity, sellFill, date)) {
+        return false;
+      }
+      
+      // Initialize cost basis tracking if not exists
+      if (portfolio.positionCost[symbol] === undefined) {
+        portfolio.positionCost[symbol] = 0;
+        console.log(`[COST BASIS] Initializing ${symbol} cost basis to 0`);
+      }
+      
+      // Handle cost basis differently for selling long vs going short
+      if (currentQuantity > 0) {
+        // Selling long position - reduce cost basis proportionally
+        const sellRatio = Math.min(1, sellQuantity / currentQuantity);
+        const costBasisReduction = portfolio.positionCost[symbol] * sellRatio;
+        const oldCost = portfolio.positionCost[symbol];
+        portfolio.positionCost[symbol] -= costBasisReduction;
         
-        // Initialize price history array for this symbol if it doesn't exist
-        if (!historyData[symbol]) {
-          historyData[symbol] = [];
-        }
+        // Calculate remaining position and new average cost
+        const remainingQuantity = currentQuantity - sellQuantity;
+        const avgCost = remainingQuantity > 0 ? (portfolio.positionCost[symbol] / remainingQuantity) : 0;
         
-        // Add current bar to history
-        historyData[symbol].push(currentBar);
+        console.log(`[COST BASIS] Reduced ${symbol} cost basis by $${costBasisReduction.toFixed(2)} to $${portfolio.positionCost[symbol].toFixed(2)} after selling`);
+        console.log(`[COST BASIS] New average cost for ${symbol}: $${avgCost.toFixed(2)} per share`);
+      } else if (currentQuantity <= 0) {
+        // Increasing short position - track as negative cost basis
+        const oldCost = portfolio.positionCost[symbol];
+        portfolio.positionCost[symbol] -= sellProceeds; // Negative cost for shorts
         
-        return;
+        // Calculate new average cost for short position (negative quantity)
+        const newQuantity = currentQuantity - sellQuantity;
+        const avgCost = newQuantity < 0 ? (Math.abs(portfolio.positionCost[symbol]) / Math.abs(newQuantity)) : 0;
+        
+        console.log(`[COST BASIS] Updated ${symbol} short position cost basis from $${oldCost.toFixed(2)} to $${portfolio.positionCost[symbol].toFixed(2)}`);
+        console.log(`[COST BASIS] New average cost for short position: $${avgCost.toFixed(2)} per share`);
       }
       
-      // Update price history
-      if (!historyData[symbol]) {
-        historyData[symbol] = [];
+      // Allow shorting - always allow sell transactions regardless of current position
+      portfolio.positions[symbol] = currentQuantity - sellQuantity;
+      portfolio.cash += sellProceeds;
+      console.log(`[TRANSACTION] Cash increased by $${sellProceeds.toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
+      
+      // Determine if this is going short or selling existing long position
+      const transactionType = currentQuantity > 0 ? 'sell' : 'short';
+      console.log(`[TRANSACTION] ${transactionType.toUpperCase()} ${sellQuantity.toFixed(4)} shares of ${symbol} at $${sellFill.fillPrice} for $${sellAmount.toFixed(2)}`);
+      console.log(`[TRANSACTION] Position changes from ${currentQuantity.toFixed(4)} to ${portfolio.positions[symbol].toFixed(4)} shares`);
+      
+      // Record transaction - include the amount type and cost basis for transparency
+      recordCosts(sellFill);
+      portfolio.transactions.push({
+        date,
+        symbol,
+        type: transactionType,
+        price: sellFill.fillPrice,
+        referencePrice,
+        quantity: sellQuantity,
+        amount: sellAmount,
+        amountType: action.amount.type,
+        amountValue: action.amount.value,
+        costs: sellFill.costs,
+        positionAfter: portfolio.positions[symbol],
+        costBasisAfter: portfolio.positionCost[symbol],
+        conditionDetails: conditionDetails,
+        actionIndex: order.actionIndex,
+        signalDate: order.signalDate,
+        orderType: order.orderType
+      });
+      syncPositionExits(symbol, action, date);
+    } else if (action.type === 'short') {
+      // Explicit short - always creates a negative position
+      const shortFill = priceOrder(strategy.costs, 'sell', currentBar, referencePrice, amountData, isShareAmount(action.amount));
+      const shortQuantity = shortFill.quantity;
+      const shortAmount = shortFill.notional;
+      const shortProceeds = shortAmount - shortFill.costs.commission;
+      const currentQuantity = portfolio.positions[symbol] || 0;
+      
+      if (!hasBuyingPower(symbol, currentQuantity - shortQuantity, shortFill, date)) {
+        return false;
       }
       
-      // Add current bar to history array (limit to last 30 days for efficiency)
-      historyData[symbol].push(currentBar);
-      if (historyData[symbol].length > 30) {
-        historyData[symbol].shift(); // Remove oldest item
+      // Initialize cost basis if needed
+      if (portfolio.positionCost[symbol] === undefined) {
+        portfolio.positionCost[symbol] = 0;
+        console.log(`[COST BASIS] Initializing ${symbol} cost basis to 0`);
       }
       
-      // Calculate daily percent change
-      const dailyPercentChange = calculatePercentChange(currentBar.close, previousBar.close);
+      // For shorts, track negative cost basis
+      portfolio.positionCost[symbol] -= shortProceeds;
+      console.log(`[COST BASIS] Updated ${symbol} short position cost basis to $${portfolio.positionCost[symbol].toFixed(2)}`);
       
-      // Get dates to determine if we're at a weekly boundary
-      const currentDate = new Date(date);
-      const prevDate = new Date(tradingDates[dateIndex - 1]);
+      // Update positions - make more negative
+      portfolio.positions[symbol] = currentQuantity - shortQuantity;
+      portfolio.cash += shortProceeds;
+      console.log(`[TRANSACTION] Cash increased by $${shortProceeds.toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
       
-      // Get current week and month number for consistency
-      const currentWeek = getWeekNumber(currentDate);
-      const currentMonth = currentDate.getUTCMonth();
-      const currentYear = currentDate.getUTCFullYear();
+      console.log(`[TRANSACTION] SHORT ${shortQuantity.toFixed(4)} shares of ${symbol} at $${shortFill.fillPrice} for $${shortAmount.toFixed(2)}`);
+      console.log(`[TRANSACTION] Position changes from ${currentQuantity.toFixed(4)} to ${portfolio.positions[symbol].toFixed(4)} shares`);
       
-      // Check if this is a week boundary based on timeframe
-      const isWeekBoundary = 
-        dateIndex === 0 || // First data point
-        currentYear !== prevDate.getUTCFullYear() || 
-        currentWeek !== getWeekNumber(prevDate);
+      // Record transaction - include the amount type and cost basis for transparency
+      recordCosts(shortFill);
+      portfolio.transactions.push({
+        date,
+        symbol,
+        type: 'short',
+        price: shortFill.fillPrice,
+        referencePrice,
+        quantity: shortQuantity,
+        amount: shortAmount,
+        amountType: action.amount.type,
+        amountValue: action.amount.value,
+        costs: shortFill.costs,
+        positionAfter: portfolio.positions[symbol],
+        costBasisAfter: portfolio.positionCost[symbol],
+        conditionDetails: conditionDetails,
+        actionIndex: order.actionIndex,
+        signalDate: order.signalDate,
+        orderType: order.orderType
+      });
+      syncPositionExits(symbol, action, date);
+    }
+    return true;
+  };
+  
+  if (tradingDates.length === 0 || firstTradingIndex === -1) {
+    return { error: 'No trading data available' };
+  }
+  
+  portfolio.metrics.startDate = tradingDates[firstTradingIndex];
+  portfolio.metrics.endDate = tradingDates[tradingDates.length - 1];
+  
+  // Previous data for calculating changes and tracking patterns
+  const previousData = {};
+  
+  // Historical data for tracking consecutive patterns
+  const historyData = {}; // Symbol -> array of recent prices (oldest to newest)
+  
+  // Calendar-resampled bars for conditions on a weekly or monthly timeframe
+  const resampledHistory = {}; // Symbol -> { weekly: [], monthly: [] }
+  
+  // Technical conditions used by the strategy, by the timeframe they read
+  const technicalConditions = { daily: [], weekly: [], monthly: [] };
+  strategy.actions.forEach(action => {
+    getConditionLeaves(action.condition).forEach(leaf => {
+      if (leaf.type !== 'technical') return;
+      const timeframe = technicalConditions[leaf.timeframe] ? leaf.timeframe : 'daily';
+      technicalConditions[timeframe].push(leaf);
+    });
+  });
+  
+  // Incrementally updated indicators (see lib/indicatorState.js)
+  const indicatorStates = {}; // Symbol -> { daily: {}, weekly: {}, monthly: {} } of key -> state
+  const createSymbolIndicatorStates = () => {
+    const states = {};
+    Object.keys(technicalConditions).forEach(timeframe => {
+      states[timeframe] = {};
+      technicalConditions[timeframe].forEach(condition => {
+        const key = indicatorState.getIndicatorKey(condition);
+        if (states[timeframe][key]) return;
+        const state = indicatorState.createIndicatorState(condition);
+        if (state) states[timeframe][key] = state;
+      });
+    });
+    return states;
+  };
+  
+  // Add a bar to the symbol's daily history and fold it into the weekly and monthly bars.
+  // Returns { weekly, monthly } flags for the calendar periods the bar starts.
+  const recordHistoryBar = (symbol, bar, date) => {
+    if (!historyData[symbol]) {
+      historyData[symbol] = [];
+      resampledHistory[symbol] = { weekly: [], monthly: [] };
+      indicatorStates[symbol] = createSymbolIndicatorStates();
+    }
+    
+    historyData[symbol].push(bar);
+    if (historyData[symbol].length > historyLimits.daily) {
+      historyData[symbol].shift(); // Remove oldest item
+    }
+    Object.values(indicatorStates[symbol].daily).forEach(state => state.push(bar));
+    
+    const newPeriods = {};
+    ['weekly', 'monthly'].forEach(timeframe => {
+      const bars = resampledHistory[symbol][timeframe];
+      const newPeriod = appendResampledBar(bars, bar, date, timeframe, historyLimits[timeframe]);
+      newPeriods[timeframe] = newPeriod;
+      const resampledBar = bars[bars.length - 1];
+      Object.values(indicatorStates[symbol][timeframe]).forEach(state => {
+        if (newPeriod) {
+          state.push(resampledBar);
+        } else {
+          state.replaceLast(resampledBar);
+        }
+      });
+    });
+    return newPeriods;
+  };
+  
+  // Report symbols without enough bars before the start date to evaluate every condition
+  portfolio.warmup = null;
+  const reportWarmup = () => {
+    const insufficient = [];
+    Object.keys(stockData).forEach(symbol => {
+      ['daily', 'weekly', 'monthly'].forEach(timeframe => {
+        if (lookback[timeframe] === 0) return;
+        
+        const history = timeframe === 'daily' ? historyData[symbol] : resampledHistory[symbol]?.[timeframe];
+        const available = history ? history.length : 0;
+        if (available < lookback[timeframe]) {
+          insufficient.push({ symbol, timeframe, available, required: lookback[timeframe] });
+          console.warn(`[HISTORY] ${symbol} has ${available} ${timeframe} warm-up bars before ${portfolio.metrics.startDate}, needs ${lookback[timeframe]} - early signals may be missed`);
+        }
+      });
+    });
+    
+    portfolio.warmup = {
+      startDate: portfolio.metrics.startDate,
+      warmupBars: firstTradingIndex,
+      required: lookback,
+      insufficient
+    };
+  };
+  
+  // Log the date range
+  const totalDays = Math.round((new Date(tradingDates[tradingDates.length-1]) - new Date(tradingDates[firstTradingIndex])) / (1000 * 60 * 60 * 24));
+  console.log(`Using daily timeframe for ${totalDays} day date range`);
+  
+  // Serialize each action's condition once for the logs and transaction details - a scheduled
+  // action without a condition records its schedule instead
+  const conditionJson = new Map(strategy.actions.map(action => [action, JSON.stringify(
+    !action.condition && actionSchedules.has(action) ? { type: 'schedule', ...actionSchedules.get(action) } : action.condition
+  )]));
+  
+  // Main backtest loop - iterate through each date
+  tradingDates.forEach((date, dateIndex) => {
+    if (dateIndex < firstTradingIndex) {
+      // Warm-up bar - only build up the price history
+      Object.keys(stockData).forEach(symbol => {
+        const warmupBar = barIndex[symbol].get(date);
+        if (warmupBar) {
+          recordHistoryBar(symbol, warmupBar, date);
+          previousData[symbol] = warmupBar;
+        }
+      });
+      return;
+    }
+    
+    if (dateIndex === firstTradingIndex && options.startDate) {
+      reportWarmup();
+    }
+    
+    // The capital schedule and cash yield start on the first trading date
+    const previousTradingDate = dateIndex > firstTradingIndex ? tradingDates[dateIndex - 1] : null;
+    
+    // Accrue the cash yield on idle (positive) cash for the calendar days since the last bar
+    if (previousTradingDate && capital.cashYield !== 0 && portfolio.cash > 0) {
+      const daysElapsed = (new Date(date) - new Date(previousTradingDate)) / (1000 * 60 * 60 * 24);
+      const interest = portfolio.cash * (Math.pow(1 + capital.cashYield / 100, daysElapsed / 365) - 1);
+      portfolio.cash += interest;
+      portfolio.metrics.cashInterest += interest;
+    }
+    
+    // Charge interest on a debit (negative) cash balance borrowed on margin
+    if (previousTradingDate && accountSettings.debitRate > 0 && portfolio.cash < 0) {
+      const daysElapsed = (new Date(date) - new Date(previousTradingDate)) / (1000 * 60 * 60 * 24);
+      const interest = -portfolio.cash * (Math.pow(1 + accountSettings.debitRate / 100, daysElapsed / 365) - 1);
+      portfolio.cash -= interest;
+      portfolio.account.interestPaid += interest;
+    }
+    
+    // Charge the borrow fee on short positions for the calendar days since the last bar, on their last close
+    if (previousTradingDate) {
+      const daysElapsed = (new Date(date) - new Date(previousTradingDate)) / (1000 * 60 * 60 * 24);
+      Object.keys(portfolio.positions).forEach(symbol => {
+        const quantity = portfolio.positions[symbol];
+        const price = previousData[symbol]?.close;
+        if (!(quantity < 0) || !price) return;
+        
+        const rate = margin.getBorrowRate(symbol, price, shortSettings);
+        if (rate <= 0) return;
+        
+        const fee = -quantity * price * (rate / 100) * (daysElapsed / 365);
+        portfolio.cash -= fee;
+        portfolio.shortSelling.borrowFees += fee;
+        getShortStats(symbol).borrowFees += fee;
+      });
+    }
+    
+    // Apply scheduled deposits and withdrawals before valuing the portfolio
+    let cashFlow = getScheduledCashFlow(capital.schedule, date, previousTradingDate);
+    if (cashFlow < 0 && -cashFlow > portfolio.cash) {
+      console.warn(`[CAPITAL] Withdrawal of $${(-cashFlow).toFixed(2)} on ${date} exceeds available cash, withdrawing $${Math.max(0, portfolio.cash).toFixed(2)}`);
+      cashFlow = -Math.max(0, portfolio.cash);
+    }
+    if (cashFlow !== 0) {
+      portfolio.cash += cashFlow;
+      portfolio.metrics.netDeposits += cashFlow;
+      portfolio.cashFlows.push({
+        date,
+        type: cashFlow > 0 ? 'deposit' : 'withdrawal',
+        amount: cashFlow,
+        cashAfter: portfolio.cash
+      });
+      console.log(`[CAPITAL] ${cashFlow > 0 ? 'Deposit' : 'Withdrawal'} of $${Math.abs(cashFlow).toFixed(2)} on ${date}`);
+    }
+    
+    // The benchmark invests the same cash flows at its close
+    let benchmarkValue = null;
+    if (benchmarkIndex) {
+      benchmarkCash += cashFlow;
+      const benchmarkBar = benchmarkIndex.get(date);
+      if (benchmarkBar && benchmarkBar.close > 0) {
+        benchmarkClose = benchmarkBar.close;
+        benchmarkUnits += benchmarkCash / benchmarkClose;
+        benchmarkCash = 0;
+      }
+      benchmarkValue = benchmarkCash + (benchmarkClose === null ? 0 : benchmarkUnits * benchmarkClose);
+    }
+    
+    // Credit dividends to positions held into the ex-date, and charge them to short positions
+    if (priceSettings.dividends) {
+      Object.keys(portfolio.positions).forEach(symbol => {
+        const quantity = portfolio.positions[symbol];
+        const currentBar = barIndex[symbol].get(date);
+        if (!currentBar || !currentBar.dividend || quantity === 0) return;
+        
+        const amount = quantity * currentBar.dividend;
+        portfolio.cash += amount;
+        portfolio.metrics.dividendIncome += amount;
+        console.log(`[DIVIDENDS] ${amount > 0 ? 'Credited' : 'Charged'} $${Math.abs(amount).toFixed(2)} dividend ($${currentBar.dividend.toFixed(4)} per share) for ${quantity.toFixed(4)} shares of ${symbol} on ${date}`);
+        
+        portfolio.transactions.push({
+          date,
+          symbol,
+          type: quantity > 0 ? 'dividend' : 'dividend_charge',
+          price: currentBar.dividend, // Dividend per share
+          quantity: Math.abs(quantity),
+          amount: Math.abs(amount),
+          amountType: 'dividend',
+          amountValue: currentBar.dividend,
+          positionAfter: quantity,
+          costBasisAfter: portfolio.positionCost[symbol],
+          cashAfter: portfolio.cash
+        });
+      });
+    }
+    
+    // Check stop-loss, take-profit and trailing-stop levels intrabar, before valuing at the close.
+    // Positions entered on an earlier bar only - entries fill at the close (or the open for day trades),
+    // and orders queued from earlier signals fill after this check.
+    Object.keys(positionExits).forEach(symbol => {
+      const exitState = positionExits[symbol];
+      const quantity = portfolio.positions[symbol] || 0;
+      const currentBar = barIndex[symbol].get(date);
+      if (!currentBar || quantity === 0) return;
+      
+      const trigger = exits.checkExitTriggers(exitState, currentBar);
+      if (!trigger) {
+        exits.updateExitState(exitState, currentBar);
+        return;
+      }
+      
+      // Close the whole position - longs are sold, shorts are bought back
+      console.log(`[EXITS] ${trigger.reason.toUpperCase()} triggered for ${symbol} on ${date} at level $${trigger.level.toFixed(2)} (bar open $${currentBar.open}, high $${currentBar.high}, low $${currentBar.low})`);
+      closePosition(symbol, Math.abs(quantity), trigger.price, trigger.reason, { type: trigger.reason, level: trigger.level }, date);
+    });
+    
+    // Fill or expire orders queued on earlier bars, in the order they were placed.
+    // An order only counts down on its symbol's own bars.
+    for (let i = 0; i < pendingOrders.length; i++) {
+      const order = pendingOrders[i];
+      const currentBar = barIndex[order.symbol].get(date);
+      if (!currentBar) continue;
       
-      // Update last week number for consistency
-      if (isWeekBoundary) {
-        timeframeInfo.lastWeekNumber = currentWeek;
+      const fillPrice = execution.getFillPrice(order, currentBar, executionSettings.model);
+      let filled = false;
+      if (fillPrice !== null) {
+        console.log(`[EXECUTION] Filling ${order.orderType} ${order.action.type} order for ${order.symbol} from ${order.signalDate} at $${fillPrice.toFixed(2)} on ${date}`);
+        order.amountData = calculateAmount(order.action.amount, order.portfolioValue, fillPrice, portfolio.positions[order.symbol] || 0, order.action.type, getSizingData(order.symbol, order.action.amount));
+        filled = executeOrder(order, currentBar, date, fillPrice);
       }
       
-      // Calculate weekly percent change consistently
-      let weeklyPercentChange = null;
+      if (filled) {
+        portfolio.execution.ordersFilled++;
+      } else if (--order.barsLeft > 0) {
+        continue;
+      } else {
+        portfolio.execution.ordersExpired++;
+        console.log(`[EXECUTION] ${order.orderType} ${order.action.type} order for ${order.symbol} from ${order.signalDate} expired unfilled on ${date}`);
+      }
+      pendingOrders.splice(i, 1);
+      i--;
+    }
+    
+    // Margin call - when equity falls below the maintenance requirement, close positions at the
+    // close, the largest requirement first, until it's met with the buffer to spare (longs only
+    // count in margin and leverage accounts)
+    const bufferMultiple = 1 + accountSettings.marginCallBuffer / 100;
+    let marginState = getMarginState(date);
+    if (marginState.maintenanceRequirement > 0 && marginState.equity < marginState.maintenanceRequirement) {
+      portfolio.account.marginCalls++;
+      console.log(`[MARGIN] Margin call on ${date}: equity $${marginState.equity.toFixed(2)} is below the $${marginState.maintenanceRequirement.toFixed(2)} maintenance requirement`);
+      
+      const requirement = symbol => margin.getPositionRequirement(marginState.prices[symbol], portfolio.positions[symbol], shortSettings, accountSettings, 'maintenance');
+      const callSymbols = Object.keys(portfolio.positions)
+        .filter(symbol => barIndex[symbol].get(date) && requirement(symbol) > 0)
+        .sort((a, b) => requirement(b) - requirement(a));
       
-      // Always calculate weekly metrics for all days using daily data
-      if (dateIndex >= 5) {
-        const weekAgoIndex = dateIndex - 5; // Approximate a week of trading days
-        const weekAgoDate = tradingDates[weekAgoIndex];
-        const weekAgoBar = stockData[symbol].find(bar => matchDate(bar, weekAgoDate));
+      for (const symbol of callSymbols) {
+        const deficiency = marginState.maintenanceRequirement * bufferMultiple - marginState.equity;
+        if (deficiency <= 0) break;
         
-        if (weekAgoBar) {
-          weeklyPercentChange = calculatePercentChange(currentBar.close, weekAgoBar.close);
-          if (isWeekBoundary) {
-            console.log(`[TIMEFRAME] Weekly change for ${symbol} on ${date}: ${weeklyPercentChange.toFixed(2)}%`);
-          }
+        const currentBar = barIndex[symbol].get(date);
+        const quantity = portfolio.positions[symbol];
+        const isLong = quantity > 0;
+        const positionQuantity = Math.abs(quantity);
+        const requirementPerShare = margin.getPositionRequirement(currentBar.close, quantity, shortSettings, accountSettings, 'maintenance') / positionQuantity * bufferMultiple;
+        // Costs lower the equity too, so close a little more than the shortfall
+        const closeQuantity = Math.min(positionQuantity, (deficiency / requirementPerShare) * 1.05);
+        closePosition(symbol, closeQuantity, currentBar.close, 'margin_call', { type: 'margin_call', equity: marginState.equity, requirement: marginState.maintenanceRequirement }, date);
+        if (isLong) {
+          portfolio.account.forcedSales++;
+        } else {
+          portfolio.shortSelling.forcedCovers++;
         }
+        marginState = getMarginState(date);
       }
+    }
+    
+    // Drawdown controls - measured on the close, after the day's fills. The peak moves with
+    // deposits and withdrawals, and starts again from the equity when a halt ends.
+    if (riskSettings) {
+      const riskStats = portfolio.riskControls;
+      const equity = getMarginState(date).equity;
+      riskState.peak += cashFlow;
       
-      // Monthly calculations
-      let monthlyPercentChange = null;
-      const isMonthBoundary = 
-        dateIndex === 0 || // First data point
-        currentYear !== prevDate.getUTCFullYear() || 
-        currentMonth !== prevDate.getUTCMonth();
+      if (riskState.mode === 'circuit_breaker' && dateIndex >= riskState.haltedUntil) {
+        riskState.mode = null;
+        riskState.peak = equity;
+        riskStats.events.push({ date, type: 'resume', drawdown: 0, equity });
+        console.log(`[RISK] Circuit breaker halt over on ${date}, trading resumes with equity $${equity.toFixed(2)}`);
+      }
       
-      // Update last month for consistency
-      if (isMonthBoundary) {
-        timeframeInfo.lastMonth = currentMonth;
+      if (riskState.mode !== 'circuit_breaker') {
+        riskState.peak = Math.max(riskState.peak, equity);
+        const drawdown = riskControls.calculateDrawdown(equity, riskState.peak);
+        const mode = riskControls.getRiskMode(riskSettings, drawdown);
+        
+        if (mode === 'circuit_breaker') {
+          riskStats.circuitBreakerTrips++;
+          riskState.haltedUntil = dateIndex + riskSettings.circuitBreaker.haltDays;
+          riskStats.events.push({ date, type: 'circuit_breaker', drawdown, equity });
+          console.log(`[RISK] Circuit breaker tripped on ${date}: ${drawdown.toFixed(2)}% drawdown from the $${riskState.peak.toFixed(2)} peak, halting trading for ${riskSettings.circuitBreaker.haltDays} days`);
+          
+          // Orders waiting to fill are cancelled with the halt
+          pendingOrders.forEach(order => {
+            console.log(`[EXECUTION] ${order.orderType} ${order.action.type} order for ${order.symbol} from ${order.signalDate} cancelled by the circuit breaker`);
+          });
+          portfolio.execution.ordersExpired += pendingOrders.length;
+          pendingOrders.length = 0;
+        } else if (mode !== riskState.mode) {
+          riskStats.events.push({ date, type: mode === 'risk_off' ? 'risk_off' : 'risk_on', drawdown, equity });
+          console.log(`[RISK] ${mode === 'risk_off' ? 'Risk-off mode from' : 'Risk-off mode over on'} ${date} at a ${drawdown.toFixed(2)}% drawdown`);
+        }
+        riskState.mode = mode;
       }
       
-      // Look back for monthly data (~20 trading days)
-      if (dateIndex >= 20) {
-        const monthAgoIndex = dateIndex - 20;
-        const monthAgoDate = tradingDates[monthAgoIndex];
-        const monthAgoBar = stockData[symbol].find(bar => matchDate(bar, monthAgoDate));
+      // While halted, every position is closed at the close (a position without a bar on the
+      // date waits for its next bar)
+      if (riskState.mode === 'circuit_breaker') {
+        Object.keys(portfolio.positions).forEach(symbol => {
+          const quantity = portfolio.positions[symbol];
+          const currentBar = barIndex[symbol].get(date);
+          if (Math.abs(quantity) < 1e-9 || !currentBar) return;
+          
+          closePosition(symbol, Math.abs(quantity), currentBar.close, 'circuit_breaker', { type: 'circuit_breaker', drawdown: riskStats.events[riskStats.events.length - 1].drawdown }, date);
+          riskStats.liquidations++;
+        });
+        riskStats.haltedDays++;
+      } else if (riskState.mode === 'risk_off') {
+        riskStats.riskOffDays++;
+      }
+    }
+    
+    let totalPortfolioValue = portfolio.cash;
+    let totalPositionValue = 0;
+    let grossPositionValue = 0; // Longs plus shorts, for the exposure metrics
+    let shortPositionValue = 0;
+    
+    // Update positions value (both long and short positions)
+    Object.keys(portfolio.positions).forEach(symbol => {
+      const quantity = portfolio.positions[symbol];
+      const currentBar = barIndex[symbol].get(date);
+      
+      if (currentBar) {
+        // For short positions (negative quantity), we subtract from the portfolio value
+        // For long positions (positive quantity), we add to the portfolio value
+        const positionValue = currentBar.close * quantity;
+        totalPortfolioValue += positionValue;
+        totalPositionValue += positionValue;
+        grossPositionValue += Math.abs(positionValue);
         
-        if (monthAgoBar) {
-          monthlyPercentChange = calculatePercentChange(currentBar.close, monthAgoBar.close);
+        if (quantity < 0) {
+          shortPositionValue -= positionValue;
+          getShortStats(symbol).maxShares = Math.max(getShortStats(symbol).maxShares, -quantity);
         }
+        
+        // Log position values periodically for debugging
+        if (dateIndex % 20 === 0) {
+          console.log(`[PORTFOLIO] ${symbol} position: ${quantity.toFixed(4)} shares at $${currentBar.close} = $${positionValue.toFixed(2)}`);
+        }
+      }
+    });
+    
+    // Verify total portfolio value is consistent
+    const expectedTotal = portfolio.cash + totalPositionValue;
+    if (Math.abs(expectedTotal - totalPortfolioValue) > 0.01) {
+      console.warn(`[PORTFOLIO] Value inconsistency detected: Cash $${portfolio.cash.toFixed(2)} + Positions $${totalPositionValue.toFixed(2)} = $${expectedTotal.toFixed(2)}, but calculated as $${totalPortfolioValue.toFixed(2)}`);
+      // Correct the value if there's a discrepancy
+      totalPortfolioValue = expectedTotal;
+    }
+    
+    // Track portfolio value at each date
+    const valuePoint = {
+      date,
+      value: totalPortfolioValue,
+      cash: portfolio.cash,
+      positions: totalPositionValue,
+      grossPositions: grossPositionValue,
+      shortPositions: shortPositionValue,
+      flow: cashFlow
+    };
+    if (benchmarkIndex) {
+      valuePoint.benchmark = benchmarkValue;
+    }
+    if (riskSettings) {
+      valuePoint.riskMode = riskState.mode; // Drawdown control in force at the close, for shading the equity curve
+    }
+    portfolio.valueHistory.push(valuePoint);
+    portfolio.account.maxDebitBalance = Math.max(portfolio.account.maxDebitBalance, -portfolio.cash);
+    
+    // Scheduled actions due on this date
+    const scheduledActions = new Set();
+    actionSchedules.forEach((settings, action) => {
+      const isScheduled = scheduling.isScheduledDate(settings, {
+        date,
+        tradingDay: dateIndex - firstTradingIndex,
+        previousDate: dateIndex > 0 ? tradingDates[dateIndex - 1] : null,
+        nextDate: dateIndex < tradingDates.length - 1 ? tradingDates[dateIndex + 1] : null
+      });
+      if (isScheduled) {
+        scheduledActions.add(action);
+        console.log(`[SCHEDULE] ${action.type} action scheduled on ${date}`);
+      }
+    });
+    
+    // Process each stock for trading signals
+    Object.keys(stockData).forEach(symbol => {
+      const currentBar = barIndex[symbol].get(date);
+      if (!currentBar) return;
+      
+      // The symbol's own previous bar - a missing bar on another symbol's trading date doesn't shift it
+      const previousBar = previousData[symbol];
+      
+      // Add today's bar to the daily, weekly and monthly history
+      const newPeriods = recordHistoryBar(symbol, currentBar, date);
+      
+      if (!previousBar) {
+        previousData[symbol] = currentBar;
+        return;
       }
       
-      // Check strategy actions
-      strategy.actions.forEach(action => {
+      // Calculate daily percent change
+      const dailyPercentChange = calculatePercentChange(currentBar.close, previousBar.close);
+      
+      // Weekly and monthly actions run on the symbol's first bar of each ISO week / calendar month
+      const isWeekBoundary = newPeriods.weekly;
+      const isMonthBoundary = newPeriods.monthly;
+      
+      // Weekly and monthly changes compare the last two completed periods of the symbol's
+      // own calendar bars (the period in progress isn't complete until the next one starts)
+      const weeklyPercentChange = getCompletedPeriodChange(resampledHistory[symbol].weekly);
+      const monthlyPercentChange = getCompletedPeriodChange(resampledHistory[symbol].monthly);
+      
+      if (isWeekBoundary && weeklyPercentChange !== null) {
+        console.log(`[TIMEFRAME] Weekly change for ${symbol} on ${date}: ${weeklyPercentChange.toFixed(2)}%`);
+      }
+      if (isMonthBoundary && monthlyPercentChange !== null) {
+        console.log(`[TIMEFRAME] Monthly change for ${symbol} on ${date}: ${monthlyPercentChange.toFixed(2)}%`);
+      }
+      
+      // Check strategy actions (rebalances and rotations run after every symbol's signals)
+      strategy.actions.forEach((action, actionIndex) => {
+        if (action.type === 'rebalance' || action.type === 'rotate') return;
+        
         // Log current processing details
         console.log(`[STRATEGY] Processing ${symbol} on ${date} for ${action.type} action with ${action.timeframe} timeframe`);
         console.log(`[STRATEGY] Current price: ${currentBar.close}, Previous price: ${previousBar?.close || 'N/A'}`);
         
-        // Check if we should process this action based on timeframe
-        const shouldProcess = 
+        // Check if we should process this action based on timeframe (or its schedule)
+        const shouldProcess = actionSchedules.has(action) ? scheduledActions.has(action) :
           (action.timeframe === 'daily') || 
           (action.timeframe === 'weekly' && isWeekBoundary && weeklyPercentChange !== null) ||
           (action.timeframe === 'monthly' && isMonthBoundary && monthlyPercentChange !== null);
@@ -834,122 +2413,57 @@ function runBacktest(strategy, stockData) {
         
         if (shouldProcess) {
           // Log the condition we're checking
-          console.log(`[STRATEGY] Checking condition:`, JSON.stringify(action.condition));
+          console.log(`[STRATEGY] Checking condition:`, conditionJson.get(action));
           
-          // Determine the data to pass based on condition type
-          let conditionMet = false;
+          // Every condition type reads from the same data - the price history for
+          // consecutive/pattern/technical conditions, and the current metric values for
+          // simple conditions (percent change over the action's timeframe, price, volume)
+          const percentChange = action.timeframe === 'weekly' ? weeklyPercentChange :
+            action.timeframe === 'monthly' ? monthlyPercentChange : dailyPercentChange;
+          const conditionData = {
+            priceHistory: historyData[symbol],
+            metrics: {
+              percent_change: percentChange,
+              price: currentBar.close,
+              volume: currentBar.volume
+            },
+            historyByTimeframe: {
+              daily: historyData[symbol],
+              weekly: resampledHistory[symbol].weekly,
+              monthly: resampledHistory[symbol].monthly
+            },
+            percentChanges: {
+              daily: dailyPercentChange,
+              weekly: weeklyPercentChange,
+              monthly: monthlyPercentChange
+            },
+            indicatorStates: indicatorStates[symbol].daily,
+            indicatorStatesByTimeframe: indicatorStates[symbol]
+          };
           
-          if (action.condition.type === 'consecutive') {
-            // For consecutive conditions, pass the price history
-            console.log(`[STRATEGY] Checking consecutive condition: ${action.condition.days} days ${action.condition.direction}`);
-            console.log(`[STRATEGY] History data length: ${historyData[symbol]?.length || 0} days`);
-            
-            conditionMet = checkCondition(
-              action.condition,
-              { priceHistory: historyData[symbol] }
-            );
-          } else if (action.condition.type === 'pattern') {
-            // For pattern conditions, also pass price history
-            console.log(`[STRATEGY] Checking pattern condition: ${action.condition.pattern}`);
-            
-            conditionMet = checkCondition(
-              action.condition,
-              { priceHistory: historyData[symbol] }
-            );
-          } else if (action.condition.type === 'technical') {
-            // For technical indicator conditions, pass the price history
-            console.log(`[STRATEGY] Checking technical condition: ${action.condition.indicator}`);
-            console.log(`[STRATEGY] History data length: ${historyData[symbol]?.length || 0} days`);
-            
-            // Check minimum data requirements for technical indicators
-            const minDataRequired = (() => {
-              const indicator = action.condition.indicator;
-              const params = action.condition.params || {};
-              
-              switch (indicator) {
-                case 'rsi':
-                  return (params.period || 14) * 2; // RSI needs 2x period
-                case 'macd':
-                  return Math.max(
-                    (params.fastPeriod || 12), 
-                    (params.slowPeriod || 26)
-                  ) + 10; // MACD needs longer history for signal
-                case 'ma_relative':
-                  return (params.period || 20) + 5;
-                case 'bbands':
-                  return (params.period || 20) + 5;
-                case 'obv':
-                  return 5; // OBV doesn't need much data
-                case 'atr':
-                  return (params.period || 14) + 5;
-                case 'mfi':
-                  return (params.period || 14) + 5;
-                case 'volume_change':
-                  return 2; // Just need current and previous
-                default:
-                  return 200; // Default to requiring a month of data
-              }
-            })();
+          console.log(`[STRATEGY] History data length: ${historyData[symbol]?.length || 0} days`);
+          console.log(`[STRATEGY] ${action.timeframe} percent change: ${percentChange?.toFixed(2)}%, price: ${currentBar.close}, volume: ${currentBar.volume}`);
             
-            if (historyData[symbol]?.length < minDataRequired) {
-              console.log(`[STRATEGY] Insufficient data for ${action.condition.indicator}. Need at least ${minDataRequired} data points, have ${historyData[symbol]?.length}`);
-              conditionMet = false;
-            } else {
-              conditionMet = checkCondition(
-                action.condition,
-                { priceHistory: historyData[symbol] }
-              );
-            }
-          } else {
-            // For simple conditions (percent_change, price, etc.)
-            let value;
-            
-            // Get the right value based on metric type
-            if (action.condition.metric === 'percent_change') {
-              if (action.timeframe === 'daily') {
-                value = dailyPercentChange;
-                console.log(`[STRATEGY] Daily percent change: ${dailyPercentChange.toFixed(2)}%`);
-              } else if (action.timeframe === 'weekly') {
-                value = weeklyPercentChange;
-                console.log(`[STRATEGY] Weekly percent change: ${weeklyPercentChange?.toFixed(2)}%`);
-              } else if (action.timeframe === 'monthly') {
-                value = monthlyPercentChange;
-                console.log(`[STRATEGY] Monthly percent change: ${monthlyPercentChange?.toFixed(2)}%`);
-              }
-            } else if (action.condition.metric === 'price') {
-              value = currentBar.close;
-              console.log(`[STRATEGY] Current price: ${currentBar.close}`);
-            } else if (action.condition.metric === 'volume') {
-              value = currentBar.volume;
-              console.log(`[STRATEGY] Current volume: ${currentBar.volume}`);
-            }
-            
-            if (value !== undefined) {
-              console.log(`[STRATEGY] Checking ${action.condition.metric} ${action.condition.operator} ${action.condition.value}`);
-              console.log(`[STRATEGY] Actual value: ${value}`);
-              
-              conditionMet = checkCondition(
-                action.condition,
-                { value: value }
-              );
-            }
-          }
+          // Record which branches of a condition group were met for the transaction details
+          const conditionTrace = {};
+          const conditionMet = action.condition ? checkCondition(action.condition, conditionData, conditionTrace) : true;
           
           console.log(`[STRATEGY] Condition met: ${conditionMet}`);
           
           // Only proceed if condition is met
           if (conditionMet) {
+            const conditionDetails = action.condition && CONDITION_GROUPS.includes(action.condition.type) ?
+              JSON.stringify(conditionTrace) :
+              conditionJson.get(action);
+            
             // For day trading patterns, we want to use the open price for calculations
-            const isDayTrading = action.condition?.type === 'pattern' && 
-              (action.condition.pattern === 'day_trade_gap_down' || 
-               action.condition.pattern === 'day_trade_gap_up' ||
-               action.condition.pattern === 'day_trade_gap_any');
+            const isDayTrading = isDayTradingCondition(action.condition);
             
             // Use open price for day trading calculations, close price for regular trading
             const priceForCalculation = isDayTrading ? (currentBar.open || currentBar.close) : currentBar.close;
             
             // Calculate amount to buy/sell with new function that handles various amount types
-            const amountData = calculateAmount(action.amount, totalPortfolioValue, priceForCalculation);
+            const amountData = calculateAmount(action.amount, totalPortfolioValue, priceForCalculation, portfolio.positions[symbol] || 0, action.type, getSizingData(symbol, action.amount));
             
             if (isDayTrading) {
               console.log(`[DAY TRADING] Executing ${action.type} for ${symbol} at OPEN price $${priceForCalculation}`);
@@ -961,240 +2475,29 @@ function runBacktest(strategy, stockData) {
             console.log(`[TRANSACTION] Portfolio value: $${totalPortfolioValue.toFixed(2)}, Cash: $${portfolio.cash.toFixed(2)}`);
             console.log(`[TRANSACTION] Transaction amount: $${amountData.dollars.toFixed(2)}, ${amountData.shares.toFixed(4)} shares`);
             
-            if (action.type === 'buy') {
-              // Buy logic (can be going long or covering a short)
-              if (portfolio.cash >= amountData.dollars) {
-                const quantity = amountData.shares;
-                const currentQuantity = portfolio.positions[symbol] || 0;
-                
-                // Update positions and cost basis
-                portfolio.positions[symbol] = currentQuantity + quantity;
-                
-                // Track cost basis - different handling for long vs covering shorts
-                if (portfolio.positionCost[symbol] === undefined) {
-                  portfolio.positionCost[symbol] = 0;
-                  console.log(`[COST BASIS] Initializing ${symbol} cost basis to 0`);
-                }
-                
-                if (currentQuantity < 0) {
-                  // Covering a short position - reduce cost basis proportionally 
-                  const coverRatio = Math.min(1, quantity / Math.abs(currentQuantity));
-                  const oldCost = portfolio.positionCost[symbol];
-                  portfolio.positionCost[symbol] *= (1 - coverRatio);
-                  console.log(`[COST BASIS] Updated ${symbol} cost basis from $${oldCost.toFixed(2)} to $${portfolio.positionCost[symbol].toFixed(2)} after covering short`);
-                } else {
-                  // Adding to a long position - increase cost basis with dollar-weighted average
-                  const oldQuantity = currentQuantity;
-                  const newQuantity = oldQuantity + quantity;
-                  const oldCost = portfolio.positionCost[symbol];
-                  
-                  // Update cost basis
-                  portfolio.positionCost[symbol] = oldCost + amountData.dollars;
-                  
-                  // Calculate and log the average cost
-                  const avgCost = newQuantity > 0 ? (portfolio.positionCost[symbol] / newQuantity) : 0;
-                  console.log(`[COST BASIS] Updated ${symbol} cost basis to $${portfolio.positionCost[symbol].toFixed(2)} after buying ${quantity.toFixed(4)} shares`);
-                  console.log(`[COST BASIS] New average cost for ${symbol}: $${avgCost.toFixed(2)} per share`);
-                }
-                
-                // Update cash balance
-                portfolio.cash -= amountData.dollars;
-                console.log(`[TRANSACTION] Cash reduced by $${amountData.dollars.toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
-                
-                // Determine if this is covering a short or going long
-                const transactionType = currentQuantity < 0 ? 'cover_short' : 'buy';
-                console.log(`[TRANSACTION] ${transactionType.toUpperCase()} ${quantity.toFixed(4)} shares of ${symbol} at $${currentBar.close} for $${amountData.dollars.toFixed(2)}`);
-                console.log(`[TRANSACTION] Position changes from ${currentQuantity.toFixed(4)} to ${portfolio.positions[symbol].toFixed(4)} shares`);
-                
-                // Record transaction - include the amount type and cost basis for transparency
-                // For day trading patterns, use open price for buy transactions
-                const isDayTrading = action.condition?.type === 'pattern' && 
-                  (action.condition.pattern === 'day_trade_gap_down' || 
-                   action.condition.pattern === 'day_trade_gap_up' ||
-                   action.condition.pattern === 'day_trade_gap_any');
-                
-                const transactionPrice = isDayTrading ? (currentBar.open || currentBar.close) : currentBar.close;
-                
-                // If day trading, make sure we use the exact quantity calculated based on entry price
-                const transactionAmount = isDayTrading ? (quantity * transactionPrice) : amountData.dollars;
-                
-                portfolio.transactions.push({
-                  date,
-                  symbol,
-                  type: transactionType,
-                  price: transactionPrice,
-                  quantity,
-                  amount: transactionAmount, // For day trading, this is quantity * entry price
-                  amountType: action.amount.type,
-                  amountValue: action.amount.value,
-                  positionAfter: portfolio.positions[symbol],
-                  costBasisAfter: portfolio.positionCost[symbol],
-                  conditionDetails: JSON.stringify(action.condition),
-                  isDayTrading: isDayTrading,
-                  // Add note for day trading entries
-                  isOpenEntry: isDayTrading
-                });
-                
-                // Check if this is a day trading pattern transaction
-                // We need to mark positions for selling at end of day
-                if (action.condition?.type === 'pattern' && 
-                    (action.condition.pattern === 'day_trade_gap_down' || 
-                     action.condition.pattern === 'day_trade_gap_up' ||
-                     action.condition.pattern === 'day_trade_gap_any')) {
-                  console.log(`[DAY TRADING] Marking ${symbol} position for EOD exit`);
-                  // Use open price for day trading entry
-                  const entryPrice = currentBar.open || currentBar.close;
-                  
-                  // Detailed debugging for day trading
-                  console.log(`[DAY TRADING DEBUG] Current bar data for ${symbol} on ${date}:`);
-                  console.log(`[DAY TRADING DEBUG] open: ${currentBar.open}, close: ${currentBar.close}, high: ${currentBar.high}, low: ${currentBar.low}`);
-                  console.log(`[DAY TRADING DEBUG] Are open/close the same? ${currentBar.open === currentBar.close ? 'YES' : 'NO'}`);
-                  
-                  // Store the full bar data for debugging
-                  dayTradingPositions[symbol] = {
-                    entryDate: date,
-                    entryPrice: entryPrice,
-                    quantity: quantity,
-                    action: action,
-                    barData: {
-                      open: currentBar.open,
-                      close: currentBar.close,
-                      high: currentBar.high,
-                      low: currentBar.low
-                    }
-                  };
-                  console.log(`[DAY TRADING] Entry at OPEN price: $${entryPrice}`);
-                }
-              } else {
-                console.log(`[TRANSACTION] Insufficient cash ($${portfolio.cash.toFixed(2)}) to buy $${amountData.dollars.toFixed(2)} of ${symbol}`);
-              }
-            } else if (action.type === 'sell') {
-              // Sell logic (can be liquidating a long or going short)
-              const currentQuantity = portfolio.positions[symbol] || 0;
-              
-              // Handle special case for shares-based amounts when selling
-              let sellQuantity, sellAmount;
-              
-              if (action.amount.type === 'shares') {
-                // Direct share amount (up to available)
-                sellQuantity = Math.min(amountData.shares, currentQuantity > 0 ? currentQuantity : Number.MAX_SAFE_INTEGER);
-                sellAmount = sellQuantity * currentBar.close;
-              } else {
-                // Dollar-based or percentage amount
-                if (currentQuantity > 0) {
-                  // Limit to available shares if liquidating a long position
-                  const maxSellAmount = currentQuantity * currentBar.close;
-                  sellAmount = Math.min(amountData.dollars, maxSellAmount);
-                  sellQuantity = sellAmount / currentBar.close;
-                } else {
-                  // No limit if going short
-                  sellAmount = amountData.dollars;
-                  sellQuantity = amountData.shares;
-                }
-              }
-              
-              // Initialize cost basis tracking if not exists
-              if (portfolio.positionCost[symbol] === undefined) {
-                portfolio.positionCost[symbol] = 0;
-                console.log(`[COST BASIS] Initializing ${symbol} cost basis to 0`);
-              }
+            const orderSettings = execution.resolveOrderSettings(action.order);
+            const order = {
+              symbol,
+              action,
+              amountData,
+              conditionDetails,
+              isDayTrading,
+              actionIndex,
+              signalDate: date,
+              orderType: orderSettings.type
+            };
               
-              // Handle cost basis differently for selling long vs going short
-              if (currentQuantity > 0) {
-                // Selling long position - reduce cost basis proportionally
-                const sellRatio = Math.min(1, sellQuantity / currentQuantity);
-                const costBasisReduction = portfolio.positionCost[symbol] * sellRatio;
-                const oldCost = portfolio.positionCost[symbol];
-                portfolio.positionCost[symbol] -= costBasisReduction;
-                
-                // Calculate remaining position and new average cost
-                const remainingQuantity = currentQuantity - sellQuantity;
-                const avgCost = remainingQuantity > 0 ? (portfolio.positionCost[symbol] / remainingQuantity) : 0;
-                
-                console.log(`[COST BASIS] Reduced ${symbol} cost basis by $${costBasisReduction.toFixed(2)} to $${portfolio.positionCost[symbol].toFixed(2)} after selling`);
-                console.log(`[COST BASIS] New average cost for ${symbol}: $${avgCost.toFixed(2)} per share`);
-              } else if (currentQuantity <= 0) {
-                // Increasing short position - track as negative cost basis
-                const oldCost = portfolio.positionCost[symbol];
-                portfolio.positionCost[symbol] -= sellAmount; // Negative cost for shorts
-                
-                // Calculate new average cost for short position (negative quantity)
-                const newQuantity = currentQuantity - sellQuantity;
-                const avgCost = newQuantity < 0 ? (Math.abs(portfolio.positionCost[symbol]) / Math.abs(newQuantity)) : 0;
-                
-                console.log(`[COST BASIS] Updated ${symbol} short position cost basis from $${oldCost.toFixed(2)} to $${portfolio.positionCost[symbol].toFixed(2)}`);
-                console.log(`[COST BASIS] New average cost for short position: $${avgCost.toFixed(2)} per share`);
-              }
-              
-              // Allow shorting - always allow sell transactions regardless of current position
-              portfolio.positions[symbol] = currentQuantity - sellQuantity;
-              portfolio.cash += sellAmount;
-              console.log(`[TRANSACTION] Cash increased by $${sellAmount.toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
-              
-              // Determine if this is going short or selling existing long position
-              const transactionType = currentQuantity > 0 ? 'sell' : 'short';
-              console.log(`[TRANSACTION] ${transactionType.toUpperCase()} ${sellQuantity.toFixed(4)} shares of ${symbol} at $${currentBar.close} for $${sellAmount.toFixed(2)}`);
-              console.log(`[TRANSACTION] Position changes from ${currentQuantity.toFixed(4)} to ${portfolio.positions[symbol].toFixed(4)} shares`);
-              
-              // Record transaction - include the amount type and cost basis for transparency
-              portfolio.transactions.push({
-                date,
-                symbol,
-                type: transactionType,
-                price: currentBar.close,
-                quantity: sellQuantity,
-                amount: sellAmount,
-                amountType: action.amount.type,
-                amountValue: action.amount.value,
-                positionAfter: portfolio.positions[symbol],
-                costBasisAfter: portfolio.positionCost[symbol],
-                conditionDetails: JSON.stringify(action.condition)
-              });
-              
-              // If this was a day trading position that was manually sold,
-              // remove it from day trading tracking
-              if (dayTradingPositions[symbol] && portfolio.positions[symbol] <= 0) {
-                console.log(`[DAY TRADING] Position manually sold before EOD for ${symbol}`);
-                delete dayTradingPositions[symbol];
-              }
-            } else if (action.type === 'short') {
-              // Explicit short - always creates a negative position
-              const shortQuantity = amountData.shares;
-              const shortAmount = amountData.dollars;
-              const currentQuantity = portfolio.positions[symbol] || 0;
-              
-              // Initialize cost basis if needed
-              if (portfolio.positionCost[symbol] === undefined) {
-                portfolio.positionCost[symbol] = 0;
-                console.log(`[COST BASIS] Initializing ${symbol} cost basis to 0`);
-              }
-              
-              // For shorts, track negative cost basis
-              portfolio.positionCost[symbol] -= shortAmount;
-              console.log(`[COST BASIS] Updated ${symbol} short position cost basis to $${portfolio.positionCost[symbol].toFixed(2)}`);
-              
-              // Update positions - make more negative
-              portfolio.positions[symbol] = currentQuantity - shortQuantity;
-              portfolio.cash += shortAmount;
-              console.log(`[TRANSACTION] Cash increased by $${shortAmount.toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
-              
-              console.log(`[TRANSACTION] SHORT ${shortQuantity.toFixed(4)} shares of ${symbol} at $${currentBar.close} for $${shortAmount.toFixed(2)}`);
-              console.log(`[TRANSACTION] Position changes from ${currentQuantity.toFixed(4)} to ${portfolio.positions[symbol].toFixed(4)} shares`);
-              
-              // Record transaction - include the amount type and cost basis for transparency
-              portfolio.transactions.push({
-                date,
-                symbol,
-                type: 'short',
-                price: currentBar.close,
-                quantity: shortQuantity,
-                amount: shortAmount,
-                amountType: action.amount.type,
-                amountValue: action.amount.value,
-                positionAfter: portfolio.positions[symbol],
-                costBasisAfter: portfolio.positionCost[symbol],
-                conditionDetails: JSON.stringify(action.condition)
-              });
+            if (execution.fillsOnSignalBar(executionSettings.model, orderSettings)) {
+              executeOrder(order, currentBar, date, action.type === 'buy' ? priceForCalculation : currentBar.close);
+            } else {
+              // Fill on a later bar - the size is recalculated at the fill price
+              order.side = amountData.side || (action.type === 'buy' || action.type === 'cover' ? 'buy' : 'sell');
+              order.price = execution.getOrderPrice(orderSettings, currentBar.close);
+              order.barsLeft = orderSettings.expiresAfter;
+              order.portfolioValue = totalPortfolioValue;
+              pendingOrders.push(order);
+              portfolio.execution.ordersQueued++;
+              console.log(`[EXECUTION] Queued ${orderSettings.type} ${action.type} order for ${symbol}${order.price === null ? '' : ` at $${order.price.toFixed(2)}`}, expires after ${order.barsLeft} bar(s)`);
             }
           }
         }
@@ -1204,81 +2507,138 @@ function runBacktest(strategy, stockData) {
       previousData[symbol] = currentBar;
     });
     
-    // At the end of each day, close all day trading positions
-    Object.keys(dayTradingPositions).forEach(symbol => {
-      const position = dayTradingPositions[symbol];
+    // Scheduled rebalances and rotations - on the first trading date of each period, trade the
+    // symbols whose weights have drifted outside the band back to their targets, sells first to
+    // fund the buys. A rotation first ranks the symbols to find its targets.
+    rebalanceActions.forEach(entry => {
+      const { action, actionIndex, settings } = entry;
+      const period = settings.schedule === 'daily' ? date : getPeriodKey(date, settings.schedule);
+      if (period === entry.lastPeriod) return;
+      entry.lastPeriod = period;
       
-      // Only close positions entered on this day
-      if (position.entryDate === date && portfolio.positions[symbol] > 0) {
-        const currentBar = stockData[symbol].find(bar => bar.date === date);
-        if (!currentBar) return;
-        
-        console.log(`[DAY TRADING] Closing EOD position for ${symbol} entered at $${position.entryPrice} with current price $${currentBar.close}`);
-        
-        // Detailed debugging for day trading EOD prices
-        console.log(`[DAY TRADING DEBUG] Entry bar data: open=${position.barData?.open}, close=${position.barData?.close}`);
-        console.log(`[DAY TRADING DEBUG] Exit bar data: open=${currentBar.open}, close=${currentBar.close}`);
-        console.log(`[DAY TRADING DEBUG] Entry vs Exit: Same day=${position.entryDate === date}, Open difference=${position.barData?.open !== currentBar.open ? 'YES' : 'NO'}, Close difference=${position.barData?.close !== currentBar.close ? 'YES' : 'NO'}`);
-        
-        // Get quantity to sell - should be 100% of the position
-        const sellQuantity = portfolio.positions[symbol];
-        const sellAmount = sellQuantity * currentBar.close;
-        
-        console.log(`[DAY TRADING] Selling ${sellQuantity} shares (100% of position) at close price ${currentBar.close} for total ${sellAmount}`);
-        
-        // Calculate profit/loss
-        const entryValue = position.quantity * position.entryPrice;
-        const exitValue = sellQuantity * currentBar.close;
-        const profitLoss = exitValue - entryValue;
-        const profitLossPercent = (profitLoss / entryValue) * 100;
-        
-        console.log(`[DAY TRADING] P&L: $${profitLoss.toFixed(2)} (${profitLossPercent.toFixed(2)}%)`);
-        console.log(`[DAY TRADING] DETAILED: Entry ${position.entryDate} at $${position.entryPrice}, Exit ${date} at $${currentBar.close}`);
-        console.log(`[DAY TRADING] DETAILED: Entry value $${entryValue.toFixed(2)}, Exit value $${exitValue.toFixed(2)}`);
-        
-        // Debug strategy info
-        const strategyInfo = position.action?.condition || {};
-        console.log(`[DAY TRADING] STRATEGY: Pattern ${strategyInfo.pattern}, threshold ${strategyInfo.threshold}%`);
-        
-        // Update cost basis tracking
-        const currentQuantity = portfolio.positions[symbol];
-        if (currentQuantity > 0) {
-          // Reduce cost basis proportionally (should be 100% reduction)
-          const costBasisReduction = portfolio.positionCost[symbol];
-          portfolio.positionCost[symbol] = 0;
-          console.log(`[COST BASIS] Removed cost basis of $${costBasisReduction.toFixed(2)} for ${symbol}`);
+      const prices = {};
+      Object.keys(stockData).forEach(symbol => {
+        const bar = barIndex[symbol].get(date);
+        if (bar) prices[symbol] = bar.close;
+      });
+      const weightData = { prices, histories: historyData, metadata: options.metadata };
+      let targets;
+      let scores = null;
+      if (action.type === 'rotate') {
+        const allScores = {};
+        Object.keys(prices).forEach(symbol => {
+          allScores[symbol] = settings.rank.type === 'technical' ?
+            (historyData[symbol].length >= getMinDataRequired(settings.rank) ? calculateIndicatorValue(settings.rank, historyData[symbol]) : null) :
+            ranking.calculateScore(settings.rank, historyData[symbol]);
+        });
+        const selected = ranking.selectRanked(allScores, settings);
+        if (selected.length === 0) {
+          console.warn(`[ROTATION] No symbols could be ranked on ${date} - skipping the rotation`);
+          return;
         }
+        scores = {};
+        selected.forEach(symbol => { scores[symbol] = allScores[symbol]; });
+        console.log(`[ROTATION] ${date}: selected ${selected.map(symbol => `${symbol} (${allScores[symbol].toFixed(2)})`).join(', ')} of ${Object.keys(prices).length} symbols`);
         
-        // Update positions - should be zeroed out
-        portfolio.positions[symbol] = 0;
-        portfolio.cash += sellAmount;
-        console.log(`[TRANSACTION] Cash increased by $${sellAmount.toFixed(2)} to $${portfolio.cash.toFixed(2)}`);
+        targets = rebalance.calculateTargetWeights(settings, selected, weightData);
+        if (settings.side === 'short') {
+          Object.keys(targets).forEach(symbol => { targets[symbol] = -targets[symbol]; });
+        }
+        // Symbols that dropped out are closed - or kept until their next bar. A position on the
+        // other side belongs to another rotation and is left alone.
+        entry.holdings.forEach(symbol => {
+          const quantity = portfolio.positions[symbol] || 0;
+          const isOwnSide = settings.side === 'short' ? quantity < 0 : quantity > 0;
+          if (targets[symbol] === undefined && prices[symbol] !== undefined && isOwnSide) targets[symbol] = 0;
+        });
+        entry.holdings = [
+          ...Object.keys(targets).filter(symbol => targets[symbol] !== 0),
+          ...entry.holdings.filter(symbol => prices[symbol] === undefined)
+        ];
+      } else {
+        targets = rebalance.calculateTargetWeights(settings, Object.keys(prices), weightData);
+      }
+      if (Object.keys(targets).length === 0) {
+        console.warn(`[REBALANCE] No ${settings.weights} target weights on ${date} - skipping the rebalance`);
+        return;
+      }
+      
+      const equity = getMarginState(date).equity;
+      const plan = rebalance.planRebalance(targets, portfolio.positions, prices, equity, settings.driftBand);
+      rebalanceEvents.push({ date, actionIndex, targets, scores, orders: plan.length });
+      console.log(`[REBALANCE] ${date}: targets ${Object.entries(targets).map(([symbol, weight]) => `${symbol} ${weight.toFixed(2)}%`).join(', ')}; ${plan.length} symbol(s) outside the band`);
+      
+      plan.forEach(({ symbol, currentWeight, targetWeight }) => {
+        const currentBar = barIndex[symbol].get(date);
+        // A short target is a short order's target weight, so selling past zero opens the short
+        const orderAction = { ...action, type: targetWeight < 0 ? 'short' : 'buy', amount: { type: 'target_weight', value: Math.abs(targetWeight) } };
+        let amountData = calculateAmount(orderAction.amount, equity, currentBar.close, portfolio.positions[symbol] || 0, orderAction.type);
+        console.log(`[REBALANCE] ${symbol} from ${currentWeight.toFixed(2)}% to ${targetWeight.toFixed(2)}%: ${amountData.side} $${amountData.dollars.toFixed(2)}`);
         
-        // Record transaction - explicitly mark as closing at the close price for clarity
-        // For day trading EOD exits, we always want to sell 100% of the position (not the same dollar amount as buy)
-        portfolio.transactions.push({
-          date,
+        const orderSettings = execution.resolveOrderSettings(action.order);
+        const order = {
           symbol,
-          type: 'sell',
-          price: currentBar.close,
-          quantity: sellQuantity,
-          amount: sellAmount,  // Using the actual sell amount (quantity * close price)
-          amountType: 'percentage',
-          amountValue: 100,  // 100% of the position
-          positionAfter: 0,
-          costBasisAfter: 0,
-          conditionDetails: JSON.stringify({type: 'day_trading_eod_exit'}),
-          isDayTrading: true,
-          isEodExit: true,
-          // Add extra details for clarity in reporting
-          entryPrice: position.entryPrice,
-          exitPrice: currentBar.close,
-          profitLoss: profitLoss,
-          profitLossPercent: profitLossPercent
-        });
+          action: orderAction,
+          amountData,
+          conditionDetails: JSON.stringify({ type: action.type === 'rotate' ? 'rotation' : 'rebalance', weightBefore: currentWeight, targetWeight, score: scores ? scores[symbol] : undefined }),
+          isDayTrading: false,
+          actionIndex,
+          signalDate: date,
+          orderType: orderSettings.type
+        };
+        
+        if (execution.fillsOnSignalBar(executionSettings.model, orderSettings)) {
+          // A cash account trims the buys to the cash left, so costs don't reject the last one
+          if (accountSettings.type === 'cash' && amountData.side === 'buy') {
+            const availableCash = portfolio.cash - getMarginState(date).shortValue;
+            for (let pass = 0; pass < 3; pass++) {
+              const fill = priceOrder(strategy.costs, 'buy', currentBar, currentBar.close, amountData, true);
+              const excess = fill.notional + fill.costs.commission - availableCash;
+              if (excess <= 0) break;
+              const shares = Math.max(0, amountData.shares - (excess + 0.01) / fill.fillPrice);
+              amountData = { ...amountData, shares, dollars: shares * currentBar.close };
+            }
+            order.amountData = amountData;
+          }
+          executeOrder(order, currentBar, date, currentBar.close);
+        } else {
+          order.side = amountData.side;
+          order.price = execution.getOrderPrice(orderSettings, currentBar.close);
+          order.barsLeft = orderSettings.expiresAfter;
+          order.portfolioValue = equity;
+          pendingOrders.push(order);
+          portfolio.execution.ordersQueued++;
+          console.log(`[EXECUTION] Queued ${orderSettings.type} rebalance ${amountData.side} order for ${symbol}${order.price === null ? '' : ` at $${order.price.toFixed(2)}`}, expires after ${order.barsLeft} bar(s)`);
+        }
+      });
+    });
+    
+    // Time-based exits at the close - day trades on their entry bar, and positions whose holding
+    // period is up or whose calendar period ends on this date (see lib/exits.js)
+    const nextTradingDate = tradingDates[dateIndex + 1];
+    const periodEnds = {};
+    Object.values(exits.PERIOD_END_EXITS).forEach(frequency => {
+      periodEnds[frequency] = nextTradingDate !== undefined && getPeriodKey(date, frequency) !== getPeriodKey(nextTradingDate, frequency);
+    });
+    Object.keys(positionExits).forEach(symbol => {
+      const exitState = positionExits[symbol];
+      const quantity = portfolio.positions[symbol] || 0;
+      const currentBar = barIndex[symbol].get(date);
+      if (!currentBar || quantity === 0) return;
+      
+      const timeExit = exits.checkTimeExit(exitState, date, periodEnds);
+      if (!timeExit) return;
         
-        // Remove from day trading tracking
-        delete dayTradingPositions[symbol];
+      // Closing on the entry bar is the day trading end-of-day exit
+      const isEodExit = timeExit.reason === 'hold_period' && exitState.rules.holdBars === 0;
+      if (isEodExit) {
+        console.log(`[DAY TRADING] Closing EOD position for ${symbol} entered at $${exitState.entryPrice.toFixed(2)} with current price $${currentBar.close}`);
+        const transaction = closePosition(symbol, Math.abs(quantity), currentBar.close, null, { type: 'day_trading_eod_exit' }, date);
+        transaction.isDayTrading = true;
+        transaction.isEodExit = true;
+      } else {
+        console.log(`[EXITS] ${timeExit.reason.toUpperCase()} exit for ${symbol} on ${date} (${timeExit.detail}), entered ${exitState.entryDate}`);
+        closePosition(symbol, Math.abs(quantity), currentBar.close, timeExit.reason, { type: 'time_exit', reason: timeExit.reason, detail: timeExit.detail, entryDate: exitState.entryDate }, date);
       }
     });
   });
@@ -1296,40 +2656,201 @@ function runBacktest(strategy, stockData) {
     }
   });
   
-  // Total return
-  portfolio.metrics.totalReturn = ((portfolioFinalValue - initialCash) / initialCash) * 100;
+  // Time-weighted return strips out deposits and withdrawals, so it stays comparable
+  // with or without a capital schedule. Total return reports the same figure.
+  portfolio.metrics.timeWeightedReturn = metrics.calculateTimeWeightedReturn(portfolio.valueHistory);
+  portfolio.metrics.totalReturn = portfolio.metrics.timeWeightedReturn;
   
-  // Max drawdown
-  let peak = initialCash;
-  let maxDrawdown = 0;
+  // Money-weighted return (IRR) reflects the size and timing of the investor's cash flows
+  const investorCashFlows = [
+    { date: portfolio.metrics.startDate, amount: -initialCash },
+    ...portfolio.cashFlows.map(flow => ({ date: flow.date, amount: -flow.amount })),
+    { date: portfolio.metrics.endDate, amount: portfolioFinalValue }
+  ];
+  portfolio.metrics.moneyWeightedReturn = metrics.calculateIRR(investorCashFlows);
   
-  portfolio.valueHistory.forEach(point => {
-    if (point.value > peak) {
-      peak = point.value;
-    }
+  console.log(`[CAPITAL] Net deposits: $${portfolio.metrics.netDeposits.toFixed(2)}, cash interest earned: $${portfolio.metrics.cashInterest.toFixed(2)}`);
+  console.log(`[CAPITAL] Time-weighted return: ${portfolio.metrics.timeWeightedReturn.toFixed(2)}%, money-weighted return: ${portfolio.metrics.moneyWeightedReturn === null ? 'N/A' : portfolio.metrics.moneyWeightedReturn.toFixed(2) + '%'}`);
+  if (priceSettings.dividends) {
+    console.log(`[DIVIDENDS] Net dividend income: $${portfolio.metrics.dividendIncome.toFixed(2)}`);
+  }
+  
+  console.log(`[COSTS] Total transaction costs: $${portfolio.metrics.totalCosts.toFixed(2)} (commission $${portfolio.metrics.costBreakdown.commission.toFixed(2)}, spread $${portfolio.metrics.costBreakdown.spread.toFixed(2)}, slippage $${portfolio.metrics.costBreakdown.slippage.toFixed(2)})`);
+  Object.entries(portfolio.metrics.costWarnings).forEach(([warning, fills]) => {
+    console.log(`[COSTS] Warning: ${warning} on ${fills} fills`);
+  });
     
-    const drawdown = ((peak - point.value) / peak) * 100;
-    if (drawdown > maxDrawdown) {
-      maxDrawdown = drawdown;
-    }
+  // Short exposure - the short positions' value in percent of the portfolio value
+  const shortExposures = portfolio.valueHistory.map(point => point.value > 0 ? (point.shortPositions / point.value) * 100 : 0);
+  if (shortExposures.length > 0) {
+    portfolio.shortSelling.maxShortExposure = Math.max(...shortExposures);
+    portfolio.shortSelling.averageShortExposure = shortExposures.reduce((sum, exposure) => sum + exposure, 0) / shortExposures.length;
+  }
+  if (Object.keys(portfolio.shortSelling.bySymbol).length > 0 || portfolio.shortSelling.rejectedShorts > 0) {
+    console.log(`[MARGIN] Short exposure: ${portfolio.shortSelling.averageShortExposure.toFixed(2)}% average, ${portfolio.shortSelling.maxShortExposure.toFixed(2)}% max; borrow fees $${portfolio.shortSelling.borrowFees.toFixed(2)}`);
+    console.log(`[MARGIN] ${portfolio.shortSelling.forcedCovers} forced covers, ${portfolio.shortSelling.rejectedShorts} shorts rejected for insufficient margin`);
+  }
+  
+  // Leverage used over time - gross (longs plus shorts) and net (longs less shorts) exposure as a
+  // multiple of the portfolio value
+  const leverageHistory = portfolio.valueHistory.filter(point => point.value > 0);
+  if (leverageHistory.length > 0) {
+    const grossLeverage = leverageHistory.map(point => point.grossPositions / point.value);
+    const netLeverage = leverageHistory.map(point => point.positions / point.value);
+    portfolio.account.maxGrossLeverage = Math.max(...grossLeverage);
+    portfolio.account.averageGrossLeverage = grossLeverage.reduce((sum, leverage) => sum + leverage, 0) / grossLeverage.length;
+    portfolio.account.maxNetLeverage = Math.max(...netLeverage.map(Math.abs));
+    portfolio.account.averageNetLeverage = netLeverage.reduce((sum, leverage) => sum + leverage, 0) / netLeverage.length;
+  }
+  console.log(`[ACCOUNT] Gross leverage ${portfolio.account.averageGrossLeverage.toFixed(2)}x average, ${portfolio.account.maxGrossLeverage.toFixed(2)}x max; net leverage ${portfolio.account.averageNetLeverage.toFixed(2)}x average, ${portfolio.account.maxNetLeverage.toFixed(2)}x max`);
+  console.log(`[ACCOUNT] ${portfolio.account.marginCalls} margin calls (${portfolio.account.forcedSales} forced sales), ${portfolio.account.rejectedOrders} orders rejected for insufficient buying power; max debit balance $${portfolio.account.maxDebitBalance.toFixed(2)}, interest paid $${portfolio.account.interestPaid.toFixed(2)}`);
+  
+  // Max drawdown (measured on the flow-adjusted growth index so deposits don't hide losses)
+  portfolio.metrics.maxDrawdown = metrics.calculateMaxDrawdown(metrics.calculateGrowthIndex(portfolio.valueHistory));
+  
+  // Risk-adjusted returns, drawdown durations, exposure, turnover and the return distribution
+  // (the Sharpe and Sortino ratios are measured against strategy.riskFreeRate, an annual percentage)
+  const returns = metrics.calculatePeriodReturns(portfolio.valueHistory);
+  Object.assign(portfolio.metrics, metrics.calculatePerformanceMetrics(portfolio.valueHistory, portfolio.transactions, {
+    riskFreeRate: parseFloat(strategy.riskFreeRate) || 0
+  }));
+  
+  const formatMetric = (value, suffix = '') => value === null || value === undefined ? 'N/A' : value.toFixed(2) + suffix;
+  console.log(`[METRICS] CAGR: ${formatMetric(portfolio.metrics.cagr, '%')}, volatility: ${formatMetric(portfolio.metrics.volatility, '%')}, Sharpe: ${formatMetric(portfolio.metrics.sharpeRatio)} (risk-free ${portfolio.metrics.riskFreeRate}%), Sortino: ${formatMetric(portfolio.metrics.sortinoRatio)}, Calmar: ${formatMetric(portfolio.metrics.calmarRatio)}`);
+  console.log(`[METRICS] Longest drawdown: ${portfolio.metrics.maxDrawdownDuration} days, recovery from the deepest: ${portfolio.metrics.timeToRecovery === null ? 'not recovered' : portfolio.metrics.timeToRecovery + ' days'}`);
+  console.log(`[METRICS] Exposure: ${formatMetric(portfolio.metrics.exposure, '%')} of days (average ${formatMetric(portfolio.metrics.averageExposure, '%')}), turnover: ${formatMetric(portfolio.metrics.turnover, '%')} a year`);
+  console.log(`[METRICS] Skew: ${formatMetric(portfolio.metrics.skewness)}, excess kurtosis: ${formatMetric(portfolio.metrics.kurtosis)}, 95% daily VaR: ${formatMetric(portfolio.metrics.valueAtRisk, '%')}, CVaR: ${formatMetric(portfolio.metrics.conditionalValueAtRisk, '%')}`);
+  
+  // Match exits to entries lot by lot for the round-trip trade ledger
+  const ledger = trades.buildTradeLedger(portfolio.transactions, barIndex, tradingDates, {
+    lotMatching: strategy.lotMatching,
+    actions: strategy.actions
   });
+  portfolio.trades = ledger.trades;
+  portfolio.openTrades = ledger.openTrades;
+  portfolio.tradeStats = { lotMatching: ledger.lotMatching, ...ledger.stats };
+  console.log(`[TRADES] ${ledger.trades.length} closed trades (${ledger.lotMatching.toUpperCase()} lot matching), ${ledger.openTrades.length} lots still open`);
+  console.log(`[TRADES] Win rate: ${formatMetric(ledger.stats.winRate, '%')}, profit factor: ${formatMetric(ledger.stats.profitFactor)}, expectancy: $${ledger.stats.expectancy.toFixed(2)} per trade, average win: $${ledger.stats.averageWin.toFixed(2)}, average loss: $${ledger.stats.averageLoss.toFixed(2)}`);
   
-  portfolio.metrics.maxDrawdown = maxDrawdown;
+  // Taxes on the ledger's lots, and the equity curve after them
+  portfolio.taxes = null;
+  const taxSettings = taxes.resolveTaxSettings(strategy.taxes);
+  if (taxSettings) {
+    const taxResults = taxes.calculateTaxes(ledger, portfolio.transactions, portfolio.valueHistory, taxSettings);
+    taxResults.afterTaxValues.forEach((value, i) => {
+      portfolio.valueHistory[i].afterTaxValue = value;
+    });
+    
+    const afterTaxHistory = portfolio.valueHistory.map(point => ({ date: point.date, value: point.afterTaxValue, flow: point.flow }));
+    const { afterTaxValues, ...summary } = taxResults;
+    portfolio.taxes = {
+      settings: taxSettings,
+      ...summary,
+      afterTaxFinalValue: afterTaxValues.length > 0 ? afterTaxValues[afterTaxValues.length - 1] : null,
+      afterTaxReturn: metrics.calculateTimeWeightedReturn(afterTaxHistory)
+    };
+    
+    console.log(`[TAXES] Short-term ${taxSettings.shortTermRate}%, long-term ${taxSettings.longTermRate}% after ${taxSettings.longTermDays} days, dividends ${taxSettings.dividendRate}%, wash sales ${taxSettings.washSales ? 'on' : 'off'}`);
+    portfolio.taxes.years.forEach(year => {
+      console.log(`[TAXES] ${year.year}: short-term $${(year.shortTermGains + year.shortTermLosses).toFixed(2)}, long-term $${(year.longTermGains + year.longTermLosses).toFixed(2)}, dividends $${year.dividends.toFixed(2)}, tax $${year.tax.toFixed(2)}, loss carryforward $${year.carryforward.toFixed(2)}`);
+    });
+    console.log(`[TAXES] Total tax: $${portfolio.taxes.totalTax.toFixed(2)}, after-tax return: ${portfolio.taxes.afterTaxReturn.toFixed(2)}% (${portfolio.taxes.washSales} wash sales, $${portfolio.taxes.washSaleDisallowed.toFixed(2)} of losses deferred)`);
+  }
   
-  // Simplified Sharpe ratio calculation (not accounting for risk-free rate)
-  const returns = [];
-  for (let i = 1; i < portfolio.valueHistory.length; i++) {
-    const dailyReturn = (portfolio.valueHistory[i].value - portfolio.valueHistory[i-1].value) / 
-                      portfolio.valueHistory[i-1].value;
-    returns.push(dailyReturn);
+  // Compare with the benchmark over the same dates and cash flows
+  portfolio.benchmark = null;
+  if (benchmarkIndex) {
+    const benchmarkHistory = portfolio.valueHistory.map(point => ({ date: point.date, value: point.benchmark, flow: point.flow }));
+    const benchmarkReturns = metrics.calculatePeriodReturns(benchmarkHistory);
+    
+    portfolio.benchmark = {
+      symbol: options.benchmark.symbol,
+      totalReturn: metrics.calculateTimeWeightedReturn(benchmarkHistory),
+      maxDrawdown: metrics.calculateMaxDrawdown(metrics.calculateGrowthIndex(benchmarkHistory)),
+      sharpeRatio: metrics.calculateSharpeRatio(benchmarkReturns),
+      finalValue: benchmarkHistory.length > 0 ? benchmarkHistory[benchmarkHistory.length - 1].value : null,
+      ...metrics.calculateBenchmarkStats(returns, benchmarkReturns)
+    };
+    
+    if (benchmarkClose === null) {
+      console.warn(`[BENCHMARK] No ${options.benchmark.symbol} bars in the backtest period - the benchmark stayed in cash`);
+    }
+    console.log(`[BENCHMARK] ${options.benchmark.symbol} buy-and-hold return: ${portfolio.benchmark.totalReturn.toFixed(2)}%`);
+    console.log(`[BENCHMARK] Alpha: ${formatMetric(portfolio.benchmark.alpha, '%')}, beta: ${formatMetric(portfolio.benchmark.beta)}, correlation: ${formatMetric(portfolio.benchmark.correlation)}, tracking error: ${formatMetric(portfolio.benchmark.trackingError, '%')}, information ratio: ${formatMetric(portfolio.benchmark.informationRatio)}`);
   }
   
-  const avgReturn = returns.reduce((sum, val) => sum + val, 0) / returns.length;
-  const stdDeviation = Math.sqrt(
-    returns.reduce((sum, val) => sum + Math.pow(val - avgReturn, 2), 0) / returns.length
-  );
+  // Rebalancing - the trades, costs and turnover of the rebalance and rotate actions' orders
+  portfolio.rebalancing = null;
+  if (rebalanceActions.length > 0) {
+    const rebalanceIndexes = new Set(rebalanceActions.map(entry => entry.actionIndex));
+    const rebalanceTransactions = portfolio.transactions.filter(tx => rebalanceIndexes.has(tx.actionIndex));
+    const sumAmounts = (transactions, types) => transactions
+      .filter(tx => types.includes(tx.type))
+      .reduce((sum, tx) => sum + tx.amount, 0);
+    const sumCosts = transactions => transactions.reduce((sum, tx) => sum + (tx.costs ? tx.costs.total : 0), 0);
+    
+    portfolio.rebalancing = {
+      rebalances: rebalanceEvents.length,
+      skipped: rebalanceEvents.filter(event => event.orders === 0).length,
+      trades: rebalanceTransactions.length,
+      bought: sumAmounts(rebalanceTransactions, ['buy', 'cover_short']),
+      sold: sumAmounts(rebalanceTransactions, ['sell', 'short']),
+      costs: sumCosts(rebalanceTransactions),
+      turnover: metrics.calculateTurnover(portfolio.valueHistory, rebalanceTransactions),
+      history: rebalanceEvents.map(event => {
+        const eventTransactions = rebalanceTransactions.filter(tx => tx.signalDate === event.date && tx.actionIndex === event.actionIndex);
+        return {
+          date: event.date,
+          type: strategy.actions[event.actionIndex].type,
+          targets: event.targets,
+          scores: event.scores,
+          trades: eventTransactions.length,
+          bought: sumAmounts(eventTransactions, ['buy', 'cover_short']),
+          sold: sumAmounts(eventTransactions, ['sell', 'short']),
+          costs: sumCosts(eventTransactions)
+        };
+      })
+    };
+    console.log(`[REBALANCE] ${portfolio.rebalancing.rebalances} rebalances (${portfolio.rebalancing.skipped} within the bands), ${portfolio.rebalancing.trades} trades, bought $${portfolio.rebalancing.bought.toFixed(2)}, sold $${portfolio.rebalancing.sold.toFixed(2)}, costs $${portfolio.rebalancing.costs.toFixed(2)}, turnover ${formatMetric(portfolio.rebalancing.turnover, '%')} a year`);
+  }
   
-  portfolio.metrics.sharpeRatio = stdDeviation === 0 ? 0 : (avgReturn / stdDeviation) * Math.sqrt(252); // Annualized
+  // Compare the scheduled buys with investing the same dollars on the date of the first one
+  portfolio.dollarCostAveraging = null;
+  const scheduledBuys = portfolio.transactions.filter(tx =>
+    tx.type === 'buy' && actionSchedules.has(strategy.actions[tx.actionIndex]) && strategy.actions[tx.actionIndex].type === 'buy');
+  if (scheduledBuys.length > 0) {
+    const startDate = scheduledBuys[0].date;
+    const purchases = {}; // Symbol -> { purchases, invested, shares }
+    const prices = {}; // Symbol -> { start, end }
+    scheduledBuys.forEach(tx => {
+      const bought = purchases[tx.symbol] || (purchases[tx.symbol] = { purchases: 0, invested: 0, shares: 0 });
+      bought.purchases++;
+      bought.invested += tx.amount + (tx.costs ? tx.costs.commission : 0);
+      bought.shares += tx.quantity;
+      if (!prices[tx.symbol]) {
+        // A symbol without a bar on the first date is bought at its first scheduled fill
+        const startBar = barIndex[tx.symbol].get(startDate);
+        prices[tx.symbol] = { start: startBar ? startBar.close : tx.price, end: previousData[tx.symbol].close };
+      }
+    });
+    
+    portfolio.dollarCostAveraging = {
+      startDate,
+      endDate: tradingDates[tradingDates.length - 1],
+      purchases: scheduledBuys.length,
+      ...scheduling.compareWithLumpSum(purchases, prices)
+    };
+    const dca = portfolio.dollarCostAveraging;
+    console.log(`[SCHEDULE] ${dca.purchases} scheduled buys invested $${dca.invested.toFixed(2)} from ${startDate}: worth $${dca.dcaValue.toFixed(2)} (${dca.dcaReturn.toFixed(2)}%), against $${dca.lumpSumValue.toFixed(2)} (${dca.lumpSumReturn.toFixed(2)}%) invested at once`);
+  }
+  
+  if (portfolio.riskControls) {
+    console.log(`[RISK] ${portfolio.riskControls.circuitBreakerTrips} circuit breaker trips (${portfolio.riskControls.haltedDays} days halted, ${portfolio.riskControls.liquidations} positions closed), ${portfolio.riskControls.riskOffDays} risk-off days, ${portfolio.riskControls.scaledOrders} orders scaled, ${portfolio.riskControls.blockedOrders} blocked`);
+  }
+  
+  if (portfolio.constraints) {
+    console.log(`[CONSTRAINTS] ${portfolio.constraints.rejectedOrders} orders rejected, ${portfolio.constraints.trimmedOrders} trimmed: ${JSON.stringify(portfolio.constraints.byReason)}`);
+  }
   
   // Add the stock data to the portfolio results for charting
   portfolio._stockData = stockData;
@@ -1351,7 +2872,7 @@ function runBacktest(strategy, stockData) {
   const calculatedFinalValue = portfolio.cash + 
     Object.entries(portfolio.positions).reduce((total, [symbol, quantity]) => {
       const lastPrice = portfolio.transactions
-        .filter(tx => tx.symbol === symbol)
+        .filter(tx => tx.symbol === symbol && tx.type !== 'dividend' && tx.type !== 'dividend_charge')
         .slice(-1)[0]?.price || 0;
       return total + (quantity * lastPrice);
     }, 0);
@@ -1369,9 +2890,15 @@ function runBacktest(strategy, stockData) {
   // Add a consistency check status to the metrics
   portfolio.metrics.valuesConsistent = Math.abs(portfolioFinalValue - calculatedFinalValue) <= 0.01;
   
+  // Orders still waiting for a fill when the data ran out
+  portfolio.execution.openOrders = pendingOrders.length;
+  console.log(`[EXECUTION] ${portfolio.execution.model}: ${portfolio.execution.ordersQueued} orders queued, ${portfolio.execution.ordersFilled} filled, ${portfolio.execution.ordersExpired} expired, ${pendingOrders.length} open`);
+  
   return portfolio;
 }
 
 module.exports = {
-  runBacktest
+  runBacktest,
+  getRequiredLookback,
+  getWarmupCalendarDays
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Portfolio constraints checked before each fill
+ *
+ * strategy.constraints limits what the strategy's orders can add to the portfolio:
+ *   { maxPositions: 5, maxPositionWeight: 20, maxSectorWeight: 40, cooldownBars: 5, maxTradesPerDay: 3 }
+ * - maxPositions: most symbols held at once (long or short)
+ * - maxPositionWeight: largest position in percent of equity, by market value
+ * - maxSectorWeight: largest gross exposure to one sector in percent of equity, with
+ *   sectorLimits overriding it for named sectors, e.g. { Technology: 30 }. Sectors come from
+ *   the symbols' metadata (options.metadata of runBacktest); symbols without one aren't limited.
+ * - cooldownBars: trading days to wait after a position is closed before the symbol is entered again
+ * - maxTradesPerDay: most fills on one date, counting exits
+ * Only orders that open or add to a position are checked - orders that reduce or close one always
+ * go through, as do stop-loss, margin-call and end-of-day exits. An order that would break a
+ * weight limit is trimmed to the room left, and rejected if there's none - positions that grow past
+ * a limit with the price aren't sold down. Other breaches reject the order; a queued order stays
+ * queued and is checked again on its next bar.
+ */
+
+const CONSTRAINT_REASONS = ['max_trades_per_day', 'cooldown', 'max_positions', 'max_position_weight', 'max_sector_weight'];
+
+/**
+ * Resolve a strategy's constraint settings
+ * @param {object} constraints - strategy.constraints (see the module comment)
+ * @returns {object|null} Resolved settings, with null for each limit that isn't set, or null without any limits
+ */
+function resolveConstraintSettings(constraints) {
+  if (!constraints || typeof constraints !== 'object') return null;
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed <= 0 ? null : parsed;
+  };
+  const count = (value) => {
+    const parsed = number(value);
+    return parsed === null ? null : Math.max(1, Math.round(parsed));
+  };
+  
+  const sectorLimits = {};
+  Object.entries(constraints.sectorLimits || {}).forEach(([sector, limit]) => {
+    const parsed = parseFloat(limit);
+    if (!isNaN(parsed) && parsed >= 0) sectorLimits[sector] = parsed;
+  });
+  
+  const settings = {
+    maxPositions: count(constraints.maxPositions),
+    maxPositionWeight: number(constraints.maxPositionWeight),
+    maxSectorWeight: number(constraints.maxSectorWeight),
+    sectorLimits,
+    cooldownBars: count(constraints.cooldownBars),
+    maxTradesPerDay: count(constraints.maxTradesPerDay)
+  };
+  const hasLimits = Object.keys(sectorLimits).length > 0 ||
+    ['maxPositions', 'maxPositionWeight', 'maxSectorWeight', 'cooldownBars', 'maxTradesPerDay'].some(key => settings[key] !== null);
+  return hasLimits ? settings : null;
+}
+
+/**
+ * Whether an order opens or adds to a position, rather than only reducing or closing one
+ * @param {number} currentQuantity - Position before the fill (signed)
+ * @param {number} quantityAfter - Position after the fill (signed)
+ * @returns {boolean} True if the order opens, adds to or flips the position
+ */
+function addsToPosition(currentQuantity, quantityAfter) {
+  // Rounding can leave a closed position with a sliver of a share
+  const current = Math.abs(currentQuantity) > 1e-9 ? currentQuantity : 0;
+  return quantityAfter !== 0 && (current === 0 || quantityAfter * current < 0 || Math.abs(quantityAfter) > Math.abs(current));
+}
+
+/**
+ * Check an order against the constraints
+ * @param {object} settings - Resolved constraint settings
+ * @param {object} order - The order and the portfolio it's filling into:
+ *   symbol, currentQuantity and quantityAfter (signed, before and after the fill), price (of the
+ *   symbol), equity, positions (symbol -> quantity), prices (symbol -> price), sectors (symbol ->
+ *   sector), tradesToday (fills on the date so far) and barsSinceExit (trading days since the
+ *   symbol's position was last closed, or null if it never was)
+ * @returns {object} { quantityAfter, reason, message } - quantityAfter is the position the order may
+ *   fill to (0 change when rejected), reason is null if the order passed untouched
+ */
+function checkOrder(settings, order) {
+  const { symbol, price, equity } = order;
+  const requested = order.quantityAfter;
+  const result = { quantityAfter: requested, reason: null, message: null };
+  const reject = (reason, message) => ({ quantityAfter: order.currentQuantity, reason, message });
+  const isOpen = (quantity) => Math.abs(quantity) > 1e-9;
+  const currentQuantity = isOpen(order.currentQuantity) ? order.currentQuantity : 0;
+  
+  if (!addsToPosition(currentQuantity, requested)) return result;
+  const flips = requested * currentQuantity < 0;
+  
+  if (settings.maxTradesPerDay !== null && order.tradesToday >= settings.maxTradesPerDay) {
+    return reject('max_trades_per_day', `${order.tradesToday} trades already filled today (max ${settings.maxTradesPerDay})`);
+  }
+  if (settings.cooldownBars !== null && currentQuantity === 0 && order.barsSinceExit !== null && order.barsSinceExit < settings.cooldownBars) {
+    return reject('cooldown', `position closed ${order.barsSinceExit} trading days ago (cooldown ${settings.cooldownBars})`);
+  }
+  if (settings.maxPositions !== null && currentQuantity === 0) {
+    const openPositions = Object.keys(order.positions).filter(held => held !== symbol && isOpen(order.positions[held])).length;
+    if (openPositions >= settings.maxPositions) {
+      return reject('max_positions', `${openPositions} positions already open (max ${settings.maxPositions})`);
+    }
+  }
+  
+  // Weight limits cap the size of the position after the fill. A flip starts the new side from zero.
+  const sector = order.sectors?.[symbol];
+  const sectorLimit = sector !== undefined && settings.sectorLimits[sector] !== undefined ?
+    settings.sectorLimits[sector] : settings.maxSectorWeight;
+  const keptShares = flips ? 0 : Math.abs(currentQuantity);
+  let allowedShares = Math.abs(requested);
+  let limitReason = null;
+  let limitMessage = null;
+  
+  if (settings.maxPositionWeight !== null) {
+    const maxShares = equity > 0 && price > 0 ? (equity * settings.maxPositionWeight / 100) / price : 0;
+    if (maxShares < allowedShares) {
+      allowedShares = maxShares;
+      limitReason = 'max_position_weight';
+      limitMessage = `${symbol} would be over ${settings.maxPositionWeight}% of equity`;
+    }
+  }
+  if (sector !== undefined && sectorLimit !== null) {
+    const sectorValue = Object.keys(order.positions)
+      .filter(held => held !== symbol && order.sectors[held] === sector)
+      .reduce((sum, held) => sum + Math.abs(order.positions[held] * (order.prices[held] || 0)), 0);
+    const roomValue = equity * sectorLimit / 100 - sectorValue;
+    const maxShares = equity > 0 && price > 0 ? Math.max(0, roomValue) / price : 0;
+    if (maxShares < allowedShares) {
+      allowedShares = maxShares;
+      limitReason = 'max_sector_weight';
+      limitMessage = `${sector} would be over ${sectorLimit}% of equity ($${sectorValue.toFixed(2)} held in other symbols)`;
+    }
+  }
+  if (limitReason === null) return result;
+  
+  // Less than a dollar of room left isn't worth a fill
+  if ((allowedShares - keptShares) * price < 1) {
+    return reject(limitReason, limitMessage);
+  }
+  return {
+    quantityAfter: Math.sign(requested) * allowedShares,
+    reason: limitReason,
+    message: `${limitMessage} - trimmed from ${Math.abs(requested - currentQuantity).toFixed(4)} to ${Math.abs(Math.sign(requested) * allowedShares - currentQuantity).toFixed(4)} shares`
+  };
+}
+
+module.exports = {
+  CONSTRAINT_REASONS,
+  resolveConstraintSettings,
+  addsToPosition,
+  checkOrder
+};
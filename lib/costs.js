@@ -0,0 +1,217 @@
+/**
+ * Transaction cost models for simulated fills
+ *
+ * Costs are configured per strategy as:
+ *   costs: {
+ *     commission: { type: 'per_share', rate: 0.005, minimum: 1 },
+ *     spread: { type: 'tiered', tiers: [{ maxPrice: 1, percent: 2 }, { maxPrice: 5, percent: 0.5 }, { percent: 0.05 }] },
+ *     slippage: { type: 'volume', percentPerVolume: 0.1, maxPercent: 5 }
+ *   }
+ * Each entry may also be an array of models, whose costs are added together.
+ */
+
+/**
+ * Commission models - return a dollar fee charged on top of the fill
+ */
+const commissionModels = {
+  /**
+   * Fixed fee per share, with optional minimum and maximum per order
+   * @param {object} params - { rate, minimum, maximum }
+   * @param {object} order - { price, quantity }
+   * @returns {number} Commission in dollars
+   */
+  per_share: (params, order) => {
+    let fee = (params.rate || 0) * order.quantity;
+    if (params.minimum !== undefined) fee = Math.max(fee, params.minimum);
+    if (params.maximum !== undefined) fee = Math.min(fee, params.maximum);
+    return fee;
+  },
+  
+  /**
+   * Flat fee per order
+   * @param {object} params - { amount }
+   * @returns {number} Commission in dollars
+   */
+  per_trade: (params) => params.amount || 0,
+  
+  /**
+   * Percentage of the traded notional
+   * @param {object} params - { percent, minimum }
+   * @param {object} order - { price, quantity }
+   * @returns {number} Commission in dollars
+   */
+  percentage: (params, order) => {
+    const fee = ((params.percent || 0) / 100) * order.price * order.quantity;
+    return params.minimum !== undefined ? Math.max(fee, params.minimum) : fee;
+  }
+};
+
+/**
+ * Spread models - return the full bid/ask spread in percent of price.
+ * Half of the spread is paid on each fill.
+ */
+const spreadModels = {
+  /**
+   * Same spread at every price
+   * @param {object} params - { percent }
+   * @returns {number} Spread in percent
+   */
+  fixed: (params) => params.percent || 0,
+  
+  /**
+   * Spread that depends on the price tier (cheap stocks have wider spreads).
+   * Tiers are checked in order and the first with price <= maxPrice wins;
+   * a tier without maxPrice matches every price.
+   * @param {object} params - { tiers: [{ maxPrice, percent }] }
+   * @param {object} order - { price }
+   * @returns {number} Spread in percent
+   */
+  tiered: (params, order) => {
+    const tiers = Array.isArray(params.tiers) ? params.tiers : [];
+    const tier = tiers.find(t => t.maxPrice === undefined || order.price <= t.maxPrice);
+    return tier ? tier.percent || 0 : 0;
+  }
+};
+
+/**
+ * Slippage models - return the adverse price move in percent of price
+ */
+const slippageModels = {
+  /**
+   * Same slippage on every fill
+   * @param {object} params - { percent }
+   * @returns {number} Slippage in percent
+   */
+  fixed: (params) => params.percent || 0,
+  
+  /**
+   * Slippage proportional to the share of the bar's volume the order takes.
+   * A bar without volume (missing or 0 - often a data gap rather than a day without trading)
+   * is charged fallbackPercent, like the fixed model, and reported through warn.
+   * @param {object} params - { percentPerVolume: slippage % per 1% of volume, maxPercent, fallbackPercent }
+   * @param {object} order - { quantity, volume }
+   * @param {Function} warn - Records a warning about the fill
+   * @returns {number} Slippage in percent
+   */
+  volume: (params, order, warn) => {
+    const maxPercent = params.maxPercent !== undefined ? params.maxPercent : 5;
+    if (!order.volume || order.volume <= 0) {
+      warn('no volume for volume-based slippage');
+      return Math.min(params.fallbackPercent || 0, maxPercent);
+    }
+    
+    const participation = (order.quantity / order.volume) * 100;
+    return Math.min(participation * (params.percentPerVolume || 0), maxPercent);
+  }
+};
+
+const costModels = {
+  commission: commissionModels,
+  spread: spreadModels,
+  slippage: slippageModels
+};
+
+/**
+ * Register a custom cost model
+ * @param {string} kind - 'commission', 'spread' or 'slippage'
+ * @param {string} type - Model name referenced by the strategy's cost settings
+ * @param {Function} model - (params, order, warn) => dollars (commission) or percent (spread/slippage);
+ *   warn(message) records a warning about the fill
+ */
+function registerCostModel(kind, type, model) {
+  if (!costModels[kind]) {
+    throw new Error(`Unknown cost model kind: ${kind}`);
+  }
+  costModels[kind][type] = model;
+}
+
+/**
+ * Sum the output of the configured models of one kind
+ * @param {string} kind - 'commission', 'spread' or 'slippage'
+ * @param {object|Array} settings - Model settings (or array of them)
+ * @param {object} order - Order details
+ * @param {Array} warnings - Collects the models' warnings about the fill
+ * @returns {number} Combined model output
+ */
+function evaluateModels(kind, settings, order, warnings) {
+  if (!settings) return 0;
+  
+  // Entries that aren't model objects (null, a bare number) can't name a model, so skip them
+  const list = (Array.isArray(settings) ? settings : [settings])
+    .filter(modelSettings => modelSettings && typeof modelSettings === 'object');
+  const warn = (message) => {
+    if (!warnings.includes(message)) warnings.push(message);
+  };
+  return list.reduce((total, modelSettings) => {
+    const model = costModels[kind][modelSettings.type];
+    if (!model) {
+      console.log(`[COSTS] Unknown ${kind} model: ${modelSettings.type}, ignoring`);
+      return total;
+    }
+    const value = model(modelSettings, order, warn);
+    return total + (isNaN(value) ? 0 : value);
+  }, 0);
+}
+
+/**
+ * Check whether a strategy has any cost models configured
+ * @param {object} costSettings - Strategy cost settings
+ * @returns {boolean} True if at least one cost model is set
+ */
+function hasCosts(costSettings) {
+  return !!(costSettings && (costSettings.commission || costSettings.spread || costSettings.slippage));
+}
+
+/**
+ * Calculate the fill price and costs of a simulated order
+ * @param {object} costSettings - Strategy cost settings ({ commission, spread, slippage })
+ * @param {object} order - Order details
+ * @param {string} order.side - 'buy' (buy/cover) or 'sell' (sell/short)
+ * @param {number} order.price - Reference price before costs
+ * @param {number} order.quantity - Number of shares
+ * @param {number} order.volume - Bar volume (for volume-based slippage)
+ * @returns {object} { fillPrice, commission, spread, slippage, total, warnings } with costs in dollars
+ *   and warnings the models' messages about the fill
+ */
+function calculateFillCosts(costSettings, order) {
+  const result = {
+    fillPrice: order.price,
+    commission: 0,
+    spread: 0,
+    slippage: 0,
+    total: 0,
+    warnings: []
+  };
+  
+  if (!hasCosts(costSettings) || !(order.quantity > 0) || !(order.price > 0)) {
+    return result;
+  }
+  
+  const spreadPercent = evaluateModels('spread', costSettings.spread, order, result.warnings);
+  const slippagePercent = evaluateModels('slippage', costSettings.slippage, order, result.warnings);
+  const direction = order.side === 'buy' ? 1 : -1;
+  
+  // Pay half the spread, plus slippage, in the direction that hurts the trade
+  const halfSpreadPerShare = order.price * (spreadPercent / 100) / 2;
+  const slippagePerShare = order.price * (slippagePercent / 100);
+  
+  result.fillPrice = Math.max(0, order.price + direction * (halfSpreadPerShare + slippagePerShare));
+  result.spread = halfSpreadPerShare * order.quantity;
+  result.slippage = slippagePerShare * order.quantity;
+  result.commission = evaluateModels('commission', costSettings.commission, {
+    ...order,
+    price: result.fillPrice
+  }, result.warnings);
+  result.total = result.commission + result.spread + result.slippage;
+  
+  console.log(`[COSTS] ${order.side.toUpperCase()} ${order.quantity.toFixed(4)} @ $${order.price.toFixed(4)} -> fill $${result.fillPrice.toFixed(4)}, commission $${result.commission.toFixed(2)}, spread $${result.spread.toFixed(2)}, slippage $${result.slippage.toFixed(2)}${result.warnings.length > 0 ? ` (${result.warnings.join(', ')})` : ''}`);
+  
+  return result;
+}
+
+module.exports = {
+  calculateFillCosts,
+  registerCostModel,
+  hasCosts,
+  costModels
+};
@@ -0,0 +1,99 @@
+/**
+ * Downsampling of chart series for the results payload
+ *
+ * The backtest always runs on full-resolution bars; only the series sent to the
+ * dashboard for charting are thinned. Largest-Triangle-Three-Buckets (LTTB) keeps
+ * the points that shape the line (peaks, troughs, turns) rather than every Nth bar.
+ */
+
+/**
+ * Pick the indexes of the points LTTB keeps
+ * @param {Array} values - Y values, oldest to newest (points are evenly spaced on x)
+ * @param {number} threshold - Number of points to keep (at least 3)
+ * @returns {Array} Sorted indexes of the kept points
+ */
+function selectLTTBIndexes(values, threshold) {
+  const length = values.length;
+  if (threshold >= length || threshold < 3) {
+    return values.map((_, index) => index);
+  }
+  
+  const indexes = [0];
+  // The first and last points are always kept; the rest are split into buckets
+  const bucketSize = (length - 2) / (threshold - 2);
+  let previousIndex = 0;
+  
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, length);
+    let averageX = 0;
+    let averageY = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      averageX += i;
+      averageY += values[i];
+    }
+    const nextCount = Math.max(1, nextEnd - nextStart);
+    averageX /= nextCount;
+    averageY /= nextCount;
+    
+    // Keep the point of this bucket that forms the largest triangle
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let selected = start;
+    for (let i = start; i < end; i++) {
+      const area = Math.abs(
+        (previousIndex - averageX) * (values[i] - values[previousIndex]) -
+        (previousIndex - i) * (averageY - values[previousIndex])
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        selected = i;
+      }
+    }
+    
+    indexes.push(selected);
+    previousIndex = selected;
+  }
+  
+  indexes.push(length - 1);
+  return indexes;
+}
+
+/**
+ * Downsample a chart series with LTTB
+ * @param {Array} points - Series points, oldest to newest
+ * @param {number} maxPoints - Number of points to reduce the series to
+ * @param {object} options - Downsampling options
+ * @param {Function} options.value - (point) => y value the line is drawn from
+ * @param {Function} options.keep - Optional (point, index, points) => true for points that must
+ *   be kept (e.g. transaction dates); they count towards maxPoints, but are kept even if
+ *   there are more of them than that
+ * @returns {Array} Downsampled points, oldest to newest (the input if already short enough)
+ */
+function downsampleSeries(points, maxPoints, options) {
+  if (!Array.isArray(points) || points.length <= maxPoints) {
+    return points;
+  }
+  
+  const keptIndexes = options.keep ?
+    points.map((point, index) => options.keep(point, index, points) ? index : -1).filter(index => index >= 0) :
+    [];
+  
+  // Forced points come out of the budget, but LTTB always gets at least 3 points
+  const budget = Math.max(3, maxPoints - keptIndexes.length);
+  const values = points.map(point => {
+    const value = options.value(point);
+    return typeof value === 'number' && !isNaN(value) ? value : 0;
+  });
+  
+  const selected = new Set(selectLTTBIndexes(values, budget));
+  keptIndexes.forEach(index => selected.add(index));
+  
+  return Array.from(selected).sort((a, b) => a - b).map(index => points[index]);
+}
+
+module.exports = {
+  downsampleSeries
+};
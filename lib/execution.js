@@ -0,0 +1,113 @@
+/**
+ * Execution model and order types for simulated fills
+ *
+ * Signals are computed on a bar's close. The execution model sets when market
+ * orders from those signals fill:
+ *   execution: { model: 'same_bar_close' | 'next_bar_open' | 'next_bar_vwap' }
+ * - same_bar_close: at the signal bar's close (the original behaviour - it assumes
+ *   the close can still be traded after it's known)
+ * - next_bar_open: at the open of the symbol's next bar
+ * - next_bar_vwap: at the next bar's typical price (high + low + close) / 3, an
+ *   approximation of its VWAP from daily OHLC data
+ *
+ * Actions can also place limit and stop orders, priced from the signal bar's close:
+ *   order: { type: 'limit', offsetPercent: -2, expiresAfter: 5 }
+ * These always queue and are checked against later bars' open, high and low:
+ * - A buy limit fills when the price drops to the limit; a sell limit when it rises to it.
+ * - A buy stop fills when the price rises to the stop; a sell stop when it drops to it.
+ * - If the bar opens through the level, the order fills at the open.
+ * Unfilled orders are cancelled after 'expiresAfter' of the symbol's bars (default 1).
+ */
+
+const EXECUTION_MODELS = ['same_bar_close', 'next_bar_open', 'next_bar_vwap'];
+const ORDER_TYPES = ['market', 'limit', 'stop'];
+
+/**
+ * Resolve the strategy's execution settings, applying defaults
+ * @param {object} execution - { model }
+ * @returns {object} { model }
+ */
+function resolveExecutionSettings(execution) {
+  const model = execution && EXECUTION_MODELS.includes(execution.model) ? execution.model : 'same_bar_close';
+  if (execution && execution.model && model !== execution.model) {
+    console.log(`[EXECUTION] Unknown execution model: ${execution.model}, using ${model}`);
+  }
+  return { model };
+}
+
+/**
+ * Resolve an action's order settings, applying defaults
+ * @param {object} order - { type, offsetPercent, price, expiresAfter }
+ * @returns {object} Resolved order settings
+ */
+function resolveOrderSettings(order) {
+  const settings = order || {};
+  const type = ORDER_TYPES.includes(settings.type) ? settings.type : 'market';
+  const offsetPercent = parseFloat(settings.offsetPercent);
+  const price = parseFloat(settings.price);
+  const expiresAfter = parseInt(settings.expiresAfter);
+  
+  return {
+    type,
+    offsetPercent: isNaN(offsetPercent) ? 0 : offsetPercent,
+    price: isNaN(price) || price <= 0 ? null : price,
+    expiresAfter: isNaN(expiresAfter) || expiresAfter < 1 ? 1 : expiresAfter
+  };
+}
+
+/**
+ * Check whether an order fills on the signal bar itself
+ * @param {string} model - Execution model
+ * @param {object} orderSettings - Resolved order settings
+ * @returns {boolean} True for market orders under the same-bar-close model
+ */
+function fillsOnSignalBar(model, orderSettings) {
+  return model === 'same_bar_close' && orderSettings.type === 'market';
+}
+
+/**
+ * Limit or stop price of an order placed on a signal bar
+ * @param {object} orderSettings - Resolved order settings
+ * @param {number} signalPrice - Close of the signal bar
+ * @returns {number|null} Order price, or null for market orders
+ */
+function getOrderPrice(orderSettings, signalPrice) {
+  if (orderSettings.type === 'market') return null;
+  return orderSettings.price || signalPrice * (1 + orderSettings.offsetPercent / 100);
+}
+
+/**
+ * Work out whether and where a queued order fills on a bar
+ * @param {object} order - Queued order { side: 'buy'|'sell', orderType, price }
+ * @param {object} bar - Price bar with open, high, low and close
+ * @param {string} model - Execution model (sets the market order fill)
+ * @returns {number|null} Fill price before costs, or null if the order doesn't fill
+ */
+function getFillPrice(order, bar, model) {
+  const open = bar.open || bar.close;
+  const high = bar.high || Math.max(open, bar.close);
+  const low = bar.low || Math.min(open, bar.close);
+  
+  if (order.orderType === 'market') {
+    return model === 'next_bar_vwap' ? (high + low + bar.close) / 3 : open;
+  }
+  
+  // A buy limit and a sell stop need the price to come down to the level; a sell
+  // limit and a buy stop need it to go up to it
+  const fillsBelow = (order.orderType === 'limit') === (order.side === 'buy');
+  if (fillsBelow) {
+    if (open <= order.price) return open;
+    return low <= order.price ? order.price : null;
+  }
+  if (open >= order.price) return open;
+  return high >= order.price ? order.price : null;
+}
+
+module.exports = {
+  EXECUTION_MODELS,
+  resolveExecutionSettings,
+  resolveOrderSettings,
+  fillsOnSignalBar,
+  getOrderPrice,
+  getFillPrice
+};
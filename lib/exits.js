@@ -0,0 +1,207 @@
+/**
+ * Protective exit rules (stop-loss, take-profit, trailing stop) and time-based exits for open positions
+ *
+ * Rules are set on the action that opens the position or for the whole strategy. Price
+ * rules are percentages of the entry price:
+ *   exits: { stopLoss: 8, takeProfit: 20, trailingStop: 10 }
+ *
+ * Time rules close the whole position, long or short, at a bar's close:
+ *   exits: { holdBars: 10, maxHoldingDays: 30, exitAt: 'month_end' }
+ * - holdBars: on the Nth of the symbol's bars after the entry bar (0 closes it on the entry
+ *   bar - how day trades are closed at the end of the day)
+ * - maxHoldingDays: on the first bar at least N calendar days after the entry
+ * - exitAt: on the last trading date of the week, month, quarter or year ('week_end',
+ *   'month_end', 'quarter_end', 'year_end') - a position opened on that date is held to the
+ *   end of the next one
+ * Holding periods count from the position's first entry; adding to it doesn't restart them.
+ *
+ * Levels are checked intrabar against each bar's open, high and low:
+ * - If the bar opens through a level (a gap), the exit fills at the open.
+ * - Otherwise a level touched by the bar's range fills at the level itself.
+ * - If the same bar reaches both the stop and the take-profit level, the bar's
+ *   path can't be known from OHLC data, so the stop is assumed to have been hit
+ *   first (the conservative choice).
+ * - The trailing stop only trails the extremes of completed bars; the current
+ *   bar's high (or low for shorts) is applied after the bar is checked.
+ */
+
+/**
+ * Calendar periods a time exit can close positions at the end of, and the period each one spans
+ */
+const PERIOD_END_EXITS = {
+  week_end: 'weekly',
+  month_end: 'monthly',
+  quarter_end: 'quarterly',
+  year_end: 'yearly'
+};
+
+/**
+ * Resolve exit rules, dropping rules that aren't set
+ * @param {object} rules - { stopLoss, takeProfit, trailingStop } in percent, and { holdBars, maxHoldingDays, exitAt }
+ * @returns {object|null} Resolved rules, or null if none are set
+ */
+function resolveExitRules(rules) {
+  if (!rules || typeof rules !== 'object') return null;
+  
+  const resolved = {};
+  ['stopLoss', 'takeProfit', 'trailingStop', 'maxHoldingDays'].forEach(key => {
+    const value = parseFloat(rules[key]);
+    if (!isNaN(value) && value > 0) {
+      resolved[key] = value;
+    }
+  });
+  
+  const holdBars = parseInt(rules.holdBars);
+  if (!isNaN(holdBars) && holdBars >= 0) {
+    resolved.holdBars = holdBars;
+  }
+  if (PERIOD_END_EXITS[rules.exitAt]) {
+    resolved.exitAt = rules.exitAt;
+  }
+  
+  return Object.keys(resolved).length > 0 ? resolved : null;
+}
+
+/**
+ * Create the exit tracking state for a newly opened position
+ * @param {object} rules - Resolved exit rules
+ * @param {string} side - 'long' or 'short'
+ * @param {number} entryPrice - Average entry price of the position
+ * @param {string} entryDate - Date the position was opened
+ * @returns {object} Exit state
+ */
+function createExitState(rules, side, entryPrice, entryDate) {
+  return {
+    rules,
+    side,
+    entryPrice,
+    entryDate,
+    // Best price seen since entry - highest for longs, lowest for shorts
+    extremePrice: entryPrice,
+    // Bars completed since the entry bar
+    barsHeld: 0
+  };
+}
+
+/**
+ * Calculate the current exit levels of a position
+ * @param {object} state - Exit state
+ * @returns {object} { stopPrice, stopReason, targetPrice } (null when a rule isn't set)
+ */
+function getExitLevels(state) {
+  const { rules, side, entryPrice, extremePrice } = state;
+  const direction = side === 'long' ? 1 : -1;
+  
+  let stopPrice = null;
+  let stopReason = null;
+  
+  if (rules.stopLoss) {
+    stopPrice = entryPrice * (1 - direction * rules.stopLoss / 100);
+    stopReason = 'stop_loss';
+  }
+  
+  if (rules.trailingStop) {
+    const trailPrice = extremePrice * (1 - direction * rules.trailingStop / 100);
+    // Use whichever stop is tighter (higher for longs, lower for shorts)
+    if (stopPrice === null || direction * trailPrice > direction * stopPrice) {
+      stopPrice = trailPrice;
+      stopReason = 'trailing_stop';
+    }
+  }
+  
+  const targetPrice = rules.takeProfit ? entryPrice * (1 + direction * rules.takeProfit / 100) : null;
+  
+  return { stopPrice, stopReason, targetPrice };
+}
+
+/**
+ * Check whether a bar triggers one of the position's exit rules
+ * @param {object} state - Exit state
+ * @param {object} bar - Price bar with open, high, low and close
+ * @returns {object|null} { reason, price, level } for the triggered exit, or null
+ */
+function checkExitTriggers(state, bar) {
+  const { stopPrice, stopReason, targetPrice } = getExitLevels(state);
+  const direction = state.side === 'long' ? 1 : -1;
+  
+  const open = bar.open || bar.close;
+  const high = bar.high || Math.max(open, bar.close);
+  const low = bar.low || Math.min(open, bar.close);
+  
+  // Adverse and favourable extremes of the bar from the position's point of view
+  const worstPrice = direction === 1 ? low : high;
+  const bestPrice = direction === 1 ? high : low;
+  
+  const stopHit = stopPrice !== null && direction * worstPrice <= direction * stopPrice;
+  const targetHit = targetPrice !== null && direction * bestPrice >= direction * targetPrice;
+  
+  // The open is the only price whose timing is known, so gaps through a level fill there first
+  if (stopHit && direction * open <= direction * stopPrice) {
+    return { reason: stopReason, price: open, level: stopPrice };
+  }
+  if (targetHit && direction * open >= direction * targetPrice) {
+    return { reason: 'take_profit', price: open, level: targetPrice };
+  }
+  
+  // Both levels inside the bar's range - assume the stop was hit first
+  if (stopHit) {
+    return { reason: stopReason, price: stopPrice, level: stopPrice };
+  }
+  if (targetHit) {
+    return { reason: 'take_profit', price: targetPrice, level: targetPrice };
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a position's time rules close it at a bar's close
+ * @param {object} state - Exit state
+ * @param {string} date - Date of the bar (YYYY-MM-DD)
+ * @param {object} periodEnds - Frequency ('weekly', 'monthly', 'quarterly', 'yearly') -> whether the date
+ *   is the last trading date of its period
+ * @returns {object|null} { reason, detail } for the time exit that's due, or null
+ */
+function checkTimeExit(state, date, periodEnds) {
+  const { rules } = state;
+  
+  if (rules.holdBars !== undefined && state.barsHeld >= rules.holdBars) {
+    return { reason: 'hold_period', detail: `held ${state.barsHeld} of ${rules.holdBars} bars` };
+  }
+  if (rules.maxHoldingDays) {
+    const daysHeld = Math.round((new Date(date) - new Date(state.entryDate)) / (1000 * 60 * 60 * 24));
+    if (daysHeld >= rules.maxHoldingDays) {
+      return { reason: 'max_holding', detail: `held ${daysHeld} days, max ${rules.maxHoldingDays}` };
+    }
+  }
+  if (rules.exitAt && state.entryDate !== date && periodEnds[PERIOD_END_EXITS[rules.exitAt]]) {
+    return { reason: 'period_end', detail: `last trading day of the ${rules.exitAt.replace('_end', '')}` };
+  }
+  
+  return null;
+}
+
+/**
+ * Carry the bar's favourable extreme into the trailing stop once the bar is complete, and count it
+ * towards the holding period
+ * @param {object} state - Exit state
+ * @param {object} bar - Completed price bar
+ */
+function updateExitState(state, bar) {
+  state.barsHeld++;
+  if (state.side === 'long') {
+    state.extremePrice = Math.max(state.extremePrice, bar.high || bar.close);
+  } else {
+    state.extremePrice = Math.min(state.extremePrice, bar.low || bar.close);
+  }
+}
+
+module.exports = {
+  PERIOD_END_EXITS,
+  resolveExitRules,
+  createExitState,
+  getExitLevels,
+  checkExitTriggers,
+  checkTimeExit,
+  updateExitState
+};
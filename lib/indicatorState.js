@@ -0,0 +1,392 @@
+/**
+ * Incrementally updated indicator state for the backtest engine
+ *
+ * The functions in lib/indicators.js recompute an indicator over the whole price
+ * history, which repeats almost all of the work on every bar of a backtest. An
+ * indicator state keeps the running values (Wilder averages, EMAs, rolling sums)
+ * and updates them one bar at a time:
+ *   const state = createIndicatorState(condition);
+ *   state.push(bar);          // a new bar
+ *   state.replaceLast(bar);   // the last bar changed (weekly/monthly bar in progress)
+ *   state.read(condition);    // current value, as checkTechnicalCondition expects it
+ *
+ * Values match lib/indicators.js run over every bar pushed so far. Indicators
+ * without a state here (gaps, patterns, mean reversion) are still computed from
+ * the price history.
+ */
+
+/**
+ * Advance an EMA seeded with the simple average of its first 'period' values
+ * @param {object} prev - Previous EMA state { count, sum, value }
+ * @param {number} input - New input value
+ * @param {number} period - EMA period
+ * @returns {object} New EMA state
+ */
+function nextEMA(prev, input, period) {
+  const count = prev.count + 1;
+  if (count < period) {
+    return { count, sum: prev.sum + input, value: NaN };
+  }
+  if (count === period) {
+    return { count, sum: prev.sum + input, value: (prev.sum + input) / period };
+  }
+  return { count, sum: prev.sum, value: (input - prev.value) * (2 / (period + 1)) + prev.value };
+}
+
+const EMPTY_EMA = { count: 0, sum: 0, value: NaN };
+
+/**
+ * Indicator definitions. Each has:
+ * - bars(params): number of recent bars step() needs to see
+ * - initial: state before the first bar
+ * - step(prev, bars, params): state after the newest bar in 'bars' (must not modify prev)
+ */
+const definitions = {
+  rsi: {
+    bars: () => 2,
+    initial: { count: 0, gainSum: 0, lossSum: 0, avgGain: NaN, avgLoss: NaN, value: NaN },
+    step: (prev, bars, params) => {
+      const period = params.period || 14;
+      const state = { ...prev, count: prev.count + 1, value: NaN };
+      if (state.count === 1) return state;
+      
+      const change = bars[bars.length - 1].close - bars[bars.length - 2].close;
+      const gain = change > 0 ? change : 0;
+      const loss = change < 0 ? Math.abs(change) : 0;
+      
+      if (state.count <= period + 1) {
+        // The first average is a simple mean of the first 'period' changes
+        state.gainSum += gain;
+        state.lossSum += loss;
+        if (state.count < period + 1) return state;
+        state.avgGain = state.gainSum / period;
+        state.avgLoss = state.lossSum / period;
+      } else {
+        // Wilder's smoothing
+        state.avgGain = ((prev.avgGain * (period - 1)) + gain) / period;
+        state.avgLoss = ((prev.avgLoss * (period - 1)) + loss) / period;
+      }
+      
+      const rs = state.avgGain / (state.avgLoss === 0 ? 0.001 : state.avgLoss);
+      state.value = 100 - (100 / (1 + rs));
+      return state;
+    }
+  },
+  
+  macd: {
+    bars: () => 1,
+    initial: { fast: EMPTY_EMA, slow: EMPTY_EMA, signal: EMPTY_EMA, value: { macd: NaN, signal: NaN, histogram: NaN } },
+    step: (prev, bars, params) => {
+      const close = bars[bars.length - 1].close;
+      const fast = nextEMA(prev.fast, close, params.fastPeriod || 12);
+      const slow = nextEMA(prev.slow, close, params.slowPeriod || 26);
+      const macd = fast.value - slow.value;
+      
+      // The signal line is an EMA of the MACD line from its first defined value
+      const signal = isNaN(macd) ? prev.signal : nextEMA(prev.signal, macd, params.signalPeriod || 9);
+      const signalValue = isNaN(macd) ? NaN : signal.value;
+      
+      return {
+        fast,
+        slow,
+        signal,
+        value: { macd, signal: signalValue, histogram: macd - signalValue }
+      };
+    }
+  },
+  
+  ma_relative: {
+    bars: (params) => (params.period || 20) + 1,
+    initial: { count: 0, sum: 0, value: NaN },
+    step: (prev, bars, params) => {
+      const period = params.period || 20;
+      const close = bars[bars.length - 1].close;
+      const count = prev.count + 1;
+      
+      // Rolling sum over the last 'period' closes
+      let sum = prev.sum + close;
+      if (count > period) sum -= bars[bars.length - 1 - period].close;
+      
+      const ma = sum / period;
+      return { count, sum, value: count >= period ? ((close - ma) / ma) * 100 : NaN };
+    }
+  },
+  
+  bbands: {
+    bars: (params) => (params.period || 20) + 1,
+    initial: { count: 0, sum: 0, sumSquares: 0, value: { upper: NaN, middle: NaN, lower: NaN, width: NaN } },
+    step: (prev, bars, params) => {
+      const period = params.period || 20;
+      const multiplier = params.multiplier || 2;
+      const close = bars[bars.length - 1].close;
+      const count = prev.count + 1;
+      
+      let sum = prev.sum + close;
+      let sumSquares = prev.sumSquares + close * close;
+      if (count > period) {
+        const dropped = bars[bars.length - 1 - period].close;
+        sum -= dropped;
+        sumSquares -= dropped * dropped;
+      }
+      
+      if (count < period) {
+        return { count, sum, sumSquares, value: prev.value };
+      }
+      
+      const middle = sum / period;
+      // Population standard deviation; clamp rounding error in the rolling sums
+      const stdDev = Math.sqrt(Math.max(0, sumSquares / period - middle * middle));
+      const upper = middle + multiplier * stdDev;
+      const lower = middle - multiplier * stdDev;
+      
+      return {
+        count,
+        sum,
+        sumSquares,
+        value: { upper, middle, lower, width: ((upper - lower) / middle) * 100 }
+      };
+    }
+  },
+  
+  atr: {
+    bars: () => 2,
+    initial: { count: 0, trSum: 0, value: NaN },
+    step: (prev, bars, params) => {
+      const period = params.period || 14;
+      const count = prev.count + 1;
+      if (count === 1) return { count, trSum: 0, value: NaN };
+      
+      const bar = bars[bars.length - 1];
+      const prevClose = bars[bars.length - 2].close;
+      const trueRange = Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+      
+      if (count <= period + 1) {
+        // The first ATR is a simple mean of the first 'period' true ranges
+        const trSum = prev.trSum + trueRange;
+        return { count, trSum, value: count === period + 1 ? trSum / period : NaN };
+      }
+      return { count, trSum: prev.trSum, value: ((prev.value * (period - 1)) + trueRange) / period };
+    }
+  },
+  
+  mfi: {
+    bars: (params) => (params.period || 14) + 1,
+    initial: { count: 0, value: NaN },
+    step: (prev, bars, params) => {
+      const period = params.period || 14;
+      const count = prev.count + 1;
+      if (count <= period) return { count, value: NaN };
+      
+      // Money flow of the last 'period' bars (short window, so summed directly)
+      const typicalPrice = bar => (bar.high + bar.low + bar.close) / 3;
+      let positiveFlow = 0;
+      let negativeFlow = 0;
+      for (let j = bars.length - period; j < bars.length; j++) {
+        const tp = typicalPrice(bars[j]);
+        const prevTp = typicalPrice(bars[j - 1]);
+        if (tp > prevTp) {
+          positiveFlow += tp * bars[j].volume;
+        } else if (tp < prevTp) {
+          negativeFlow += tp * bars[j].volume;
+        }
+      }
+      
+      return { count, value: negativeFlow === 0 ? 100 : 100 - (100 / (1 + positiveFlow / negativeFlow)) };
+    }
+  },
+  
+  obv: {
+    bars: () => 2,
+    initial: { count: 0, value: NaN },
+    step: (prev, bars) => {
+      const count = prev.count + 1;
+      if (count === 1) return { count, value: 0 };
+      
+      const bar = bars[bars.length - 1];
+      const prevClose = bars[bars.length - 2].close;
+      let value = prev.value;
+      if (bar.close > prevClose) {
+        value += bar.volume;
+      } else if (bar.close < prevClose) {
+        value -= bar.volume;
+      }
+      return { count, value };
+    }
+  },
+  
+  volume_change: {
+    bars: () => 2,
+    initial: { count: 0, value: NaN },
+    step: (prev) => ({ count: prev.count + 1, value: NaN })
+  }
+};
+
+// Keys are looked up on every bar, so they're cached per condition object
+const indicatorKeys = new WeakMap();
+
+/**
+ * Key identifying the indicator state a technical condition reads
+ * @param {object} condition - Technical indicator condition
+ * @returns {string} State key
+ */
+function getIndicatorKey(condition) {
+  let key = indicatorKeys.get(condition);
+  if (key === undefined) {
+    key = `${condition.indicator}:${JSON.stringify(condition.params || {})}`;
+    indicatorKeys.set(condition, key);
+  }
+  return key;
+}
+
+/**
+ * Create the incremental state for a technical indicator condition
+ * @param {object} condition - Technical indicator condition
+ * @returns {object|null} Indicator state, or null if the indicator has no incremental form
+ */
+function createIndicatorState(condition) {
+  const definition = definitions[condition.indicator];
+  if (!definition) return null;
+  
+  const params = condition.params || {};
+  const barsNeeded = definition.bars(params);
+  // States kept for crossovers and lookback changes (plus one so replaceLast can step back)
+  const statesNeeded = Math.max(2, (params.lookback || 5) + 2, (params.period || 14) + 2);
+  
+  const bars = [];   // Recent bars, oldest to newest
+  const states = []; // State after each recent bar, oldest to newest
+  
+  const advance = () => {
+    const prev = states.length > 0 ? states[states.length - 1] : definition.initial;
+    states.push(definition.step(prev, bars, params));
+    if (states.length > statesNeeded) states.shift();
+  };
+  
+  // Value 'offset' bars before the newest one (undefined if not kept or not yet seen)
+  const valueAt = (offset = 0) => {
+    const state = states[states.length - 1 - offset];
+    return state ? state.value : undefined;
+  };
+  
+  const barAt = (offset = 0) => bars[bars.length - 1 - offset];
+  
+  return {
+    /**
+     * Add a new bar
+     * @param {object} bar - Price bar with open, high, low, close and volume
+     */
+    push(bar) {
+      bars.push(bar);
+      if (bars.length > barsNeeded) bars.shift();
+      advance();
+    },
+    
+    /**
+     * Replace the newest bar (a weekly or monthly bar still in progress)
+     * @param {object} bar - Updated price bar
+     */
+    replaceLast(bar) {
+      if (bars.length === 0) {
+        this.push(bar);
+        return;
+      }
+      bars[bars.length - 1] = bar;
+      states.pop();
+      advance();
+    },
+    
+    /**
+     * Read the indicator value for a condition, the way checkTechnicalCondition reads it
+     * from the full indicator arrays
+     * @param {object} condition - Technical indicator condition with the same params
+     * @returns {number|null|undefined} Indicator value, null when unavailable,
+     *   or undefined if this value type has to be computed from the price history
+     */
+    read(condition) {
+      const readParams = condition.params || {};
+      const valueType = readParams.valueType;
+      const current = valueAt(0);
+      if (current === undefined) return null;
+      
+      switch (condition.indicator) {
+        case 'rsi':
+        case 'mfi':
+          return current;
+        case 'macd': {
+          const macdValueType = valueType || 'histogram';
+          if (macdValueType === 'crossover') {
+            const previous = valueAt(1);
+            if (!previous || isNaN(current.histogram) || isNaN(previous.histogram)) return null;
+            if (readParams.direction === 'bullish') return (previous.histogram < 0 && current.histogram > 0) ? 1 : 0;
+            if (readParams.direction === 'bearish') return (previous.histogram > 0 && current.histogram < 0) ? 1 : 0;
+            return null;
+          }
+          const key = macdValueType === 'line' ? 'macd' : macdValueType;
+          return current[key] !== undefined ? current[key] : null;
+        }
+        case 'ma_relative': {
+          if (valueType === 'crossover' && (readParams.direction === 'bullish' || readParams.direction === 'bearish')) {
+            const previous = valueAt(1);
+            let crossover = 0;
+            if (previous !== undefined && !isNaN(current) && !isNaN(previous)) {
+              if (previous < 0 && current >= 0) crossover = 1;
+              else if (previous > 0 && current <= 0) crossover = -1;
+            }
+            return crossover === (readParams.direction === 'bullish' ? 1 : -1) ? 1 : 0;
+          }
+          return current;
+        }
+        case 'bbands': {
+          const bandValueType = valueType || 'percent_b';
+          if (bandValueType === 'upper' || bandValueType === 'lower' || bandValueType === 'width') {
+            return current[bandValueType];
+          }
+          if (bandValueType === 'width_change') {
+            const past = valueAt(readParams.lookback || 5);
+            if (!past || isNaN(current.width) || isNaN(past.width) || past.width === 0) return null;
+            return ((current.width - past.width) / past.width) * 100;
+          }
+          if (bandValueType === 'percent_b') {
+            if (current.upper === current.lower) return 0.5;
+            return (barAt(0).close - current.lower) / (current.upper - current.lower);
+          }
+          return null;
+        }
+        case 'atr': {
+          const atrValueType = valueType || 'value';
+          if (atrValueType === 'value') {
+            return readParams.percent === true ? (current / barAt(0).close) * 100 : current;
+          }
+          if (atrValueType === 'change') {
+            const past = valueAt(readParams.lookback || 5);
+            if (past === undefined || isNaN(current) || isNaN(past) || past === 0) return null;
+            return ((current - past) / past) * 100;
+          }
+          return null;
+        }
+        case 'obv': {
+          const obvValueType = valueType || 'value';
+          if (obvValueType === 'value') return current;
+          if (obvValueType === 'slope' || readParams.slope === true) {
+            const previous = valueAt(1);
+            if (previous === undefined || isNaN(current) || isNaN(previous) || previous === 0) return null;
+            return ((current - previous) / Math.abs(previous)) * 100;
+          }
+          // Divergence compares price and OBV changes - computed from the price history
+          return undefined;
+        }
+        case 'volume_change': {
+          const previousBar = barAt(1);
+          if (!previousBar || previousBar.volume === 0) return null;
+          return ((barAt(0).volume - previousBar.volume) / previousBar.volume) * 100;
+        }
+        default:
+          return undefined;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createIndicatorState,
+  getIndicatorKey
+};
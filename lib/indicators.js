@@ -132,12 +132,8 @@ function calculateMACD(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9)
   let signalIndex = 0;
   for (let i = 0; i < macdLine.length; i++) {
     if (!isNaN(macdLine[i])) {
-      // Calculate signal line using signalPeriod
-      if (signalIndex >= signalPeriod - 1) {
-        signalLine[i] = signalEMA[signalIndex - (signalPeriod - 1)];
-      } else {
-        signalLine[i] = NaN;
-      }
+      // signalEMA is indexed by MACD value, and is NaN until signalPeriod values are seen
+      signalLine[i] = signalEMA[signalIndex];
       signalIndex++;
     } else {
       signalLine[i] = NaN;
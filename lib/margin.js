@@ -0,0 +1,228 @@
+/**
+ * Account model - buying power, margin requirements, debit interest and short borrow fees
+ *
+ * The account type is configured per strategy:
+ *   account: { type: 'cash' | 'margin' | 'leverage', initialMargin: 50, maintenanceMargin: 25,
+ *              maxGrossLeverage: 2, maxNetLeverage: 2, debitRate: 8, marginCallBuffer: 10 }
+ * - cash (default): longs are paid for in full from cash
+ * - margin: Reg T - buying power is the equity over the initial margin on longs (50%), and
+ *   equity must stay above the maintenance margin (25%) of the long positions' value
+ * - leverage: positions are limited to maxGrossLeverage times equity (longs plus shorts) and
+ *   maxNetLeverage times equity (longs less shorts), with the same maintenance margin
+ * Margin and leverage accounts can borrow cash - a negative cash balance - and pay debitRate
+ * (annual percent) on it. Shorts need the short-selling margin below in any account.
+ *
+ * Short selling is configured per strategy (percentages):
+ *   shortSelling: {
+ *     initialMargin: 50,      // equity needed to open a short, in percent of all shorts' value
+ *     maintenanceMargin: 30,  // equity that must be kept, in percent of all shorts' value
+ *     borrowFee: 0.3          // annual fee in percent of the short's value, or
+ *                             // { rate: 0.3, symbols: { GME: 25 }, tiers: [{ maxPrice: 5, rate: 15 }] }
+ *   }
+ * Defaults follow Reg T and FINRA rule 4210: 50% initial and 30% maintenance margin, and
+ * shorts of stocks under $5 need at least $2.50 a share or 100% of their value, stocks at
+ * $5 and up at least $5 a share. Borrow fees default to none.
+ *
+ * A short's proceeds are held as collateral - they can cover the short but not buy other
+ * stock in a cash account. When equity drops below the maintenance requirement, positions
+ * are closed at the close (the largest requirement first) until it's met again with
+ * marginCallBuffer percent to spare (default 10), so a day's debit interest doesn't bring the
+ * next call - shorts in any account, longs too in margin and leverage accounts.
+ */
+
+const ACCOUNT_TYPES = ['cash', 'margin', 'leverage'];
+const LOW_PRICE_THRESHOLD = 5;
+const LOW_PRICE_MINIMUM_PER_SHARE = 2.5;
+const MINIMUM_PER_SHARE = 5;
+
+/**
+ * Resolve a borrow fee setting
+ * @param {number|object} borrowFee - Annual rate in percent, or { rate, symbols, tiers }
+ * @returns {object} { rate, symbols, tiers } - tiers sorted by maxPrice, the catch-all tier last
+ */
+function resolveBorrowFee(borrowFee) {
+  if (typeof borrowFee === 'number' || typeof borrowFee === 'string') {
+    const rate = parseFloat(borrowFee);
+    return { rate: isNaN(rate) || rate < 0 ? 0 : rate, symbols: {}, tiers: [] };
+  }
+  
+  const settings = borrowFee || {};
+  const rate = parseFloat(settings.rate);
+  const tiers = (Array.isArray(settings.tiers) ? settings.tiers : [])
+    .filter(tier => tier && parseFloat(tier.rate) >= 0)
+    .map(tier => {
+      const maxPrice = parseFloat(tier.maxPrice);
+      return { maxPrice: isNaN(maxPrice) ? Infinity : maxPrice, rate: parseFloat(tier.rate) };
+    })
+    .sort((a, b) => a.maxPrice - b.maxPrice);
+  
+  return {
+    rate: isNaN(rate) || rate < 0 ? 0 : rate,
+    symbols: settings.symbols || {},
+    tiers
+  };
+}
+
+/**
+ * Resolve the strategy's short-selling settings, applying defaults
+ * @param {object} shortSelling - { initialMargin, maintenanceMargin, borrowFee }
+ * @returns {object} Resolved settings
+ */
+function resolveShortSettings(shortSelling) {
+  const settings = shortSelling || {};
+  const initialMargin = parseFloat(settings.initialMargin);
+  const maintenanceMargin = parseFloat(settings.maintenanceMargin);
+  
+  return {
+    initialMargin: isNaN(initialMargin) || initialMargin < 0 ? 50 : initialMargin,
+    maintenanceMargin: isNaN(maintenanceMargin) || maintenanceMargin < 0 ? 30 : maintenanceMargin,
+    borrowFee: resolveBorrowFee(settings.borrowFee)
+  };
+}
+
+/**
+ * Resolve the strategy's account settings, applying defaults
+ * @param {object} account - { type, initialMargin, maintenanceMargin, maxGrossLeverage, maxNetLeverage, debitRate, marginCallBuffer }
+ * @returns {object} Resolved settings
+ */
+function resolveAccountSettings(account) {
+  const settings = account || {};
+  const type = ACCOUNT_TYPES.includes(settings.type) ? settings.type : 'cash';
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  const maxGrossLeverage = number(settings.maxGrossLeverage, 2);
+  
+  return {
+    type,
+    initialMargin: number(settings.initialMargin, 50),
+    maintenanceMargin: number(settings.maintenanceMargin, 25),
+    maxGrossLeverage,
+    maxNetLeverage: number(settings.maxNetLeverage, maxGrossLeverage),
+    debitRate: number(settings.debitRate, 8),
+    marginCallBuffer: number(settings.marginCallBuffer, 10)
+  };
+}
+
+/**
+ * Margin requirement of a short position
+ * @param {number} price - Current share price
+ * @param {number} shares - Shares short (positive)
+ * @param {object} settings - Resolved short-selling settings
+ * @param {string} type - 'initial' or 'maintenance'
+ * @returns {number} Equity required in dollars
+ */
+function getShortRequirement(price, shares, settings, type) {
+  const value = price * shares;
+  const percent = type === 'initial' ? settings.initialMargin : settings.maintenanceMargin;
+  const minimum = price < LOW_PRICE_THRESHOLD ?
+    Math.max(LOW_PRICE_MINIMUM_PER_SHARE * shares, value) :
+    MINIMUM_PER_SHARE * shares;
+  return Math.max(value * percent / 100, minimum);
+}
+
+/**
+ * Annual borrow fee for a short - a per-symbol rate first, then the first price tier
+ * the price falls in, then the flat rate
+ * @param {string} symbol - Symbol
+ * @param {number} price - Current share price
+ * @param {object} settings - Resolved short-selling settings
+ * @returns {number} Annual rate in percent
+ */
+function getBorrowRate(symbol, price, settings) {
+  const fee = settings.borrowFee;
+  const symbolRate = parseFloat(fee.symbols[symbol]);
+  if (!isNaN(symbolRate)) return symbolRate;
+  
+  const tier = fee.tiers.find(t => price <= t.maxPrice);
+  return tier ? tier.rate : fee.rate;
+}
+
+/**
+ * Value and margin requirements of all short positions
+ * @param {object} positions - Symbol -> quantity (negative for shorts)
+ * @param {object} prices - Symbol -> current price
+ * @param {object} settings - Resolved short-selling settings
+ * @returns {object} { shortValue, initialRequirement, maintenanceRequirement }
+ */
+function getShortRequirements(positions, prices, settings) {
+  let shortValue = 0;
+  let initialRequirement = 0;
+  let maintenanceRequirement = 0;
+  
+  Object.keys(positions).forEach(symbol => {
+    const quantity = positions[symbol];
+    const price = prices[symbol];
+    if (!(quantity < 0) || !(price > 0)) return;
+    
+    shortValue += -quantity * price;
+    initialRequirement += getShortRequirement(price, -quantity, settings, 'initial');
+    maintenanceRequirement += getShortRequirement(price, -quantity, settings, 'maintenance');
+  });
+  
+  return { shortValue, initialRequirement, maintenanceRequirement };
+}
+
+/**
+ * Margin requirement of one position - a short's from the short-selling settings, a long's
+ * from the account's (none in a cash account)
+ * @param {number} price - Current share price
+ * @param {number} quantity - Position quantity (negative for shorts)
+ * @param {object} shortSettings - Resolved short-selling settings
+ * @param {object} accountSettings - Resolved account settings
+ * @param {string} type - 'initial' or 'maintenance'
+ * @returns {number} Equity required in dollars
+ */
+function getPositionRequirement(price, quantity, shortSettings, accountSettings, type) {
+  if (quantity < 0) return getShortRequirement(price, -quantity, shortSettings, type);
+  if (accountSettings.type === 'cash' || !(quantity > 0)) return 0;
+  const percent = type === 'initial' ? accountSettings.initialMargin : accountSettings.maintenanceMargin;
+  return quantity * price * percent / 100;
+}
+
+/**
+ * Position values and margin requirements of the whole account
+ * @param {object} positions - Symbol -> quantity (negative for shorts)
+ * @param {object} prices - Symbol -> current price
+ * @param {object} shortSettings - Resolved short-selling settings
+ * @param {object} accountSettings - Resolved account settings
+ * @returns {object} { longValue, shortValue, shortInitialRequirement, initialRequirement, maintenanceRequirement } -
+ *   longs only add to the requirements in margin and leverage accounts
+ */
+function getAccountRequirements(positions, prices, shortSettings, accountSettings) {
+  const shorts = getShortRequirements(positions, prices, shortSettings);
+  let longValue = 0;
+  
+  let longInitialRequirement = 0;
+  let longMaintenanceRequirement = 0;
+  
+  Object.keys(positions).forEach(symbol => {
+    const quantity = positions[symbol];
+    const price = prices[symbol];
+    if (!(quantity > 0) || !(price > 0)) return;
+    
+    longValue += quantity * price;
+    longInitialRequirement += getPositionRequirement(price, quantity, shortSettings, accountSettings, 'initial');
+    longMaintenanceRequirement += getPositionRequirement(price, quantity, shortSettings, accountSettings, 'maintenance');
+  });
+  
+  return {
+    longValue,
+    shortValue: shorts.shortValue,
+    shortInitialRequirement: shorts.initialRequirement,
+    initialRequirement: shorts.initialRequirement + longInitialRequirement,
+    maintenanceRequirement: shorts.maintenanceRequirement + longMaintenanceRequirement
+  };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  resolveAccountSettings,
+  getAccountRequirements,
+  resolveShortSettings,
+  getShortRequirement,
+  getPositionRequirement,
+  getBorrowRate,
+  getShortRequirements
+};
@@ -0,0 +1,152 @@
+/**
+ * Local symbol metadata - sector and shares outstanding
+ *
+ * Shares outstanding are approximate (early 2024) and held constant over a backtest, so
+ * market-cap weights are price-driven: shares times each day's close. Dual-class companies
+ * count all classes. ETFs have a sector of 'ETF' and no share count, so they can't be
+ * market-cap weighted. Symbols not listed here have no metadata.
+ */
+
+const SYMBOL_METADATA = {
+  // Technology
+  AAPL: { sector: 'Technology', sharesOutstanding: 15.4e9 },
+  MSFT: { sector: 'Technology', sharesOutstanding: 7.43e9 },
+  NVDA: { sector: 'Technology', sharesOutstanding: 24.6e9 },
+  ADBE: { sector: 'Technology', sharesOutstanding: 0.45e9 },
+  CRM: { sector: 'Technology', sharesOutstanding: 0.97e9 },
+  INTC: { sector: 'Technology', sharesOutstanding: 4.23e9 },
+  AMD: { sector: 'Technology', sharesOutstanding: 1.62e9 },
+  ORCL: { sector: 'Technology', sharesOutstanding: 2.75e9 },
+  CSCO: { sector: 'Technology', sharesOutstanding: 4.05e9 },
+  IBM: { sector: 'Technology', sharesOutstanding: 0.92e9 },
+  TSM: { sector: 'Technology', sharesOutstanding: 5.19e9 },
+  AVGO: { sector: 'Technology', sharesOutstanding: 4.66e9 },
+  QCOM: { sector: 'Technology', sharesOutstanding: 1.12e9 },
+  TXN: { sector: 'Technology', sharesOutstanding: 0.91e9 },
+  MU: { sector: 'Technology', sharesOutstanding: 1.11e9 },
+  AMAT: { sector: 'Technology', sharesOutstanding: 0.83e9 },
+  
+  // Communication services
+  GOOG: { sector: 'Communication Services', sharesOutstanding: 12.4e9 },
+  META: { sector: 'Communication Services', sharesOutstanding: 2.55e9 },
+  NFLX: { sector: 'Communication Services', sharesOutstanding: 0.43e9 },
+  DIS: { sector: 'Communication Services', sharesOutstanding: 1.83e9 },
+  VZ: { sector: 'Communication Services', sharesOutstanding: 4.21e9 },
+  T: { sector: 'Communication Services', sharesOutstanding: 7.17e9 },
+  
+  // Consumer discretionary
+  AMZN: { sector: 'Consumer Discretionary', sharesOutstanding: 10.4e9 },
+  TSLA: { sector: 'Consumer Discretionary', sharesOutstanding: 3.18e9 },
+  HD: { sector: 'Consumer Discretionary', sharesOutstanding: 0.99e9 },
+  MCD: { sector: 'Consumer Discretionary', sharesOutstanding: 0.72e9 },
+  NKE: { sector: 'Consumer Discretionary', sharesOutstanding: 1.51e9 },
+  SBUX: { sector: 'Consumer Discretionary', sharesOutstanding: 1.13e9 },
+  LOW: { sector: 'Consumer Discretionary', sharesOutstanding: 0.57e9 },
+  TJX: { sector: 'Consumer Discretionary', sharesOutstanding: 1.14e9 },
+  
+  // Consumer staples
+  WMT: { sector: 'Consumer Staples', sharesOutstanding: 8.05e9 },
+  PG: { sector: 'Consumer Staples', sharesOutstanding: 2.36e9 },
+  KO: { sector: 'Consumer Staples', sharesOutstanding: 4.32e9 },
+  PEP: { sector: 'Consumer Staples', sharesOutstanding: 1.37e9 },
+  COST: { sector: 'Consumer Staples', sharesOutstanding: 0.44e9 },
+  TGT: { sector: 'Consumer Staples', sharesOutstanding: 0.46e9 },
+  MO: { sector: 'Consumer Staples', sharesOutstanding: 1.72e9 },
+  PM: { sector: 'Consumer Staples', sharesOutstanding: 1.55e9 },
+  
+  // Financials
+  'BRK-B': { sector: 'Financials', sharesOutstanding: 2.17e9 },
+  JPM: { sector: 'Financials', sharesOutstanding: 2.87e9 },
+  V: { sector: 'Financials', sharesOutstanding: 2.0e9 },
+  MA: { sector: 'Financials', sharesOutstanding: 0.93e9 },
+  BAC: { sector: 'Financials', sharesOutstanding: 7.88e9 },
+  WFC: { sector: 'Financials', sharesOutstanding: 3.49e9 },
+  C: { sector: 'Financials', sharesOutstanding: 1.91e9 },
+  GS: { sector: 'Financials', sharesOutstanding: 0.33e9 },
+  MS: { sector: 'Financials', sharesOutstanding: 1.63e9 },
+  AXP: { sector: 'Financials', sharesOutstanding: 0.72e9 },
+  BLK: { sector: 'Financials', sharesOutstanding: 0.15e9 },
+  SCHW: { sector: 'Financials', sharesOutstanding: 1.78e9 },
+  PNC: { sector: 'Financials', sharesOutstanding: 0.40e9 },
+  TFC: { sector: 'Financials', sharesOutstanding: 1.33e9 },
+  USB: { sector: 'Financials', sharesOutstanding: 1.56e9 },
+  COF: { sector: 'Financials', sharesOutstanding: 0.38e9 },
+  PYPL: { sector: 'Financials', sharesOutstanding: 1.05e9 },
+  
+  // Health care
+  JNJ: { sector: 'Health Care', sharesOutstanding: 2.41e9 },
+  UNH: { sector: 'Health Care', sharesOutstanding: 0.92e9 },
+  PFE: { sector: 'Health Care', sharesOutstanding: 5.65e9 },
+  MRK: { sector: 'Health Care', sharesOutstanding: 2.53e9 },
+  ABT: { sector: 'Health Care', sharesOutstanding: 1.74e9 },
+  TMO: { sector: 'Health Care', sharesOutstanding: 0.38e9 },
+  ABBV: { sector: 'Health Care', sharesOutstanding: 1.77e9 },
+  DHR: { sector: 'Health Care', sharesOutstanding: 0.74e9 },
+  LLY: { sector: 'Health Care', sharesOutstanding: 0.95e9 },
+  BMY: { sector: 'Health Care', sharesOutstanding: 2.02e9 },
+  AMGN: { sector: 'Health Care', sharesOutstanding: 0.54e9 },
+  CVS: { sector: 'Health Care', sharesOutstanding: 1.26e9 },
+  MDT: { sector: 'Health Care', sharesOutstanding: 1.33e9 },
+  ISRG: { sector: 'Health Care', sharesOutstanding: 0.35e9 },
+  GILD: { sector: 'Health Care', sharesOutstanding: 1.25e9 },
+  
+  // Energy
+  XOM: { sector: 'Energy', sharesOutstanding: 3.96e9 },
+  CVX: { sector: 'Energy', sharesOutstanding: 1.86e9 },
+  COP: { sector: 'Energy', sharesOutstanding: 1.17e9 },
+  EOG: { sector: 'Energy', sharesOutstanding: 0.58e9 },
+  SLB: { sector: 'Energy', sharesOutstanding: 1.43e9 },
+  PSX: { sector: 'Energy', sharesOutstanding: 0.43e9 },
+  VLO: { sector: 'Energy', sharesOutstanding: 0.33e9 },
+  MPC: { sector: 'Energy', sharesOutstanding: 0.36e9 },
+  KMI: { sector: 'Energy', sharesOutstanding: 2.22e9 },
+  OXY: { sector: 'Energy', sharesOutstanding: 0.88e9 },
+  
+  // Industrials
+  HON: { sector: 'Industrials', sharesOutstanding: 0.65e9 },
+  UNP: { sector: 'Industrials', sharesOutstanding: 0.61e9 },
+  UPS: { sector: 'Industrials', sharesOutstanding: 0.85e9 },
+  BA: { sector: 'Industrials', sharesOutstanding: 0.61e9 },
+  CAT: { sector: 'Industrials', sharesOutstanding: 0.50e9 },
+  DE: { sector: 'Industrials', sharesOutstanding: 0.28e9 },
+  GE: { sector: 'Industrials', sharesOutstanding: 1.09e9 },
+  LMT: { sector: 'Industrials', sharesOutstanding: 0.24e9 },
+  RTX: { sector: 'Industrials', sharesOutstanding: 1.33e9 },
+  MMM: { sector: 'Industrials', sharesOutstanding: 0.55e9 },
+  
+  // ETFs
+  SPY: { sector: 'ETF' },
+  QQQ: { sector: 'ETF' },
+  IWM: { sector: 'ETF' },
+  DIA: { sector: 'ETF' },
+  VTI: { sector: 'ETF' },
+  VOO: { sector: 'ETF' },
+  GLD: { sector: 'ETF' },
+  SLV: { sector: 'ETF' },
+  EEM: { sector: 'ETF' },
+  XLF: { sector: 'ETF' },
+  XLE: { sector: 'ETF' },
+  XLK: { sector: 'ETF' },
+  XLV: { sector: 'ETF' },
+  XLI: { sector: 'ETF' },
+  VGT: { sector: 'ETF' },
+  ARKK: { sector: 'ETF' }
+};
+
+/**
+ * Look up the metadata of a set of symbols
+ * @param {Array} symbols - Symbols to look up
+ * @returns {object} Symbol -> { sector, sharesOutstanding } for the symbols with metadata
+ */
+function getSymbolMetadata(symbols) {
+  const metadata = {};
+  symbols.forEach(symbol => {
+    if (SYMBOL_METADATA[symbol]) metadata[symbol] = SYMBOL_METADATA[symbol];
+  });
+  return metadata;
+}
+
+module.exports = {
+  SYMBOL_METADATA,
+  getSymbolMetadata
+};
@@ -0,0 +1,440 @@
+/**
+ * Performance metrics module for backtest results
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Calculates per-period returns from a value history, excluding external cash flows
+ * @param {Array} valueHistory - Array of {date, value, flow} points, oldest to newest.
+ *   'flow' is the net deposit (positive) or withdrawal (negative) applied before that point was valued.
+ * @returns {Array} Array of period returns as decimals (length is valueHistory.length - 1)
+ */
+function calculatePeriodReturns(valueHistory) {
+  const returns = [];
+  
+  for (let i = 1; i < valueHistory.length; i++) {
+    const previousValue = valueHistory[i - 1].value;
+    const flow = valueHistory[i].flow || 0;
+    
+    if (previousValue <= 0) {
+      returns.push(0);
+      continue;
+    }
+    
+    // Remove the external flow so deposits don't count as gains (and withdrawals as losses)
+    returns.push((valueHistory[i].value - flow - previousValue) / previousValue);
+  }
+  
+  return returns;
+}
+
+/**
+ * Builds a growth index (starting at 1) by chaining flow-adjusted period returns
+ * @param {Array} valueHistory - Array of {date, value, flow} points, oldest to newest
+ * @returns {Array} Array of index values (same length as valueHistory)
+ */
+function calculateGrowthIndex(valueHistory) {
+  if (valueHistory.length === 0) return [];
+  
+  const returns = calculatePeriodReturns(valueHistory);
+  const index = [1];
+  
+  returns.forEach(periodReturn => {
+    index.push(index[index.length - 1] * (1 + periodReturn));
+  });
+  
+  return index;
+}
+
+/**
+ * Calculates the time-weighted return, which ignores the size and timing of external cash flows
+ * @param {Array} valueHistory - Array of {date, value, flow} points, oldest to newest
+ * @returns {number} Time-weighted return in percent
+ */
+function calculateTimeWeightedReturn(valueHistory) {
+  const index = calculateGrowthIndex(valueHistory);
+  if (index.length === 0) return 0;
+  
+  return (index[index.length - 1] - 1) * 100;
+}
+
+/**
+ * Calculates the money-weighted return (XIRR) for a set of dated cash flows
+ * @param {Array} cashFlows - Array of {date, amount} objects from the investor's point of view
+ *   (contributions negative, withdrawals and the ending value positive)
+ * @returns {number|null} Annualized internal rate of return in percent, or null if it cannot be solved
+ */
+function calculateIRR(cashFlows) {
+  if (!cashFlows || cashFlows.length < 2) return null;
+  
+  const hasPositive = cashFlows.some(flow => flow.amount > 0);
+  const hasNegative = cashFlows.some(flow => flow.amount < 0);
+  if (!hasPositive || !hasNegative) return null;
+  
+  const firstDate = new Date(cashFlows[0].date);
+  const flows = cashFlows.map(flow => ({
+    years: (new Date(flow.date) - firstDate) / MS_PER_DAY / 365,
+    amount: flow.amount
+  }));
+  
+  const npv = rate => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+  
+  // Bisection is slower than Newton's method but can't diverge
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low);
+  const npvHigh = npv(high);
+  
+  if (isNaN(npvLow) || isNaN(npvHigh) || npvLow * npvHigh > 0) {
+    return null;
+  }
+  
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    
+    if (Math.abs(npvMid) < 1e-7) {
+      return mid * 100;
+    }
+    
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  
+  return ((low + high) / 2) * 100;
+}
+
+/**
+ * Calculates the maximum drawdown of a series of values
+ * @param {Array} values - Array of numeric values (e.g. a growth index), oldest to newest
+ * @returns {number} Maximum percentage decline from a running peak
+ */
+function calculateMaxDrawdown(values) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  
+  values.forEach(value => {
+    if (value > peak) {
+      peak = value;
+    }
+    
+    const drawdown = peak > 0 ? ((peak - value) / peak) * 100 : 0;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+    }
+  });
+  
+  return maxDrawdown;
+}
+
+/**
+ * Converts an annual rate in percent to the equivalent daily rate (252 trading days a year)
+ * @param {number} annualRate - Annual rate in percent
+ * @returns {number} Daily rate as a decimal
+ */
+function toDailyRate(annualRate) {
+  return Math.pow(1 + (annualRate || 0) / 100, 1 / 252) - 1;
+}
+
+/**
+ * Calculates the mean and (population) standard deviation of a series
+ * @param {Array} values - Numeric values
+ * @returns {object} { mean, std }
+ */
+function calculateMoments(values) {
+  if (values.length === 0) return { mean: 0, std: 0 };
+  
+  const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+  const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Calculates an annualized Sharpe ratio from daily returns
+ * @param {Array} returns - Array of daily returns as decimals
+ * @param {number} riskFreeRate - Annual risk-free rate in percent (default 0)
+ * @returns {number} Annualized Sharpe ratio
+ */
+function calculateSharpeRatio(returns, riskFreeRate = 0) {
+  if (returns.length === 0) return 0;
+  
+  const dailyRiskFree = toDailyRate(riskFreeRate);
+  const { mean, std } = calculateMoments(returns);
+  
+  return std === 0 ? 0 : ((mean - dailyRiskFree) / std) * Math.sqrt(252);
+}
+
+/**
+ * Calculates an annualized Sortino ratio - like the Sharpe ratio, but only returns below
+ * the risk-free rate count as risk
+ * @param {Array} returns - Array of daily returns as decimals
+ * @param {number} riskFreeRate - Annual risk-free rate in percent (default 0)
+ * @returns {number|null} Annualized Sortino ratio, or null without any downside returns
+ */
+function calculateSortinoRatio(returns, riskFreeRate = 0) {
+  if (returns.length === 0) return null;
+  
+  const dailyRiskFree = toDailyRate(riskFreeRate);
+  const excess = returns.map(value => value - dailyRiskFree);
+  const downsideDeviation = Math.sqrt(
+    excess.reduce((sum, val) => sum + Math.pow(Math.min(0, val), 2), 0) / excess.length
+  );
+  const meanExcess = excess.reduce((sum, val) => sum + val, 0) / excess.length;
+  
+  return downsideDeviation === 0 ? null : (meanExcess / downsideDeviation) * Math.sqrt(252);
+}
+
+/**
+ * Calculates the compound annual growth rate of a growth index
+ * @param {Array} index - Growth index values (see calculateGrowthIndex), oldest to newest
+ * @param {string} startDate - Date of the first value
+ * @param {string} endDate - Date of the last value
+ * @returns {number|null} CAGR in percent, or null for less than a day
+ */
+function calculateCAGR(index, startDate, endDate) {
+  const years = (new Date(endDate) - new Date(startDate)) / MS_PER_DAY / 365;
+  if (index.length === 0 || years <= 0 || index[index.length - 1] <= 0) return null;
+  
+  return (Math.pow(index[index.length - 1] / index[0], 1 / years) - 1) * 100;
+}
+
+/**
+ * Measures how long drawdowns last
+ * @param {Array} index - Growth index values, oldest to newest
+ * @param {Array} dates - Date of each value
+ * @returns {object} { maxDrawdownDuration, timeToRecovery, recovered } - the longest stretch below a
+ *   previous peak (calendar days, to the recovery or the last date), and the days it took to climb
+ *   back from the trough of the deepest drawdown to its peak (null if it never did)
+ */
+function calculateDrawdownDurations(index, dates) {
+  const days = (from, to) => Math.round((new Date(dates[to]) - new Date(dates[from])) / MS_PER_DAY);
+  
+  let peakIndex = 0;
+  let maxDrawdownDuration = 0;
+  let deepest = { drawdown: 0, peakIndex: 0, troughIndex: 0 };
+  
+  for (let i = 0; i < index.length; i++) {
+    if (index[i] >= index[peakIndex]) {
+      peakIndex = i;
+      continue;
+    }
+    
+    maxDrawdownDuration = Math.max(maxDrawdownDuration, days(peakIndex, i));
+    const drawdown = (index[peakIndex] - index[i]) / index[peakIndex];
+    if (drawdown > deepest.drawdown) {
+      deepest = { drawdown, peakIndex, troughIndex: i };
+    }
+  }
+  
+  // The first value back at the deepest drawdown's peak
+  let recoveryIndex = -1;
+  if (deepest.drawdown > 0) {
+    for (let i = deepest.troughIndex + 1; i < index.length; i++) {
+      if (index[i] >= index[deepest.peakIndex]) {
+        recoveryIndex = i;
+        break;
+      }
+    }
+  }
+  
+  return {
+    maxDrawdownDuration,
+    timeToRecovery: recoveryIndex === -1 ? null : days(deepest.troughIndex, recoveryIndex),
+    recovered: deepest.drawdown === 0 || recoveryIndex !== -1
+  };
+}
+
+/**
+ * Calculates calendar-month returns from a growth index
+ * @param {Array} index - Growth index values, oldest to newest
+ * @param {Array} dates - Date (YYYY-MM-DD) of each value
+ * @returns {Array} [{ month: 'YYYY-MM', return }] with returns in percent (the first and last
+ *   months may be partial)
+ */
+function calculateMonthlyReturns(index, dates) {
+  const months = [];
+  let startValue = index[0];
+  
+  for (let i = 0; i < index.length; i++) {
+    const month = dates[i].slice(0, 7);
+    const isMonthEnd = i === index.length - 1 || dates[i + 1].slice(0, 7) !== month;
+    if (!isMonthEnd) continue;
+    
+    months.push({ month, return: startValue > 0 ? (index[i] / startValue - 1) * 100 : 0 });
+    startValue = index[i];
+  }
+  
+  return months;
+}
+
+/**
+ * Calculates the skewness and excess kurtosis of a series
+ * @param {Array} values - Numeric values
+ * @returns {object} { skewness, kurtosis } - null for fewer than 3 values or no variation
+ */
+function calculateSkewKurtosis(values) {
+  const { mean, std } = calculateMoments(values);
+  if (values.length < 3 || std === 0) return { skewness: null, kurtosis: null };
+  
+  const moment = power => values.reduce((sum, val) => sum + Math.pow((val - mean) / std, power), 0) / values.length;
+  return { skewness: moment(3), kurtosis: moment(4) - 3 };
+}
+
+/**
+ * Calculates historical value at risk and conditional value at risk (expected shortfall)
+ * @param {Array} returns - Array of daily returns as decimals
+ * @param {number} confidence - Confidence level (default 0.95)
+ * @returns {object} { valueAtRisk, conditionalValueAtRisk } - daily losses in percent (positive
+ *   numbers), null without returns
+ */
+function calculateValueAtRisk(returns, confidence = 0.95) {
+  if (returns.length === 0) return { valueAtRisk: null, conditionalValueAtRisk: null };
+  
+  const sorted = [...returns].sort((a, b) => a - b);
+  const tailCount = Math.max(1, Math.floor(sorted.length * (1 - confidence)));
+  const tail = sorted.slice(0, tailCount);
+  
+  return {
+    valueAtRisk: -sorted[tailCount - 1] * 100,
+    conditionalValueAtRisk: -(tail.reduce((sum, val) => sum + val, 0) / tail.length) * 100
+  };
+}
+
+/**
+ * Calculates annual turnover - the smaller of buys and sells each year, as a share of the
+ * average portfolio value
+ * @param {Array} valueHistory - Array of {date, value} points, oldest to newest
+ * @param {Array} transactions - Transactions to count (dividends are not counted as trading)
+ * @returns {number|null} Turnover in percent a year, or null for a period under a day
+ */
+function calculateTurnover(valueHistory, transactions) {
+  const startDate = valueHistory.length > 0 ? valueHistory[0].date : null;
+  const endDate = valueHistory.length > 0 ? valueHistory[valueHistory.length - 1].date : null;
+  const years = startDate ? (new Date(endDate) - new Date(startDate)) / MS_PER_DAY / 365 : 0;
+  const averageValue = valueHistory.length === 0 ? 0 :
+    valueHistory.reduce((sum, point) => sum + point.value, 0) / valueHistory.length;
+  let bought = 0;
+  let sold = 0;
+  transactions.forEach(tx => {
+    if (tx.type === 'buy' || tx.type === 'cover_short') bought += tx.amount || 0;
+    else if (tx.type === 'sell' || tx.type === 'short') sold += tx.amount || 0;
+  });
+  return years > 0 && averageValue > 0 ? (Math.min(bought, sold) / averageValue / years) * 100 : null;
+}
+
+/**
+ * Calculates the full set of performance metrics for a backtest
+ * @param {Array} valueHistory - Array of {date, value, flow, grossPositions} points, oldest to newest
+ *   ('grossPositions' is the summed absolute value of the open positions)
+ * @param {Array} transactions - Backtest transactions (dividends are not counted as trading)
+ * @param {object} options - { riskFreeRate } - annual risk-free rate in percent
+ * @returns {object} Performance metrics - percentages in percent, durations in calendar days
+ */
+function calculatePerformanceMetrics(valueHistory, transactions, options = {}) {
+  const riskFreeRate = options.riskFreeRate || 0;
+  const returns = calculatePeriodReturns(valueHistory);
+  const index = calculateGrowthIndex(valueHistory);
+  const dates = valueHistory.map(point => point.date);
+  const startDate = dates[0];
+  const endDate = dates[dates.length - 1];
+  
+  const cagr = calculateCAGR(index, startDate, endDate);
+  const maxDrawdown = calculateMaxDrawdown(index);
+  const monthlyReturns = calculateMonthlyReturns(index, dates);
+  const byReturn = [...monthlyReturns].sort((a, b) => a.return - b.return);
+  
+  // Exposure - how much of the time, and how much of the portfolio, was in the market
+  const investedPoints = valueHistory.filter(point => (point.grossPositions || 0) > 0);
+  const averageExposure = valueHistory.length === 0 ? 0 :
+    valueHistory.reduce((sum, point) => sum + (point.value > 0 ? (point.grossPositions || 0) / point.value : 0), 0) / valueHistory.length;
+  
+  const { std } = calculateMoments(returns);
+  
+  return {
+    cagr,
+    volatility: std * Math.sqrt(252) * 100,
+    riskFreeRate,
+    sharpeRatio: calculateSharpeRatio(returns, riskFreeRate),
+    sortinoRatio: calculateSortinoRatio(returns, riskFreeRate),
+    calmarRatio: cagr !== null && maxDrawdown > 0 ? cagr / maxDrawdown : null,
+    ...calculateDrawdownDurations(index, dates),
+    exposure: valueHistory.length === 0 ? 0 : (investedPoints.length / valueHistory.length) * 100,
+    averageExposure: averageExposure * 100,
+    turnover: calculateTurnover(valueHistory, transactions),
+    bestMonth: byReturn.length > 0 ? byReturn[byReturn.length - 1] : null,
+    worstMonth: byReturn.length > 0 ? byReturn[0] : null,
+    monthlyReturns,
+    ...calculateSkewKurtosis(returns),
+    ...calculateValueAtRisk(returns, 0.95)
+  };
+}
+
+/**
+ * Calculates how a strategy's returns relate to a benchmark's over the same periods
+ * @param {Array} returns - Strategy period (daily) returns as decimals
+ * @param {Array} benchmarkReturns - Benchmark returns for the same periods
+ * @returns {object|null} { alpha, beta, correlation, trackingError, informationRatio } -
+ *   alpha (annualized, vs. beta times the benchmark) and tracking error in percent;
+ *   null without at least two periods. Values that can't be computed are null.
+ */
+function calculateBenchmarkStats(returns, benchmarkReturns) {
+  const count = Math.min(returns.length, benchmarkReturns.length);
+  if (count < 2) return null;
+  
+  const mean = values => values.reduce((sum, val) => sum + val, 0) / values.length;
+  const strategy = returns.slice(0, count);
+  const benchmark = benchmarkReturns.slice(0, count);
+  const active = strategy.map((value, i) => value - benchmark[i]);
+  
+  const strategyMean = mean(strategy);
+  const benchmarkMean = mean(benchmark);
+  const activeMean = mean(active);
+  
+  let covariance = 0;
+  let strategyVariance = 0;
+  let benchmarkVariance = 0;
+  let activeVariance = 0;
+  for (let i = 0; i < count; i++) {
+    covariance += (strategy[i] - strategyMean) * (benchmark[i] - benchmarkMean);
+    strategyVariance += Math.pow(strategy[i] - strategyMean, 2);
+    benchmarkVariance += Math.pow(benchmark[i] - benchmarkMean, 2);
+    activeVariance += Math.pow(active[i] - activeMean, 2);
+  }
+  
+  const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : null;
+  const correlation = strategyVariance > 0 && benchmarkVariance > 0 ?
+    covariance / Math.sqrt(strategyVariance * benchmarkVariance) : null;
+  // Annualized like the Sharpe ratio, from daily returns
+  const trackingError = Math.sqrt(activeVariance / count) * Math.sqrt(252);
+  
+  return {
+    alpha: beta === null ? null : (strategyMean - beta * benchmarkMean) * 252 * 100,
+    beta,
+    correlation,
+    trackingError: trackingError * 100,
+    informationRatio: trackingError > 0 ? (activeMean * 252) / trackingError : null
+  };
+}
+
+module.exports = {
+  calculatePeriodReturns,
+  calculateGrowthIndex,
+  calculateTimeWeightedReturn,
+  calculateIRR,
+  calculateMaxDrawdown,
+  calculateSharpeRatio,
+  calculateSortinoRatio,
+  calculateCAGR,
+  calculateDrawdownDurations,
+  calculateMonthlyReturns,
+  calculateSkewKurtosis,
+  calculateValueAtRisk,
+  calculateTurnover,
+  calculatePerformanceMetrics,
+  calculateBenchmarkStats
+};
@@ -0,0 +1,127 @@
+/**
+ * Cross-sectional ranking for rotation strategies
+ *
+ * A rotate action scores every symbol in the universe on its schedule, holds the best-ranked
+ * ones at target weights and sells the ones that drop out:
+ *   { type: 'rotate', rank: { metric: 'momentum', period: 126 }, count: 3, schedule: 'monthly' }
+ * - rank: what symbols are scored on -
+ *     { metric: 'momentum', period: 126, skip: 0 } percent change over `period` daily bars, ending
+ *       `skip` bars ago (e.g. skip 21 for 12-1 month momentum)
+ *     { metric: 'volatility', period: 20 } annualized volatility of daily returns
+ *     { metric: 'volume', period: 20 } average daily volume
+ *     { metric: 'price' } last close
+ *     { type: 'technical', indicator: 'rsi', params: { period: 14 } } a technical indicator's value
+ * - direction: 'highest' (default) holds the highest scores, 'lowest' the lowest
+ * - count: number of symbols to hold (default 3), or percentile: the best-ranked percent of the
+ *   scored symbols (at least one)
+ * - side: 'long' (default) or 'short' - shorts are held at negative weights
+ * The selected symbols are weighted like a rebalance action (weights, totalWeight, driftBand -
+ * see lib/rebalance.js), except that weights can't name symbols. Symbols without enough history
+ * to be scored aren't ranked.
+ */
+
+const sizing = require('./sizing');
+const rebalance = require('./rebalance');
+
+const RANKING_METRICS = ['momentum', 'volatility', 'volume', 'price'];
+
+/**
+ * Resolve a rotate action's settings, applying defaults
+ * @param {object} action - Rotate action (see the module comment)
+ * @returns {object} Resolved settings - the rebalance settings plus rank, direction, count, percentile and side
+ */
+function resolveRotationSettings(action) {
+  const settings = rebalance.resolveRebalanceSettings(action);
+  if (typeof settings.weights === 'object') settings.weights = 'equal';
+  
+  const rank = action.rank || {};
+  const period = parseInt(rank.period);
+  const skip = parseInt(rank.skip);
+  const count = parseInt(action.count);
+  const percentile = parseFloat(action.percentile);
+  
+  return {
+    ...settings,
+    rank: rank.type === 'technical' ?
+      { type: 'technical', indicator: rank.indicator, params: rank.params || {} } :
+      {
+        metric: RANKING_METRICS.includes(rank.metric) ? rank.metric : 'momentum',
+        period: period > 0 ? period : (rank.metric === 'momentum' || !rank.metric ? 126 : 20),
+        skip: skip > 0 ? skip : 0
+      },
+    direction: action.direction === 'lowest' ? 'lowest' : 'highest',
+    count: count > 0 ? count : 3,
+    percentile: percentile > 0 && percentile <= 100 ? percentile : null,
+    side: action.side === 'short' ? 'short' : 'long'
+  };
+}
+
+/**
+ * Daily bars a built-in ranking metric needs (technical indicators use their condition's lookback)
+ * @param {object} rank - Resolved rank settings
+ * @returns {number} Bars of history required
+ */
+function getRankingLookback(rank) {
+  switch (rank.metric) {
+    case 'momentum':
+      return rank.period + rank.skip + 1;
+    case 'volatility':
+      return rank.period + 1;
+    case 'volume':
+      return rank.period;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Score a symbol on a built-in ranking metric
+ * @param {object} rank - Resolved rank settings (not a technical indicator)
+ * @param {Array} history - The symbol's daily bars, oldest to newest
+ * @returns {number|null} Score, or null without enough history
+ */
+function calculateScore(rank, history) {
+  if (!history || history.length < getRankingLookback(rank)) return null;
+  const last = history.length - 1;
+  
+  switch (rank.metric) {
+    case 'momentum': {
+      const end = history[last - rank.skip].close;
+      const start = history[last - rank.skip - rank.period].close;
+      return start > 0 ? (end / start - 1) * 100 : null;
+    }
+    case 'volatility':
+      return sizing.calculateVolatility(history, rank.period);
+    case 'volume': {
+      const bars = history.slice(-rank.period);
+      return bars.reduce((sum, bar) => sum + (bar.volume || 0), 0) / bars.length;
+    }
+    default:
+      return history[last].close;
+  }
+}
+
+/**
+ * Rank the scored symbols and select the ones to hold
+ * @param {object} scores - Symbol -> score (symbols that couldn't be scored left out)
+ * @param {object} settings - Resolved rotation settings
+ * @returns {Array} Selected symbols, best-ranked first
+ */
+function selectRanked(scores, settings) {
+  const ranked = Object.keys(scores)
+    .filter(symbol => scores[symbol] !== null && !isNaN(scores[symbol]))
+    .sort((a, b) => settings.direction === 'lowest' ? scores[a] - scores[b] : scores[b] - scores[a]);
+  
+  const count = settings.percentile !== null ?
+    Math.max(1, Math.floor(ranked.length * settings.percentile / 100)) :
+    settings.count;
+  return ranked.slice(0, count);
+}
+
+module.exports = {
+  RANKING_METRICS,
+  resolveRotationSettings,
+  getRankingLookback,
+  calculateScore,
+  selectRanked
+};
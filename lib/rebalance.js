@@ -0,0 +1,137 @@
+/**
+ * Portfolio rebalancing to target weights
+ *
+ * A rebalance action holds a set of symbols at target weights (percent of the portfolio):
+ *   { type: 'rebalance', weights: 'equal', schedule: 'monthly', driftBand: 5 }
+ * - weights: 'equal' (the same weight for every symbol with a bar), 'market_cap' (in proportion
+ *   to shares outstanding times price, from the symbols' metadata), 'inverse_volatility' (in
+ *   inverse proportion to the volatility of daily returns over `period` days, default 20), or
+ *   an object of weights by symbol, e.g. { AAPL: 60, MSFT: 40 }
+ * - totalWeight: percent of the portfolio the weights add up to (default 100, the rest in cash) -
+ *   specified weights are used as given
+ * - schedule: 'daily', 'weekly', 'monthly' (default), 'quarterly' or 'yearly' - rebalances on
+ *   the first trading date of each period
+ * - driftBand: percentage points a symbol's weight may drift from its target before it's
+ *   traded back (default 0 - every symbol is traded back to its target). Opening a position
+ *   and closing one (a target of 0) aren't held back by the band.
+ * Symbols outside the targets are left alone. Sells are placed before buys, so they free up
+ * the cash the buys need.
+ */
+
+const sizing = require('./sizing');
+
+const REBALANCE_SCHEDULES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+const WEIGHTING_METHODS = ['equal', 'market_cap', 'inverse_volatility'];
+
+/**
+ * Resolve a rebalance action's settings, applying defaults
+ * @param {object} action - Rebalance action { weights, totalWeight, schedule, driftBand, period }
+ * @returns {object} Resolved settings - weights is a weighting method or an object of weights by symbol
+ */
+function resolveRebalanceSettings(action) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  
+  let weights = 'equal';
+  if (action.weights && typeof action.weights === 'object') {
+    weights = {};
+    Object.entries(action.weights).forEach(([symbol, weight]) => {
+      const parsed = parseFloat(weight);
+      if (!isNaN(parsed) && parsed >= 0) weights[symbol] = parsed;
+    });
+  } else if (WEIGHTING_METHODS.includes(action.weights)) {
+    weights = action.weights;
+  }
+  
+  return {
+    weights,
+    totalWeight: number(action.totalWeight, 100),
+    schedule: REBALANCE_SCHEDULES.includes(action.schedule) ? action.schedule : 'monthly',
+    driftBand: number(action.driftBand, 0),
+    period: Math.round(number(action.period, 20)) || 20
+  };
+}
+
+/**
+ * Daily bars a rebalance needs before it can weight the symbols
+ * @param {object} action - Rebalance action
+ * @returns {number} Bars of history required
+ */
+function getRebalanceLookback(action) {
+  const settings = resolveRebalanceSettings(action);
+  return settings.weights === 'inverse_volatility' ? settings.period + 1 : 0;
+}
+
+/**
+ * Work out the target weights on a rebalance date
+ * @param {object} settings - Resolved rebalance settings
+ * @param {Array} symbols - Symbols with a bar on the date
+ * @param {object} data - { prices: symbol -> price, histories: symbol -> daily bars, metadata: symbol -> { sharesOutstanding } }
+ * @returns {object} Symbol -> target weight in percent (symbols that can't be weighted are left out)
+ */
+function calculateTargetWeights(settings, symbols, data) {
+  if (typeof settings.weights === 'object') {
+    const targets = {};
+    Object.entries(settings.weights).forEach(([symbol, weight]) => {
+      if (symbols.includes(symbol)) targets[symbol] = weight;
+    });
+    return targets;
+  }
+  
+  // Scores the weights are proportional to
+  const scores = {};
+  symbols.forEach(symbol => {
+    if (settings.weights === 'market_cap') {
+      const shares = parseFloat(data.metadata?.[symbol]?.sharesOutstanding);
+      if (shares > 0 && data.prices[symbol] > 0) scores[symbol] = shares * data.prices[symbol];
+    } else if (settings.weights === 'inverse_volatility') {
+      const volatility = sizing.calculateVolatility(data.histories[symbol], settings.period);
+      if (volatility) scores[symbol] = 1 / volatility;
+    } else {
+      scores[symbol] = 1;
+    }
+  });
+  
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  const targets = {};
+  Object.entries(scores).forEach(([symbol, score]) => {
+    targets[symbol] = total > 0 ? (score / total) * settings.totalWeight : 0;
+  });
+  return targets;
+}
+
+/**
+ * Work out the trades that bring the positions back to their targets
+ * @param {object} targets - Symbol -> target weight in percent
+ * @param {object} positions - Symbol -> quantity
+ * @param {object} prices - Symbol -> price
+ * @param {number} portfolioValue - Current portfolio value
+ * @param {number} driftBand - Percentage points of drift tolerated
+ * @returns {Array} { symbol, currentWeight, targetWeight } for the symbols to trade, sells first
+ */
+function planRebalance(targets, positions, prices, portfolioValue, driftBand) {
+  if (!(portfolioValue > 0)) return [];
+  
+  return Object.keys(targets)
+    .map(symbol => ({
+      symbol,
+      currentWeight: ((positions[symbol] || 0) * prices[symbol] / portfolioValue) * 100,
+      targetWeight: targets[symbol]
+    }))
+    .filter(entry => {
+      if (entry.currentWeight === 0 || entry.targetWeight === 0) return entry.currentWeight !== entry.targetWeight;
+      return Math.abs(entry.currentWeight - entry.targetWeight) > Math.max(driftBand, 1e-6);
+    })
+    .sort((a, b) => (a.targetWeight - a.currentWeight) - (b.targetWeight - b.currentWeight));
+}
+
+module.exports = {
+  REBALANCE_SCHEDULES,
+  WEIGHTING_METHODS,
+  resolveRebalanceSettings,
+  getRebalanceLookback,
+  calculateTargetWeights,
+  planRebalance
+};
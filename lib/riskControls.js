@@ -0,0 +1,76 @@
+/**
+ * Portfolio-level drawdown controls
+ *
+ * strategy.riskControls reacts to the portfolio's drawdown - how far equity is below its peak,
+ * in percent. The peak moves with deposits and withdrawals, so cash flows aren't drawdowns.
+ *   { circuitBreaker: { drawdown: 20, haltDays: 30 }, riskOff: { drawdown: 10, scale: 0.5 } }
+ * - circuitBreaker: once the drawdown reaches `drawdown`, every position is closed at the close
+ *   and trading stops for `haltDays` trading days (default 20), with open orders cancelled.
+ *   When trading resumes the peak starts again from the equity then.
+ * - riskOff: while the drawdown is at least `drawdown`, orders that open or add to a position
+ *   are scaled by `scale` (default 0.5, 0 blocks them). Orders that reduce a position aren't.
+ * The drawdown is measured on each bar's close, so a control that trips on a bar applies to
+ * the signals of that bar and the fills of the next.
+ */
+
+/**
+ * Resolve a strategy's risk controls, applying defaults
+ * @param {object} riskControls - strategy.riskControls (see the module comment)
+ * @returns {object|null} { circuitBreaker, riskOff } with null for a control that isn't set, or null without any
+ */
+function resolveRiskControls(riskControls) {
+  if (!riskControls || typeof riskControls !== 'object') return null;
+  const percent = (value) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed <= 0 || parsed >= 100 ? null : parsed;
+  };
+  
+  const breaker = riskControls.circuitBreaker || {};
+  const breakerDrawdown = percent(breaker.drawdown);
+  const haltDays = parseInt(breaker.haltDays);
+  
+  const riskOff = riskControls.riskOff || {};
+  const riskOffDrawdown = percent(riskOff.drawdown);
+  const scale = parseFloat(riskOff.scale);
+  
+  const settings = {
+    circuitBreaker: breakerDrawdown === null ? null : {
+      drawdown: breakerDrawdown,
+      haltDays: haltDays > 0 ? haltDays : 20
+    },
+    riskOff: riskOffDrawdown === null ? null : {
+      drawdown: riskOffDrawdown,
+      scale: !isNaN(scale) && scale >= 0 && scale <= 1 ? scale : 0.5
+    }
+  };
+  return settings.circuitBreaker || settings.riskOff ? settings : null;
+}
+
+/**
+ * Drawdown of equity from its peak
+ * @param {number} equity - Current equity
+ * @param {number} peak - Peak equity
+ * @returns {number} Drawdown in percent (0 at or above the peak)
+ */
+function calculateDrawdown(equity, peak) {
+  return peak > 0 && equity < peak ? ((peak - equity) / peak) * 100 : 0;
+}
+
+/**
+ * Work out which control a drawdown puts the portfolio under
+ * @param {object} settings - Resolved risk controls
+ * @param {number} drawdown - Current drawdown in percent
+ * @returns {string|null} 'circuit_breaker' if the breaker trips, 'risk_off' inside the risk-off
+ *   threshold, or null
+ */
+function getRiskMode(settings, drawdown) {
+  if (settings.circuitBreaker && drawdown >= settings.circuitBreaker.drawdown) return 'circuit_breaker';
+  if (settings.riskOff && drawdown >= settings.riskOff.drawdown) return 'risk_off';
+  return null;
+}
+
+module.exports = {
+  resolveRiskControls,
+  calculateDrawdown,
+  getRiskMode
+};
@@ -0,0 +1,133 @@
+/**
+ * Calendar schedules for buy, sell, short and cover actions
+ *
+ * An action with a schedule trades on the dates it names, with or without a condition:
+ *   { type: 'buy', schedule: { monthDay: 'first' }, amount: { type: 'fixed_amount', value: 100 } }
+ * - every: every N trading days, counting from the first trading date (1 trades every day)
+ * - weekdays: days of the week, e.g. ['monday', 'thursday'] (or 1-5, Monday being 1)
+ * - monthDay: 'first' or 'last' - the first or last trading date of each month
+ * - dates: a list of YYYY-MM-DD dates - a date that isn't a trading date falls on the next one
+ * A date has to match every rule that's set. An action with a condition as well only trades on
+ * the scheduled dates its condition is met. Trading dates come from every symbol's bars, so the
+ * last trading date of the data isn't known to end a month, and the first one is only known to
+ * start one when there are warm-up bars before it.
+ *
+ * Scheduled buys are compared with investing the same dollars at once: each symbol's scheduled
+ * buys (with their commissions) are added up and bought at its close on the date of the first one,
+ * without costs, and both sets of shares are valued at the last close. Sells aren't taken out of
+ * either side - the comparison is of the buying, not of the whole strategy.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Resolve an action's schedule
+ * @param {object} schedule - action.schedule (see the module comment)
+ * @returns {object|null} { every, weekdays, monthDay, dates } with null for each rule that isn't set,
+ *   or null without any rules
+ */
+function resolveActionSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') return null;
+  
+  const every = parseInt(schedule.every);
+  const weekdays = (Array.isArray(schedule.weekdays) ? schedule.weekdays : [])
+    .map(day => typeof day === 'number' ? day : WEEKDAYS.findIndex(name => name.startsWith(String(day).toLowerCase().slice(0, 3))))
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  const dates = (Array.isArray(schedule.dates) ? schedule.dates : [])
+    .filter(date => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date))
+    .sort();
+  
+  const settings = {
+    every: every > 0 ? every : null,
+    weekdays: weekdays.length > 0 ? [...new Set(weekdays)].sort() : null,
+    monthDay: schedule.monthDay === 'first' || schedule.monthDay === 'last' ? schedule.monthDay : null,
+    dates: dates.length > 0 ? dates : null
+  };
+  return Object.values(settings).some(rule => rule !== null) ? settings : null;
+}
+
+/**
+ * Check whether a trading date is on a schedule
+ * @param {object} settings - Resolved schedule
+ * @param {object} context - { date, tradingDay (trading dates since the first one, 0 on the first),
+ *   previousDate and nextDate (the neighbouring trading dates, warm-up bars included, or null) }
+ * @returns {boolean} True if the action trades on the date
+ */
+function isScheduledDate(settings, context) {
+  const { date, tradingDay, previousDate, nextDate } = context;
+  
+  if (settings.every !== null && tradingDay % settings.every !== 0) return false;
+  if (settings.weekdays !== null && !settings.weekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) return false;
+  if (settings.monthDay === 'first' && !(previousDate && previousDate.slice(0, 7) !== date.slice(0, 7))) return false;
+  if (settings.monthDay === 'last' && !(nextDate && nextDate.slice(0, 7) !== date.slice(0, 7))) return false;
+  if (settings.dates !== null) {
+    // Dates before the first trading date are skipped rather than all bunched onto it
+    const after = tradingDay === 0 ? null : previousDate;
+    if (!settings.dates.some(scheduled => scheduled <= date && (after === null ? scheduled === date : scheduled > after))) return false;
+  }
+  return true;
+}
+
+/**
+ * Describe a schedule for the logs
+ * @param {object} settings - Resolved schedule
+ * @returns {string} e.g. "on the first trading day of the month, on monday"
+ */
+function describeSchedule(settings) {
+  const parts = [];
+  if (settings.every !== null) parts.push(settings.every === 1 ? 'every trading day' : `every ${settings.every} trading days`);
+  if (settings.weekdays !== null) parts.push(`on ${settings.weekdays.map(day => WEEKDAYS[day]).join(', ')}`);
+  if (settings.monthDay !== null) parts.push(`on the ${settings.monthDay} trading day of the month`);
+  if (settings.dates !== null) parts.push(`on ${settings.dates.length} dates from ${settings.dates[0]}`);
+  return parts.join(', ');
+}
+
+/**
+ * Compare scheduled buys with investing the same dollars at once
+ * @param {object} purchases - Symbol -> { purchases, invested, shares } of the scheduled buys
+ *   (invested includes commissions)
+ * @param {object} prices - Symbol -> { start, end }: the close on the date of the first scheduled
+ *   buy and the last close
+ * @returns {object} { invested, dcaValue, dcaReturn, lumpSumValue, lumpSumReturn, difference, bySymbol },
+ *   returns in percent and difference in dollars (positive when the scheduled buys did better)
+ */
+function compareWithLumpSum(purchases, prices) {
+  const bySymbol = Object.entries(purchases).map(([symbol, bought]) => {
+    const { start, end } = prices[symbol];
+    const lumpSumShares = start > 0 ? bought.invested / start : 0;
+    return {
+      symbol,
+      purchases: bought.purchases,
+      invested: bought.invested,
+      shares: bought.shares,
+      averageCost: bought.shares > 0 ? bought.invested / bought.shares : null,
+      lumpSumPrice: start,
+      lumpSumShares,
+      finalPrice: end,
+      dcaValue: bought.shares * end,
+      lumpSumValue: lumpSumShares * end
+    };
+  });
+  
+  const sum = (key) => bySymbol.reduce((total, entry) => total + entry[key], 0);
+  const invested = sum('invested');
+  const dcaValue = sum('dcaValue');
+  const lumpSumValue = sum('lumpSumValue');
+  return {
+    invested,
+    dcaValue,
+    dcaReturn: invested > 0 ? (dcaValue / invested - 1) * 100 : 0,
+    lumpSumValue,
+    lumpSumReturn: invested > 0 ? (lumpSumValue / invested - 1) * 100 : 0,
+    difference: dcaValue - lumpSumValue,
+    bySymbol
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  resolveActionSchedule,
+  isScheduledDate,
+  describeSchedule,
+  compareWithLumpSum
+};
@@ -0,0 +1,209 @@
+/**
+ * Risk-based position sizing
+ *
+ * Actions can size orders from risk rather than a fixed amount (percentages in percent):
+ *   amount: { type: 'atr_risk', value: 1, period: 14, atrMultiple: 2 }
+ *     Risk 1% of equity per trade, with the stop atrMultiple ATRs from the entry. The stop
+ *     becomes the position's stop-loss unless the action sets its own.
+ *   amount: { type: 'inverse_volatility', value: 50, period: 20 }
+ *     Split 50% of the portfolio across the symbols in inverse proportion to their volatility -
+ *     each order gets its symbol's share.
+ *   amount: { type: 'target_volatility', value: 15, period: 20 }
+ *     Size the position so its annualized volatility alone would be 15% of the portfolio.
+ *   amount: { type: 'kelly', value: 50, lookback: 50, minTrades: 10 }
+ *     Half Kelly, from the win rate and payoff ratio of the strategy's last 50 closed trades.
+ *     Until minTrades trades have closed, the order uses initialWeight (default 5%).
+ * All of them accept maxWeight, the largest position in percent of the portfolio (default 100).
+ * Volatility is the annualized standard deviation of daily returns over the period; orders
+ * are skipped until there's enough history to measure it.
+ */
+
+const indicators = require('./indicators');
+
+const RISK_AMOUNT_TYPES = ['atr_risk', 'inverse_volatility', 'target_volatility', 'kelly'];
+const TRADING_DAYS_PER_YEAR = 252;
+
+/**
+ * Resolve the sizing parameters of a risk-based amount, applying defaults
+ * @param {object} amountRule - Amount rule { type, value, period, atrMultiple, lookback, minTrades, initialWeight, maxWeight }
+ * @returns {object} Resolved parameters
+ */
+function resolveSizingParams(amountRule) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+  };
+  
+  return {
+    period: Math.round(number(amountRule.period, amountRule.type === 'atr_risk' ? 14 : 20)),
+    atrMultiple: number(amountRule.atrMultiple, 2),
+    lookback: Math.round(number(amountRule.lookback, 50)),
+    minTrades: Math.round(number(amountRule.minTrades, 10)),
+    initialWeight: number(amountRule.initialWeight, 5),
+    maxWeight: number(amountRule.maxWeight, 100)
+  };
+}
+
+/**
+ * Daily bars a risk-based amount needs before it can size an order
+ * @param {object} amountRule - Amount rule
+ * @returns {number} Bars of history required (0 for other amount types)
+ */
+function getSizingLookback(amountRule) {
+  if (!amountRule || !['atr_risk', 'inverse_volatility', 'target_volatility'].includes(amountRule.type)) return 0;
+  return resolveSizingParams(amountRule).period + 1;
+}
+
+/**
+ * Annualized volatility of a symbol's daily returns
+ * @param {Array} history - Daily bars, oldest to newest
+ * @param {number} period - Number of returns to measure
+ * @returns {number|null} Volatility in percent, or null without enough history
+ */
+function calculateVolatility(history, period) {
+  if (!history || history.length < period + 1) return null;
+  
+  const returns = [];
+  for (let i = history.length - period; i < history.length; i++) {
+    const previous = history[i - 1].close;
+    if (previous > 0) returns.push(history[i].close / previous - 1);
+  }
+  if (returns.length < 2) return null;
+  
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100;
+}
+
+/**
+ * Kelly fraction from closed trades - the win rate less the loss rate over the payoff ratio
+ * @param {Array} tradeResults - Closed trades { profitLossPercent }, oldest to newest
+ * @returns {object|null} { winRate, payoffRatio, kelly } with the rates as fractions, or null
+ *   without both winning and losing trades
+ */
+function calculateKellyFraction(tradeResults) {
+  const wins = tradeResults.filter(trade => trade.profitLossPercent > 0);
+  const losses = tradeResults.filter(trade => trade.profitLossPercent < 0);
+  if (wins.length === 0 || losses.length === 0) return null;
+  
+  const averageWin = wins.reduce((sum, trade) => sum + trade.profitLossPercent, 0) / wins.length;
+  const averageLoss = -losses.reduce((sum, trade) => sum + trade.profitLossPercent, 0) / losses.length;
+  const winRate = wins.length / tradeResults.length;
+  const payoffRatio = averageWin / averageLoss;
+  
+  return { winRate, payoffRatio, kelly: winRate - (1 - winRate) / payoffRatio };
+}
+
+/**
+ * Size an order from risk
+ * @param {object} amountRule - Risk-based amount rule (see the module comment)
+ * @param {number} portfolioValue - Current portfolio value
+ * @param {number} currentPrice - Price the order is sized at
+ * @param {object} data - { history: the symbol's daily bars, histories: symbol -> daily bars of every
+ *   symbol (for inverse volatility), tradeResults: closed trades so far (for Kelly) }
+ * @returns {object} { dollars, stopLoss, reason } - dollars is 0 when the order can't be sized, with
+ *   the reason; stopLoss is the ATR stop distance in percent of the price
+ */
+function calculateRiskAmount(amountRule, portfolioValue, currentPrice, data) {
+  const params = resolveSizingParams(amountRule);
+  const value = typeof amountRule.value === 'number' && !isNaN(amountRule.value) ? amountRule.value : 1;
+  const maxDollars = (portfolioValue * params.maxWeight) / 100;
+  const result = { dollars: 0, stopLoss: null, reason: null };
+  
+  switch (amountRule.type) {
+    case 'atr_risk': {
+      const history = data.history || [];
+      const atr = history.length > params.period ? indicators.calculateATR(history.slice(-(params.period + 1)), params.period)[params.period] : NaN;
+      if (!(atr > 0) || !(currentPrice > 0)) {
+        result.reason = `not enough history for ATR(${params.period})`;
+        break;
+      }
+      const stopDistance = atr * params.atrMultiple;
+      const riskDollars = (portfolioValue * value) / 100;
+      result.dollars = (riskDollars / stopDistance) * currentPrice;
+      result.stopLoss = (stopDistance / currentPrice) * 100;
+      console.log(`[SIZING] Risking $${riskDollars.toFixed(2)} with a ${params.atrMultiple}x ATR(${params.period}) stop $${stopDistance.toFixed(2)} (${result.stopLoss.toFixed(2)}%) away`);
+      break;
+    }
+    
+    case 'inverse_volatility': {
+      const volatility = calculateVolatility(data.history, params.period);
+      if (!volatility) {
+        result.reason = `not enough history for ${params.period}-day volatility`;
+        break;
+      }
+      // Weights across every symbol whose volatility can be measured
+      let inverseSum = 0;
+      Object.values(data.histories || {}).forEach(history => {
+        const symbolVolatility = calculateVolatility(history, params.period);
+        if (symbolVolatility) inverseSum += 1 / symbolVolatility;
+      });
+      const weight = value * (1 / volatility) / inverseSum;
+      result.dollars = (portfolioValue * weight) / 100;
+      console.log(`[SIZING] Volatility ${volatility.toFixed(2)}%, inverse-volatility weight ${weight.toFixed(2)}% of ${value}%`);
+      break;
+    }
+    
+    case 'target_volatility': {
+      const volatility = calculateVolatility(data.history, params.period);
+      if (!volatility) {
+        result.reason = `not enough history for ${params.period}-day volatility`;
+        break;
+      }
+      const weight = (value / volatility) * 100;
+      result.dollars = (portfolioValue * weight) / 100;
+      console.log(`[SIZING] Volatility ${volatility.toFixed(2)}%, weight ${weight.toFixed(2)}% for ${value}% target volatility`);
+      break;
+    }
+    
+    case 'kelly': {
+      const trailing = (data.tradeResults || []).slice(-params.lookback);
+      if (trailing.length < params.minTrades) {
+        result.dollars = (portfolioValue * params.initialWeight) / 100;
+        console.log(`[SIZING] ${trailing.length} of ${params.minTrades} trades closed for Kelly sizing, using ${params.initialWeight}%`);
+        break;
+      }
+      const fraction = calculateKellyFraction(trailing);
+      if (!fraction) {
+        // All winners or all losers - a full Kelly fraction of 1 or 0. Break-even trades show no
+        // edge either way, so trades that only broke even keep the initial weight.
+        const hasWins = trailing.some(trade => trade.profitLossPercent > 0);
+        const hasLosses = trailing.some(trade => trade.profitLossPercent < 0);
+        if (!hasWins && !hasLosses) {
+          result.dollars = (portfolioValue * params.initialWeight) / 100;
+          console.log(`[SIZING] ${trailing.length} trades broke even, no Kelly edge - using ${params.initialWeight}%`);
+          break;
+        }
+        if (!hasWins) {
+          result.reason = 'no winning trades';
+          break;
+        }
+        result.dollars = (portfolioValue * value) / 100;
+        console.log(`[SIZING] ${trailing.length} trades without a loss, Kelly 100% x ${value}% = ${value}%`);
+        break;
+      }
+      const weight = Math.max(0, fraction.kelly) * value;
+      result.dollars = (portfolioValue * weight) / 100;
+      if (weight <= 0) result.reason = 'negative Kelly edge';
+      console.log(`[SIZING] Win rate ${(fraction.winRate * 100).toFixed(1)}%, payoff ${fraction.payoffRatio.toFixed(2)}, Kelly ${(fraction.kelly * 100).toFixed(2)}% x ${value}% = ${weight.toFixed(2)}%`);
+      break;
+    }
+    
+    default:
+      result.reason = `unknown risk amount type ${amountRule.type}`;
+  }
+  
+  if (result.dollars > maxDollars) {
+    console.log(`[SIZING] Capping $${result.dollars.toFixed(2)} at the ${params.maxWeight}% max weight`);
+    result.dollars = maxDollars;
+  }
+  return result;
+}
+
+module.exports = {
+  RISK_AMOUNT_TYPES,
+  getSizingLookback,
+  calculateVolatility,
+  calculateKellyFraction,
+  calculateRiskAmount
+};
@@ -0,0 +1,268 @@
+/**
+ * Tax-lot accounting for taxable accounts
+ *
+ * Taxes are optional and configured per strategy (rates in percent):
+ *   taxes: { shortTermRate: 37, longTermRate: 20, dividendRate: 20, longTermDays: 365, washSales: true }
+ * Gains are taxed per lot from the trade ledger (see lib/trades.js), so the lot matching
+ * method decides which shares a sale closes:
+ * - A long lot held more than longTermDays is long-term, anything else short-term. Short
+ *   sales are always short-term.
+ * - Wash sales: a loss is disallowed when a lot of the same symbol and side is opened within
+ *   30 days before or after the losing sale and is still held at the sale. The loss is added
+ *   to that lot's cost basis (so it's recognized when that lot closes), and the losing lot's
+ *   holding period carries over to it.
+ * - Each year, short- and long-term results are netted against each other, losses carried
+ *   forward from earlier years offset the rest, and any net loss carries forward. Losses are
+ *   not deducted from other income.
+ * - Dividends received, less dividends charged on shorts, are taxed at dividendRate
+ *   (longTermRate unless set).
+ *
+ * Taxes are not withdrawn from the simulated account - a year's tax is charged to the
+ * after-tax equity curve on its last valuation date (the final year's on the last date).
+ */
+
+const WASH_SALE_DAYS = 30;
+const QUANTITY_EPSILON = 1e-9;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Resolve the strategy's tax settings, applying defaults
+ * @param {object} taxes - { shortTermRate, longTermRate, dividendRate, longTermDays, washSales }
+ * @returns {object|null} Resolved settings, or null when taxes are off
+ */
+function resolveTaxSettings(taxes) {
+  if (!taxes || taxes.enabled === false) return null;
+  
+  const rate = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  const shortTermRate = rate(taxes.shortTermRate, 37);
+  const longTermRate = rate(taxes.longTermRate, 20);
+  const longTermDays = parseInt(taxes.longTermDays);
+  
+  return {
+    shortTermRate,
+    longTermRate,
+    dividendRate: rate(taxes.dividendRate, longTermRate),
+    longTermDays: isNaN(longTermDays) || longTermDays < 1 ? 365 : longTermDays,
+    washSales: taxes.washSales !== false
+  };
+}
+
+/**
+ * Calendar days between two dates
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {number} Days from 'from' to 'to'
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / MS_PER_DAY);
+}
+
+/**
+ * Find wash sales and move the disallowed losses to the replacement lots
+ * @param {Array} trades - Closed trades in the order they closed
+ * @param {Array} openTrades - Lots still open
+ * @returns {Array} One entry per trade, then one per open lot:
+ *   { trade, basisAdjustment, tackedDays, disallowedLoss }
+ */
+function applyWashSales(trades, openTrades) {
+  const pieces = trades.concat(openTrades).map(trade => ({
+    trade,
+    available: trade.quantity, // Shares that can still replace a washed loss
+    basisAdjustment: 0,
+    tackedDays: 0,
+    disallowedLoss: 0
+  }));
+  
+  trades.forEach((trade, i) => {
+    const piece = pieces[i];
+    const gain = trade.profitLoss - piece.basisAdjustment;
+    if (gain >= 0) return;
+    
+    // Replacements are the other lots still held after this sale - later closes and open lots
+    const lossPerShare = -gain / trade.quantity;
+    let remaining = trade.quantity;
+    for (let j = i + 1; j < pieces.length && remaining > QUANTITY_EPSILON; j++) {
+      const candidate = pieces[j];
+      const replacement = candidate.trade;
+      if (replacement.symbol !== trade.symbol || replacement.side !== trade.side || replacement.lotId === trade.lotId) continue;
+      if (candidate.available <= QUANTITY_EPSILON) continue;
+      if (Math.abs(daysBetween(replacement.entryDate, trade.exitDate)) > WASH_SALE_DAYS) continue;
+      
+      const quantity = Math.min(candidate.available, remaining);
+      const disallowed = lossPerShare * quantity;
+      candidate.available -= quantity;
+      candidate.basisAdjustment += disallowed;
+      candidate.tackedDays = Math.max(candidate.tackedDays, trade.holdingDays);
+      piece.disallowedLoss += disallowed;
+      remaining -= quantity;
+    }
+    
+    if (piece.disallowedLoss > 0) {
+      console.log(`[TAXES] Wash sale: $${piece.disallowedLoss.toFixed(2)} of the $${(-gain).toFixed(2)} loss on ${trade.symbol} sold ${trade.exitDate} is added to the replacement shares' basis`);
+    }
+  });
+  
+  return pieces;
+}
+
+/**
+ * Net a year's short- and long-term results and apply the loss carryforward
+ * @param {number} shortTerm - Net short-term gain (negative for a loss)
+ * @param {number} longTerm - Net long-term gain (negative for a loss)
+ * @param {number} carryforward - Losses carried in from earlier years (positive)
+ * @returns {object} { taxableShortTerm, taxableLongTerm, carryforwardUsed, carryforward }
+ */
+function netGains(shortTerm, longTerm, carryforward) {
+  let st = shortTerm;
+  let lt = longTerm;
+  
+  // A net loss of one kind offsets a net gain of the other
+  if (st < 0 && lt > 0) {
+    const offset = Math.min(-st, lt);
+    lt -= offset;
+    st += offset;
+  } else if (lt < 0 && st > 0) {
+    const offset = Math.min(-lt, st);
+    st -= offset;
+    lt += offset;
+  }
+  
+  // Carried losses offset short-term gains first, then long-term ones
+  let available = carryforward;
+  const fromShortTerm = Math.min(available, Math.max(0, st));
+  st -= fromShortTerm;
+  available -= fromShortTerm;
+  const fromLongTerm = Math.min(available, Math.max(0, lt));
+  lt -= fromLongTerm;
+  available -= fromLongTerm;
+  
+  return {
+    taxableShortTerm: Math.max(0, st),
+    taxableLongTerm: Math.max(0, lt),
+    carryforwardUsed: fromShortTerm + fromLongTerm,
+    carryforward: available - Math.min(0, st) - Math.min(0, lt)
+  };
+}
+
+/**
+ * Work out the taxes on a backtest's realized gains and dividends
+ * @param {object} ledger - Trade ledger { trades, openTrades } (see lib/trades.js)
+ * @param {Array} transactions - All transactions (for the dividends)
+ * @param {Array} valueHistory - Portfolio value history { date, value }
+ * @param {object} settings - Resolved tax settings
+ * @returns {object} { years, totalTax, washSales, washSaleDisallowed, deferredLosses, lossCarryforward,
+ *   afterTaxValues } - afterTaxValues lines up with valueHistory. Each trade gets a 'tax' field
+ *   { term, gain, disallowedLoss, basisAdjustment } with its recognized gain.
+ */
+function calculateTaxes(ledger, transactions, valueHistory, settings) {
+  const pieces = settings.washSales ?
+    applyWashSales(ledger.trades, ledger.openTrades) :
+    ledger.trades.concat(ledger.openTrades).map(trade => ({ trade, basisAdjustment: 0, tackedDays: 0, disallowedLoss: 0 }));
+  
+  const years = {};
+  const yearOf = date => date.slice(0, 4);
+  const getYear = year => years[year] || (years[year] = {
+    year: parseInt(year),
+    shortTermGains: 0,
+    shortTermLosses: 0,
+    longTermGains: 0,
+    longTermLosses: 0,
+    washSaleDisallowed: 0,
+    dividends: 0
+  });
+  valueHistory.forEach(point => getYear(yearOf(point.date)));
+  
+  let washSales = 0;
+  let washSaleDisallowed = 0;
+  let deferredLosses = 0;
+  pieces.forEach((piece, i) => {
+    if (i >= ledger.trades.length) {
+      // Still open - its wash-sale adjustment isn't recognized yet
+      deferredLosses += piece.basisAdjustment;
+      return;
+    }
+    
+    const trade = piece.trade;
+    const recognized = trade.profitLoss - piece.basisAdjustment + piece.disallowedLoss;
+    const gain = Math.abs(recognized) < QUANTITY_EPSILON ? 0 : recognized; // A fully washed loss leaves rounding residue
+    const isLongTerm = trade.side === 'long' && trade.holdingDays + piece.tackedDays > settings.longTermDays;
+    trade.tax = {
+      term: isLongTerm ? 'long' : 'short',
+      gain,
+      disallowedLoss: piece.disallowedLoss,
+      basisAdjustment: piece.basisAdjustment
+    };
+    
+    const summary = getYear(yearOf(trade.exitDate));
+    const key = (isLongTerm ? 'longTerm' : 'shortTerm') + (gain >= 0 ? 'Gains' : 'Losses');
+    summary[key] += gain;
+    if (piece.disallowedLoss > 0) {
+      summary.washSaleDisallowed += piece.disallowedLoss;
+      washSales++;
+      washSaleDisallowed += piece.disallowedLoss;
+    }
+  });
+  
+  transactions.forEach(tx => {
+    if (tx.type === 'dividend') getYear(yearOf(tx.date)).dividends += tx.amount;
+    if (tx.type === 'dividend_charge') getYear(yearOf(tx.date)).dividends -= tx.amount;
+  });
+  
+  // Tax each year in turn, carrying net losses forward
+  let carryforward = 0;
+  let totalTax = 0;
+  const summaries = Object.keys(years).sort().map(year => {
+    const summary = years[year];
+    const netting = netGains(
+      summary.shortTermGains + summary.shortTermLosses,
+      summary.longTermGains + summary.longTermLosses,
+      carryforward
+    );
+    carryforward = netting.carryforward;
+    
+    const shortTermTax = netting.taxableShortTerm * settings.shortTermRate / 100;
+    const longTermTax = netting.taxableLongTerm * settings.longTermRate / 100;
+    const dividendTax = Math.max(0, summary.dividends) * settings.dividendRate / 100;
+    const tax = shortTermTax + longTermTax + dividendTax;
+    totalTax += tax;
+    
+    return {
+      ...summary,
+      ...netting,
+      shortTermTax,
+      longTermTax,
+      dividendTax,
+      tax
+    };
+  });
+  
+  // Charge each year's tax on its last valuation date
+  const taxByYear = new Map(summaries.map(summary => [String(summary.year), summary.tax]));
+  let taxesCharged = 0;
+  const afterTaxValues = valueHistory.map((point, i) => {
+    const year = yearOf(point.date);
+    const isLastOfYear = i === valueHistory.length - 1 || yearOf(valueHistory[i + 1].date) !== year;
+    if (isLastOfYear) {
+      taxesCharged += taxByYear.get(year) || 0;
+    }
+    return point.value - taxesCharged;
+  });
+  
+  return {
+    years: summaries,
+    totalTax,
+    washSales,
+    washSaleDisallowed,
+    deferredLosses,
+    lossCarryforward: carryforward,
+    afterTaxValues
+  };
+}
+
+module.exports = {
+  resolveTaxSettings,
+  calculateTaxes
+};
@@ -0,0 +1,111 @@
+/**
+ * Tests for split and dividend price adjustment
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const adjustments = require('../adjustments');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// Raw bars around a 2:1 split on 2024-06-05; adjClose also takes 2% off for an earlier dividend
+const bar = (date, price, volume, adjClose) => ({ date, open: price, high: price + 1, low: price - 1, close: price, volume, adjClose });
+const bars = [
+  bar('2024-06-03', 100, 1000, 49),
+  bar('2024-06-04', 102, 1000, 49.98),
+  bar('2024-06-05', 51, 2000, 51),
+  bar('2024-06-06', 52, 2000, 52)
+];
+const split = { date: '2024-06-05', ratio: '2:1' };
+
+const adjust = (events, prices) => adjustments.adjustBars(bars, events, adjustments.resolvePriceSettings(prices));
+
+describe('resolvePriceSettings', () => {
+  it('defaults to split-adjusted prices without dividends', () => {
+    assert.deepEqual(adjustments.resolvePriceSettings(undefined), { adjustment: 'split_adjusted', dividends: false });
+    assert.deepEqual(adjustments.resolvePriceSettings({ adjustment: 'raw', dividends: true }), { adjustment: 'raw', dividends: true });
+  });
+  
+  it('turns dividends off for fully adjusted prices, which already include them', () => {
+    assert.deepEqual(adjustments.resolvePriceSettings({ adjustment: 'adjusted', dividends: true }), { adjustment: 'adjusted', dividends: false });
+  });
+});
+
+describe('parseSplitRatio', () => {
+  it('reads ratios and numbers as new shares per old share', () => {
+    assert.equal(adjustments.parseSplitRatio('2:1'), 2);
+    assert.equal(adjustments.parseSplitRatio('1/10'), 0.1);
+    assert.equal(adjustments.parseSplitRatio(3), 3);
+    assert.equal(adjustments.parseSplitRatio('two'), null);
+    assert.equal(adjustments.parseSplitRatio(0), null);
+  });
+});
+
+describe('adjustBars', () => {
+  it('leaves raw bars as they are', () => {
+    const result = adjust({ splits: [split] }, { adjustment: 'raw' });
+    assert.deepEqual(result.bars, bars);
+    assert.notEqual(result.bars[0], bars[0]);
+    assert.deepEqual(result.splits, [{ date: '2024-06-05', index: 2, factor: 2 }]);
+  });
+  
+  it('divides the prices before a split by its ratio and multiplies the volume', () => {
+    const result = adjust({ splits: [split] }, { adjustment: 'split_adjusted' });
+    assert.deepEqual(result.bars.map(b => [b.open, b.high, b.low, b.close, b.volume]), [
+      [50, 50.5, 49.5, 50, 2000],
+      [51, 51.5, 50.5, 51, 2000],
+      [51, 52, 50, 51, 2000],
+      [52, 53, 51, 52, 2000]
+    ]);
+  });
+  
+  it('scales total-return prices by adjClose over close', () => {
+    const result = adjust({ splits: [split] }, { adjustment: 'adjusted' });
+    close(result.bars[0].close, 49);
+    close(result.bars[0].high, 101 * 0.49);
+    close(result.bars[1].close, 49.98);
+    close(result.bars[3].close, 52);
+    assert.equal(result.bars[0].volume, 2000);
+  });
+  
+  it('falls back to split-adjusted prices when adjClose is missing', () => {
+    const withoutAdjClose = bars.map(({ adjClose, ...rest }) => rest);
+    const { warn } = console;
+    console.warn = () => {};
+    try {
+      const result = adjustments.adjustBars(withoutAdjClose, { splits: [split] }, adjustments.resolvePriceSettings({ adjustment: 'adjusted' }));
+      assert.equal(result.bars[0].close, 50);
+    } finally {
+      console.warn = warn;
+    }
+  });
+  
+  it('skips splits the bars already reflect', () => {
+    const alreadySplit = bars.map((b, i) => (i < 2 ? { ...b, open: b.open / 2, high: b.high / 2, low: b.low / 2, close: b.close / 2 } : b));
+    const result = adjustments.adjustBars(alreadySplit, { splits: [split] }, adjustments.resolvePriceSettings({}));
+    assert.deepEqual(result.splits, []);
+    assert.equal(result.bars[0].close, 50);
+  });
+  
+  it('attaches dividends to the first bar on or after the ex-date', () => {
+    const dividends = [
+      { date: '2024-06-04', amount: 0.25 },
+      { date: '2024-06-04', amount: 0.1 },
+      { date: '2024-06-06', amount: 0.3 },
+      { date: '2024-06-10', amount: 0.5 }
+    ];
+    const result = adjust({ splits: [split], dividends }, { dividends: true });
+    assert.deepEqual(result.bars.map(b => b.dividend), [undefined, 0.35, undefined, 0.3]);
+    assert.equal(adjust({ dividends }, {}).bars.some(b => 'dividend' in b), false);
+  });
+  
+  it('scales dividends before a split back to the raw share count', () => {
+    const dividends = [{ date: '2024-06-01', amount: 0.25 }, { date: '2024-06-06', amount: 0.3 }];
+    const raw = adjust({ splits: [split], dividends }, { adjustment: 'raw', dividends: true });
+    assert.deepEqual(raw.bars.map(b => b.dividend), [0.5, undefined, undefined, 0.3]);
+    const splitAdjusted = adjust({ splits: [split], dividends }, { dividends: true });
+    assert.deepEqual(splitAdjusted.bars.map(b => b.dividend), [0.25, undefined, undefined, 0.3]);
+  });
+});
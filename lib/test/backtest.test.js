@@ -0,0 +1,222 @@
+/**
+ * Tests for runBacktest on synthetic bars
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runBacktest, getRequiredLookback, getWarmupCalendarDays } = require('../backtest');
+
+// Weekday bars from start, one per close, with a fixed range around each close
+const makeBars = (start, closes) => {
+  const date = new Date(`${start}T00:00:00Z`);
+  return closes.map(close => {
+    while (date.getUTCDay() === 0 || date.getUTCDay() === 6) date.setUTCDate(date.getUTCDate() + 1);
+    const bar = { date: date.toISOString().split('T')[0], open: close, high: close + 1, low: close - 1, close, volume: 100000 };
+    date.setUTCDate(date.getUTCDate() + 1);
+    return bar;
+  });
+};
+
+// runBacktest logs every bar - keep the test output readable
+const run = (strategy, stockData, options) => {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return runBacktest(strategy, stockData, options);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+};
+
+const always = { metric: 'price', operator: 'greater_than', value: 0 };
+
+describe('warm-up before the start date', () => {
+  // Three closes down in a row from 2024-01-04 to 2024-01-08
+  const bars = makeBars('2024-01-01', [100, 101, 102, 101, 100, 99, 100, 101, 102, 103]);
+  const strategy = {
+    actions: [{ type: 'buy', condition: { type: 'consecutive', days: 3, direction: 'down' }, timeframe: 'daily', amount: { type: 'shares', value: 1 } }]
+  };
+  
+  it('sizes the warm-up from the conditions\' lookback', () => {
+    assert.deepEqual(getRequiredLookback(strategy), { daily: 3, weekly: 0, monthly: 0 });
+    assert.equal(getWarmupCalendarDays({ daily: 100, weekly: 0, monthly: 0 }), 160);
+    assert.equal(getWarmupCalendarDays({ daily: 0, weekly: 0, monthly: 2 }), 103);
+  });
+  
+  it('trades and values the portfolio from the start date only, with the earlier bars as history', () => {
+    const results = run(strategy, { AAA: bars }, { startDate: '2024-01-08' });
+    assert.equal(results.metrics.startDate, '2024-01-08');
+    assert.equal(results.valueHistory[0].date, '2024-01-08');
+    assert.equal(results.valueHistory.length, 5);
+    // The signal on the first trading date needs the warm-up bars before it
+    assert.deepEqual(results.transactions.map(transaction => transaction.date), ['2024-01-08']);
+    assert.deepEqual(results.warmup, {
+      startDate: '2024-01-08',
+      warmupBars: 5,
+      required: { daily: 3, weekly: 0, monthly: 0 },
+      insufficient: []
+    });
+  });
+  
+  it('reports symbols with fewer warm-up bars than the lookback', () => {
+    const results = run(strategy, { AAA: bars }, { startDate: '2024-01-02' });
+    assert.deepEqual(results.warmup.insufficient, [{ symbol: 'AAA', timeframe: 'daily', available: 1, required: 3 }]);
+  });
+});
+
+describe('queued orders', () => {
+  // The second bar is the only one that closes below 100.5, so it's the only signal
+  const bars = makeBars('2024-01-01', [100, 100, 101, 102, 103, 104]);
+  const buyOnce = (fields) => ({
+    type: 'buy',
+    condition: { metric: 'price', operator: 'less_than', value: 100.5 },
+    timeframe: 'daily',
+    amount: { type: 'shares', value: 10 },
+    ...fields
+  });
+  
+  it('fills market orders at the next bar\'s open under next_bar_open', () => {
+    const gapped = bars.map((bar, i) => (i === 2 ? { ...bar, open: 100.5 } : bar));
+    const results = run({ actions: [buyOnce()], execution: { model: 'next_bar_open' } }, { AAA: gapped });
+    assert.deepEqual(results.transactions.map(transaction => [transaction.date, transaction.price]), [[gapped[2].date, 100.5]]);
+    assert.equal(results.execution.ordersFilled, 1);
+  });
+  
+  it('cancels limit orders the price doesn\'t reach within expiresAfter bars', () => {
+    const results = run({ actions: [buyOnce({ order: { type: 'limit', offsetPercent: -5, expiresAfter: 2 } })] }, { AAA: bars });
+    assert.equal(results.transactions.length, 0);
+    assert.deepEqual([results.execution.ordersQueued, results.execution.ordersExpired, results.execution.openOrders], [1, 1, 0]);
+  });
+  
+  it('fills a limit order at the open of a bar that gaps below the limit', () => {
+    const gapped = bars.map((bar, i) => (i === 3 ? { ...bar, open: 90, low: 89 } : bar));
+    const results = run({ actions: [buyOnce({ order: { type: 'limit', offsetPercent: -5, expiresAfter: 2 } })] }, { AAA: gapped });
+    assert.deepEqual(results.transactions.map(transaction => [transaction.date, transaction.price]), [[gapped[3].date, 90]]);
+  });
+});
+
+describe('benchmark', () => {
+  const bars = makeBars('2024-01-01', [100, 100, 100, 100, 100]);
+  const never = { actions: [{ type: 'buy', condition: { metric: 'price', operator: 'less_than', value: 0 }, timeframe: 'daily', amount: { type: 'shares', value: 1 } }] };
+  // No bar on the first trading date or on 2024-01-04, and bars on dates the backtest doesn't trade
+  const benchmarkBars = [
+    { date: '2023-12-29', close: 45 },
+    { date: '2024-01-02', close: 50 },
+    { date: '2024-01-03', close: 55 },
+    { date: '2024-01-05', close: 60 },
+    { date: '2024-01-06', close: 70 }
+  ];
+  
+  it('buys and holds from its first bar on the backtest\'s dates, carrying its last close over gaps', () => {
+    const results = run(never, { AAA: bars }, { benchmark: { symbol: 'SPY', bars: benchmarkBars } });
+    assert.deepEqual(results.valueHistory.map(point => [point.date, point.benchmark]), [
+      ['2024-01-01', 10000],
+      ['2024-01-02', 10000],
+      ['2024-01-03', 11000],
+      ['2024-01-04', 11000],
+      ['2024-01-05', 12000]
+    ]);
+    assert.equal(results.benchmark.symbol, 'SPY');
+    assert.equal(results.benchmark.finalValue, 12000);
+    assert.ok(Math.abs(results.benchmark.totalReturn - 20) < 1e-9);
+  });
+  
+  it('takes the same deposits, holding them in cash until its next bar', () => {
+    const results = run({ ...never, capital: { schedule: [{ date: '2024-01-04', amount: 1000 }] } }, { AAA: bars }, {
+      benchmark: { symbol: 'SPY', bars: benchmarkBars }
+    });
+    assert.deepEqual(results.valueHistory.slice(-2).map(point => point.benchmark), [12000, 13000]);
+    // The deposit sits in cash through the rise from 55 to 60 - 10%, then 1000 on 12000
+    assert.ok(Math.abs(results.benchmark.totalReturn - (1.1 * 13 / 12 - 1) * 100) < 1e-9);
+  });
+});
+
+describe('drawdown controls', () => {
+  // 45 shares bought at 100 on the second bar lose 900 of the 10000 at the close of 80 - a 9% drawdown
+  const bars = makeBars('2024-01-01', [100, 100, 80, 95, 95, 80, 95]);
+  const buyAbove90 = { type: 'buy', condition: { metric: 'price', operator: 'greater_than', value: 90 }, timeframe: 'daily', amount: { type: 'shares', value: 45 } };
+  
+  it('closes every position when the circuit breaker trips and blocks orders until the halt is over', () => {
+    const results = run({ actions: [buyAbove90], riskControls: { circuitBreaker: { drawdown: 5, haltDays: 3 } } }, { AAA: bars });
+    assert.deepEqual(results.transactions.map(transaction => [transaction.date, transaction.type, transaction.exitReason || null]), [
+      ['2024-01-02', 'buy', null],
+      ['2024-01-03', 'sell', 'circuit_breaker'],
+      ['2024-01-09', 'buy', null]
+    ]);
+    assert.deepEqual(results.valueHistory.map(point => point.riskMode), [null, null, 'circuit_breaker', 'circuit_breaker', 'circuit_breaker', null, null]);
+    const { circuitBreakerTrips, haltedDays, liquidations, blockedOrders, events } = results.riskControls;
+    assert.deepEqual([circuitBreakerTrips, haltedDays, liquidations, blockedOrders], [1, 3, 1, 2]);
+    assert.deepEqual(events.map(event => [event.date, event.type]), [['2024-01-03', 'circuit_breaker'], ['2024-01-08', 'resume']]);
+  });
+  
+  it('scales orders that add to positions while risk-off', () => {
+    // The close of 95 on the fourth bar still leaves a 2.25% drawdown
+    const results = run({ actions: [buyAbove90], riskControls: { riskOff: { drawdown: 2, scale: 0.5 } } }, { AAA: bars });
+    assert.deepEqual(results.transactions.slice(0, 2).map(transaction => transaction.quantity), [45, 22.5]);
+    assert.equal(results.valueHistory[3].riskMode, 'risk_off');
+  });
+});
+
+describe('scheduled actions', () => {
+  // Every weekday from Monday 2023-12-25 to Thursday 2024-02-29, closing 1 higher each day
+  const bars = [];
+  for (const date = new Date('2023-12-25T00:00:00Z'); date < new Date('2024-03-01T00:00:00Z'); date.setUTCDate(date.getUTCDate() + 1)) {
+    if (date.getUTCDay() === 0 || date.getUTCDay() === 6) continue;
+    const close = 100 + bars.length;
+    bars.push({ date: date.toISOString().split('T')[0], open: close, high: close + 1, low: close - 1, close, volume: 100000 });
+  }
+  const buyOn = (schedule, fields) => ({ type: 'buy', schedule, timeframe: 'daily', amount: { type: 'fixed_amount', value: 1000 }, ...fields });
+  const tradeDates = (action, startDate = '2024-01-01') => run({ actions: [action] }, { AAA: bars }, { startDate }).transactions.map(transaction => transaction.date);
+  
+  it('trades on the first or last trading date of each month', () => {
+    assert.deepEqual(tradeDates(buyOn({ monthDay: 'first' })), ['2024-01-01', '2024-02-01']);
+    // The last bar isn't known to end February
+    assert.deepEqual(tradeDates(buyOn({ monthDay: 'last' })), ['2024-01-31']);
+  });
+  
+  it('moves listed dates that aren\'t trading dates to the next one', () => {
+    assert.deepEqual(tradeDates(buyOn({ dates: ['2024-01-13', '2024-02-20'] })), ['2024-01-15', '2024-02-20']);
+  });
+  
+  it('counts every N trading days from the start date', () => {
+    assert.deepEqual(tradeDates(buyOn({ every: 10 }), '2024-02-01'), ['2024-02-01', '2024-02-15', '2024-02-29']);
+  });
+  
+  it('only trades on the scheduled dates the condition is met', () => {
+    const action = buyOn({ weekdays: ['friday'] }, { condition: { metric: 'price', operator: 'greater_than', value: 140 } });
+    assert.deepEqual(tradeDates(action), ['2024-02-23']);
+  });
+  
+  it('compares the scheduled buys with buying the same dollars on the first date', () => {
+    const results = run({ actions: [buyOn({ monthDay: 'first' })] }, { AAA: bars }, { startDate: '2024-01-01' });
+    const dca = results.dollarCostAveraging;
+    assert.deepEqual([dca.startDate, dca.endDate, dca.purchases, dca.invested], ['2024-01-01', '2024-02-29', 2, 2000]);
+    // Bought at the closes of 105 and 128, against 2000 at 105, all worth 148 at the end
+    assert.ok(Math.abs(dca.dcaValue - (1000 / 105 + 1000 / 128) * 148) < 1e-9);
+    assert.ok(Math.abs(dca.lumpSumValue - (2000 / 105) * 148) < 1e-9);
+  });
+});
+
+describe('target weight covers', () => {
+  // Actions are checked from the second bar, the only one that closes below 100.5
+  const bars = makeBars('2024-01-01', [100, 100, 101, 102, 103, 104, 105, 106, 107, 108]);
+  
+  it('does not open a short', () => {
+    const results = run({
+      actions: [{ type: 'cover', condition: always, timeframe: 'daily', amount: { type: 'target_weight', value: 20 } }]
+    }, { AAA: bars });
+    assert.equal(results.transactions.length, 0);
+  });
+  
+  it('does not add to a short smaller than the target', () => {
+    const results = run({
+      actions: [
+        { type: 'short', condition: { metric: 'price', operator: 'less_than', value: 100.5 }, timeframe: 'daily', amount: { type: 'shares', value: 10 } },
+        { type: 'cover', condition: always, timeframe: 'daily', amount: { type: 'target_weight', value: 50 } }
+      ]
+    }, { AAA: bars });
+    assert.deepEqual(results.transactions.map(transaction => [transaction.type, transaction.positionAfter]), [['short', -10]]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for the portfolio constraints checked before each fill
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const constraints = require('../constraints');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// A buy of AAA into a $10,000 portfolio, with the fields an order is checked on
+const order = (fields) => ({
+  symbol: 'AAA',
+  currentQuantity: 0,
+  quantityAfter: 10,
+  price: 100,
+  equity: 10000,
+  positions: {},
+  prices: {},
+  sectors: {},
+  tradesToday: 0,
+  barsSinceExit: null,
+  ...fields
+});
+
+describe('resolveConstraintSettings', () => {
+  it('rounds counts and drops limits that are not set', () => {
+    assert.deepEqual(constraints.resolveConstraintSettings({ maxPositions: '2.6', maxPositionWeight: 0, sectorLimits: { Energy: 10, Tech: -1 } }), {
+      maxPositions: 3,
+      maxPositionWeight: null,
+      maxSectorWeight: null,
+      sectorLimits: { Energy: 10 },
+      cooldownBars: null,
+      maxTradesPerDay: null
+    });
+  });
+
+  it('returns null without any limits', () => {
+    assert.equal(constraints.resolveConstraintSettings({ maxPositions: 0 }), null);
+    assert.equal(constraints.resolveConstraintSettings(undefined), null);
+  });
+});
+
+describe('addsToPosition', () => {
+  it('is true for opening, adding to and flipping a position', () => {
+    assert.equal(constraints.addsToPosition(0, 10), true);
+    assert.equal(constraints.addsToPosition(10, 15), true);
+    assert.equal(constraints.addsToPosition(-10, -15), true);
+    assert.equal(constraints.addsToPosition(10, -5), true);
+    assert.equal(constraints.addsToPosition(1e-12, 5), true);
+  });
+
+  it('is false for reducing and closing a position', () => {
+    assert.equal(constraints.addsToPosition(10, 5), false);
+    assert.equal(constraints.addsToPosition(-10, 0), false);
+  });
+});
+
+describe('checkOrder', () => {
+  it('lets orders that reduce a position through', () => {
+    const settings = constraints.resolveConstraintSettings({ maxTradesPerDay: 1 });
+    const result = constraints.checkOrder(settings, order({ currentQuantity: 10, quantityAfter: 0, tradesToday: 5 }));
+    assert.deepEqual(result, { quantityAfter: 0, reason: null, message: null });
+  });
+
+  it('rejects orders over the daily trade limit or inside the cooldown', () => {
+    const settings = constraints.resolveConstraintSettings({ maxTradesPerDay: 2, cooldownBars: 5 });
+    assert.equal(constraints.checkOrder(settings, order({ tradesToday: 2 })).reason, 'max_trades_per_day');
+    const cooling = constraints.checkOrder(settings, order({ barsSinceExit: 3 }));
+    assert.equal(cooling.reason, 'cooldown');
+    assert.equal(cooling.quantityAfter, 0);
+    assert.equal(constraints.checkOrder(settings, order({ barsSinceExit: 5 })).reason, null);
+  });
+
+  it('rejects new positions beyond the maximum, but not adds to open ones', () => {
+    const settings = constraints.resolveConstraintSettings({ maxPositions: 1 });
+    assert.equal(constraints.checkOrder(settings, order({ positions: { BBB: 5 } })).reason, 'max_positions');
+    assert.equal(constraints.checkOrder(settings, order({ positions: { BBB: 5, AAA: 1 }, currentQuantity: 1 })).reason, null);
+  });
+
+  it('trims an order to the position weight limit', () => {
+    const settings = constraints.resolveConstraintSettings({ maxPositionWeight: 5 });
+    const result = constraints.checkOrder(settings, order({ quantityAfter: -10 }));
+    assert.equal(result.reason, 'max_position_weight');
+    close(result.quantityAfter, -5);
+  });
+
+  it('trims an order to the room left in its sector', () => {
+    const settings = constraints.resolveConstraintSettings({ maxSectorWeight: 40, sectorLimits: { Energy: 15 } });
+    const result = constraints.checkOrder(settings, order({
+      positions: { BBB: 10 },
+      prices: { BBB: 100 },
+      sectors: { AAA: 'Energy', BBB: 'Energy' }
+    }));
+    assert.equal(result.reason, 'max_sector_weight');
+    close(result.quantityAfter, 5);
+  });
+
+  it('rejects an order with less than a dollar of room', () => {
+    const settings = constraints.resolveConstraintSettings({ maxPositionWeight: 5 });
+    const result = constraints.checkOrder(settings, order({ currentQuantity: 5, quantityAfter: 8 }));
+    assert.equal(result.reason, 'max_position_weight');
+    assert.equal(result.quantityAfter, 5);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the transaction cost models
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const costs = require('../costs');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const buy = (fields) => ({ side: 'buy', price: 10, quantity: 100, volume: 10000, ...fields });
+
+describe('hasCosts', () => {
+  it('is true when any model is set', () => {
+    assert.equal(costs.hasCosts({ spread: { type: 'fixed', percent: 0.1 } }), true);
+    assert.equal(costs.hasCosts({}), false);
+    assert.equal(costs.hasCosts(null), false);
+  });
+});
+
+describe('commission models', () => {
+  const { commission } = costs.costModels;
+
+  it('charges per share within the minimum and maximum', () => {
+    assert.equal(commission.per_share({ rate: 0.005, minimum: 1 }, { quantity: 100 }), 1);
+    assert.equal(commission.per_share({ rate: 0.005, maximum: 2 }, { quantity: 1000 }), 2);
+  });
+
+  it('charges a flat fee or a percentage of the notional', () => {
+    assert.equal(commission.per_trade({ amount: 4.95 }), 4.95);
+    close(commission.percentage({ percent: 0.1 }, { price: 10, quantity: 100 }), 1);
+    assert.equal(commission.percentage({ percent: 0.1, minimum: 5 }, { price: 10, quantity: 100 }), 5);
+  });
+});
+
+describe('spread models', () => {
+  it('picks the first tier the price falls in', () => {
+    const params = { tiers: [{ maxPrice: 1, percent: 2 }, { maxPrice: 5, percent: 0.5 }, { percent: 0.05 }] };
+    assert.equal(costs.costModels.spread.tiered(params, { price: 0.5 }), 2);
+    assert.equal(costs.costModels.spread.tiered(params, { price: 5 }), 0.5);
+    assert.equal(costs.costModels.spread.tiered(params, { price: 50 }), 0.05);
+    assert.equal(costs.costModels.spread.tiered({}, { price: 50 }), 0);
+  });
+});
+
+describe('volume slippage', () => {
+  const { volume } = costs.costModels.slippage;
+  const noWarning = () => assert.fail('unexpected warning');
+
+  it('grows with the share of the volume taken, up to the maximum', () => {
+    close(volume({ percentPerVolume: 0.1 }, { quantity: 100, volume: 10000 }, noWarning), 0.1);
+    assert.equal(volume({ percentPerVolume: 0.1, maxPercent: 2 }, { quantity: 5000, volume: 10000 }, noWarning), 2);
+  });
+
+  it('charges the fallback and warns on a bar without volume', () => {
+    const warnings = [];
+    const warn = message => warnings.push(message);
+    assert.equal(volume({ percentPerVolume: 0.1 }, { quantity: 100, volume: 0 }, warn), 0);
+    assert.equal(volume({ percentPerVolume: 0.1, fallbackPercent: 0.2 }, { quantity: 100 }, warn), 0.2);
+    assert.deepEqual(warnings, ['no volume for volume-based slippage', 'no volume for volume-based slippage']);
+  });
+});
+
+describe('calculateFillCosts', () => {
+  it('fills at the reference price without costs', () => {
+    assert.deepEqual(costs.calculateFillCosts(null, buy()), {
+      fillPrice: 10,
+      commission: 0,
+      spread: 0,
+      slippage: 0,
+      total: 0,
+      warnings: []
+    });
+  });
+
+  it('moves the fill against the trade by half the spread plus slippage', () => {
+    const settings = {
+      commission: { type: 'per_trade', amount: 1 },
+      spread: { type: 'fixed', percent: 0.2 },
+      slippage: { type: 'fixed', percent: 0.1 }
+    };
+    const bought = costs.calculateFillCosts(settings, buy());
+    close(bought.fillPrice, 10.02);
+    close(bought.spread, 1);
+    close(bought.slippage, 1);
+    close(bought.total, 3);
+
+    close(costs.calculateFillCosts(settings, buy({ side: 'sell' })).fillPrice, 9.98);
+  });
+
+  it('adds up arrays of models and skips unknown and non-object entries', () => {
+    const result = costs.calculateFillCosts({
+      commission: [null, 5, { type: 'per_trade', amount: 1 }, { type: 'rebate' }, { type: 'per_share', rate: 0.01 }]
+    }, buy());
+    close(result.commission, 2);
+  });
+
+  it('collects the models\' warnings once per fill', () => {
+    const result = costs.calculateFillCosts({
+      slippage: [{ type: 'volume', percentPerVolume: 0.1 }, { type: 'volume', percentPerVolume: 0.2 }]
+    }, buy({ volume: undefined }));
+    assert.equal(result.slippage, 0);
+    assert.deepEqual(result.warnings, ['no volume for volume-based slippage']);
+  });
+});
+
+describe('registerCostModel', () => {
+  it('adds a model that cost settings can name', () => {
+    costs.registerCostModel('commission', 'test_flat_two', () => 2);
+    assert.equal(costs.calculateFillCosts({ commission: { type: 'test_flat_two' } }, buy()).commission, 2);
+    delete costs.costModels.commission.test_flat_two;
+  });
+
+  it('rejects unknown kinds', () => {
+    assert.throws(() => costs.registerCostModel('tax', 'flat', () => 0), /Unknown cost model kind: tax/);
+  });
+});
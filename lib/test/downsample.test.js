@@ -0,0 +1,49 @@
+/**
+ * Tests for chart series downsampling
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { downsampleSeries } = require('../downsample');
+
+const series = (count, valueAt) => Array.from({ length: count }, (_, i) => ({ index: i, value: valueAt(i) }));
+const value = point => point.value;
+
+describe('downsampleSeries', () => {
+  it('returns a short series as it is', () => {
+    const points = series(10, i => i);
+    assert.equal(downsampleSeries(points, 10, { value }), points);
+  });
+
+  it('keeps the first and last points and the peaks', () => {
+    const points = series(1000, i => (i === 500 ? 100 : Math.sin(i / 50)));
+    const result = downsampleSeries(points, 50, { value });
+    assert.equal(result.length, 50);
+    assert.equal(result[0].index, 0);
+    assert.equal(result[result.length - 1].index, 999);
+    assert.ok(result.some(point => point.index === 500));
+    assert.ok(result.every((point, i) => i === 0 || point.index > result[i - 1].index));
+  });
+
+  it('keeps the points options.keep asks for, within the budget', () => {
+    const points = series(1000, i => i % 7);
+    const result = downsampleSeries(points, 50, { value, keep: point => point.index % 100 === 37 });
+    assert.equal(result.length, 50);
+    [37, 137, 537, 937].forEach(index => assert.ok(result.some(point => point.index === index)));
+  });
+
+  it('passes the neighbouring points to options.keep', () => {
+    const points = series(1000, i => i).map(point => ({ ...point, mode: point.index >= 400 && point.index < 403 ? 'risk_off' : null }));
+    const result = downsampleSeries(points, 20, {
+      value,
+      keep: (point, index, all) => index > 0 && point.mode !== all[index - 1].mode
+    });
+    assert.ok(result.some(point => point.index === 400));
+    assert.ok(result.some(point => point.index === 403));
+  });
+
+  it('treats values that are not numbers as 0', () => {
+    const points = series(100, i => (i === 50 ? undefined : i));
+    assert.equal(downsampleSeries(points, 10, { value }).length, 10);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for the execution models and order types
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const execution = require('../execution');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const bar = { open: 100, high: 104, low: 97, close: 102 };
+
+describe('resolveExecutionSettings and resolveOrderSettings', () => {
+  it('defaults to same-bar-close market orders that expire after a bar', () => {
+    assert.deepEqual(execution.resolveExecutionSettings(undefined), { model: 'same_bar_close' });
+    assert.deepEqual(execution.resolveExecutionSettings({ model: 'next_tick' }), { model: 'same_bar_close' });
+    assert.deepEqual(execution.resolveOrderSettings(undefined), { type: 'market', offsetPercent: 0, price: null, expiresAfter: 1 });
+    assert.deepEqual(execution.resolveOrderSettings({ type: 'limit', offsetPercent: '-2', price: -5, expiresAfter: 0 }), {
+      type: 'limit',
+      offsetPercent: -2,
+      price: null,
+      expiresAfter: 1
+    });
+  });
+  
+  it('only fills market orders on the signal bar under the same-bar-close model', () => {
+    const market = execution.resolveOrderSettings({});
+    assert.equal(execution.fillsOnSignalBar('same_bar_close', market), true);
+    assert.equal(execution.fillsOnSignalBar('next_bar_open', market), false);
+    assert.equal(execution.fillsOnSignalBar('same_bar_close', execution.resolveOrderSettings({ type: 'stop' })), false);
+  });
+});
+
+describe('getOrderPrice', () => {
+  it('offsets the signal close unless the order sets a price', () => {
+    assert.equal(execution.getOrderPrice(execution.resolveOrderSettings({}), 50), null);
+    close(execution.getOrderPrice(execution.resolveOrderSettings({ type: 'limit', offsetPercent: -2 }), 50), 49);
+    assert.equal(execution.getOrderPrice(execution.resolveOrderSettings({ type: 'stop', offsetPercent: 5, price: 60 }), 50), 60);
+  });
+});
+
+describe('getFillPrice', () => {
+  it('fills market orders at the open, or the typical price under next-bar VWAP', () => {
+    const order = { side: 'buy', orderType: 'market', price: null };
+    assert.equal(execution.getFillPrice(order, bar, 'next_bar_open'), 100);
+    close(execution.getFillPrice(order, bar, 'next_bar_vwap'), (104 + 97 + 102) / 3);
+  });
+  
+  it('fills limit orders at the limit when the bar trades through it', () => {
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'limit', price: 98 }, bar, 'next_bar_open'), 98);
+    assert.equal(execution.getFillPrice({ side: 'sell', orderType: 'limit', price: 103 }, bar, 'next_bar_open'), 103);
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'limit', price: 96 }, bar, 'next_bar_open'), null);
+    assert.equal(execution.getFillPrice({ side: 'sell', orderType: 'limit', price: 105 }, bar, 'next_bar_open'), null);
+  });
+  
+  it('fills limit orders at the better open when the bar gaps through the limit', () => {
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'limit', price: 101 }, bar, 'next_bar_open'), 100);
+    assert.equal(execution.getFillPrice({ side: 'sell', orderType: 'limit', price: 99 }, bar, 'next_bar_open'), 100);
+  });
+  
+  it('triggers stop orders when the bar\'s range reaches the stop', () => {
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'stop', price: 103 }, bar, 'next_bar_open'), 103);
+    assert.equal(execution.getFillPrice({ side: 'sell', orderType: 'stop', price: 98 }, bar, 'next_bar_open'), 98);
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'stop', price: 105 }, bar, 'next_bar_open'), null);
+    assert.equal(execution.getFillPrice({ side: 'sell', orderType: 'stop', price: 96 }, bar, 'next_bar_open'), null);
+  });
+  
+  it('fills stop orders at the worse open when the bar gaps through the stop', () => {
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'stop', price: 99 }, bar, 'next_bar_open'), 100);
+    assert.equal(execution.getFillPrice({ side: 'sell', orderType: 'stop', price: 101 }, bar, 'next_bar_open'), 100);
+  });
+  
+  it('reads a bar without an open, high or low from its close', () => {
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'limit', price: 101 }, { close: 100 }, 'next_bar_open'), 100);
+    assert.equal(execution.getFillPrice({ side: 'buy', orderType: 'stop', price: 101 }, { close: 100 }, 'next_bar_open'), null);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for the protective and time-based exit rules
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const exits = require('../exits');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+describe('resolveExitRules', () => {
+  it('keeps the rules that are set', () => {
+    assert.deepEqual(
+      exits.resolveExitRules({ stopLoss: '8', takeProfit: 0, trailingStop: -5, holdBars: '0', exitAt: 'month_end' }),
+      { stopLoss: 8, holdBars: 0, exitAt: 'month_end' }
+    );
+  });
+
+  it('returns null without rules', () => {
+    assert.equal(exits.resolveExitRules(null), null);
+    assert.equal(exits.resolveExitRules({ stopLoss: 'none', exitAt: 'day_end' }), null);
+  });
+});
+
+describe('getExitLevels', () => {
+  it('sets long levels below and above the entry', () => {
+    const state = exits.createExitState({ stopLoss: 10, takeProfit: 20 }, 'long', 100, '2024-01-02');
+    const levels = exits.getExitLevels(state);
+    close(levels.stopPrice, 90);
+    close(levels.targetPrice, 120);
+    assert.equal(levels.stopReason, 'stop_loss');
+  });
+
+  it('uses the tighter of the stop-loss and the trailing stop', () => {
+    const state = exits.createExitState({ stopLoss: 10, trailingStop: 5 }, 'short', 100, '2024-01-02');
+    let levels = exits.getExitLevels(state);
+    close(levels.stopPrice, 105);
+    assert.equal(levels.stopReason, 'trailing_stop');
+    assert.equal(levels.targetPrice, null);
+
+    state.extremePrice = 120;
+    levels = exits.getExitLevels(state);
+    close(levels.stopPrice, 110);
+    assert.equal(levels.stopReason, 'stop_loss');
+  });
+});
+
+describe('checkExitTriggers', () => {
+  const rules = { stopLoss: 10, takeProfit: 20 };
+
+  it('fills a gap through a level at the open', () => {
+    const state = exits.createExitState(rules, 'long', 100, '2024-01-02');
+    assert.deepEqual(
+      exits.checkExitTriggers(state, { open: 85, high: 88, low: 80, close: 86 }),
+      { reason: 'stop_loss', price: 85, level: 90 }
+    );
+    assert.equal(exits.checkExitTriggers(state, { open: 125, high: 130, low: 124, close: 126 }).price, 125);
+  });
+
+  it('fills a level inside the range at the level, stop first when both are hit', () => {
+    const state = exits.createExitState(rules, 'long', 100, '2024-01-02');
+    close(exits.checkExitTriggers(state, { open: 100, high: 121, low: 99, close: 110 }).price, 120);
+    assert.equal(exits.checkExitTriggers(state, { open: 100, high: 121, low: 89, close: 110 }).reason, 'stop_loss');
+    assert.equal(exits.checkExitTriggers(state, { open: 100, high: 110, low: 95, close: 105 }), null);
+  });
+
+  it('checks shorts against the high for stops and the low for targets', () => {
+    const state = exits.createExitState(rules, 'short', 100, '2024-01-02');
+    close(exits.checkExitTriggers(state, { open: 100, high: 111, low: 99, close: 105 }).price, 110);
+    assert.equal(exits.checkExitTriggers(state, { open: 100, high: 101, low: 79, close: 85 }).reason, 'take_profit');
+  });
+});
+
+describe('updateExitState', () => {
+  it('counts completed bars and trails the favourable extreme', () => {
+    const long = exits.createExitState({ trailingStop: 10 }, 'long', 100, '2024-01-02');
+    exits.updateExitState(long, { high: 110, low: 95, close: 108 });
+    exits.updateExitState(long, { high: 105, low: 100, close: 104 });
+    assert.equal(long.barsHeld, 2);
+    assert.equal(long.extremePrice, 110);
+
+    const short = exits.createExitState({ trailingStop: 10 }, 'short', 100, '2024-01-02');
+    exits.updateExitState(short, { high: 101, low: 90, close: 95 });
+    assert.equal(short.extremePrice, 90);
+  });
+});
+
+describe('checkTimeExit', () => {
+  it('closes after the holding period in bars', () => {
+    const state = exits.createExitState({ holdBars: 2 }, 'long', 100, '2024-01-02');
+    assert.equal(exits.checkTimeExit(state, '2024-01-03', {}), null);
+    state.barsHeld = 2;
+    assert.equal(exits.checkTimeExit(state, '2024-01-04', {}).reason, 'hold_period');
+  });
+
+  it('closes a day trade on its entry bar', () => {
+    const state = exits.createExitState({ holdBars: 0 }, 'long', 100, '2024-01-02');
+    assert.equal(exits.checkTimeExit(state, '2024-01-02', {}).reason, 'hold_period');
+  });
+
+  it('closes after the maximum calendar days', () => {
+    const state = exits.createExitState({ maxHoldingDays: 30 }, 'short', 100, '2024-01-02');
+    assert.equal(exits.checkTimeExit(state, '2024-01-31', {}), null);
+    assert.equal(exits.checkTimeExit(state, '2024-02-01', {}).reason, 'max_holding');
+  });
+
+  it('closes at the end of the period, except on the entry date', () => {
+    const state = exits.createExitState({ exitAt: 'month_end' }, 'long', 100, '2024-01-31');
+    assert.equal(exits.checkTimeExit(state, '2024-01-31', { monthly: true }), null);
+    assert.equal(exits.checkTimeExit(state, '2024-02-28', { weekly: true, monthly: false }), null);
+    assert.deepEqual(exits.checkTimeExit(state, '2024-02-29', { monthly: true }), {
+      reason: 'period_end',
+      detail: 'last trading day of the month'
+    });
+  });
+});
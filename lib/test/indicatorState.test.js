@@ -0,0 +1,135 @@
+/**
+ * Tests that the incremental indicator states match lib/indicators.js run over the whole history
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const indicators = require('../indicators');
+const { createIndicatorState, getIndicatorKey } = require('../indicatorState');
+
+// Deterministic random walk with open, high, low, close and volume
+const generateBars = (count, seed) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  const bars = [];
+  let close = 50;
+  for (let i = 0; i < count; i++) {
+    const open = close * (1 + (random() - 0.5) * 0.02);
+    close = open * (1 + (random() - 0.5) * 0.04);
+    bars.push({
+      open,
+      high: Math.max(open, close) * (1 + random() * 0.01),
+      low: Math.min(open, close) * (1 - random() * 0.01),
+      close,
+      volume: Math.round(1000 + random() * 9000)
+    });
+  }
+  return bars;
+};
+
+const last = (values, history) => values[history.length - 1];
+
+// The value each condition reads from the full indicator arrays, as checkTechnicalCondition does.
+// calculateEMA needs at least 'period' values, so MACD is compared once its signal line has them.
+const conditions = [
+  { indicator: 'rsi', params: { period: 14 }, expected: h => last(indicators.calculateRSI(h, 14), h) },
+  { indicator: 'mfi', params: { period: 10 }, expected: h => last(indicators.calculateMFI(h, 10), h) },
+  { indicator: 'macd', params: {}, from: 34, expected: h => last(indicators.calculateMACD(h).histogram, h) },
+  { indicator: 'macd', params: { valueType: 'line', fastPeriod: 5, slowPeriod: 10 }, from: 18, expected: h => last(indicators.calculateMACD(h, 5, 10).macd, h) },
+  { indicator: 'macd', params: { valueType: 'signal' }, from: 34, expected: h => last(indicators.calculateMACD(h).signal, h) },
+  { indicator: 'ma_relative', params: { period: 20 }, expected: h => last(indicators.calculatePriceRelativeToMA(h, 20), h) },
+  { indicator: 'bbands', params: { valueType: 'upper' }, expected: h => last(indicators.calculateBollingerBands(h).upper, h) },
+  { indicator: 'bbands', params: { valueType: 'width', period: 10, multiplier: 1.5 }, expected: h => last(indicators.calculateBollingerBands(h, 10, 1.5).width, h) },
+  { indicator: 'bbands', params: { valueType: 'width_change', lookback: 5 }, expected: h => last(indicators.calculateBollingerBandsWidthChange(h, 20, 2, 5), h) },
+  {
+    indicator: 'bbands',
+    params: {},
+    expected: h => {
+      const bands = indicators.calculateBollingerBands(h);
+      const upper = last(bands.upper, h);
+      const lower = last(bands.lower, h);
+      return upper === lower ? 0.5 : (h[h.length - 1].close - lower) / (upper - lower);
+    }
+  },
+  { indicator: 'atr', params: { period: 14 }, expected: h => last(indicators.calculateATR(h, 14), h) },
+  { indicator: 'atr', params: { percent: true }, expected: h => (last(indicators.calculateATR(h, 14), h) / h[h.length - 1].close) * 100 },
+  { indicator: 'atr', params: { valueType: 'change', lookback: 3 }, expected: h => last(indicators.calculateATRChange(h, 14, 3), h) },
+  { indicator: 'obv', params: {}, expected: h => last(indicators.calculateOBV(h), h) },
+  {
+    indicator: 'obv',
+    params: { valueType: 'slope' },
+    expected: h => {
+      const values = indicators.calculateOBV(h);
+      const current = values[h.length - 1];
+      const previous = values[h.length - 2];
+      return !isNaN(current) && !isNaN(previous) && previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null;
+    }
+  },
+  {
+    indicator: 'volume_change',
+    params: {},
+    expected: h => h.length < 2 || h[h.length - 2].volume === 0 ? null :
+      ((h[h.length - 1].volume - h[h.length - 2].volume) / h[h.length - 2].volume) * 100
+  }
+];
+
+// Missing values (NaN, null, undefined) match each other; numbers match to rounding error
+const assertSameValue = (actual, expected, label) => {
+  const missing = value => value === null || value === undefined || Number.isNaN(value);
+  if (missing(expected) || missing(actual)) {
+    assert.ok(missing(expected) && missing(actual), `${label}: expected ${expected}, got ${actual}`);
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected)), `${label}: expected ${expected}, got ${actual}`);
+};
+
+const describeCondition = condition => `${condition.indicator} ${JSON.stringify(condition.params)}`;
+
+describe('createIndicatorState', () => {
+  const bars = generateBars(120, 42);
+
+  conditions.forEach(condition => {
+    it(`matches the full computation for ${describeCondition(condition)}`, () => {
+      const state = createIndicatorState(condition);
+      bars.forEach((bar, i) => {
+        state.push(bar);
+        if (i + 1 < (condition.from || 0)) return;
+        const history = bars.slice(0, i + 1);
+        assertSameValue(state.read(condition), condition.expected(history), `bar ${i}`);
+      });
+    });
+  });
+
+  it('matches after the last bar is replaced', () => {
+    conditions.forEach(condition => {
+      const state = createIndicatorState(condition);
+      bars.slice(0, 60).forEach(bar => state.push(bar));
+      const updated = { ...bars[59], close: bars[59].close * 1.03, high: bars[59].high * 1.03, volume: bars[59].volume * 2 };
+      state.replaceLast(updated);
+      assertSameValue(state.read(condition), condition.expected([...bars.slice(0, 59), updated]), describeCondition(condition));
+    });
+  });
+
+  it('reads OBV divergence from the price history', () => {
+    const condition = { indicator: 'obv', params: { valueType: 'divergence' } };
+    const state = createIndicatorState(condition);
+    bars.forEach(bar => state.push(bar));
+    assert.equal(state.read(condition), undefined);
+  });
+
+  it('has no state for indicators computed from the price history', () => {
+    assert.equal(createIndicatorState({ indicator: 'gap', params: {} }), null);
+  });
+});
+
+describe('getIndicatorKey', () => {
+  it('shares a key between conditions with the same indicator and params', () => {
+    const key = getIndicatorKey({ indicator: 'rsi', params: { period: 14 } });
+    assert.equal(getIndicatorKey({ indicator: 'rsi', params: { period: 14 } }), key);
+    assert.notEqual(getIndicatorKey({ indicator: 'rsi', params: { period: 7 } }), key);
+    assert.equal(getIndicatorKey({ indicator: 'obv' }), 'obv:{}');
+  });
+});
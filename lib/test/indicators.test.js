@@ -0,0 +1,37 @@
+/**
+ * Tests for the technical indicator functions
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const indicators = require('../indicators');
+
+const assertSeries = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, i) => {
+    if (value === null) {
+      assert.ok(Number.isNaN(actual[i]), `index ${i}: expected NaN, got ${actual[i]}`);
+    } else {
+      assert.ok(Math.abs(actual[i] - value) <= 1e-9, `index ${i}: expected ${value}, got ${actual[i]}`);
+    }
+  });
+};
+
+describe('calculateMACD', () => {
+  // MACD(2, 3, 2): the fast EMA starts on the 2nd close, the slow one on the 3rd, so the MACD
+  // line starts on the 3rd bar and its 2-value signal EMA on the 4th
+  const bars = [10, 11, 12, 11, 13, 14, 12, 15].map(close => ({ close }));
+  const result = indicators.calculateMACD(bars, 2, 3, 2);
+
+  it('takes the fast EMA less the slow EMA', () => {
+    assertSeries(result.macd, [null, null, 0.5, 1 / 6, 7 / 18, 25 / 54, -1 / 81, 0.412551440329218]);
+  });
+
+  it('puts each signal value on the bar of the last MACD value it averages', () => {
+    assertSeries(result.signal, [null, null, null, 1 / 3, 10 / 27, 35 / 81, 11 / 81, 0.320301783264746]);
+  });
+
+  it('takes the histogram from the signal on the same bar', () => {
+    assertSeries(result.histogram, [null, null, null, -1 / 6, 0.5 / 27, 2.5 / 81, -12 / 81, 0.412551440329218 - 0.320301783264746]);
+  });
+});
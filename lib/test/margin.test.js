@@ -0,0 +1,90 @@
+/**
+ * Tests for the account model - margin requirements and borrow fees
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const margin = require('../margin');
+
+describe('resolveAccountSettings', () => {
+  it('defaults to a cash account with Reg T margins', () => {
+    assert.deepEqual(margin.resolveAccountSettings(), {
+      type: 'cash',
+      initialMargin: 50,
+      maintenanceMargin: 25,
+      maxGrossLeverage: 2,
+      maxNetLeverage: 2,
+      debitRate: 8,
+      marginCallBuffer: 10
+    });
+  });
+
+  it('falls back on invalid values and caps net leverage at gross by default', () => {
+    const settings = margin.resolveAccountSettings({ type: 'leverage', maxGrossLeverage: '4', debitRate: -1, marginCallBuffer: 0 });
+    assert.equal(settings.type, 'leverage');
+    assert.equal(settings.maxNetLeverage, 4);
+    assert.equal(settings.debitRate, 8);
+    assert.equal(settings.marginCallBuffer, 0);
+    assert.equal(margin.resolveAccountSettings({ type: 'futures' }).type, 'cash');
+  });
+});
+
+describe('resolveShortSettings and getBorrowRate', () => {
+  it('defaults to 50% initial and 30% maintenance margin without fees', () => {
+    const settings = margin.resolveShortSettings();
+    assert.equal(settings.initialMargin, 50);
+    assert.equal(settings.maintenanceMargin, 30);
+    assert.equal(margin.getBorrowRate('AAA', 10, settings), 0);
+  });
+
+  it('prefers the symbol rate, then the price tier, then the flat rate', () => {
+    const settings = margin.resolveShortSettings({
+      borrowFee: { rate: 0.3, symbols: { GME: 25 }, tiers: [{ rate: 1 }, { maxPrice: 5, rate: 15 }] }
+    });
+    assert.equal(margin.getBorrowRate('GME', 2, settings), 25);
+    assert.equal(margin.getBorrowRate('AAA', 2, settings), 15);
+    assert.equal(margin.getBorrowRate('AAA', 50, settings), 1);
+    assert.equal(margin.getBorrowRate('AAA', 50, margin.resolveShortSettings({ borrowFee: 2 })), 2);
+  });
+});
+
+describe('getShortRequirement', () => {
+  const settings = margin.resolveShortSettings();
+
+  it('applies the percentage above the per-share minimums', () => {
+    assert.equal(margin.getShortRequirement(100, 10, settings, 'initial'), 500);
+    assert.equal(margin.getShortRequirement(100, 10, settings, 'maintenance'), 300);
+  });
+
+  it('applies the FINRA minimums to cheap stocks', () => {
+    assert.equal(margin.getShortRequirement(10, 100, settings, 'maintenance'), 500);
+    assert.equal(margin.getShortRequirement(4, 100, settings, 'maintenance'), 400);
+    assert.equal(margin.getShortRequirement(1, 100, settings, 'maintenance'), 250);
+  });
+});
+
+describe('getPositionRequirement and getAccountRequirements', () => {
+  const shortSettings = margin.resolveShortSettings();
+  const positions = { AAA: 10, BBB: -10, CCC: 0 };
+  const prices = { AAA: 100, BBB: 100, CCC: 100 };
+
+  it('only charges longs in margin and leverage accounts', () => {
+    const cash = margin.resolveAccountSettings();
+    const marginAccount = margin.resolveAccountSettings({ type: 'margin' });
+    assert.equal(margin.getPositionRequirement(100, 10, shortSettings, cash, 'initial'), 0);
+    assert.equal(margin.getPositionRequirement(100, 10, shortSettings, marginAccount, 'initial'), 500);
+    assert.equal(margin.getPositionRequirement(100, -10, shortSettings, cash, 'maintenance'), 300);
+  });
+
+  it('adds up the values and requirements of every position', () => {
+    assert.deepEqual(
+      margin.getAccountRequirements(positions, prices, shortSettings, margin.resolveAccountSettings({ type: 'margin' })),
+      { longValue: 1000, shortValue: 1000, shortInitialRequirement: 500, initialRequirement: 1000, maintenanceRequirement: 550 }
+    );
+    assert.deepEqual(margin.getShortRequirements(positions, prices, shortSettings), {
+      shortValue: 1000,
+      initialRequirement: 500,
+      maintenanceRequirement: 300
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for the performance metrics module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+describe('calculatePeriodReturns', () => {
+  it('removes deposits and withdrawals from the returns', () => {
+    const returns = metrics.calculatePeriodReturns([
+      { date: '2024-01-01', value: 1000, flow: 0 },
+      { date: '2024-01-02', value: 1600, flow: 500 },
+      { date: '2024-01-03', value: 1400, flow: -200 }
+    ]);
+    close(returns[0], 0.1);
+    close(returns[1], 0);
+  });
+
+  it('returns 0 after a point without value', () => {
+    assert.deepEqual(metrics.calculatePeriodReturns([{ value: 0 }, { value: 100 }]), [0]);
+  });
+});
+
+describe('calculateGrowthIndex and calculateTimeWeightedReturn', () => {
+  const history = [
+    { date: '2024-01-01', value: 100 },
+    { date: '2024-01-02', value: 110 },
+    { date: '2024-01-03', value: 1099, flow: 1000 }
+  ];
+
+  it('chains the period returns from 1', () => {
+    const index = metrics.calculateGrowthIndex(history);
+    assert.equal(index.length, 3);
+    assert.equal(index[0], 1);
+    close(index[2], 0.99);
+  });
+
+  it('ignores the size of cash flows', () => {
+    close(metrics.calculateTimeWeightedReturn(history), -1);
+    assert.equal(metrics.calculateTimeWeightedReturn([]), 0);
+  });
+});
+
+describe('calculateIRR', () => {
+  it('solves a one-year investment', () => {
+    close(metrics.calculateIRR([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2024-01-01', amount: 1100 }
+    ]), 10, 1e-4);
+  });
+
+  it('returns null without flows in both directions', () => {
+    assert.equal(metrics.calculateIRR([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: -5 }]), null);
+    assert.equal(metrics.calculateIRR([{ date: '2023-01-01', amount: -1000 }]), null);
+  });
+});
+
+describe('calculateMaxDrawdown', () => {
+  it('measures the deepest decline from a running peak', () => {
+    close(metrics.calculateMaxDrawdown([100, 120, 90, 130, 104]), 25);
+    assert.equal(metrics.calculateMaxDrawdown([1, 2, 3]), 0);
+  });
+});
+
+describe('calculateSharpeRatio and calculateSortinoRatio', () => {
+  it('return 0 and null without variation or downside', () => {
+    assert.equal(metrics.calculateSharpeRatio([0.01, 0.01, 0.01]), 0);
+    assert.equal(metrics.calculateSharpeRatio([]), 0);
+    assert.equal(metrics.calculateSortinoRatio([0.01, 0.02]), null);
+    assert.equal(metrics.calculateSortinoRatio([]), null);
+  });
+
+  it('annualize the daily ratios', () => {
+    const returns = [0.01, -0.01, 0.02, 0];
+    const mean = 0.005;
+    const std = Math.sqrt(((0.005 ** 2) + (0.015 ** 2) + (0.015 ** 2) + (0.005 ** 2)) / 4);
+    close(metrics.calculateSharpeRatio(returns), (mean / std) * Math.sqrt(252));
+    close(metrics.calculateSortinoRatio(returns), (mean / Math.sqrt(0.0001 / 4)) * Math.sqrt(252));
+  });
+
+  it('subtract the risk-free rate', () => {
+    const returns = [0.01, -0.01, 0.02, 0];
+    assert.ok(metrics.calculateSharpeRatio(returns, 5) < metrics.calculateSharpeRatio(returns, 0));
+  });
+});
+
+describe('calculateCAGR', () => {
+  it('annualizes the growth of the index', () => {
+    close(metrics.calculateCAGR([1, 1.5, 1.21], '2022-01-01', '2024-01-01'), 10, 0.02);
+  });
+
+  it('returns null for less than a day', () => {
+    assert.equal(metrics.calculateCAGR([1, 1.1], '2024-01-01', '2024-01-01'), null);
+  });
+});
+
+describe('calculateDrawdownDurations', () => {
+  const dates = ['2024-01-01', '2024-01-02', '2024-01-05', '2024-01-10', '2024-01-20'];
+
+  it('measures the longest drawdown and the recovery of the deepest one', () => {
+    assert.deepEqual(metrics.calculateDrawdownDurations([1, 1.2, 0.9, 1.1, 1.3], dates), {
+      maxDrawdownDuration: 8,
+      timeToRecovery: 15,
+      recovered: true
+    });
+  });
+
+  it('reports a drawdown that never recovered', () => {
+    assert.deepEqual(metrics.calculateDrawdownDurations([1, 1.2, 0.9, 1.1, 1.0], dates), {
+      maxDrawdownDuration: 18,
+      timeToRecovery: null,
+      recovered: false
+    });
+  });
+});
+
+describe('calculateMonthlyReturns', () => {
+  it('returns each calendar month from the previous month end', () => {
+    const months = metrics.calculateMonthlyReturns(
+      [1, 1.1, 1.21, 1.089],
+      ['2024-01-30', '2024-01-31', '2024-02-15', '2024-02-29']
+    );
+    assert.deepEqual(months.map(month => month.month), ['2024-01', '2024-02']);
+    close(months[0].return, 10);
+    close(months[1].return, -1);
+  });
+});
+
+describe('calculateSkewKurtosis', () => {
+  it('returns null for short or flat series', () => {
+    assert.deepEqual(metrics.calculateSkewKurtosis([1, 2]), { skewness: null, kurtosis: null });
+    assert.deepEqual(metrics.calculateSkewKurtosis([1, 1, 1]), { skewness: null, kurtosis: null });
+  });
+
+  it('measures the asymmetry of a series', () => {
+    const { skewness, kurtosis } = metrics.calculateSkewKurtosis([1, 2, 3]);
+    close(skewness, 0);
+    close(kurtosis, -1.5);
+    assert.ok(metrics.calculateSkewKurtosis([0, 0, 0, 0, 10]).skewness > 0);
+  });
+});
+
+describe('calculateValueAtRisk', () => {
+  it('takes the loss at the confidence level and the mean loss beyond it', () => {
+    const returns = Array.from({ length: 100 }, (_, i) => (i - 50) / 100);
+    const { valueAtRisk, conditionalValueAtRisk } = metrics.calculateValueAtRisk(returns);
+    close(valueAtRisk, 46);
+    close(conditionalValueAtRisk, 48);
+  });
+
+  it('returns null without returns', () => {
+    assert.deepEqual(metrics.calculateValueAtRisk([]), { valueAtRisk: null, conditionalValueAtRisk: null });
+  });
+});
+
+describe('calculateTurnover', () => {
+  const history = [{ date: '2023-01-01', value: 1000 }, { date: '2024-01-01', value: 1000 }];
+
+  it('counts the smaller of buys and sells against the average value', () => {
+    close(metrics.calculateTurnover(history, [
+      { type: 'buy', amount: 800 },
+      { type: 'sell', amount: 500 },
+      { type: 'dividend', amount: 100 }
+    ]), 50);
+  });
+
+  it('returns null for a period under a day', () => {
+    assert.equal(metrics.calculateTurnover(history.slice(0, 1), []), null);
+  });
+});
+
+describe('calculatePerformanceMetrics', () => {
+  it('combines the metrics of a value history', () => {
+    const history = [
+      { date: '2024-01-31', value: 1000, grossPositions: 0 },
+      { date: '2024-02-29', value: 1100, grossPositions: 1100 },
+      { date: '2024-03-29', value: 990, grossPositions: 495 }
+    ];
+    const result = metrics.calculatePerformanceMetrics(history, [], { riskFreeRate: 2 });
+    assert.equal(result.riskFreeRate, 2);
+    close(result.exposure, 200 / 3);
+    close(result.averageExposure, 50);
+    assert.deepEqual(result.monthlyReturns.map(month => month.month), ['2024-01', '2024-02', '2024-03']);
+    assert.equal(result.bestMonth.month, '2024-02');
+    assert.equal(result.worstMonth.month, '2024-03');
+    assert.equal(result.turnover, 0);
+    close(result.calmarRatio, result.cagr / 10);
+  });
+});
+
+describe('calculateBenchmarkStats', () => {
+  it('finds a beta of 2 for a leveraged copy of the benchmark', () => {
+    const benchmark = [0.01, -0.02, 0.015, 0.005];
+    const stats = metrics.calculateBenchmarkStats(benchmark.map(value => value * 2), benchmark);
+    close(stats.beta, 2);
+    close(stats.correlation, 1);
+    close(stats.alpha, 0);
+  });
+
+  it('returns null for fewer than two periods and null ratios for a flat benchmark', () => {
+    assert.equal(metrics.calculateBenchmarkStats([0.01], [0.01]), null);
+    const stats = metrics.calculateBenchmarkStats([0.01, 0.02], [0, 0]);
+    assert.equal(stats.beta, null);
+    assert.equal(stats.alpha, null);
+    assert.equal(stats.correlation, null);
+  });
+});
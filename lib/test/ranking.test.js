@@ -0,0 +1,75 @@
+/**
+ * Tests for cross-sectional ranking
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ranking = require('../ranking');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const bars = closes => closes.map((price, i) => ({ close: price, volume: (i + 1) * 100 }));
+
+describe('resolveRotationSettings', () => {
+  it('defaults to the top 3 on 126-day momentum, held long', () => {
+    const settings = ranking.resolveRotationSettings({ type: 'rotate' });
+    assert.deepEqual(settings.rank, { metric: 'momentum', period: 126, skip: 0 });
+    assert.equal(settings.direction, 'highest');
+    assert.equal(settings.count, 3);
+    assert.equal(settings.percentile, null);
+    assert.equal(settings.side, 'long');
+    assert.equal(settings.schedule, 'monthly');
+  });
+
+  it('uses a 20-day period for other metrics and equal weights instead of named ones', () => {
+    const settings = ranking.resolveRotationSettings({
+      rank: { metric: 'volatility' },
+      weights: { AAA: 100 },
+      direction: 'lowest',
+      percentile: 150,
+      side: 'short'
+    });
+    assert.equal(settings.rank.period, 20);
+    assert.equal(settings.weights, 'equal');
+    assert.equal(settings.direction, 'lowest');
+    assert.equal(settings.percentile, null);
+    assert.equal(settings.side, 'short');
+  });
+
+  it('keeps technical indicator ranks as given', () => {
+    const settings = ranking.resolveRotationSettings({ rank: { type: 'technical', indicator: 'rsi' } });
+    assert.deepEqual(settings.rank, { type: 'technical', indicator: 'rsi', params: {} });
+  });
+});
+
+describe('calculateScore', () => {
+  const history = bars([100, 110, 120, 130, 143]);
+
+  it('measures momentum over the period, ending skip bars ago', () => {
+    close(ranking.calculateScore({ metric: 'momentum', period: 2, skip: 0 }, history), (143 / 120 - 1) * 100);
+    close(ranking.calculateScore({ metric: 'momentum', period: 2, skip: 1 }, history), (130 / 110 - 1) * 100);
+    assert.equal(ranking.calculateScore({ metric: 'momentum', period: 4, skip: 1 }, history), null);
+  });
+
+  it('averages the volume and reads the last close', () => {
+    assert.equal(ranking.calculateScore({ metric: 'volume', period: 2 }, history), 450);
+    assert.equal(ranking.calculateScore({ metric: 'price' }, history), 143);
+    assert.equal(ranking.calculateScore({ metric: 'price' }, []), null);
+  });
+});
+
+describe('selectRanked', () => {
+  const scores = { AAA: 5, BBB: 20, CCC: null, DDD: -3, EEE: 10 };
+
+  it('holds the best count of the scored symbols', () => {
+    assert.deepEqual(ranking.selectRanked(scores, { direction: 'highest', count: 2, percentile: null }), ['BBB', 'EEE']);
+    assert.deepEqual(ranking.selectRanked(scores, { direction: 'lowest', count: 2, percentile: null }), ['DDD', 'AAA']);
+  });
+
+  it('holds a percentile of the scored symbols, at least one', () => {
+    assert.deepEqual(ranking.selectRanked(scores, { direction: 'highest', count: 3, percentile: 50 }), ['BBB', 'EEE']);
+    assert.deepEqual(ranking.selectRanked(scores, { direction: 'highest', count: 3, percentile: 1 }), ['BBB']);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for rebalancing to target weights
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const rebalance = require('../rebalance');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const alternatingBars = (count, low, high) => Array.from({ length: count }, (_, i) => ({ close: i % 2 === 0 ? low : high }));
+
+describe('resolveRebalanceSettings', () => {
+  it('defaults to equal monthly weights without a band', () => {
+    assert.deepEqual(rebalance.resolveRebalanceSettings({ type: 'rebalance' }), {
+      weights: 'equal',
+      totalWeight: 100,
+      schedule: 'monthly',
+      driftBand: 0,
+      period: 20
+    });
+  });
+
+  it('drops invalid symbol weights and unknown schedules', () => {
+    const settings = rebalance.resolveRebalanceSettings({ weights: { AAA: '60', BBB: -5, CCC: 'x' }, schedule: 'hourly', driftBand: '5' });
+    assert.deepEqual(settings.weights, { AAA: 60 });
+    assert.equal(settings.schedule, 'monthly');
+    assert.equal(settings.driftBand, 5);
+  });
+});
+
+describe('getRebalanceLookback', () => {
+  it('only needs history for inverse-volatility weights', () => {
+    assert.equal(rebalance.getRebalanceLookback({ weights: 'inverse_volatility', period: 10 }), 11);
+    assert.equal(rebalance.getRebalanceLookback({ weights: 'equal' }), 0);
+  });
+});
+
+describe('calculateTargetWeights', () => {
+  it('splits the total weight equally between the symbols with a bar', () => {
+    const settings = rebalance.resolveRebalanceSettings({ totalWeight: 90 });
+    assert.deepEqual(rebalance.calculateTargetWeights(settings, ['AAA', 'BBB', 'CCC'], {}), { AAA: 30, BBB: 30, CCC: 30 });
+  });
+
+  it('uses specified weights as given for the symbols with a bar', () => {
+    const settings = rebalance.resolveRebalanceSettings({ weights: { AAA: 60, BBB: 40 } });
+    assert.deepEqual(rebalance.calculateTargetWeights(settings, ['AAA'], {}), { AAA: 60 });
+  });
+
+  it('weights by market cap, leaving out symbols without shares outstanding', () => {
+    const settings = rebalance.resolveRebalanceSettings({ weights: 'market_cap' });
+    const targets = rebalance.calculateTargetWeights(settings, ['AAA', 'BBB', 'CCC'], {
+      prices: { AAA: 10, BBB: 30, CCC: 5 },
+      metadata: { AAA: { sharesOutstanding: 100 }, BBB: { sharesOutstanding: 100 } }
+    });
+    assert.deepEqual(Object.keys(targets), ['AAA', 'BBB']);
+    close(targets.AAA, 25);
+    close(targets.BBB, 75);
+  });
+
+  it('weights calmer symbols more with inverse volatility', () => {
+    const settings = rebalance.resolveRebalanceSettings({ weights: 'inverse_volatility', period: 10 });
+    const targets = rebalance.calculateTargetWeights(settings, ['CALM', 'CHOPPY', 'NEW'], {
+      histories: { CALM: alternatingBars(11, 100, 101), CHOPPY: alternatingBars(11, 100, 110), NEW: alternatingBars(3, 100, 101) }
+    });
+    assert.equal(targets.NEW, undefined);
+    close(targets.CALM + targets.CHOPPY, 100);
+    assert.ok(targets.CALM > targets.CHOPPY);
+  });
+});
+
+describe('planRebalance', () => {
+  it('trades the symbols outside the band, sells first', () => {
+    const plan = rebalance.planRebalance(
+      { AAA: 50, BBB: 30, CCC: 20 },
+      { AAA: 6, BBB: 3, CCC: 1 },
+      { AAA: 100, BBB: 100, CCC: 100 },
+      1000,
+      5
+    );
+    assert.deepEqual(plan.map(entry => entry.symbol), ['AAA', 'CCC']);
+    close(plan[0].currentWeight, 60);
+    close(plan[1].currentWeight, 10);
+  });
+
+  it('opens and closes positions regardless of the band', () => {
+    const plan = rebalance.planRebalance({ AAA: 2, BBB: 0 }, { BBB: 0.1 }, { AAA: 100, BBB: 100 }, 1000, 5);
+    assert.deepEqual(plan.map(entry => entry.symbol), ['BBB', 'AAA']);
+  });
+
+  it('does nothing without a portfolio value', () => {
+    assert.deepEqual(rebalance.planRebalance({ AAA: 50 }, {}, { AAA: 100 }, 0, 0), []);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for the portfolio-level drawdown controls
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const riskControls = require('../riskControls');
+
+describe('resolveRiskControls', () => {
+  it('applies the default halt and scale', () => {
+    assert.deepEqual(riskControls.resolveRiskControls({ circuitBreaker: { drawdown: 20 }, riskOff: { drawdown: '10' } }), {
+      circuitBreaker: { drawdown: 20, haltDays: 20 },
+      riskOff: { drawdown: 10, scale: 0.5 }
+    });
+  });
+
+  it('keeps a scale of 0 and drops drawdowns outside 0-100', () => {
+    assert.deepEqual(riskControls.resolveRiskControls({ circuitBreaker: { drawdown: 100 }, riskOff: { drawdown: 5, scale: 0 } }), {
+      circuitBreaker: null,
+      riskOff: { drawdown: 5, scale: 0 }
+    });
+    assert.equal(riskControls.resolveRiskControls({ riskOff: { drawdown: 0 } }), null);
+    assert.equal(riskControls.resolveRiskControls(null), null);
+  });
+});
+
+describe('calculateDrawdown', () => {
+  it('measures the decline from the peak, 0 at or above it', () => {
+    assert.equal(riskControls.calculateDrawdown(80, 100), 20);
+    assert.equal(riskControls.calculateDrawdown(120, 100), 0);
+    assert.equal(riskControls.calculateDrawdown(50, 0), 0);
+  });
+});
+
+describe('getRiskMode', () => {
+  const settings = riskControls.resolveRiskControls({ circuitBreaker: { drawdown: 20 }, riskOff: { drawdown: 10 } });
+
+  it('trips the breaker before risk-off', () => {
+    assert.equal(riskControls.getRiskMode(settings, 25), 'circuit_breaker');
+    assert.equal(riskControls.getRiskMode(settings, 20), 'circuit_breaker');
+    assert.equal(riskControls.getRiskMode(settings, 15), 'risk_off');
+    assert.equal(riskControls.getRiskMode(settings, 5), null);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for calendar schedules
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const scheduling = require('../scheduling');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+describe('resolveActionSchedule', () => {
+  it('resolves weekday names and numbers and sorts the dates', () => {
+    assert.deepEqual(scheduling.resolveActionSchedule({
+      every: '5',
+      weekdays: ['Thursday', 'mon', 1, 9],
+      monthDay: 'middle',
+      dates: ['2024-03-01', '2024-01-15', 'soon']
+    }), {
+      every: 5,
+      weekdays: [1, 4],
+      monthDay: null,
+      dates: ['2024-01-15', '2024-03-01']
+    });
+  });
+
+  it('returns null without any rules', () => {
+    assert.equal(scheduling.resolveActionSchedule({ every: 0, weekdays: [] }), null);
+    assert.equal(scheduling.resolveActionSchedule('monthly'), null);
+  });
+});
+
+describe('isScheduledDate', () => {
+  const context = (date, tradingDay, previousDate, nextDate) => ({ date, tradingDay, previousDate, nextDate });
+
+  it('trades every N trading days from the first', () => {
+    const settings = scheduling.resolveActionSchedule({ every: 2 });
+    assert.equal(scheduling.isScheduledDate(settings, context('2024-01-02', 0, null, '2024-01-03')), true);
+    assert.equal(scheduling.isScheduledDate(settings, context('2024-01-03', 1, '2024-01-02', '2024-01-04')), false);
+  });
+
+  it('matches weekdays', () => {
+    const settings = scheduling.resolveActionSchedule({ weekdays: ['monday'] });
+    assert.equal(scheduling.isScheduledDate(settings, context('2024-01-08', 4, '2024-01-05', '2024-01-09')), true);
+    assert.equal(scheduling.isScheduledDate(settings, context('2024-01-09', 5, '2024-01-08', '2024-01-10')), false);
+  });
+
+  it('needs the neighbouring date to place the first and last days of a month', () => {
+    const first = scheduling.resolveActionSchedule({ monthDay: 'first' });
+    const last = scheduling.resolveActionSchedule({ monthDay: 'last' });
+    assert.equal(scheduling.isScheduledDate(first, context('2024-02-01', 3, '2024-01-31', '2024-02-02')), true);
+    assert.equal(scheduling.isScheduledDate(first, context('2024-02-01', 0, null, '2024-02-02')), false);
+    assert.equal(scheduling.isScheduledDate(last, context('2024-01-31', 2, '2024-01-30', '2024-02-01')), true);
+    assert.equal(scheduling.isScheduledDate(last, context('2024-01-31', 2, '2024-01-30', null)), false);
+  });
+
+  it('moves a listed date that is not a trading date to the next one', () => {
+    const settings = scheduling.resolveActionSchedule({ dates: ['2023-12-01', '2024-01-06'] });
+    assert.equal(scheduling.isScheduledDate(settings, context('2024-01-05', 3, '2024-01-04', '2024-01-08')), false);
+    assert.equal(scheduling.isScheduledDate(settings, context('2024-01-08', 4, '2024-01-05', '2024-01-09')), true);
+    assert.equal(scheduling.isScheduledDate(settings, context('2024-01-02', 0, '2023-12-29', '2024-01-03')), false);
+  });
+});
+
+describe('describeSchedule', () => {
+  it('lists every rule', () => {
+    const settings = scheduling.resolveActionSchedule({ every: 1, weekdays: ['friday'], monthDay: 'last', dates: ['2024-01-05'] });
+    assert.equal(
+      scheduling.describeSchedule(settings),
+      'every trading day, on friday, on the last trading day of the month, on 1 dates from 2024-01-05'
+    );
+  });
+});
+
+describe('compareWithLumpSum', () => {
+  it('buys the invested dollars at the first scheduled close', () => {
+    const comparison = scheduling.compareWithLumpSum(
+      { AAA: { purchases: 2, invested: 200, shares: 2.5 } },
+      { AAA: { start: 100, end: 120 } }
+    );
+    close(comparison.dcaValue, 300);
+    close(comparison.lumpSumValue, 240);
+    close(comparison.dcaReturn, 50);
+    close(comparison.lumpSumReturn, 20);
+    close(comparison.difference, 60);
+    close(comparison.bySymbol[0].averageCost, 80);
+  });
+
+  it('returns no returns without purchases', () => {
+    const comparison = scheduling.compareWithLumpSum({}, {});
+    assert.equal(comparison.invested, 0);
+    assert.equal(comparison.dcaReturn, 0);
+    assert.deepEqual(comparison.bySymbol, []);
+  });
+});
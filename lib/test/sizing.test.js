@@ -0,0 +1,118 @@
+/**
+ * Tests for risk-based position sizing
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sizing = require('../sizing');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// Daily bars alternating between two closes, with a fixed range around each close
+const alternatingBars = (count, low, high, range = 1) => Array.from({ length: count }, (_, i) => {
+  const price = i % 2 === 0 ? low : high;
+  return { date: `2024-01-${String(i + 1).padStart(2, '0')}`, open: price, high: price + range, low: price - range, close: price };
+});
+
+const trades = (...results) => results.map(profitLossPercent => ({ profitLossPercent }));
+
+describe('getSizingLookback', () => {
+  it('needs one more bar than the volatility or ATR period', () => {
+    assert.equal(sizing.getSizingLookback({ type: 'atr_risk' }), 15);
+    assert.equal(sizing.getSizingLookback({ type: 'target_volatility', period: 10 }), 11);
+    assert.equal(sizing.getSizingLookback({ type: 'kelly' }), 0);
+    assert.equal(sizing.getSizingLookback(null), 0);
+  });
+});
+
+describe('calculateVolatility', () => {
+  it('returns null without enough history', () => {
+    assert.equal(sizing.calculateVolatility(alternatingBars(5, 100, 110), 5), null);
+  });
+
+  it('returns 0 for a flat series and more for a choppier one', () => {
+    assert.equal(sizing.calculateVolatility(alternatingBars(21, 100, 100), 20), 0);
+    const calm = sizing.calculateVolatility(alternatingBars(21, 100, 101), 20);
+    const choppy = sizing.calculateVolatility(alternatingBars(21, 100, 110), 20);
+    assert.ok(calm > 0 && choppy > calm);
+  });
+});
+
+describe('calculateKellyFraction', () => {
+  it('takes the win rate less the loss rate over the payoff ratio', () => {
+    const fraction = sizing.calculateKellyFraction(trades(10, 10, 10, -5, 0));
+    close(fraction.winRate, 0.6);
+    close(fraction.payoffRatio, 2);
+    close(fraction.kelly, 0.4);
+  });
+
+  it('returns null without both wins and losses', () => {
+    assert.equal(sizing.calculateKellyFraction(trades(5, 3)), null);
+    assert.equal(sizing.calculateKellyFraction(trades(0, 0)), null);
+  });
+});
+
+describe('calculateRiskAmount', () => {
+  it('sizes ATR risk from the stop distance', () => {
+    const result = sizing.calculateRiskAmount({ type: 'atr_risk', value: 1 }, 10000, 100, { history: alternatingBars(15, 100, 100) });
+    close(result.dollars, 2500);
+    close(result.stopLoss, 4);
+  });
+
+  it('skips orders without enough history', () => {
+    const result = sizing.calculateRiskAmount({ type: 'target_volatility', value: 15 }, 10000, 100, { history: [] });
+    assert.equal(result.dollars, 0);
+    assert.match(result.reason, /not enough history/);
+  });
+
+  it('splits inverse-volatility weights across the symbols', () => {
+    const calm = alternatingBars(21, 100, 101);
+    const choppy = alternatingBars(21, 100, 110);
+    const histories = { CALM: calm, CHOPPY: choppy };
+    const calmResult = sizing.calculateRiskAmount({ type: 'inverse_volatility', value: 50 }, 10000, 100, { history: calm, histories });
+    const choppyResult = sizing.calculateRiskAmount({ type: 'inverse_volatility', value: 50 }, 10000, 100, { history: choppy, histories });
+    close(calmResult.dollars + choppyResult.dollars, 5000, 1e-6);
+    assert.ok(calmResult.dollars > choppyResult.dollars);
+  });
+
+  it('caps orders at the max weight', () => {
+    const result = sizing.calculateRiskAmount({ type: 'target_volatility', value: 1000, maxWeight: 20 }, 10000, 100, { history: alternatingBars(21, 100, 101) });
+    assert.equal(result.dollars, 2000);
+  });
+
+  describe('kelly', () => {
+    const rule = { type: 'kelly', value: 50, minTrades: 3 };
+
+    it('uses the initial weight until enough trades have closed', () => {
+      assert.equal(sizing.calculateRiskAmount(rule, 10000, 100, { tradeResults: trades(10, -5) }).dollars, 500);
+    });
+
+    it('bets a share of the Kelly fraction', () => {
+      close(sizing.calculateRiskAmount(rule, 10000, 100, { tradeResults: trades(10, 10, 10, -5, 0) }).dollars, 2000);
+    });
+
+    it('bets the Kelly share of everything after only wins and nothing after only losses', () => {
+      assert.equal(sizing.calculateRiskAmount(rule, 10000, 100, { tradeResults: trades(1, 2, 0) }).dollars, 5000);
+      const losing = sizing.calculateRiskAmount(rule, 10000, 100, { tradeResults: trades(-1, -2, 0) });
+      assert.equal(losing.dollars, 0);
+      assert.equal(losing.reason, 'no winning trades');
+    });
+    
+    it('caps the bet after only wins at the max weight', () => {
+      const capped = { ...rule, value: 100, maxWeight: 25 };
+      assert.equal(sizing.calculateRiskAmount(capped, 10000, 100, { tradeResults: trades(1, 2, 3) }).dollars, 2500);
+    });
+
+    it('keeps the initial weight when every trade broke even', () => {
+      assert.equal(sizing.calculateRiskAmount(rule, 10000, 100, { tradeResults: trades(0, 0, 0) }).dollars, 500);
+    });
+
+    it('skips orders with a negative edge', () => {
+      const result = sizing.calculateRiskAmount(rule, 10000, 100, { tradeResults: trades(1, -10, -10) });
+      assert.equal(result.dollars, 0);
+      assert.equal(result.reason, 'negative Kelly edge');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for tax-lot accounting
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const taxes = require('../taxes');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const settings = taxes.resolveTaxSettings({});
+
+// A closed trade as lib/trades.js reports it
+const trade = (lotId, entryDate, exitDate, profitLoss, fields) => ({
+  lotId,
+  symbol: 'AAA',
+  side: 'long',
+  quantity: 10,
+  entryDate,
+  exitDate,
+  holdingDays: Math.round((new Date(exitDate) - new Date(entryDate)) / (1000 * 60 * 60 * 24)),
+  profitLoss,
+  ...fields
+});
+
+const openLot = (lotId, entryDate, quantity) => ({ lotId, symbol: 'AAA', side: 'long', quantity, entryDate });
+
+const values = (...dates) => dates.map(date => ({ date, value: 10000 }));
+
+const run = (trades, openTrades = [], transactions = [], valueHistory = values('2023-12-29', '2024-12-31'), taxSettings = settings) =>
+  taxes.calculateTaxes({ trades, openTrades }, transactions, valueHistory, taxSettings);
+
+describe('resolveTaxSettings', () => {
+  it('is off without tax settings', () => {
+    assert.equal(taxes.resolveTaxSettings(undefined), null);
+    assert.equal(taxes.resolveTaxSettings({ enabled: false, shortTermRate: 30 }), null);
+  });
+  
+  it('applies the defaults and taxes dividends at the long-term rate unless set', () => {
+    assert.deepEqual(settings, { shortTermRate: 37, longTermRate: 20, dividendRate: 20, longTermDays: 365, washSales: true });
+    assert.equal(taxes.resolveTaxSettings({ longTermRate: 15 }).dividendRate, 15);
+    assert.equal(taxes.resolveTaxSettings({ longTermDays: 0, shortTermRate: -5 }).longTermDays, 365);
+  });
+});
+
+describe('calculateTaxes', () => {
+  it('taxes long lots held past longTermDays at the long-term rate and the rest short-term', () => {
+    const trades = [
+      trade(1, '2023-01-03', '2024-03-01', 1000),
+      trade(2, '2024-01-02', '2024-03-01', 500),
+      trade(3, '2023-01-03', '2024-03-01', 200, { side: 'short' })
+    ];
+    const result = run(trades);
+    assert.deepEqual(trades.map(t => t.tax.term), ['long', 'short', 'short']);
+    const [, year] = result.years;
+    close(year.longTermGains, 1000);
+    close(year.shortTermGains, 700);
+    close(year.longTermTax, 200);
+    close(year.shortTermTax, 259);
+    close(result.totalTax, 459);
+  });
+  
+  it('adds a washed loss to the replacement lot and carries the holding period over', () => {
+    // The replacement was bought 9 days before the losing sale and held 330 days - long-term with
+    // the 50 days of the washed lot
+    const trades = [
+      trade(1, '2023-01-10', '2023-03-01', -100),
+      trade(2, '2023-02-20', '2024-01-16', 300)
+    ];
+    const result = run(trades);
+    assert.deepEqual(trades[0].tax, { term: 'short', gain: 0, disallowedLoss: 100, basisAdjustment: 0 });
+    assert.deepEqual(trades[1].tax, { term: 'long', gain: 200, disallowedLoss: 0, basisAdjustment: 100 });
+    assert.equal(result.washSales, 1);
+    close(result.washSaleDisallowed, 100);
+    close(result.years[0].tax, 0);
+    close(result.years[1].longTermTax, 40);
+  });
+  
+  it('only washes the loss on as many shares as were replaced, deferring it while they are held', () => {
+    const trades = [trade(1, '2024-01-02', '2024-03-01', -100)];
+    const result = run(trades, [openLot(2, '2024-03-15', 4)]);
+    close(trades[0].tax.disallowedLoss, 40);
+    close(trades[0].tax.gain, -60);
+    close(result.deferredLosses, 40);
+  });
+  
+  it('ignores buys more than 30 days from the loss, and wash sales when they are off', () => {
+    const late = [trade(1, '2024-01-02', '2024-03-01', -100)];
+    close(run(late, [openLot(2, '2024-04-01', 10)]).washSaleDisallowed, 0);
+    
+    const off = [trade(1, '2024-01-02', '2024-03-01', -100)];
+    const result = run(off, [openLot(2, '2024-03-15', 10)], [], undefined, { ...settings, washSales: false });
+    assert.equal(result.washSales, 0);
+    close(off[0].tax.gain, -100);
+  });
+  
+  it('nets short- and long-term results and carries net losses forward', () => {
+    const trades = [
+      trade(1, '2023-01-03', '2023-06-01', -1000),
+      trade(2, '2024-01-02', '2024-06-03', 600),
+      trade(3, '2023-06-01', '2025-01-02', 600, { symbol: 'BBB' })
+    ];
+    const result = run(trades, [], [], values('2023-12-29', '2024-12-31', '2025-12-31'));
+    assert.deepEqual(result.years.map(year => [year.year, Math.round(year.carryforwardUsed), Math.round(year.carryforward)]), [
+      [2023, 0, 1000],
+      [2024, 600, 400],
+      [2025, 400, 0]
+    ]);
+    close(result.years[2].taxableLongTerm, 200);
+    close(result.totalTax, 40);
+    assert.equal(result.lossCarryforward, 0);
+    
+    // Within a year a short-term loss offsets a long-term gain
+    const netted = run([trade(1, '2024-01-02', '2024-03-01', -300), trade(2, '2022-01-03', '2024-03-01', 500, { symbol: 'BBB' })]);
+    close(netted.years[1].taxableLongTerm, 200);
+    close(netted.years[1].taxableShortTerm, 0);
+  });
+  
+  it('charges each year\'s tax to the after-tax values on its last valuation date', () => {
+    const trades = [
+      trade(1, '2023-02-01', '2023-05-01', 1000),
+      trade(2, '2023-01-03', '2024-05-01', 1000)
+    ];
+    const transactions = [
+      { type: 'dividend', date: '2024-06-03', amount: 100 },
+      { type: 'dividend_charge', date: '2024-07-01', amount: 20 }
+    ];
+    const valueHistory = [
+      { date: '2023-06-30', value: 10000 },
+      { date: '2023-12-29', value: 11000 },
+      { date: '2024-06-28', value: 12000 },
+      { date: '2024-12-31', value: 12500 }
+    ];
+    const result = run(trades, [], transactions, valueHistory);
+    close(result.years[1].dividendTax, 16);
+    close(result.totalTax, 370 + 200 + 16);
+    result.afterTaxValues.forEach((value, i) => close(value, [10000, 10630, 11630, 11914][i], 1e-6));
+  });
+});
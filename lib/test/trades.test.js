@@ -0,0 +1,130 @@
+/**
+ * Tests for the round-trip trade ledger
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const trades = require('../trades');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+const dates = ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+
+// A symbol's bars as the Map(date -> bar) the backtest indexes them in
+const barMap = (bars) => new Map(bars.map((bar, i) => [dates[i], { date: dates[i], ...bar }]));
+
+const fill = (type, day, quantity, price, fields) => ({
+  type,
+  symbol: 'AAA',
+  date: dates[day],
+  quantity,
+  price,
+  amount: quantity * price,
+  ...fields
+});
+
+const risingBars = { AAA: barMap([{ high: 11, low: 9, close: 10 }, { high: 21, low: 19, close: 20 }, { high: 31, low: 29, close: 30 }, { high: 26, low: 24, close: 25 }]) };
+
+// Two lots of 10 shares, 15 of them sold on the third day
+const partialSale = [fill('buy', 0, 10, 10), fill('buy', 1, 10, 20), fill('sell', 2, 15, 30)];
+
+describe('buildTradeLedger', () => {
+  it('closes the oldest lots first and splits the lot a fill only partly closes', () => {
+    const ledger = trades.buildTradeLedger(partialSale, risingBars, dates);
+    assert.equal(ledger.lotMatching, 'fifo');
+    assert.deepEqual(ledger.trades.map(trade => [trade.lotId, trade.quantity, trade.entryPrice]), [[1, 10, 10], [2, 5, 20]]);
+    close(ledger.trades[0].profitLoss, 200);
+    close(ledger.trades[1].profitLoss, 50);
+    close(ledger.stats.netProfit, 250);
+  });
+  
+  it('closes the newest lots first with LIFO matching', () => {
+    const ledger = trades.buildTradeLedger(partialSale, risingBars, dates, { lotMatching: 'lifo' });
+    assert.deepEqual(ledger.trades.map(trade => [trade.lotId, trade.quantity, trade.entryPrice]), [[2, 10, 20], [1, 5, 10]]);
+    close(ledger.trades[0].profitLoss, 100);
+    close(ledger.trades[1].profitLoss, 100);
+    close(ledger.stats.netProfit, 200);
+  });
+  
+  it('reports the lots still open at the last close', () => {
+    const fifo = trades.buildTradeLedger(partialSale, risingBars, dates);
+    assert.deepEqual(fifo.openTrades.map(lot => [lot.lotId, lot.side, lot.quantity, lot.lastPrice]), [[2, 'long', 5, 25]]);
+    close(fifo.openTrades[0].unrealizedProfitLoss, 25);
+    
+    const lifo = trades.buildTradeLedger(partialSale, risingBars, dates, { lotMatching: 'lifo' });
+    assert.deepEqual(lifo.openTrades.map(lot => [lot.lotId, lot.quantity, lot.entryPrice]), [[1, 5, 10]]);
+    close(lifo.openTrades[0].unrealizedProfitLoss, 75);
+  });
+  
+  it('has no last price for a symbol without bars', () => {
+    const ledger = trades.buildTradeLedger([fill('buy', 0, 10, 10)], {}, dates);
+    assert.equal(ledger.openTrades[0].lastPrice, null);
+    assert.equal(ledger.openTrades[0].unrealizedProfitLoss, null);
+  });
+  
+  it('takes the P&L after commissions on both fills', () => {
+    const ledger = trades.buildTradeLedger([
+      fill('buy', 0, 10, 10, { costs: { commission: 1 } }),
+      fill('sell', 2, 10, 12, { costs: { commission: 1 } })
+    ], risingBars, dates);
+    close(ledger.trades[0].profitLoss, 18);
+    close(ledger.trades[0].profitLossPercent, (18 / 101) * 100);
+  });
+  
+  it('closes short lots with buybacks, with the excursions of a short', () => {
+    const bars = { AAA: barMap([{ high: 51, low: 49, close: 50 }, { high: 55, low: 45, close: 48 }, { high: 42, low: 38, close: 40 }]) };
+    const ledger = trades.buildTradeLedger([fill('short', 0, 10, 50), fill('cover_short', 2, 10, 40)], bars, dates, {
+      actions: [{ type: 'short' }, { type: 'cover' }]
+    });
+    const [trade] = ledger.trades;
+    assert.equal(trade.side, 'short');
+    close(trade.profitLoss, 100);
+    close(trade.profitLossPercent, 20);
+    // The exit bar only counts at the exit price, so the low is the second bar's
+    close(trade.mae, 10);
+    close(trade.mfe, 20);
+    assert.equal(trade.holdingBars, 2);
+    assert.equal(trade.holdingDays, 2);
+    assert.deepEqual(ledger.openTrades, []);
+  });
+  
+  it('opens a lot the other way with what a fill has left after closing every lot', () => {
+    const ledger = trades.buildTradeLedger([fill('buy', 0, 10, 10), fill('sell', 1, 15, 20)], risingBars, dates);
+    assert.deepEqual(ledger.trades.map(trade => [trade.side, trade.quantity]), [['long', 10]]);
+    assert.deepEqual(ledger.openTrades.map(lot => [lot.lotId, lot.side, lot.quantity, lot.entryPrice]), [[2, 'short', 5, 20]]);
+    close(ledger.openTrades[0].unrealizedProfitLoss, -25);
+  });
+  
+  it('names the rule behind each entry and exit', () => {
+    const ledger = trades.buildTradeLedger([
+      fill('buy', 0, 10, 10, { actionIndex: 0 }),
+      fill('sell', 1, 10, 20, { exitReason: 'stop_loss' })
+    ], risingBars, dates, { actions: [{ type: 'buy' }] });
+    assert.equal(ledger.trades[0].entryRule, 'Action 1 (buy)');
+    assert.equal(ledger.trades[0].exitRule, 'Stop-loss');
+  });
+});
+
+describe('getClosedTradeResults', () => {
+  it('gives the P&L of each closed part of a lot with the same matching', () => {
+    const fifo = trades.getClosedTradeResults(partialSale, 'fifo');
+    assert.equal(fifo.length, 2);
+    close(fifo[0].profitLoss, 200);
+    close(fifo[0].profitLossPercent, 200);
+    close(fifo[1].profitLoss, 50);
+    close(fifo[1].profitLossPercent, 50);
+    const lifo = trades.getClosedTradeResults(partialSale, 'lifo');
+    assert.deepEqual(lifo.map(trade => Math.round(trade.profitLoss)), [100, 100]);
+  });
+});
+
+describe('calculateTradeStats', () => {
+  it('has no profit factor without losing trades', () => {
+    const stats = trades.calculateTradeStats([{ profitLoss: 10, profitLossPercent: 5 }, { profitLoss: 0, profitLossPercent: 0 }]);
+    assert.equal(stats.winRate, 50);
+    assert.equal(stats.losingTrades, 0);
+    assert.equal(stats.profitFactor, null);
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Round-trip trade ledger built from a backtest's fills
+ *
+ * Each fill that opens a position becomes a lot. Fills the other way close lots - the
+ * oldest first (FIFO) or the newest first (LIFO):
+ *   lotMatching: 'fifo' | 'lifo'
+ * A closed lot (or the closed part of one) is a trade with its entry and exit, P&L after
+ * commissions, and the maximum adverse and favorable excursions (MAE/MFE) while it was
+ * held. A fill larger than the open lots closes them all and opens a lot the other way.
+ * Lots are numbered in the order they open, and each trade carries its lot's id - a lot
+ * closed in several parts gives several trades.
+ */
+
+const LOT_MATCHING_METHODS = ['fifo', 'lifo'];
+const QUANTITY_EPSILON = 1e-9;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Transaction types that trade shares, and the direction of the fill
+const FILL_SIDES = {
+  buy: 'buy',
+  cover_short: 'buy',
+  sell: 'sell',
+  short: 'sell'
+};
+
+const EXIT_RULE_NAMES = {
+  stop_loss: 'Stop-loss',
+  take_profit: 'Take-profit',
+  trailing_stop: 'Trailing stop',
+  margin_call: 'Margin call',
+  circuit_breaker: 'Circuit breaker',
+  hold_period: 'Holding period',
+  max_holding: 'Max holding period',
+  period_end: 'Period end'
+};
+
+/**
+ * Describe the rule behind a fill
+ * @param {object} tx - Transaction
+ * @param {Array} actions - Strategy actions, to name the action that placed the order
+ * @returns {string} Rule label, e.g. "Action 1 (buy)" or "Stop-loss"
+ */
+function describeRule(tx, actions) {
+  if (tx.exitReason) return EXIT_RULE_NAMES[tx.exitReason] || tx.exitReason;
+  if (tx.isEodExit) return 'Day trade close';
+  if (typeof tx.actionIndex === 'number') {
+    const action = actions[tx.actionIndex];
+    return `Action ${tx.actionIndex + 1} (${action ? action.type : tx.type})`;
+  }
+  return tx.type;
+}
+
+/**
+ * Highest high and lowest low of a symbol's bars while a lot was held
+ * @param {object} lot - Open lot { entryDate, entryPrice }
+ * @param {string} exitDate - Date the lot was closed
+ * @param {number} exitPrice - Exit fill price
+ * @param {object} context - { bars: Map(date -> bar), tradingDates, dateIndex }
+ * @returns {object} { high, low, bars } - bars is the number of the symbol's bars after the entry
+ */
+function getExcursionRange(lot, exitDate, exitPrice, context) {
+  let high = Math.max(lot.entryPrice, exitPrice);
+  let low = Math.min(lot.entryPrice, exitPrice);
+  let bars = 0;
+  
+  // A same-day round trip (e.g. a day trade from the open to the close) spans that whole bar
+  if (lot.entryDate === exitDate) {
+    const bar = context.bars.get(exitDate);
+    if (bar) {
+      high = Math.max(high, bar.high || bar.close);
+      low = Math.min(low, bar.low || bar.close);
+    }
+    return { high, low, bars };
+  }
+  
+  // Bars after the entry; on the exit bar only the exit price counts
+  const start = context.dateIndex.get(lot.entryDate) + 1;
+  const end = context.dateIndex.get(exitDate);
+  for (let i = start; i <= end; i++) {
+    const bar = context.bars.get(context.tradingDates[i]);
+    if (!bar) continue;
+    bars++;
+    if (i === end) continue;
+    high = Math.max(high, bar.high || bar.close);
+    low = Math.min(low, bar.low || bar.close);
+  }
+  
+  return { high, low, bars };
+}
+
+/**
+ * Close a lot (or part of it) into a trade
+ * @param {object} lot - Open lot
+ * @param {number} quantity - Shares closed
+ * @param {object} tx - Closing transaction
+ * @param {number} exitNetPrice - Exit price per share after commission
+ * @param {object} context - Bars, trading dates and actions (see getExcursionRange)
+ * @returns {object} Closed trade
+ */
+function closeLot(lot, quantity, tx, exitNetPrice, context) {
+  const isLong = lot.side === 'long';
+  const range = getExcursionRange(lot, tx.date, tx.price, context);
+  
+  const entryValue = quantity * lot.entryNetPrice;
+  const profitLoss = isLong ?
+    quantity * (exitNetPrice - lot.entryNetPrice) :
+    quantity * (lot.entryNetPrice - exitNetPrice);
+  
+  // Excursions in percent of the entry price - MAE is the worst point against the trade, MFE the best for it
+  const adverse = isLong ? lot.entryPrice - range.low : range.high - lot.entryPrice;
+  const favorable = isLong ? range.high - lot.entryPrice : lot.entryPrice - range.low;
+  
+  return {
+    lotId: lot.lotId,
+    symbol: tx.symbol,
+    side: lot.side,
+    quantity,
+    entryDate: lot.entryDate,
+    entryPrice: lot.entryPrice,
+    exitDate: tx.date,
+    exitPrice: tx.price,
+    holdingDays: Math.round((new Date(tx.date) - new Date(lot.entryDate)) / MS_PER_DAY),
+    holdingBars: range.bars,
+    profitLoss,
+    profitLossPercent: entryValue > 0 ? (profitLoss / entryValue) * 100 : 0,
+    mae: lot.entryPrice > 0 ? (Math.max(0, adverse) / lot.entryPrice) * 100 : 0,
+    mfe: lot.entryPrice > 0 ? (Math.max(0, favorable) / lot.entryPrice) * 100 : 0,
+    entryRule: lot.entryRule,
+    exitRule: describeRule(tx, context.actions)
+  };
+}
+
+/**
+ * Summarize closed trades
+ * @param {Array} trades - Closed trades
+ * @returns {object} Trade statistics - win rate and percentages in percent, amounts in dollars;
+ *   profitFactor is null without losing trades
+ */
+function calculateTradeStats(trades) {
+  const winners = trades.filter(trade => trade.profitLoss > 0);
+  const losers = trades.filter(trade => trade.profitLoss < 0);
+  const grossProfit = winners.reduce((sum, trade) => sum + trade.profitLoss, 0);
+  const grossLoss = -losers.reduce((sum, trade) => sum + trade.profitLoss, 0);
+  const average = (list, field) => list.length === 0 ? 0 : list.reduce((sum, trade) => sum + trade[field], 0) / list.length;
+  
+  return {
+    totalTrades: trades.length,
+    winningTrades: winners.length,
+    losingTrades: losers.length,
+    winRate: trades.length === 0 ? 0 : (winners.length / trades.length) * 100,
+    grossProfit,
+    grossLoss,
+    netProfit: grossProfit - grossLoss,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    // Average P&L per trade
+    expectancy: average(trades, 'profitLoss'),
+    expectancyPercent: average(trades, 'profitLossPercent'),
+    averageWin: average(winners, 'profitLoss'),
+    averageLoss: average(losers, 'profitLoss'),
+    largestWin: winners.length === 0 ? 0 : Math.max(...winners.map(trade => trade.profitLoss)),
+    largestLoss: losers.length === 0 ? 0 : Math.min(...losers.map(trade => trade.profitLoss)),
+    averageHoldingDays: average(trades, 'holdingDays'),
+    averageMae: average(trades, 'mae'),
+    averageMfe: average(trades, 'mfe')
+  };
+}
+
+/**
+ * Match fills against open lots
+ * @param {Array} transactions - Transactions in the order they were filled
+ * @param {string} lotMatching - 'fifo' or 'lifo'
+ * @param {Array} actions - Strategy actions, to name the rule that opened each lot
+ * @param {Function} close - (lot, quantity, tx, exitNetPrice) => trade, called for each closed lot or part of one
+ * @returns {object} { trades, lots } - lots maps each symbol to its open lots, oldest to newest
+ */
+function matchLots(transactions, lotMatching, actions, close) {
+  const lots = {};
+  const trades = [];
+  let nextLotId = 1;
+  
+  transactions.forEach(tx => {
+    const fillSide = FILL_SIDES[tx.type];
+    if (!fillSide || !(tx.quantity > 0)) return;
+    
+    const commission = tx.costs ? tx.costs.commission : 0;
+    // Price per share after commission - paid on buys, deducted from the proceeds of sells
+    const netPrice = fillSide === 'buy' ?
+      (tx.amount + commission) / tx.quantity :
+      (tx.amount - commission) / tx.quantity;
+    
+    const symbolLots = lots[tx.symbol] || (lots[tx.symbol] = []);
+    const closingSide = fillSide === 'buy' ? 'short' : 'long';
+    let remaining = tx.quantity;
+    
+    while (remaining > QUANTITY_EPSILON && symbolLots.length > 0 && symbolLots[0].side === closingSide) {
+      const lotIndex = lotMatching === 'lifo' ? symbolLots.length - 1 : 0;
+      const lot = symbolLots[lotIndex];
+      const quantity = Math.min(lot.quantity, remaining);
+      
+      trades.push(close(lot, quantity, tx, netPrice));
+      lot.quantity -= quantity;
+      remaining -= quantity;
+      if (lot.quantity <= QUANTITY_EPSILON) {
+        symbolLots.splice(lotIndex, 1);
+      }
+    }
+    
+    if (remaining > QUANTITY_EPSILON) {
+      symbolLots.push({
+        lotId: nextLotId++,
+        side: fillSide === 'buy' ? 'long' : 'short',
+        quantity: remaining,
+        entryDate: tx.date,
+        entryPrice: tx.price,
+        entryNetPrice: netPrice,
+        entryRule: describeRule(tx, actions)
+      });
+    }
+  });
+  
+  return { trades, lots };
+}
+
+/**
+ * Build the round-trip trade ledger from a backtest's transactions
+ * @param {Array} transactions - Transactions in the order they were filled
+ * @param {object} barIndex - Symbol -> Map(date -> bar)
+ * @param {Array} tradingDates - All trading dates, sorted
+ * @param {object} options - { lotMatching: 'fifo' | 'lifo', actions }
+ * @returns {object} { lotMatching, trades, openTrades, stats } - openTrades are the lots still open,
+ *   valued at the symbol's last close
+ */
+function buildTradeLedger(transactions, barIndex, tradingDates, options = {}) {
+  const lotMatching = LOT_MATCHING_METHODS.includes(options.lotMatching) ? options.lotMatching : 'fifo';
+  const dateIndex = new Map(tradingDates.map((date, i) => [date, i]));
+  const actions = options.actions || [];
+  
+  const { trades, lots } = matchLots(transactions, lotMatching, actions, (lot, quantity, tx, exitNetPrice) =>
+    closeLot(lot, quantity, tx, exitNetPrice, { bars: barIndex[tx.symbol] || new Map(), tradingDates, dateIndex, actions }));
+  
+  // Lots still open at the end, marked to the last close
+  const openTrades = [];
+  Object.keys(lots).forEach(symbol => {
+    const bars = barIndex[symbol];
+    let lastClose = null;
+    for (let i = tradingDates.length - 1; i >= 0 && bars; i--) {
+      const bar = bars.get(tradingDates[i]);
+      if (bar) {
+        lastClose = bar.close;
+        break;
+      }
+    }
+    
+    lots[symbol].forEach(lot => {
+      const unrealized = lastClose === null ? null :
+        lot.quantity * (lot.side === 'long' ? lastClose - lot.entryNetPrice : lot.entryNetPrice - lastClose);
+      openTrades.push({
+        lotId: lot.lotId,
+        symbol,
+        side: lot.side,
+        quantity: lot.quantity,
+        entryDate: lot.entryDate,
+        entryPrice: lot.entryPrice,
+        lastPrice: lastClose,
+        unrealizedProfitLoss: unrealized,
+        entryRule: lot.entryRule
+      });
+    });
+  });
+  
+  return {
+    lotMatching,
+    trades,
+    openTrades,
+    stats: calculateTradeStats(trades)
+  };
+}
+
+/**
+ * P&L of the trades closed so far, without the excursions - cheap enough to run during a backtest
+ * @param {Array} transactions - Transactions in the order they were filled
+ * @param {string} lotMatching - 'fifo' or 'lifo'
+ * @returns {Array} { profitLoss, profitLossPercent } of each closed trade, in the order they closed
+ */
+function getClosedTradeResults(transactions, lotMatching) {
+  const method = LOT_MATCHING_METHODS.includes(lotMatching) ? lotMatching : 'fifo';
+  return matchLots(transactions, method, [], (lot, quantity, tx, exitNetPrice) => {
+    const entryValue = quantity * lot.entryNetPrice;
+    const profitLoss = lot.side === 'long' ?
+      quantity * (exitNetPrice - lot.entryNetPrice) :
+      quantity * (lot.entryNetPrice - exitNetPrice);
+    return { profitLoss, profitLossPercent: entryValue > 0 ? (profitLoss / entryValue) * 100 : 0 };
+  }).trades;
+}
+
+module.exports = {
+  LOT_MATCHING_METHODS,
+  buildTradeLedger,
+  getClosedTradeResults,
+  calculateTradeStats
+};
@@ -5,6 +5,17 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 // Initialize Google Generative AI (Gemini)
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
+// Maximum number of points per chart series in the backtest response
+const CHART_MAX_POINTS = 750;
+
+// Default values of the risk-based amount types (see lib/sizing.js)
+const RISK_AMOUNT_DEFAULTS = {
+  atr_risk: 1, // Percent of equity risked per trade
+  inverse_volatility: 100, // Percent of the portfolio split across the stocks
+  target_volatility: 15, // Annualized volatility in percent
+  kelly: 50 // Percent of the Kelly fraction
+};
+
 /**
  * Parse natural language strategy using Gemini API
  * @route POST /api/strategy/parse
@@ -36,8 +47,15 @@ router.post('/parse', async (req, res) => {
     "${description}"
     
     The JSON should include:
-    1. Actions: Array of buy/sell/short rules, each with:
-       - type: "buy", "sell", or "short"
+    1. Actions: Array of buy/sell/short/cover rules, each with:
+       - type: "buy", "sell", "short", or "cover" (or "rebalance" or "rotate" - see below)
+       - schedule (optional, only when the action trades on calendar dates, e.g. "buy $100 every month"): Object with one or more of:
+             - every: every N trading days (e.g. 10 for "every two weeks")
+             - weekdays: days of the week, e.g. ["monday", "thursday"]
+             - monthDay: "first" or "last" - the first or last trading day of each month
+             - dates: list of dates as "YYYY-MM-DD" (a date the market is closed falls on the next trading day)
+           A scheduled action has no condition unless the description adds one (then it trades on the scheduled dates
+           the condition is met), and its timeframe only sets which percent change the condition reads.
        - condition: Object that can have one of these structures:
           a. Simple condition:
              - metric: "percent_change", "price", "volume", etc.
@@ -65,10 +83,61 @@ router.post('/parse', async (req, res) => {
                 * For OBV: { slope: true|false }
                 * For ATR: { period: 14, percent: true|false }
                 * For MFI: { period: 14 }
+          Any of the above may also have:
+             - timeframe: "daily", "weekly" or "monthly" - the bars this condition is computed on (e.g. "weekly RSI" uses weekly bars).
+               Omit it to use daily bars (and the action's timeframe for percent_change).
+               Weekly and monthly percent_change compare the last two completed calendar weeks or months.
+          e. Condition group (when the description combines conditions with "and", "or", "unless", "but not"):
+             - type: "all" (every condition must be true), "any" (at least one must be true), or "not" (the condition must be false)
+             - conditions: Array of conditions for "all" and "any" (each may itself be a group)
+             - condition: The single condition for "not"
        - timeframe: "daily", "weekly", "monthly"
        - amount: Object with:
-             - type: "fixed_amount" (in dollars), "percentage" (of portfolio), "shares" (fixed number of shares)
-             - value: numeric value (dollars, percentage, or number of shares)
+             - type: "fixed_amount" (in dollars), "percentage" (of portfolio), "shares" (fixed number of shares),
+               "position_percentage" (of the shares currently held), "close_position" (the whole position) or
+               "target_weight" (buy or sell until the position is this percentage of the portfolio), or sized from risk:
+               "atr_risk" (risk this percentage of equity, with a stop-loss atrMultiple ATRs away), "inverse_volatility"
+               (split this percentage of the portfolio across the stocks in inverse proportion to their volatility),
+               "target_volatility" (size the position for this annualized volatility in percent) or "kelly" (this
+               percentage of the Kelly fraction from the strategy's own recent trades, e.g. 50 for half Kelly)
+             - value: numeric value (dollars, percentage, number of shares, percentage of the position, or target weight;
+               100 for close_position)
+             - Optional for the risk-based types: period (days of ATR or volatility, default 14 for ATR and 20 otherwise),
+               atrMultiple (default 2), lookback (recent trades for Kelly, default 50), minTrades (trades before Kelly
+               applies, default 10), initialWeight (percentage used until then, default 5), maxWeight (largest position
+               in percent of the portfolio, default 100)
+       - exits (optional, for actions that open a position): Object with percentages measured from the entry price:
+             - stopLoss: close the position if price moves this % against it (e.g. 8 for "sell if it drops 8% from the purchase price")
+             - takeProfit: close the position once it gains this %
+             - trailingStop: close the position if price falls this % from its highest point since entry (rises from its lowest for shorts)
+           and/or time limits, which close the position at a day's close:
+             - holdBars: after this many trading days (e.g. 10 for "hold for 10 trading days then sell")
+             - maxHoldingDays: once it has been held this many calendar days (e.g. 30 for "never hold longer than a month")
+             - exitAt: "week_end", "month_end", "quarter_end" or "year_end" - on the last trading day of the period
+       - order (optional, only when the description asks for a limit or stop order): Object with:
+             - type: "limit" (buy at or below / sell at or above the price) or "stop" (buy at or above / sell at or below the price)
+             - offsetPercent: order price as a % from the signal day's close (e.g. -2 for "a limit 2% below the close"), or
+             - price: an absolute order price in dollars
+             - expiresAfter: number of trading days the order stays open (default 1)
+       A "rebalance" action (when the description holds stocks at fixed weights and rebalances them) has no condition,
+       timeframe or amount. Instead it has:
+             - weights: "equal", "market_cap" (weighted by market capitalization), "inverse_volatility" (less volatile stocks
+               get more weight), or an object of percentages by symbol, e.g. {"SPY": 60, "TLT": 40}
+             - schedule: "daily", "weekly", "monthly" (default), "quarterly" or "yearly"
+             - driftBand (optional): percentage points a weight may drift from its target before it's traded back (default 0)
+             - totalWeight (optional): percent of the portfolio invested with "equal", "market_cap" or "inverse_volatility"
+               weights (default 100)
+       A "rotate" action (when the description ranks the stocks and holds the best or worst ones, e.g. "each month hold the
+       top 3 by momentum") has no condition, timeframe or amount either. It has the schedule, driftBand and totalWeight of a
+       rebalance, weights ("equal", "market_cap" or "inverse_volatility" - not an object), and:
+             - rank: what the stocks are scored on, one of
+                * {"metric": "momentum", "period": 126, "skip": 0} - percent change over period trading days (21 a month),
+                  ending skip days ago
+                * {"metric": "volatility", "period": 20}, {"metric": "volume", "period": 20} or {"metric": "price"}
+                * {"type": "technical", "indicator": "rsi", "params": {"period": 14}} - any technical indicator's value
+             - direction: "highest" (default - hold the highest scores) or "lowest"
+             - count: number of stocks to hold (default 3), or percentile: the best-ranked percent of the stocks instead
+             - side: "long" (default) or "short"
              
     SPECIAL DAY TRADING PATTERNS:
     - For strategies involving buying at market open and selling at market close on the same day, use:
@@ -86,6 +155,75 @@ router.post('/parse', async (req, res) => {
        - start: Start year
        - end: End year
     
+    4. Capital (optional, only when the description mentions starting money, interest on cash, or deposits/withdrawals): Object with:
+       - initial: starting cash in dollars (default 10000)
+       - cashYield: annual interest earned on uninvested cash, in percent (e.g. 4.5)
+       - schedule: Array of cash flows, each either
+          * { "date": "YYYY-MM-DD", "amount": 1000 } for a one-time deposit (negative amount for a withdrawal), or
+          * { "frequency": "weekly"|"monthly"|"quarterly"|"yearly", "amount": 500 } for a recurring one
+    
+    5. Exits (optional, only when stop-losses, profit targets, trailing stops or time limits apply to every position): Object with
+       stopLoss, takeProfit, trailingStop, holdBars, maxHoldingDays and/or exitAt, same as an action's "exits". An action's own
+       exits take precedence.
+    
+    6. Execution (optional, only when the description says when orders fill): Object with:
+       - model: "same_bar_close" (default - fill at the signal day's close), "next_bar_open" (fill at the next day's open)
+         or "next_bar_vwap" (fill at the next day's average price)
+    
+    7. Prices (optional, only when the description mentions adjusted prices or dividends): Object with:
+       - adjustment: "split_adjusted" (default), "raw" (prices as traded, splits included) or "adjusted" (also adjusted for dividends)
+       - dividends: true to pay dividends to holders in cash (and charge them to short sellers) - not with "adjusted" prices
+    
+    8. Benchmark (optional, only when the description names an index or stock to compare against): Object with:
+       - symbol: ticker bought and held for comparison (default "SPY"), e.g. {"symbol": "QQQ"}
+    
+    9. RiskFreeRate (optional, only when the description gives a risk-free rate for the Sharpe ratio): annual rate in percent,
+       as a top-level number, e.g. "riskFreeRate": 4.5
+    
+    10. LotMatching (optional, only when the description says which shares a sale closes out first): "fifo" (default - oldest
+       first) or "lifo" (newest first), as a top-level string, e.g. "lotMatching": "lifo"
+    
+    11. Taxes (optional, only when the description mentions taxes or a taxable account): Object with:
+       - shortTermRate: tax rate on short-term gains in percent (default 37)
+       - longTermRate: tax rate on long-term gains in percent (default 20)
+       - dividendRate: tax rate on dividends in percent (default: longTermRate)
+       - longTermDays: days a position must be held for its gains to be long-term (default 365)
+       - washSales: false to ignore the wash-sale rule (default true)
+    
+    12. ShortSelling (optional, only when the description mentions margin or borrow fees for short positions): Object with:
+       - initialMargin: equity needed to open shorts, in percent of their value (default 50)
+       - maintenanceMargin: equity that must be kept, in percent of the shorts' value (default 30) - shorts are bought back below it
+       - borrowFee: annual fee in percent of the short's value, e.g. 0.5, or an object
+         { "rate": 0.5, "symbols": {"GME": 25}, "tiers": [{"maxPrice": 5, "rate": 20}] } for per-symbol or per-price rates
+    
+    13. Account (optional, only when the description mentions a cash or margin account, buying power or leverage): Object with:
+       - type: "cash" (default - longs are paid for in full), "margin" (Reg T margin account) or "leverage" (exposure limited
+         to a multiple of equity)
+       - initialMargin: equity needed to buy on margin, in percent of the longs' value (default 50)
+       - maintenanceMargin: equity that must be kept, in percent of the longs' value (default 25) - positions are sold below it
+       - maxGrossLeverage: with "leverage", the most longs plus shorts can be worth as a multiple of equity (default 2)
+       - maxNetLeverage: with "leverage", the most longs less shorts can be worth as a multiple of equity (default: maxGrossLeverage)
+       - debitRate: annual interest in percent charged on borrowed cash (default 8)
+       - marginCallBuffer: how far above the maintenance requirement a margin call sells back to, in percent of it (default 10)
+    
+    14. Constraints (optional, only when the description limits the portfolio as a whole - how many positions, how big a position
+       or sector can get, how often to trade): Object with any of:
+       - maxPositions: most stocks held at once
+       - maxPositionWeight: largest position in percent of the portfolio
+       - maxSectorWeight: largest total weight of one sector in percent of the portfolio
+       - sectorLimits: per-sector weight limits in percent, overriding maxSectorWeight, e.g. {"Technology": 30}. Sectors are
+         "Technology", "Communication Services", "Consumer Discretionary", "Consumer Staples", "Financials", "Health Care",
+         "Energy", "Industrials" and "ETF"
+       - cooldownBars: trading days to wait after closing a position before buying or shorting the same stock again
+       - maxTradesPerDay: most trades on one day
+       Orders that would break a limit are trimmed or skipped; sales that reduce a position are never held back.
+    
+    15. RiskControls (optional, only when the description reacts to losses of the whole portfolio - a drawdown from its peak): Object with:
+       - circuitBreaker: {"drawdown": 20, "haltDays": 30} - once the portfolio is down 20% from its peak, close every position and
+         stop trading for 30 trading days (default 20)
+       - riskOff: {"drawdown": 10, "scale": 0.5} - while the portfolio is down at least 10% from its peak, trade half-size
+         (scale 0 stops new positions)
+    
     IMPORTANT EXAMPLES TO FOLLOW:
     1. "If a stock goes up consecutively for 3 days in a row, sell the stock" should produce:
        {
@@ -407,17 +545,317 @@ router.post('/parse', async (req, res) => {
          "timeRange": {"start": 2020, "end": 2023}
        }
     
+    14. "Buy $500 when RSI drops below 30, sell if it drops 8% from the purchase price or take profits at 15%" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {
+               "type": "technical",
+               "indicator": "rsi",
+               "operator": "less_than",
+               "value": 30,
+               "params": {"period": 14}
+             },
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 500},
+             "exits": {"stopLoss": 8, "takeProfit": 15}
+           }
+         ],
+         "universe": {"categories": ["blue_chip"], "count": 10},
+         "timeRange": {"start": 2020, "end": 2023}
+       }
+    
+    15. "Buy $300 when RSI is below 30 and the MACD has a bullish crossover, unless the stock fell 3 days in a row" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {
+               "type": "all",
+               "conditions": [
+                 {"type": "technical", "indicator": "rsi", "operator": "less_than", "value": 30, "params": {"period": 14}},
+                 {
+                   "type": "technical",
+                   "indicator": "macd",
+                   "operator": "equal",
+                   "value": 1,
+                   "params": {"fastPeriod": 12, "slowPeriod": 26, "signalPeriod": 9, "valueType": "crossover", "direction": "bullish"}
+                 },
+                 {"type": "not", "condition": {"type": "consecutive", "days": 3, "direction": "down"}}
+               ]
+             },
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 300}
+           }
+         ],
+         "universe": {"categories": ["blue_chip"], "count": 10},
+         "timeRange": {"start": 2020, "end": 2023}
+       }
+    
+    16. "Buy $250 when the weekly RSI is below 30 and the daily MACD crosses bullish" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {
+               "type": "all",
+               "conditions": [
+                 {"type": "technical", "indicator": "rsi", "operator": "less_than", "value": 30, "params": {"period": 14}, "timeframe": "weekly"},
+                 {
+                   "type": "technical",
+                   "indicator": "macd",
+                   "operator": "equal",
+                   "value": 1,
+                   "params": {"fastPeriod": 12, "slowPeriod": 26, "signalPeriod": 9, "valueType": "crossover", "direction": "bullish"},
+                   "timeframe": "daily"
+                 }
+               ]
+             },
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 250}
+           }
+         ],
+         "universe": {"categories": ["blue_chip"], "count": 10},
+         "timeRange": {"start": 2020, "end": 2023}
+       }
+    
+    17. "Trading at the next day's open, place a limit order to buy $1000 of stock 2% below the close when RSI drops below 30, good for 5 days" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {"type": "technical", "indicator": "rsi", "operator": "less_than", "value": 30, "params": {"period": 14}},
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 1000},
+             "order": {"type": "limit", "offsetPercent": -2, "expiresAfter": 5}
+           }
+         ],
+         "universe": {"categories": ["blue_chip"], "count": 10},
+         "timeRange": {"start": 2020, "end": 2023},
+         "execution": {"model": "next_bar_open"}
+       }
+    
+    18. "Short $1000 of penny stocks when they jump 20% in a week and buy to cover when they fall 10% in a day, with a 30% borrow fee" should produce:
+       {
+         "actions": [
+           {
+             "type": "short",
+             "condition": {"metric": "percent_change", "operator": "greater_than", "value": 20},
+             "timeframe": "weekly",
+             "amount": {"type": "fixed_amount", "value": 1000}
+           },
+           {
+             "type": "cover",
+             "condition": {"metric": "percent_change", "operator": "less_than", "value": -10},
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 1000}
+           }
+         ],
+         "universe": {"categories": ["penny_stock"], "count": 10},
+         "timeRange": {"start": 2020, "end": 2023},
+         "shortSelling": {"borrowFee": 30}
+       }
+    
+    19. "Buy $5000 of tech stocks whenever they drop 2% in a day, using up to 3x leverage and paying 6% margin interest" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {"metric": "percent_change", "operator": "less_than", "value": -2},
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 5000}
+           }
+         ],
+         "universe": {"categories": ["tech"], "count": 10},
+         "timeRange": {"start": 2020, "end": 2023},
+         "account": {"type": "leverage", "maxGrossLeverage": 3, "debitRate": 6}
+       }
+    
+    20. "Buy blue chips up to a 10% weight when RSI drops below 30, sell half when RSI goes above 70 and sell everything if they fall 10% in a week" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {"type": "technical", "indicator": "rsi", "operator": "less_than", "value": 30, "params": {"period": 14}},
+             "timeframe": "daily",
+             "amount": {"type": "target_weight", "value": 10}
+           },
+           {
+             "type": "sell",
+             "condition": {"type": "technical", "indicator": "rsi", "operator": "greater_than", "value": 70, "params": {"period": 14}},
+             "timeframe": "daily",
+             "amount": {"type": "position_percentage", "value": 50}
+           },
+           {
+             "type": "sell",
+             "condition": {"metric": "percent_change", "operator": "less_than", "value": -10},
+             "timeframe": "weekly",
+             "amount": {"type": "close_position", "value": 100}
+           }
+         ],
+         "universe": {"categories": ["blue_chip"], "count": 10},
+         "timeRange": {"start": 2020, "end": 2023}
+       }
+    
+    21. "Buy tech stocks when the price crosses above its 200-day moving average, risking 1% of equity per trade with a 3 ATR stop, and sell them when it crosses below" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {"type": "technical", "indicator": "ma_relative", "operator": "equal", "value": 1, "params": {"period": 200, "valueType": "crossover", "direction": "bullish"}},
+             "timeframe": "daily",
+             "amount": {"type": "atr_risk", "value": 1, "atrMultiple": 3}
+           },
+           {
+             "type": "sell",
+             "condition": {"type": "technical", "indicator": "ma_relative", "operator": "equal", "value": 1, "params": {"period": 200, "valueType": "crossover", "direction": "bearish"}},
+             "timeframe": "daily",
+             "amount": {"type": "close_position", "value": 100}
+           }
+         ],
+         "universe": {"categories": ["tech"], "count": 10},
+         "timeRange": {"start": 2015, "end": 2023}
+       }
+    
+    22. "Hold 60% SPY and 40% TLT, rebalancing quarterly whenever a weight is more than 5 points off" should produce:
+       {
+         "actions": [
+           {
+             "type": "rebalance",
+             "weights": {"SPY": 60, "TLT": 40},
+             "schedule": "quarterly",
+             "driftBand": 5
+           }
+         ],
+         "universe": {"categories": ["SPY", "TLT"], "count": 1},
+         "timeRange": {"start": 2015, "end": 2023}
+       }
+    
+    23. "Each month, hold the top 3 tech stocks by 6-month momentum" should produce:
+       {
+         "actions": [
+           {
+             "type": "rotate",
+             "rank": {"metric": "momentum", "period": 126},
+             "direction": "highest",
+             "count": 3,
+             "schedule": "monthly"
+           }
+         ],
+         "universe": {"categories": ["tech"], "count": 15},
+         "timeRange": {"start": 2015, "end": 2023}
+       }
+    
+    24. "Buy $2000 of blue chips when RSI drops below 30 and sell when it goes above 70, holding at most 5 stocks, no more than 15% in one stock and 30% in tech, and waiting 10 days before buying a stock back" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {"type": "technical", "indicator": "rsi", "operator": "less_than", "value": 30, "params": {"period": 14}},
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 2000}
+           },
+           {
+             "type": "sell",
+             "condition": {"type": "technical", "indicator": "rsi", "operator": "greater_than", "value": 70, "params": {"period": 14}},
+             "timeframe": "daily",
+             "amount": {"type": "close_position"}
+           }
+         ],
+         "universe": {"categories": ["blue_chip"], "count": 10},
+         "timeRange": {"start": 2018, "end": 2023},
+         "constraints": {"maxPositions": 5, "maxPositionWeight": 15, "sectorLimits": {"Technology": 30}, "cooldownBars": 10}
+       }
+    
+    25. "Buy 10% of the portfolio in tech stocks when they drop 3% in a day, trading half-size once the portfolio is 10% below its high and going to cash for a month if it falls 20%" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "condition": {"metric": "percent_change", "operator": "less_than", "value": -3},
+             "timeframe": "daily",
+             "amount": {"type": "percentage", "value": 10}
+           }
+         ],
+         "universe": {"categories": ["tech"], "count": 10},
+         "timeRange": {"start": 2018, "end": 2023},
+         "riskControls": {"circuitBreaker": {"drawdown": 20, "haltDays": 21}, "riskOff": {"drawdown": 10, "scale": 0.5}}
+       }
+    
+    26. "Short $1000 of a stock after it jumps 8% in a week, cover after 10 trading days, and buy $500 when RSI is below 30, selling at the end of the month" should produce:
+       {
+         "actions": [
+           {
+             "type": "short",
+             "condition": {"metric": "percent_change", "operator": "greater_than", "value": 8},
+             "timeframe": "weekly",
+             "amount": {"type": "fixed_amount", "value": 1000},
+             "exits": {"holdBars": 10}
+           },
+           {
+             "type": "buy",
+             "condition": {"type": "technical", "indicator": "rsi", "operator": "less_than", "value": 30, "params": {"period": 14}},
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 500},
+             "exits": {"exitAt": "month_end"}
+           }
+         ],
+         "universe": {"categories": ["blue_chip"], "count": 10},
+         "timeRange": {"start": 2018, "end": 2023}
+       }
+    
+    27. "Buy $100 of SPY on the first trading day of every month, and another $200 every Friday it's down more than 2% on the day" should produce:
+       {
+         "actions": [
+           {
+             "type": "buy",
+             "schedule": {"monthDay": "first"},
+             "amount": {"type": "fixed_amount", "value": 100}
+           },
+           {
+             "type": "buy",
+             "schedule": {"weekdays": ["friday"]},
+             "condition": {"metric": "percent_change", "operator": "less_than", "value": -2},
+             "timeframe": "daily",
+             "amount": {"type": "fixed_amount", "value": 200}
+           }
+         ],
+         "universe": {"categories": ["SPY"], "count": 1},
+         "timeRange": {"start": 2015, "end": 2023}
+       }
+    
     IMPORTANT NOTES:
     1. For any consecutive day pattern, you MUST use the "consecutive" condition type with the fields "days" and "direction". DO NOT use a simple condition for consecutive patterns.
     2. If the strategy involves shorting a stock, use "short" for the action type.
     3. A "short" position means taking a negative position in the stock, betting that the price will go down.
-    4. A "buy" can be used to cover a short position or to go long.
+    4. A "buy" can be used to cover a short position or to go long. Use "cover" to buy back a short position without going long.
     5. A "sell" can be used to sell an existing long position or to initiate a short position.
     6. For transaction amounts, use:
        - "fixed_amount" when a dollar amount is specified (e.g., "$100" or "100 dollars")
        - "shares" when a specific number of shares is mentioned (e.g., "10 shares")
        - "percentage" when a percentage of the portfolio is mentioned (e.g., "5% of portfolio")
+       - "position_percentage" when a part of the position held is mentioned (e.g., "sell half" is 50, "trim a quarter" is 25)
+       - "close_position" when the whole position is closed (e.g., "sell all", "sell everything", "exit the position")
+       - "target_weight" when the position should be brought to a weight (e.g., "buy up to a 10% weight", "trim to 5% of the portfolio")
+       - "atr_risk", "inverse_volatility", "target_volatility" or "kelly" when the size depends on risk (e.g., "risk 1% per trade
+         with a 2 ATR stop", "weight by inverse volatility", "target 12% volatility", "half Kelly")
     7. Always include the appropriate amount type and value in each action.
+    8. When one action depends on several conditions, combine them in a single condition group ("all"/"any"/"not") - never split them into separate actions or drop any of them.
+    9. Use "exits" for stop-losses, profit targets and trailing stops measured from the purchase price - do not model them as a separate sell action with a percent_change condition.
+       Time limits ("hold for 5 days", "sell at the end of the month", "close shorts after two weeks") are "exits" too - holdBars,
+       maxHoldingDays or exitAt - not sell actions.
+    10. Use an action's "order" for limit and stop orders placed after the signal, and "execution" for when market orders fill - do not change the condition to model either.
+    11. Use a "rebalance" action for portfolios held at target weights (e.g., "equal-weight the tech stocks and rebalance monthly",
+        "60/40 stocks and bonds rebalanced yearly") - do not model rebalancing as buy and sell actions.
+    12. Use a "rotate" action when stocks are compared with each other (e.g., "the 5 strongest stocks", "the bottom 10% by RSI",
+        "rotate into the best performers every quarter") - a buy action's condition only looks at one stock at a time.
+    13. Use "constraints" for limits on the whole portfolio (e.g., "at most 10 positions", "no stock over 20%", "don't buy a stock
+        back within a week of selling it") - do not turn them into conditions or amounts of the actions.
+    14. Use "riskControls" when the rule depends on the whole portfolio's drawdown (e.g., "stop trading after a 25% loss", "cut
+        position sizes in half during drawdowns") - "exits" are for one position's loss from its own entry price.
+    15. Use an action's "schedule" for purchases or sales on calendar dates (e.g., "invest $500 every month", "buy every Monday",
+        "dollar-cost average into QQQ every 10 days") - never write an always-true condition like "price greater than 0".
     
     The output should be valid JSON only, with no additional text.
     `;
@@ -516,7 +954,7 @@ router.post('/parse', async (req, res) => {
           
           // Find the first action that should be consecutive and fix it
           for (let i = 0; i < parsedStrategy.actions.length; i++) {
-            if (!parsedStrategy.actions[i].condition.type) {
+            if (parsedStrategy.actions[i].condition && !parsedStrategy.actions[i].condition.type) {
               parsedStrategy.actions[i].condition = {
                 type: 'consecutive',
                 days: days,
@@ -782,11 +1220,23 @@ router.post('/parse', async (req, res) => {
  * Execute backtesting for a strategy
  * @route POST /api/strategy/backtest
  * @param {object} strategy - Structured strategy object
+ * @param {object} capital - Optional capital settings ({ initial, cashYield, schedule }), overriding strategy.capital
+ * @param {object} costs - Optional cost models ({ commission, spread, slippage }), overriding strategy.costs
+ * @param {object} execution - Optional execution settings ({ model }), overriding strategy.execution
+ * @param {object} prices - Optional price settings ({ adjustment, dividends }), overriding strategy.prices
+ * @param {object|string} benchmark - Optional benchmark ({ symbol } or a symbol, null for none), overriding strategy.benchmark
+ * @param {number} riskFreeRate - Optional annual risk-free rate in percent for the Sharpe and Sortino ratios, overriding strategy.riskFreeRate
+ * @param {string} lotMatching - Optional lot matching for the trade ledger ('fifo' or 'lifo'), overriding strategy.lotMatching
+ * @param {object} shortSelling - Optional short margin and borrow fee settings ({ initialMargin, maintenanceMargin, borrowFee }), overriding strategy.shortSelling
+ * @param {object} account - Optional account settings ({ type, initialMargin, maintenanceMargin, maxGrossLeverage, maxNetLeverage, debitRate }), overriding strategy.account
+ * @param {object} taxes - Optional tax settings ({ shortTermRate, longTermRate, dividendRate, longTermDays, washSales }, false for none), overriding strategy.taxes
+ * @param {object} riskControls - Optional drawdown controls ({ circuitBreaker: { drawdown, haltDays }, riskOff: { drawdown, scale } }, false for none), overriding strategy.riskControls
+ * @param {object} constraints - Optional portfolio constraints ({ maxPositions, maxPositionWeight, maxSectorWeight, sectorLimits, cooldownBars, maxTradesPerDay }, false for none), overriding strategy.constraints
  * @returns {object} Backtesting results with performance metrics
  */
 router.post('/backtest', async (req, res) => {
   try {
-    const { strategy } = req.body;
+    const { strategy, capital, costs, execution, prices, benchmark: benchmarkSettings, riskFreeRate, lotMatching, taxes, shortSelling, account, constraints, riskControls } = req.body;
     
     if (!strategy) {
       return res.status(400).json({ error: 'Structured strategy is required' });
@@ -805,12 +1255,53 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
       });
     }
     
+    // Capital settings sent alongside the strategy take precedence over the parsed ones
+    if (capital) {
+      normalizedStrategy.capital = normalizeCapitalSettings({ ...normalizedStrategy.capital, ...capital });
+    }
+    if (costs) {
+      normalizedStrategy.costs = normalizeCostSettings(costs);
+    }
+    if (execution) {
+      normalizedStrategy.execution = normalizeExecutionSettings(execution);
+    }
+    if (prices) {
+      normalizedStrategy.prices = normalizePriceSettings({ ...normalizedStrategy.prices, ...prices });
+    }
+    if (benchmarkSettings !== undefined) {
+      normalizedStrategy.benchmark = normalizeBenchmarkSettings(benchmarkSettings);
+    }
+    if (riskFreeRate !== undefined) {
+      normalizedStrategy.riskFreeRate = normalizeRiskFreeRate(riskFreeRate);
+    }
+    if (lotMatching !== undefined) {
+      normalizedStrategy.lotMatching = normalizeLotMatching(lotMatching);
+    }
+    if (taxes !== undefined) {
+      normalizedStrategy.taxes = normalizeTaxSettings(taxes);
+    }
+    if (shortSelling) {
+      normalizedStrategy.shortSelling = normalizeShortSettings({ ...normalizedStrategy.shortSelling, ...shortSelling });
+    }
+    if (account) {
+      normalizedStrategy.account = normalizeAccountSettings({ ...normalizedStrategy.account, ...account });
+    }
+    if (constraints !== undefined) {
+      normalizedStrategy.constraints = normalizeConstraintSettings(constraints);
+    }
+    if (riskControls !== undefined) {
+      normalizedStrategy.riskControls = normalizeRiskControls(riskControls);
+    }
+    
     // Import Yahoo Finance and backtesting engine
     const yahooFinance = require('yahoo-finance2').default;
-    const { runBacktest } = require('../../lib/backtest');
+    const { runBacktest, getRequiredLookback, getWarmupCalendarDays } = require('../../lib/backtest');
+    const { resolvePriceSettings, adjustBars } = require('../../lib/adjustments');
+    const { getSymbolMetadata } = require('../../lib/metadata');
     
     // Get stock universe based on strategy
     let stockSymbols = []; // Changed to 'let' instead of 'const' to allow reassignment
+    const symbolCategories = {}; // Symbol -> the category it was picked from
     
     // Handle both array and string category values
     const categories = normalizedStrategy.universe.categories;
@@ -908,6 +1399,9 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
             // Found a matching category, add its stocks
             console.log(`[BACKTEST] Adding ${key} stocks: ${stocks.slice(0, stockCount).join(', ')}`);
             stockSymbols.push(...stocks.slice(0, stockCount));
+            stocks.slice(0, stockCount).forEach(symbol => {
+              if (!symbolCategories[symbol]) symbolCategories[symbol] = key;
+            });
             break;
           }
         }
@@ -952,11 +1446,23 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
     
     console.log(`Date range: ${startDate} to ${endDate}`);
     
+    // Fetch enough bars before the start date to warm up the strategy's indicators
+    const lookback = getRequiredLookback(normalizedStrategy);
+    const warmupStart = new Date(startDate);
+    warmupStart.setDate(warmupStart.getDate() - getWarmupCalendarDays(lookback));
+    const fetchStartDate = warmupStart.toISOString().split('T')[0];
+    console.log(`[BACKTEST] Lookback: ${lookback.daily} daily, ${lookback.weekly} weekly, ${lookback.monthly} monthly bars - warm-up from ${fetchStartDate}`);
+    
     // Fetch historical data for all symbols
     const stockData = {};
     
+    // Price adjustment mode and dividend crediting (see lib/adjustments.js)
+    const priceSettings = resolvePriceSettings(normalizedStrategy.prices);
+    const adjustedSplits = {}; // Symbol -> splits adjusted for
+    console.log(`[BACKTEST] Prices: ${priceSettings.adjustment}, dividends ${priceSettings.dividends ? 'credited' : 'not credited'}`);
+    
     // Use Promise.all to fetch data for all symbols concurrently
-    console.log(`Fetching historical data from ${startDate} to ${endDate}`);
+    console.log(`Fetching historical data from ${fetchStartDate} to ${endDate}`);
     
     // Fetch data in batches to balance performance and API limits
     const batchSize = 3; // Process 3 symbols at a time
@@ -970,7 +1476,7 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
           
           try {
             // Format date strings properly for yahooFinance
-            const formattedStartDate = new Date(startDate);
+            const formattedStartDate = new Date(fetchStartDate);
             const formattedEndDate = new Date(endDate);
             
             // Add a short delay to avoid rate limiting
@@ -981,9 +1487,40 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
               period1: formattedStartDate,
               period2: formattedEndDate,
               interval: '1d', // Daily data
-              fields: ['date', 'open', 'high', 'low', 'close', 'volume'] // Explicitly request volume
+              fields: ['date', 'open', 'high', 'low', 'close', 'volume', 'adjClose'] // Volume for the volume indicators, adjClose for the 'adjusted' price mode
             });
             
+            // Splits are needed to adjust the bars (or to scale raw dividends), dividends to credit them
+            const events = { splits: [], dividends: [] };
+            if (priceSettings.adjustment !== 'raw' || priceSettings.dividends) {
+              try {
+                const splits = await yahooFinance.historical(symbol, {
+                  period1: formattedStartDate,
+                  period2: formattedEndDate,
+                  events: 'split'
+                });
+                events.splits = splits.map(split => ({
+                  date: new Date(split.date).toISOString().split('T')[0],
+                  ratio: split.stockSplits
+                }));
+                
+                if (priceSettings.dividends) {
+                  const dividends = await yahooFinance.historical(symbol, {
+                    period1: formattedStartDate,
+                    period2: formattedEndDate,
+                    events: 'dividends'
+                  });
+                  events.dividends = dividends.map(dividend => ({
+                    date: new Date(dividend.date).toISOString().split('T')[0],
+                    amount: dividend.dividends
+                  }));
+                }
+                console.log(`[BACKTEST] ${symbol}: ${events.splits.length} splits, ${events.dividends.length} dividends`);
+              } catch (error) {
+                console.warn(`[BACKTEST] Could not fetch splits/dividends for ${symbol}, using prices as fetched:`, error.message);
+              }
+            }
+            
             // More detailed verification of data including open vs close prices
             if (data && data.length > 0) {
               // Log the first few data points in full detail
@@ -1025,43 +1562,20 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
                 console.warn(`[BACKTEST] Warning: ${symbol} has some invalid price data points`);
               }
               
-              // Get minimum viable data length based on strategy
-              let minRequiredDataPoints = 30; // Default minimum
-              
-              // For consecutive day patterns, ensure we have enough days
-              normalizedStrategy.actions.forEach(action => {
-                if (action.condition?.type === 'consecutive' && action.condition?.days) {
-                  // Need at least 3x the consecutive days to detect patterns
-                  minRequiredDataPoints = Math.max(minRequiredDataPoints, action.condition.days * 3);
-                }
-              });
+              // Get minimum viable data length based on the strategy's lookback
+              const minRequiredDataPoints = Math.max(30, lookback.daily);
               
               if (data.length < minRequiredDataPoints) {
                 console.warn(`[BACKTEST] Warning: ${symbol} has only ${data.length} data points, which may be insufficient for strategy execution`);
               }
               
-              // Process data for optimal performance while maintaining sufficient information
-              let processedData = data;
+              // Keep every bar - the simulation needs a contiguous series
+              // (only the chart series in the response are downsampled)
+              const processedData = data;
               
               // Sort by date first to ensure chronological order
               processedData.sort((a, b) => new Date(a.date) - new Date(b.date));
               
-              // If too many points, sample while preserving important data
-              if (data.length > 750) {
-                // Always keep first and last 100 points for better edge representation
-                const firstPoints = data.slice(0, 100);
-                const lastPoints = data.slice(-100);
-                
-                // Sample the middle section
-                const middlePoints = data.slice(100, -100);
-                const step = Math.max(1, Math.floor(middlePoints.length / 550));
-                const sampledMiddlePoints = middlePoints.filter((_, index) => index % step === 0);
-                
-                // Combine all points
-                processedData = [...firstPoints, ...sampledMiddlePoints, ...lastPoints];
-                console.log(`[BACKTEST] Reduced ${symbol} data from ${data.length} to ${processedData.length} points`);
-              }
-              
               // Validate and format data
               stockData[symbol] = processedData.map(item => {
                 // Ensure date is properly formatted
@@ -1088,10 +1602,19 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
                   high,
                   low,
                   close,
-                  volume
+                  volume,
+                  adjClose: item.adjClose
                 };
               });
               
+              // Adjust for splits (and dividends) and attach dividends to their ex-date bars
+              const adjusted = adjustBars(stockData[symbol], events, priceSettings);
+              stockData[symbol] = adjusted.bars;
+              adjustedSplits[symbol] = adjusted.splits.map(split => ({ date: split.date, factor: split.factor }));
+              if (adjusted.splits.length > 0) {
+                console.log(`[BACKTEST] ${symbol}: adjusted for ${adjusted.splits.length} splits (${priceSettings.adjustment} prices)`);
+              }
+              
               // Log a sample data point to verify volume is included
               if (stockData[symbol] && stockData[symbol].length > 0) {
                 console.log(`[BACKTEST] Processed sample data point for ${symbol}:`, 
@@ -1153,6 +1676,16 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
     
     console.log('Fetched data for', Object.keys(stockData).length, 'symbols');
     
+    // Fetch the benchmark the strategy is compared with (bought and held over the same dates)
+    let benchmark = null;
+    if (normalizedStrategy.benchmark) {
+      const benchmarkSymbol = normalizedStrategy.benchmark.symbol;
+      const benchmarkBars = await fetchBenchmarkBars(yahooFinance, benchmarkSymbol, startDate, endDate);
+      if (benchmarkBars.length > 0) {
+        benchmark = { symbol: benchmarkSymbol, bars: benchmarkBars };
+      }
+    }
+    
     // Log detailed strategy before backtesting
     console.log('[BACKTEST] Normalized strategy:', JSON.stringify(normalizedStrategy, null, 2));
     console.log('[BACKTEST] Stock data summary:');
@@ -1163,7 +1696,21 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
     
     // Run the backtest
     console.log('[BACKTEST] Executing backtest...');
-    const results = runBacktest(normalizedStrategy, stockData);
+    // Sector limits fall back to the universe category of symbols without a sector
+    const metadata = getSymbolMetadata(Object.keys(stockData));
+    Object.keys(stockData).forEach(symbol => {
+      if (!metadata[symbol] && symbolCategories[symbol]) metadata[symbol] = { sector: symbolCategories[symbol] };
+    });
+    const results = runBacktest(normalizedStrategy, stockData, { startDate, benchmark, metadata });
+    
+    if (results.error) {
+      return res.status(422).json({ error: results.error });
+    }
+    
+    if (results.warmup && results.warmup.insufficient.length > 0) {
+      const symbols = [...new Set(results.warmup.insufficient.map(entry => entry.symbol))];
+      console.warn(`[BACKTEST] Not enough warm-up history for: ${symbols.join(', ')}`);
+    }
     
     // Log transaction summary
     console.log('[BACKTEST] Transactions summary:');
@@ -1182,38 +1729,89 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
       console.log('[BACKTEST] Sample consecutive transaction:', consecutiveTransactions[0]);
     }
     
-    // Ensure stock data is properly included in the results for charts
-    if (!results._stockData) {
-      console.log('[BACKTEST] Adding stock data to results');
-      results._stockData = {};
+    // The simulation ran on full-resolution bars; downsample only the series sent for
+    // charting (LTTB), keeping transaction dates so trade markers land on real bars
+    const { downsampleSeries } = require('../../lib/downsample');
+    const transactionDates = {}; // Symbol -> Set of dates
+    results.transactions.forEach(tx => {
+      if (!transactionDates[tx.symbol]) transactionDates[tx.symbol] = new Set();
+      transactionDates[tx.symbol].add(tx.date);
+    });
       
-      // Copy stock data to ensure it's properly serializable
-      Object.keys(stockData).forEach(symbol => {
-        results._stockData[symbol] = stockData[symbol].map(item => {
-          const dataPoint = {
-            date: typeof item.date === 'string' ? item.date : item.date.toISOString().split('T')[0],
-            open: item.open,
-            high: item.high,
-            low: item.low,
-            close: item.close,
-            volume: item.volume || 0  // Ensure volume is never undefined
-          };
-          
-          // Log a sample transformed data point to verify volume is included
-          if (stockData[symbol].indexOf(item) === 0) {
-            console.log(`[BACKTEST] Final transformed data point for ${symbol}:`, JSON.stringify(dataPoint));
-          }
+    results._stockData = {};
+    Object.keys(stockData).forEach(symbol => {
+      const bars = stockData[symbol].map((item, index, all) => {
+        const previousClose = index > 0 ? all[index - 1].close : null;
+        return {
+          date: typeof item.date === 'string' ? item.date : item.date.toISOString().split('T')[0],
+          open: item.open,
+          high: item.high,
+          low: item.low,
+          close: item.close,
+          volume: item.volume || 0,  // Ensure volume is never undefined
+          // Change from the previous full-resolution bar, so it stays a daily change after downsampling
+          dailyChange: previousClose ? ((item.close - previousClose) / previousClose) * 100 : 0
+        };
+      });
           
-          return dataPoint;
-        });
+      const symbolTransactionDates = transactionDates[symbol] || new Set();
+      results._stockData[symbol] = downsampleSeries(bars, CHART_MAX_POINTS, {
+        value: bar => bar.close,
+        keep: bar => symbolTransactionDates.has(bar.date)
       });
-    }
+      console.log(`[BACKTEST] Chart series for ${symbol}: ${results._stockData[symbol].length} of ${bars.length} bars`);
+    });
+          
+    // valueHistory stays at full resolution for the metrics; the chart gets the downsampled copy
+    results.chartSeries = {
+      maxPoints: CHART_MAX_POINTS,
+      portfolioValue: downsampleSeries(results.valueHistory, CHART_MAX_POINTS, {
+        value: point => point.value,
+        // Deposits and withdrawals, and the first and last points of each drawdown control's span,
+        // so the shaded circuit-breaker and risk-off periods keep their dates
+        keep: (point, index, points) => point.flow !== 0 ||
+          (index > 0 && point.riskMode !== points[index - 1].riskMode) ||
+          (index < points.length - 1 && point.riskMode !== points[index + 1].riskMode)
+      })
+    };
+    console.log(`[BACKTEST] Portfolio value chart series: ${results.chartSeries.portfolioValue.length} of ${results.valueHistory.length} points`);
+    
+    // How the prices were adjusted, and the splits found in each symbol's bars
+    results.prices = { ...priceSettings, splits: adjustedSplits };
     
     // Log performance metrics
     console.log('[BACKTEST] Performance metrics:');
     console.log(`[BACKTEST] Total return: ${results.metrics.totalReturn.toFixed(2)}%`);
     console.log(`[BACKTEST] Max drawdown: ${results.metrics.maxDrawdown.toFixed(2)}%`);
-    console.log(`[BACKTEST] Sharpe ratio: ${results.metrics.sharpeRatio.toFixed(2)}`);
+    console.log(`[BACKTEST] Sharpe ratio: ${results.metrics.sharpeRatio.toFixed(2)} (risk-free rate ${results.metrics.riskFreeRate}%)`);
+    console.log(`[BACKTEST] Total transaction costs: $${results.metrics.totalCosts.toFixed(2)}`);
+    Object.entries(results.metrics.costWarnings).forEach(([warning, fills]) => {
+      console.log(`[BACKTEST] Cost warning: ${warning} on ${fills} fills`);
+    });
+    console.log(`[BACKTEST] Execution model: ${results.execution.model} (${results.execution.ordersFilled} of ${results.execution.ordersQueued} queued orders filled)`);
+    console.log(`[BACKTEST] Closed trades: ${results.tradeStats.totalTrades} (${results.tradeStats.lotMatching.toUpperCase()}), win rate ${results.tradeStats.winRate.toFixed(1)}%`);
+    if (results.shortSelling.borrowFees > 0 || results.shortSelling.forcedCovers > 0) {
+      console.log(`[BACKTEST] Short selling: $${results.shortSelling.borrowFees.toFixed(2)} borrow fees, ${results.shortSelling.forcedCovers} forced covers`);
+    }
+    console.log(`[BACKTEST] ${results.account.type} account: ${results.account.maxGrossLeverage.toFixed(2)}x max gross leverage, ${results.account.marginCalls} margin calls, $${results.account.interestPaid.toFixed(2)} debit interest`);
+    if (results.rebalancing) {
+      console.log(`[BACKTEST] Rebalancing: ${results.rebalancing.rebalances} rebalances, ${results.rebalancing.trades} trades, $${results.rebalancing.costs.toFixed(2)} costs, ${results.rebalancing.turnover === null ? 'N/A' : results.rebalancing.turnover.toFixed(2) + '%'} turnover a year`);
+    }
+    if (results.riskControls) {
+      console.log(`[BACKTEST] Risk controls: ${results.riskControls.circuitBreakerTrips} circuit breaker trips, ${results.riskControls.haltedDays} days halted, ${results.riskControls.riskOffDays} risk-off days`);
+    }
+    if (results.dollarCostAveraging) {
+      console.log(`[BACKTEST] Dollar-cost averaging: ${results.dollarCostAveraging.dcaReturn.toFixed(2)}% on $${results.dollarCostAveraging.invested.toFixed(2)} invested, ${results.dollarCostAveraging.lumpSumReturn.toFixed(2)}% as a lump sum`);
+    }
+    if (results.constraints) {
+      console.log(`[BACKTEST] Constraints: ${results.constraints.rejectedOrders} orders rejected, ${results.constraints.trimmedOrders} trimmed`);
+    }
+    if (results.taxes) {
+      console.log(`[BACKTEST] Taxes: $${results.taxes.totalTax.toFixed(2)}, after-tax return ${results.taxes.afterTaxReturn.toFixed(2)}%`);
+    }
+    if (results.benchmark) {
+      console.log(`[BACKTEST] Benchmark ${results.benchmark.symbol}: ${results.benchmark.totalReturn.toFixed(2)}% return`);
+    }
     
     // Log what we're sending back
     console.log('[BACKTEST] Stock data keys in results:', Object.keys(results._stockData || {}));
@@ -1227,18 +1825,58 @@ console.log('[BACKTEST] Strategy:', JSON.stringify(strategy, null, 2));
 });
 
 /**
- * Normalize and validate strategy structure to ensure it matches the expected format
- * @param {object} strategy - Raw strategy object from the client
- * @returns {object|null} - Normalized strategy object or null if invalid
+ * Fetch a benchmark's bars, adjusted for splits and dividends (a total-return buy-and-hold)
+ * @param {object} yahooFinance - yahoo-finance2 client
+ * @param {string} symbol - Benchmark symbol
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Bars { date, open, high, low, close }, oldest to newest - empty if the fetch failed
  */
-function normalizeStrategyStructure(strategy) {
-  console.log('[STRATEGY] Normalizing strategy structure');
+async function fetchBenchmarkBars(yahooFinance, symbol, startDate, endDate) {
+  const { adjustBars } = require('../../lib/adjustments');
+  
   try {
-    // Create a normalized strategy object with defaults
-    const normalized = {
-      actions: [],
-      universe: {
-        categories: [],
+    console.log(`[BENCHMARK] Fetching ${symbol} from ${startDate} to ${endDate}`);
+    const data = await yahooFinance.historical(symbol, {
+      period1: new Date(startDate),
+      period2: new Date(endDate),
+      interval: '1d'
+    });
+    
+    const bars = data
+      .filter(item => item.close > 0)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(item => ({
+        date: new Date(item.date).toISOString().split('T')[0],
+        open: item.open || item.close,
+        high: item.high || item.close,
+        low: item.low || item.close,
+        close: item.close,
+        volume: item.volume || 0,
+        adjClose: item.adjClose
+      }));
+    
+    console.log(`[BENCHMARK] Received ${bars.length} bars for ${symbol}`);
+    return adjustBars(bars, {}, { adjustment: 'adjusted', dividends: false }).bars;
+  } catch (error) {
+    console.warn(`[BENCHMARK] Could not fetch ${symbol}, running without a benchmark:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Normalize and validate strategy structure to ensure it matches the expected format
+ * @param {object} strategy - Raw strategy object from the client
+ * @returns {object|null} - Normalized strategy object or null if invalid
+ */
+function normalizeStrategyStructure(strategy) {
+  console.log('[STRATEGY] Normalizing strategy structure');
+  try {
+    // Create a normalized strategy object with defaults
+    const normalized = {
+      actions: [],
+      universe: {
+        categories: [],
         count: 10
       },
       timeRange: {
@@ -1250,17 +1888,24 @@ function normalizeStrategyStructure(strategy) {
     // Handle actions
     if (strategy.actions && Array.isArray(strategy.actions)) {
       normalized.actions = strategy.actions.map(action => {
+        // Rebalance and rotate actions hold target weights on a schedule instead of trading on a condition
+        if (String(action.type).toLowerCase() === 'rebalance') {
+          return normalizeRebalanceAction(action);
+        }
+        if (['rotate', 'rotation', 'rank'].includes(String(action.type).toLowerCase())) {
+          return normalizeRotationAction(action);
+        }
+        
         // Get the base action structure
         const normalizedAction = {
-          // Default to 'buy' unless explicitly set to 'sell' or 'short'
+          // Default to 'buy' unless explicitly set to 'sell', 'short' or 'cover'
           type: action.type === 'sell' ? 'sell' : 
-                action.type === 'short' ? 'short' : 'buy',
+                action.type === 'short' ? 'short' :
+                action.type === 'cover' ? 'cover' : 'buy',
           timeframe: action.timeframe || 'weekly',
           amount: {
             // Map the new amount types or use defaults
-            type: action.amount?.type === 'fixed_amount' ? 'fixed_amount' : 
-                 action.amount?.type === 'shares' ? 'shares' :
-                 action.amount?.type === 'percentage' ? 'percentage' : 'fixed_amount',
+            type: normalizeAmountType(action.amount?.type),
             // Use a more robust parsing with explicit fallbacks based on amount type
             value: (() => {
               // Try to parse the value first
@@ -1282,10 +1927,16 @@ function normalizeStrategyStructure(strategy) {
               }
               
               // Use different defaults based on amount type
-              const amountType = action.amount?.type;
-              if (amountType === 'percentage') {
+              const amountType = normalizeAmountType(action.amount?.type);
+              if (amountType === 'percentage' || amountType === 'target_weight') {
                 console.log(`[STRATEGY] Using default percentage: 5%`);
                 return 5; // 5% default
+              } else if (RISK_AMOUNT_DEFAULTS[amountType] !== undefined) {
+                console.log(`[STRATEGY] Using default ${amountType} value: ${RISK_AMOUNT_DEFAULTS[amountType]}`);
+                return RISK_AMOUNT_DEFAULTS[amountType];
+              } else if (amountType === 'position_percentage' || amountType === 'close_position') {
+                console.log(`[STRATEGY] Using default position percentage: 100%`);
+                return 100; // The whole position
               } else if (amountType === 'shares') {
                 console.log(`[STRATEGY] Using default shares: 10`);
                 return 10; // 10 shares default
@@ -1299,85 +1950,30 @@ function normalizeStrategyStructure(strategy) {
         
         console.log('[STRATEGY] Normalizing action with type:', normalizedAction.type);
         
-        // Handle different condition types
-        if (action.condition?.type === 'consecutive') {
-          normalizedAction.condition = {
-            type: 'consecutive',
-            days: parseInt(action.condition.days) || 3,
-            direction: action.condition.direction || 'up'
-          };
-          console.log('[STRATEGY] Using consecutive condition with', normalizedAction.condition.days, 'days and direction', normalizedAction.condition.direction);
-        } else if (action.condition?.type === 'pattern') {
-          normalizedAction.condition = {
-            type: 'pattern',
-            pattern: action.condition.pattern || 'double_top'
-          };
-          console.log('[STRATEGY] Using pattern condition:', normalizedAction.condition.pattern);
-        } else if (action.condition?.type === 'technical') {
-          // Handle technical indicator conditions
-          const indicator = action.condition.indicator || 'rsi';
-          const params = action.condition.params || {};
-          
-          normalizedAction.condition = {
-            type: 'technical',
-            indicator: indicator,
-            operator: action.condition.operator || 'less_than',
-            value: parseFloat(action.condition.value) || 30,
-            params: params
-          };
-          
-          // Ensure params have default values based on indicator type
-          switch (indicator) {
-            case 'rsi':
-              normalizedAction.condition.params.period = parseInt(params.period) || 14;
-              break;
-            case 'macd':
-              normalizedAction.condition.params.fastPeriod = parseInt(params.fastPeriod) || 12;
-              normalizedAction.condition.params.slowPeriod = parseInt(params.slowPeriod) || 26;
-              normalizedAction.condition.params.signalPeriod = parseInt(params.signalPeriod) || 9;
-              normalizedAction.condition.params.valueType = params.valueType || 'histogram';
-              
-              if (params.valueType === 'crossover') {
-                normalizedAction.condition.params.direction = params.direction || 'bullish';
-              }
-              break;
-            case 'ma_relative':
-              normalizedAction.condition.params.period = parseInt(params.period) || 20;
-              break;
-            case 'bbands':
-              normalizedAction.condition.params.period = parseInt(params.period) || 20;
-              normalizedAction.condition.params.multiplier = parseFloat(params.multiplier) || 2;
-              normalizedAction.condition.params.valueType = params.valueType || 'percent_b';
-              break;
-            case 'obv':
-              normalizedAction.condition.params.slope = params.slope === true;
-              break;
-            case 'atr':
-              normalizedAction.condition.params.period = parseInt(params.period) || 14;
-              normalizedAction.condition.params.percent = params.percent === true;
-              break;
-            case 'mfi':
-              normalizedAction.condition.params.period = parseInt(params.period) || 14;
-              break;
-          }
-          
-          console.log('[STRATEGY] Using technical condition:', 
-                      normalizedAction.condition.indicator, 
-                      normalizedAction.condition.operator,
-                      normalizedAction.condition.value,
-                      'with params:',
-                      JSON.stringify(normalizedAction.condition.params));
-        } else {
-          // Default to simple condition
-          normalizedAction.condition = {
-            metric: action.condition?.metric || 'percent_change',
-            operator: action.condition?.operator || 'less_than',
-            value: parseFloat(action.condition?.value) || 5
-          };
-          console.log('[STRATEGY] Using simple condition:', 
-                      normalizedAction.condition.metric, 
-                      normalizedAction.condition.operator,
-                      normalizedAction.condition.value);
+        // Parameters of risk-based amounts
+        Object.assign(normalizedAction.amount, normalizeSizingParams(normalizedAction.amount.type, action.amount));
+        
+        // A schedule trades on calendar dates, and makes the condition optional
+        const schedule = getActionSchedule(action, action.condition);
+        if (schedule) {
+          normalizedAction.schedule = schedule;
+        }
+        
+        // Handle different condition types (including all/any/not groups)
+        if (!schedule || !isAlwaysCondition(action.condition)) {
+          normalizedAction.condition = normalizeCondition(action.condition);
+        }
+        
+        // Stop-loss, take-profit and trailing-stop rules for the position this action opens
+        const exits = normalizeExitRules(action.exits);
+        if (exits) {
+          normalizedAction.exits = exits;
+        }
+        
+        // Limit or stop order instead of a market order
+        const order = normalizeOrderSettings(action.order);
+        if (order) {
+          normalizedAction.order = order;
         }
         
         return normalizedAction;
@@ -1385,6 +1981,13 @@ function normalizeStrategyStructure(strategy) {
     } else if (strategy.Actions && Array.isArray(strategy.Actions)) {
       // Handle capitalized property names
       normalized.actions = strategy.Actions.map(action => {
+        if (String(action.type || action.Type).toLowerCase() === 'rebalance') {
+          return normalizeRebalanceAction(action);
+        }
+        if (['rotate', 'rotation', 'rank'].includes(String(action.type || action.Type).toLowerCase())) {
+          return normalizeRotationAction(action);
+        }
+        
         // Get the condition object in a case-insensitive way
         const condition = action.condition || action.Condition || {};
         
@@ -1394,25 +1997,28 @@ function normalizeStrategyStructure(strategy) {
           timeframe: action.timeframe || action.Timeframe || 'weekly',
           amount: {
             // Get amount type with fallbacks and proper mapping
-            type: (() => {
-              const amountType = action.amount?.type || action.Amount?.type || action.amount?.Type;
-              if (amountType === 'fixed_amount' || amountType === 'shares' || amountType === 'percentage') {
-                return amountType;
-              }
-              // Legacy 'fixed' type maps to 'fixed_amount'
-              if (amountType === 'fixed') {
-                return 'fixed_amount';
-              }
-              return 'fixed_amount'; // Default
-            })(),
+            type: normalizeAmountType(action.amount?.type || action.Amount?.type || action.amount?.Type),
             value: parseFloat(action.amount?.value || action.Amount?.value || action.amount?.Value) || 5
           }
         };
+        Object.assign(normalizedAction.amount, normalizeSizingParams(normalizedAction.amount.type, action.amount || action.Amount));
+        
+        const schedule = getActionSchedule(action, condition);
+        if (schedule) {
+          normalizedAction.schedule = schedule;
+        }
         
         // Handle different condition types
         const conditionType = condition.type || condition.Type;
         
-        if (conditionType === 'consecutive') {
+        if (['all', 'any', 'not', 'and', 'or'].includes(String(conditionType).toLowerCase())) {
+          normalizedAction.condition = normalizeCondition({
+            ...condition,
+            type: conditionType,
+            conditions: condition.conditions || condition.Conditions,
+            condition: condition.condition || condition.Condition
+          });
+        } else if (conditionType === 'consecutive') {
           normalizedAction.condition = {
             type: 'consecutive',
             days: parseInt(condition.days || condition.Days) || 3,
@@ -1432,6 +2038,21 @@ function normalizeStrategyStructure(strategy) {
           };
         }
         
+        if (schedule && isAlwaysCondition(condition)) {
+          // Scheduled without a condition
+          delete normalizedAction.condition;
+        }
+        
+        const exits = normalizeExitRules(action.exits || action.Exits);
+        if (exits) {
+          normalizedAction.exits = exits;
+        }
+        
+        const order = normalizeOrderSettings(action.order || action.Order);
+        if (order) {
+          normalizedAction.order = order;
+        }
+        
         return normalizedAction;
       });
     } else {
@@ -1552,6 +2173,17 @@ function normalizeStrategyStructure(strategy) {
       normalized.universe.count = 10;
     }
     
+    // Symbols given their own rebalance weight have to be in the universe
+    normalized.actions.forEach(action => {
+      if (action.type !== 'rebalance' || typeof action.weights !== 'object') return;
+      Object.keys(action.weights).forEach(symbol => {
+        if (!normalized.universe.categories.includes(symbol)) {
+          console.log(`[STRATEGY] Adding rebalance symbol to universe: ${symbol}`);
+          normalized.universe.categories = [...normalized.universe.categories, symbol];
+        }
+      });
+    });
+    
     // Handle timeRange, checking for different property names
     if (strategy.timeRange) {
       normalized.timeRange.start = strategy.timeRange.start || 2010;
@@ -1561,6 +2193,45 @@ function normalizeStrategyStructure(strategy) {
       normalized.timeRange.end = strategy.TimeRange.end || strategy.TimeRange.End || new Date().getFullYear();
     }
     
+    // Handle capital settings (starting cash, cash yield and deposit/withdrawal schedule)
+    normalized.capital = normalizeCapitalSettings(strategy.capital || strategy.Capital);
+    
+    // Handle transaction cost models (commission, spread and slippage)
+    normalized.costs = normalizeCostSettings(strategy.costs || strategy.Costs);
+    
+    // Handle strategy-wide exit rules (used by actions without their own)
+    normalized.exits = normalizeExitRules(strategy.exits || strategy.Exits);
+    
+    // Handle the execution model (when orders from a signal fill)
+    normalized.execution = normalizeExecutionSettings(strategy.execution || strategy.Execution);
+    
+    // Handle the price adjustment mode and dividend crediting
+    normalized.prices = normalizePriceSettings(strategy.prices || strategy.Prices);
+    
+    // Handle the benchmark the results are compared with (SPY unless turned off)
+    normalized.benchmark = normalizeBenchmarkSettings(strategy.benchmark !== undefined ? strategy.benchmark : strategy.Benchmark);
+    
+    // Handle the risk-free rate the Sharpe and Sortino ratios are measured against
+    normalized.riskFreeRate = normalizeRiskFreeRate(strategy.riskFreeRate !== undefined ? strategy.riskFreeRate : strategy.RiskFreeRate);
+    
+    // Handle which lots a closing trade is matched against in the trade ledger
+    normalized.lotMatching = normalizeLotMatching(strategy.lotMatching || strategy.LotMatching);
+    
+    // Handle the optional tax model (off unless the strategy has one)
+    normalized.taxes = normalizeTaxSettings(strategy.taxes || strategy.Taxes);
+    
+    // Handle the margin and borrow fees of short positions
+    normalized.shortSelling = normalizeShortSettings(strategy.shortSelling || strategy.ShortSelling);
+    
+    // Handle the account type - cash, margin or leverage - and its buying power
+    normalized.account = normalizeAccountSettings(strategy.account || strategy.Account);
+    
+    // Handle the portfolio constraints orders are checked against (none unless the strategy has them)
+    normalized.constraints = normalizeConstraintSettings(strategy.constraints || strategy.Constraints);
+    
+    // Handle the drawdown controls - circuit breaker and risk-off mode (none unless the strategy has them)
+    normalized.riskControls = normalizeRiskControls(strategy.riskControls || strategy.RiskControls);
+    
     // Additional validation
     if (normalized.actions.length === 0) {
       return null;
@@ -1573,4 +2244,968 @@ function normalizeStrategyStructure(strategy) {
   }
 }
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Normalize a strategy condition, recursing into all/any/not condition groups
+ * @param {object} condition - Raw condition (leaf or group)
+ * @returns {object} - Normalized condition
+ * @throws {Error} - If a condition group has nothing to combine
+ */
+function normalizeCondition(condition) {
+  // A missing condition falls back to the default simple condition below
+  condition = condition || {};
+  
+  const groupAliases = { all: 'all', and: 'all', any: 'any', or: 'any', not: 'not' };
+  const groupType = groupAliases[String(condition.type || '').toLowerCase()];
+  
+  if (groupType === 'not') {
+    const inner = condition.condition || (Array.isArray(condition.conditions) ? condition.conditions[0] : null);
+    if (!inner) {
+      throw new Error('Condition group "not" has no condition');
+    }
+    return { type: 'not', condition: normalizeCondition(inner) };
+  }
+  
+  if (groupType) {
+    const children = Array.isArray(condition.conditions) ? condition.conditions.filter(Boolean) : [];
+    if (children.length === 0) {
+      throw new Error(`Condition group "${groupType}" has no conditions`);
+    }
+    console.log(`[STRATEGY] Using ${groupType} condition group with ${children.length} conditions`);
+    return { type: groupType, conditions: children.map(normalizeCondition) };
+  }
+  
+  let normalized;
+  
+  // Handle different leaf condition types
+  if (condition.type === 'consecutive') {
+    normalized = {
+      type: 'consecutive',
+      days: parseInt(condition.days) || 3,
+      direction: condition.direction || 'up'
+    };
+    console.log('[STRATEGY] Using consecutive condition with', normalized.days, 'days and direction', normalized.direction);
+  } else if (condition.type === 'pattern') {
+    normalized = {
+      type: 'pattern',
+      pattern: condition.pattern || 'double_top'
+    };
+    console.log('[STRATEGY] Using pattern condition:', normalized.pattern);
+  } else if (condition.type === 'technical') {
+    // Handle technical indicator conditions
+    const indicator = condition.indicator || 'rsi';
+    const params = condition.params || {};
+    
+    normalized = {
+      type: 'technical',
+      indicator: indicator,
+      operator: condition.operator || 'less_than',
+      value: parseFloat(condition.value) || 30,
+      params: params
+    };
+    
+    // Ensure params have default values based on indicator type
+    switch (indicator) {
+      case 'rsi':
+        normalized.params.period = parseInt(params.period) || 14;
+        break;
+      case 'macd':
+        normalized.params.fastPeriod = parseInt(params.fastPeriod) || 12;
+        normalized.params.slowPeriod = parseInt(params.slowPeriod) || 26;
+        normalized.params.signalPeriod = parseInt(params.signalPeriod) || 9;
+        normalized.params.valueType = params.valueType || 'histogram';
+        
+        if (params.valueType === 'crossover') {
+          normalized.params.direction = params.direction || 'bullish';
+        }
+        break;
+      case 'ma_relative':
+        normalized.params.period = parseInt(params.period) || 20;
+        break;
+      case 'bbands':
+        normalized.params.period = parseInt(params.period) || 20;
+        normalized.params.multiplier = parseFloat(params.multiplier) || 2;
+        normalized.params.valueType = params.valueType || 'percent_b';
+        break;
+      case 'obv':
+        normalized.params.slope = params.slope === true;
+        break;
+      case 'atr':
+        normalized.params.period = parseInt(params.period) || 14;
+        normalized.params.percent = params.percent === true;
+        break;
+      case 'mfi':
+        normalized.params.period = parseInt(params.period) || 14;
+        break;
+    }
+    
+    console.log('[STRATEGY] Using technical condition:', 
+                normalized.indicator, 
+                normalized.operator,
+                normalized.value,
+                'with params:',
+                JSON.stringify(normalized.params));
+  } else {
+    // Default to simple condition
+    normalized = {
+      metric: condition.metric || 'percent_change',
+      operator: condition.operator || 'less_than',
+      value: parseFloat(condition.value) || 5
+    };
+    console.log('[STRATEGY] Using simple condition:', 
+                normalized.metric, 
+                normalized.operator,
+                normalized.value);
+  }
+  
+  // A condition can be evaluated on its own bar timeframe, independent of the action's
+  if (['daily', 'weekly', 'monthly'].includes(condition.timeframe)) {
+    normalized.timeframe = condition.timeframe;
+    console.log('[STRATEGY] Condition evaluated on', condition.timeframe, 'bars');
+  }
+  
+  return normalized;
+}
+
+/**
+ * Normalize capital settings for a strategy
+ * @param {object} capital - Raw capital settings ({ initial, cashYield, schedule })
+ * @returns {object} - Capital settings with defaults applied
+ */
+function normalizeCapitalSettings(capital) {
+  const settings = capital || {};
+  const initial = parseFloat(settings.initial);
+  const cashYield = parseFloat(settings.cashYield);
+  
+  const schedule = (Array.isArray(settings.schedule) ? settings.schedule : [])
+    .map(entry => {
+      const amount = parseFloat(entry?.amount);
+      if (isNaN(amount) || amount === 0) {
+        console.log('[STRATEGY] Ignoring capital schedule entry without an amount:', JSON.stringify(entry));
+        return null;
+      }
+      
+      if (entry.date) {
+        return { date: String(entry.date).slice(0, 10), amount };
+      }
+      
+      if (['weekly', 'monthly', 'quarterly', 'yearly'].includes(entry.frequency)) {
+        const recurring = { frequency: entry.frequency, amount };
+        if (entry.start) recurring.start = String(entry.start).slice(0, 10);
+        if (entry.end) recurring.end = String(entry.end).slice(0, 10);
+        return recurring;
+      }
+      
+      console.log('[STRATEGY] Ignoring capital schedule entry without a date or frequency:', JSON.stringify(entry));
+      return null;
+    })
+    .filter(Boolean);
+  
+  const normalized = {
+    initial: !isNaN(initial) && initial > 0 ? initial : 10000,
+    cashYield: !isNaN(cashYield) ? cashYield : 0,
+    schedule
+  };
+  
+  console.log('[STRATEGY] Using capital settings:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize transaction cost settings for a strategy
+ * @param {object} costs - Raw cost settings ({ commission, spread, slippage }), each a model or array of models
+ * @returns {object|null} - Cost settings with unknown models removed, or null for frictionless fills
+ */
+function normalizeCostSettings(costs) {
+  if (!costs || typeof costs !== 'object') {
+    return null;
+  }
+  
+  const { costModels } = require('../../lib/costs');
+  const normalized = {};
+  
+  ['commission', 'spread', 'slippage'].forEach(kind => {
+    if (!costs[kind]) return;
+    
+    const models = (Array.isArray(costs[kind]) ? costs[kind] : [costs[kind]])
+      .filter(model => {
+        if (model && costModels[kind][model.type]) return true;
+        console.log(`[STRATEGY] Ignoring unknown ${kind} model:`, JSON.stringify(model));
+        return false;
+      });
+    
+    if (models.length > 0) {
+      normalized[kind] = models.length === 1 ? models[0] : models;
+    }
+  });
+  
+  console.log('[STRATEGY] Using cost settings:', JSON.stringify(normalized));
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Normalize the execution model for a strategy
+ * @param {object|string} execution - Raw execution settings ({ model }) or just the model name
+ * @returns {object|null} - Execution settings, or null for the default same-bar-close fills
+ */
+function normalizeExecutionSettings(execution) {
+  const raw = typeof execution === 'string' ? execution : execution?.model;
+  if (!raw) {
+    return null;
+  }
+  
+  const { EXECUTION_MODELS } = require('../../lib/execution');
+  const model = String(raw).toLowerCase().trim().replace(/[\s-]+/g, '_');
+  if (!EXECUTION_MODELS.includes(model)) {
+    console.log('[STRATEGY] Ignoring unknown execution model:', JSON.stringify(raw));
+    return null;
+  }
+  
+  console.log(`[STRATEGY] Using execution model: ${model}`);
+  return { model };
+}
+
+/**
+ * Normalize price adjustment settings for a strategy
+ * @param {object} prices - Raw price settings ({ adjustment, dividends })
+ * @returns {object} - Price settings ({ adjustment: 'raw'|'split_adjusted'|'adjusted', dividends })
+ */
+function normalizePriceSettings(prices) {
+  const aliases = {
+    raw: 'raw',
+    unadjusted: 'raw',
+    split: 'split_adjusted',
+    split_adjusted: 'split_adjusted',
+    adjusted: 'adjusted',
+    adj_close: 'adjusted',
+    adjclose: 'adjusted',
+    total_return: 'adjusted'
+  };
+  
+  const raw = String(prices?.adjustment || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+  const adjustment = aliases[raw] || 'split_adjusted';
+  if (raw && !aliases[raw]) {
+    console.log(`[STRATEGY] Ignoring unknown price adjustment: ${JSON.stringify(prices.adjustment)}, using ${adjustment}`);
+  }
+  
+  let dividends = prices?.dividends === true || prices?.dividends === 'true';
+  if (dividends && adjustment === 'adjusted') {
+    console.log('[STRATEGY] Dividends are already in fully adjusted prices - not crediting them separately');
+    dividends = false;
+  }
+  
+  const normalized = { adjustment, dividends };
+  console.log('[STRATEGY] Using price settings:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize the benchmark for a strategy
+ * @param {object|string|boolean|null} benchmark - Raw benchmark ({ symbol } or a symbol); false, null or "none" for no benchmark
+ * @returns {object|null} - Benchmark settings ({ symbol }), defaulting to SPY, or null for none
+ */
+function normalizeBenchmarkSettings(benchmark) {
+  if (benchmark === undefined) {
+    return { symbol: 'SPY' };
+  }
+  
+  const raw = typeof benchmark === 'object' && benchmark !== null ? benchmark.symbol : benchmark;
+  if (!raw || String(raw).toLowerCase() === 'none') {
+    console.log('[STRATEGY] No benchmark');
+    return null;
+  }
+  
+  const normalized = { symbol: String(raw).toUpperCase().trim() };
+  console.log('[STRATEGY] Using benchmark:', normalized.symbol);
+  return normalized;
+}
+
+/**
+ * Normalize the annual risk-free rate used for risk-adjusted returns
+ * @param {number|string} rate - Raw rate in percent (e.g. 4.5 or "4.5%")
+ * @returns {number} - Rate in percent, 0 if missing or invalid
+ */
+function normalizeRiskFreeRate(rate) {
+  const value = parseFloat(rate);
+  if (rate !== undefined && rate !== null && isNaN(value)) {
+    console.log('[STRATEGY] Ignoring invalid risk-free rate:', JSON.stringify(rate));
+  }
+  return isNaN(value) ? 0 : value;
+}
+
+/**
+ * Normalize the lot matching method for the round-trip trade ledger
+ * @param {string} method - Raw method ("fifo", "LIFO", "first in first out", ...)
+ * @returns {string} - 'fifo' or 'lifo', 'fifo' if missing or unknown
+ */
+function normalizeLotMatching(method) {
+  const raw = String(method || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (raw === 'lifo' || raw === 'lastinfirstout') {
+    return 'lifo';
+  }
+  if (raw && raw !== 'fifo' && raw !== 'firstinfirstout') {
+    console.log('[STRATEGY] Unknown lot matching method, using FIFO:', JSON.stringify(method));
+  }
+  return 'fifo';
+}
+
+/**
+ * Normalize the tax settings for after-tax results
+ * @param {object|boolean} taxes - Raw tax settings ({ shortTermRate, longTermRate, dividendRate, longTermDays, washSales }),
+ *   or true for the default rates
+ * @returns {object|null} - Tax settings, or null when taxes are off
+ */
+function normalizeTaxSettings(taxes) {
+  if (!taxes) {
+    return null;
+  }
+  
+  const raw = typeof taxes === 'object' ? taxes : {};
+  const normalized = { washSales: raw.washSales !== false };
+  
+  // Rates are in percent; missing ones fall back to the defaults in lib/taxes.js
+  ['shortTermRate', 'longTermRate', 'dividendRate'].forEach(field => {
+    const rate = parseFloat(raw[field]);
+    if (isNaN(rate) || rate < 0) {
+      if (raw[field] !== undefined) {
+        console.log(`[STRATEGY] Ignoring invalid ${field}:`, JSON.stringify(raw[field]));
+      }
+      return;
+    }
+    normalized[field] = rate;
+  });
+  
+  const longTermDays = parseInt(raw.longTermDays);
+  if (longTermDays > 0) {
+    normalized.longTermDays = longTermDays;
+  }
+  
+  console.log('[STRATEGY] Using tax settings:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize the margin and borrow fee settings of short positions
+ * @param {object} shortSelling - Raw settings ({ initialMargin, maintenanceMargin, borrowFee })
+ * @returns {object} - Short-selling settings (defaults for the margins are applied in lib/margin.js)
+ */
+function normalizeShortSettings(shortSelling) {
+  const settings = shortSelling || {};
+  const normalized = {};
+  
+  ['initialMargin', 'maintenanceMargin'].forEach(field => {
+    const percent = parseFloat(settings[field]);
+    if (!isNaN(percent) && percent >= 0) {
+      normalized[field] = percent;
+    } else if (settings[field] !== undefined) {
+      console.log(`[STRATEGY] Ignoring invalid ${field}:`, JSON.stringify(settings[field]));
+    }
+  });
+  
+  // A flat rate, or a default rate with per-symbol and per-price overrides
+  const borrowFee = settings.borrowFee;
+  if (typeof borrowFee === 'number' || typeof borrowFee === 'string') {
+    const rate = parseFloat(borrowFee);
+    if (!isNaN(rate) && rate >= 0) {
+      normalized.borrowFee = rate;
+    }
+  } else if (borrowFee && typeof borrowFee === 'object') {
+    const rate = parseFloat(borrowFee.rate);
+    const symbols = {};
+    Object.entries(borrowFee.symbols || {}).forEach(([symbol, symbolRate]) => {
+      const parsed = parseFloat(symbolRate);
+      if (!isNaN(parsed) && parsed >= 0) {
+        symbols[symbol.toUpperCase().trim()] = parsed;
+      }
+    });
+    const tiers = (Array.isArray(borrowFee.tiers) ? borrowFee.tiers : [])
+      .map(tier => ({ maxPrice: parseFloat(tier?.maxPrice), rate: parseFloat(tier?.rate) }))
+      .filter(tier => !isNaN(tier.rate) && tier.rate >= 0)
+      .map(tier => (isNaN(tier.maxPrice) ? { rate: tier.rate } : tier));
+    
+    normalized.borrowFee = {
+      rate: isNaN(rate) || rate < 0 ? 0 : rate,
+      symbols,
+      tiers
+    };
+  }
+  
+  console.log('[STRATEGY] Using short-selling settings:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize a rebalance action
+ * @param {object} action - Raw rebalance action ({ weights, schedule, driftBand, totalWeight, period, order })
+ * @returns {object} - { type: 'rebalance', weights, schedule, driftBand } plus totalWeight, period and order when given -
+ *   weights is 'equal', 'market_cap', 'inverse_volatility' or an object of percentages by symbol
+ */
+function normalizeRebalanceAction(action) {
+  const normalized = { type: 'rebalance' };
+  const rawWeights = action.weights || action.Weights || action.weighting;
+  
+  // Map the weighting names the model might use
+  const weightingMap = {
+    'equal': 'equal',
+    'equalweight': 'equal',
+    'equalweighted': 'equal',
+    'marketcap': 'market_cap',
+    'marketcapweighted': 'market_cap',
+    'capweighted': 'market_cap',
+    'inversevolatility': 'inverse_volatility',
+    'inversevol': 'inverse_volatility',
+    'riskparity': 'inverse_volatility'
+  };
+  if (rawWeights && typeof rawWeights === 'object' && !Array.isArray(rawWeights)) {
+    normalized.weights = {};
+    Object.entries(rawWeights).forEach(([symbol, weight]) => {
+      const value = parseFloat(weight);
+      if (!isNaN(value) && value >= 0) {
+        normalized.weights[symbol.toUpperCase()] = value;
+      } else {
+        console.log(`[STRATEGY] Ignoring invalid rebalance weight for ${symbol}:`, JSON.stringify(weight));
+      }
+    });
+  } else {
+    const weighting = weightingMap[String(rawWeights || '').toLowerCase().replace(/[^a-z]/g, '')];
+    if (!weighting && rawWeights) {
+      console.log('[STRATEGY] Unknown rebalance weighting, using equal weights:', JSON.stringify(rawWeights));
+    }
+    normalized.weights = weighting || 'equal';
+  }
+  
+  // Map the schedule names the model might use
+  const scheduleMap = {
+    'daily': 'daily',
+    'day': 'daily',
+    'weekly': 'weekly',
+    'week': 'weekly',
+    'monthly': 'monthly',
+    'month': 'monthly',
+    'quarterly': 'quarterly',
+    'quarter': 'quarterly',
+    'yearly': 'yearly',
+    'year': 'yearly',
+    'annually': 'yearly',
+    'annual': 'yearly'
+  };
+  const rawSchedule = action.schedule || action.frequency || action.timeframe;
+  normalized.schedule = scheduleMap[String(rawSchedule || '').toLowerCase()] || 'monthly';
+  
+  const driftBand = parseFloat(action.driftBand !== undefined ? action.driftBand : action.tolerance);
+  normalized.driftBand = !isNaN(driftBand) && driftBand >= 0 ? driftBand : 0;
+  
+  ['totalWeight', 'period'].forEach(field => {
+    const value = parseFloat(action[field]);
+    if (!isNaN(value) && value > 0) {
+      normalized[field] = field === 'period' ? Math.round(value) : value;
+    }
+  });
+  
+  const order = normalizeOrderSettings(action.order);
+  if (order) {
+    normalized.order = order;
+  }
+  
+  console.log('[STRATEGY] Normalized rebalance action:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize a rotate action
+ * @param {object} action - Raw rotate action ({ rank, direction, count, percentile, side } plus the rebalance fields)
+ * @returns {object} - { type: 'rotate', rank, direction, count or percentile, side } plus the normalized rebalance
+ *   fields - weights is 'equal', 'market_cap' or 'inverse_volatility'
+ */
+function normalizeRotationAction(action) {
+  const normalized = { ...normalizeRebalanceAction(action), type: 'rotate' };
+  if (typeof normalized.weights === 'object') {
+    console.log('[STRATEGY] Rotations can\'t weight named symbols, using equal weights');
+    normalized.weights = 'equal';
+  }
+  
+  // What the symbols are ranked on - a metric or a technical indicator
+  const rank = typeof action.rank === 'string' ? { metric: action.rank } : (action.rank || action.Rank || {});
+  if (rank.type === 'technical' || rank.indicator) {
+    const condition = normalizeCondition({ ...rank, type: 'technical' });
+    normalized.rank = { type: 'technical', indicator: condition.indicator, params: condition.params };
+  } else {
+    const metricMap = {
+      'momentum': 'momentum',
+      'return': 'momentum',
+      'returns': 'momentum',
+      'performance': 'momentum',
+      'percentchange': 'momentum',
+      'volatility': 'volatility',
+      'volume': 'volume',
+      'price': 'price'
+    };
+    const metric = metricMap[String(rank.metric || '').toLowerCase().replace(/[^a-z]/g, '')];
+    if (!metric && rank.metric) {
+      console.log('[STRATEGY] Unknown ranking metric, using momentum:', JSON.stringify(rank.metric));
+    }
+    normalized.rank = { metric: metric || 'momentum' };
+    ['period', 'skip'].forEach(field => {
+      const value = parseInt(rank[field]);
+      if (!isNaN(value) && value >= 0) {
+        normalized.rank[field] = value;
+      }
+    });
+  }
+  
+  const direction = String(action.direction || '').toLowerCase();
+  normalized.direction = ['lowest', 'bottom', 'worst', 'ascending', 'asc'].includes(direction) ? 'lowest' : 'highest';
+  
+  const percentile = parseFloat(action.percentile);
+  const count = parseInt(action.count !== undefined ? action.count : (action.top !== undefined ? action.top : action.bottom));
+  if (!isNaN(percentile) && percentile > 0 && percentile <= 100) {
+    normalized.percentile = percentile;
+  } else {
+    normalized.count = !isNaN(count) && count > 0 ? count : 3;
+  }
+  if (action.bottom !== undefined && action.direction === undefined) {
+    normalized.direction = 'lowest';
+  }
+  
+  normalized.side = String(action.side || '').toLowerCase() === 'short' ? 'short' : 'long';
+  
+  console.log('[STRATEGY] Normalized rotate action:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize an action's amount type
+ * @param {string} type - Raw amount type ("fixed_amount", "percentage", "percent_of_position", "sell_all", ...)
+ * @returns {string} - 'fixed_amount', 'percentage', 'shares', 'position_percentage', 'close_position'
+ *   or 'target_weight', 'fixed_amount' if missing or unknown
+ */
+function normalizeAmountType(type) {
+  const raw = String(type || '').toLowerCase().replace(/[^a-z]/g, '');
+  const typeMap = {
+    'fixedamount': 'fixed_amount',
+    'fixed': 'fixed_amount', // Legacy
+    'dollars': 'fixed_amount',
+    'percentage': 'percentage',
+    'percent': 'percentage',
+    'shares': 'shares',
+    'positionpercentage': 'position_percentage',
+    'percentofposition': 'position_percentage',
+    'percentageofposition': 'position_percentage',
+    'closeposition': 'close_position',
+    'all': 'close_position',
+    'sellall': 'close_position',
+    'entireposition': 'close_position',
+    'targetweight': 'target_weight',
+    'weight': 'target_weight',
+    'atrrisk': 'atr_risk',
+    'riskpercent': 'atr_risk',
+    'inversevolatility': 'inverse_volatility',
+    'inversevol': 'inverse_volatility',
+    'targetvolatility': 'target_volatility',
+    'volatilitytarget': 'target_volatility',
+    'kelly': 'kelly',
+    'fractionalkelly': 'kelly'
+  };
+  if (raw && !typeMap[raw]) {
+    console.log('[STRATEGY] Unknown amount type, using fixed_amount:', JSON.stringify(type));
+  }
+  return typeMap[raw] || 'fixed_amount';
+}
+
+/**
+ * Normalize the sizing parameters of a risk-based amount
+ * @param {string} type - Normalized amount type
+ * @param {object} amount - Raw amount ({ period, atrMultiple, lookback, minTrades, initialWeight, maxWeight })
+ * @returns {object} - The parameters that are set and valid (defaults are applied in lib/sizing.js)
+ */
+function normalizeSizingParams(type, amount) {
+  const normalized = {};
+  if (RISK_AMOUNT_DEFAULTS[type] === undefined || !amount || typeof amount !== 'object') {
+    return normalized;
+  }
+  
+  ['period', 'atrMultiple', 'lookback', 'minTrades', 'initialWeight', 'maxWeight'].forEach(field => {
+    const value = parseFloat(amount[field]);
+    if (!isNaN(value) && value > 0) {
+      normalized[field] = value;
+    } else if (amount[field] !== undefined) {
+      console.log(`[STRATEGY] Ignoring invalid ${field}:`, JSON.stringify(amount[field]));
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Normalize the account type and its margin, leverage and debit interest settings
+ * @param {object|string} account - Raw settings ({ type, initialMargin, maintenanceMargin, maxGrossLeverage,
+ *   maxNetLeverage, debitRate }), or just the type
+ * @returns {object} - Account settings (defaults are applied in lib/margin.js)
+ */
+function normalizeAccountSettings(account) {
+  const settings = typeof account === 'string' ? { type: account } : (account || {});
+  const normalized = {};
+  
+  // Map the account type names the model might use
+  const rawType = String(settings.type || '').toLowerCase().replace(/[^a-z]/g, '');
+  const typeMap = {
+    'cash': 'cash',
+    'cashaccount': 'cash',
+    'margin': 'margin',
+    'marginaccount': 'margin',
+    'regt': 'margin',
+    'leverage': 'leverage',
+    'leveraged': 'leverage',
+    'portfoliomargin': 'leverage'
+  };
+  if (typeMap[rawType]) {
+    normalized.type = typeMap[rawType];
+  } else if (rawType) {
+    console.log('[STRATEGY] Unknown account type, using a cash account:', JSON.stringify(settings.type));
+  }
+  
+  ['initialMargin', 'maintenanceMargin', 'maxGrossLeverage', 'maxNetLeverage', 'debitRate', 'marginCallBuffer'].forEach(field => {
+    const value = parseFloat(settings[field]);
+    if (!isNaN(value) && value >= 0) {
+      normalized[field] = value;
+    } else if (settings[field] !== undefined) {
+      console.log(`[STRATEGY] Ignoring invalid ${field}:`, JSON.stringify(settings[field]));
+    }
+  });
+  
+  // Leverage limits without a type mean a leverage account
+  if (!normalized.type && (normalized.maxGrossLeverage !== undefined || normalized.maxNetLeverage !== undefined)) {
+    normalized.type = 'leverage';
+  }
+  
+  console.log('[STRATEGY] Using account settings:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize the portfolio constraints
+ * @param {object|boolean} constraints - Raw constraints ({ maxPositions, maxPositionWeight, maxSectorWeight, sectorLimits,
+ *   cooldownBars, maxTradesPerDay }), false or null for none
+ * @returns {object|null} - Constraint settings with the limits that were given, or null without any
+ */
+function normalizeConstraintSettings(constraints) {
+  if (!constraints || typeof constraints !== 'object') {
+    return null;
+  }
+  
+  // Map the field names the model might use
+  const fieldAliases = {
+    maxPositions: ['maxPositions', 'maxOpenPositions', 'maxHoldings', 'positionLimit'],
+    maxPositionWeight: ['maxPositionWeight', 'maxWeight', 'maxPositionSize', 'positionWeightLimit'],
+    maxSectorWeight: ['maxSectorWeight', 'maxCategoryWeight', 'sectorWeightLimit'],
+    cooldownBars: ['cooldownBars', 'cooldown', 'cooldownDays', 'reentryCooldown', 'minBarsBetweenEntries'],
+    maxTradesPerDay: ['maxTradesPerDay', 'maxDailyTrades', 'tradesPerDay']
+  };
+  const normalized = {};
+  Object.entries(fieldAliases).forEach(([field, aliases]) => {
+    const alias = aliases.find(name => constraints[name] !== undefined && constraints[name] !== null);
+    if (!alias) return;
+    const value = parseFloat(constraints[alias]);
+    if (!isNaN(value) && value > 0) {
+      normalized[field] = value;
+    } else {
+      console.log(`[STRATEGY] Ignoring invalid ${field}:`, JSON.stringify(constraints[alias]));
+    }
+  });
+  
+  const rawLimits = constraints.sectorLimits || constraints.categoryLimits;
+  if (rawLimits && typeof rawLimits === 'object') {
+    normalized.sectorLimits = {};
+    Object.entries(rawLimits).forEach(([sector, limit]) => {
+      const value = parseFloat(limit);
+      if (!isNaN(value) && value >= 0) {
+        normalized.sectorLimits[sector] = value;
+      }
+    });
+  }
+  
+  if (Object.keys(normalized).length === 0) {
+    return null;
+  }
+  console.log('[STRATEGY] Using portfolio constraints:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize the drawdown controls
+ * @param {object|boolean} riskControls - Raw controls ({ circuitBreaker: { drawdown, haltDays }, riskOff: { drawdown, scale } }),
+ *   false or null for none
+ * @returns {object|null} - The controls that were given (defaults are applied in lib/riskControls.js), or null without any
+ */
+function normalizeRiskControls(riskControls) {
+  if (!riskControls || typeof riskControls !== 'object') {
+    return null;
+  }
+  
+  // Drawdowns may come as fractions (0.2) or percentages (20 or "20%")
+  const parseDrawdown = (value) => {
+    const parsed = Math.abs(parseFloat(value));
+    if (isNaN(parsed) || parsed === 0) return null;
+    return parsed < 1 ? parsed * 100 : parsed;
+  };
+  const normalized = {};
+  
+  const breaker = riskControls.circuitBreaker || riskControls.circuit_breaker || riskControls.killSwitch;
+  if (breaker && typeof breaker === 'object') {
+    const drawdown = parseDrawdown(breaker.drawdown !== undefined ? breaker.drawdown : breaker.maxDrawdown);
+    const haltDays = parseInt(breaker.haltDays !== undefined ? breaker.haltDays : (breaker.days !== undefined ? breaker.days : breaker.cooldownDays));
+    if (drawdown !== null && drawdown < 100) {
+      normalized.circuitBreaker = { drawdown };
+      if (haltDays > 0) {
+        normalized.circuitBreaker.haltDays = haltDays;
+      }
+    } else {
+      console.log('[STRATEGY] Ignoring circuit breaker without a valid drawdown:', JSON.stringify(breaker));
+    }
+  }
+  
+  const riskOff = riskControls.riskOff || riskControls.risk_off || riskControls.drawdownScaling;
+  if (riskOff && typeof riskOff === 'object') {
+    const drawdown = parseDrawdown(riskOff.drawdown !== undefined ? riskOff.drawdown : riskOff.threshold);
+    let scale = parseFloat(riskOff.scale !== undefined ? riskOff.scale : riskOff.factor);
+    // A scale over 1 is a percentage of the usual size
+    if (scale > 1 && scale <= 100) {
+      scale /= 100;
+    }
+    if (drawdown !== null && drawdown < 100) {
+      normalized.riskOff = { drawdown };
+      if (!isNaN(scale) && scale >= 0 && scale <= 1) {
+        normalized.riskOff.scale = scale;
+      }
+    } else {
+      console.log('[STRATEGY] Ignoring risk-off mode without a valid drawdown:', JSON.stringify(riskOff));
+    }
+  }
+  
+  if (Object.keys(normalized).length === 0) {
+    return null;
+  }
+  console.log('[STRATEGY] Using risk controls:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize an action's order settings
+ * @param {object} order - Raw order settings ({ type, offsetPercent, price, expiresAfter })
+ * @returns {object|null} - Limit or stop order settings, or null for a market order
+ */
+function normalizeOrderSettings(order) {
+  const type = String(order?.type || '').toLowerCase();
+  if (type !== 'limit' && type !== 'stop') {
+    if (type && type !== 'market') {
+      console.log('[STRATEGY] Ignoring unknown order type:', JSON.stringify(order));
+    }
+    return null;
+  }
+  
+  const normalized = { type };
+  const offsetPercent = parseFloat(order.offsetPercent);
+  const price = parseFloat(order.price);
+  const expiresAfter = parseInt(order.expiresAfter);
+  
+  if (!isNaN(price) && price > 0) {
+    normalized.price = price;
+  } else if (!isNaN(offsetPercent)) {
+    normalized.offsetPercent = offsetPercent;
+  } else {
+    console.log(`[STRATEGY] ${type} order without a price or offsetPercent - using the signal close`);
+    normalized.offsetPercent = 0;
+  }
+  if (!isNaN(expiresAfter) && expiresAfter > 0) {
+    normalized.expiresAfter = expiresAfter;
+  }
+  
+  console.log('[STRATEGY] Using order settings:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Normalize stop-loss, take-profit, trailing-stop and time exit rules
+ * @param {object} exits - Raw exit rules ({ stopLoss, takeProfit, trailingStop }), each a percentage,
+ *   a string like "8%" or an object with a percent field, and time rules ({ holdBars, maxHoldingDays, exitAt })
+ * @returns {object|null} - Exit rules as positive percentages and time limits, or null if none are set
+ */
+function normalizeExitRules(exits) {
+  if (!exits || typeof exits !== 'object') {
+    return null;
+  }
+  
+  const aliases = {
+    stopLoss: ['stopLoss', 'stop_loss', 'stop'],
+    takeProfit: ['takeProfit', 'take_profit', 'target'],
+    trailingStop: ['trailingStop', 'trailing_stop', 'trail']
+  };
+  const normalized = {};
+  
+  Object.entries(aliases).forEach(([key, names]) => {
+    const raw = names.map(name => exits[name]).find(value => value !== undefined && value !== null);
+    if (raw === undefined) return;
+    
+    // Losses are sometimes written as negative percentages ("-8%")
+    const value = Math.abs(parseFloat(typeof raw === 'object' ? raw.percent : raw));
+    if (!isNaN(value) && value > 0) {
+      normalized[key] = value;
+    } else {
+      console.log(`[STRATEGY] Ignoring invalid ${key} exit rule:`, JSON.stringify(raw));
+    }
+  });
+  
+  // Holding periods in trading days (0 closes a position on its entry day) or calendar days
+  const holdBars = parseInt([exits.holdBars, exits.holdDays, exits.exitAfterBars].find(value => value !== undefined && value !== null));
+  if (!isNaN(holdBars) && holdBars >= 0) {
+    normalized.holdBars = holdBars;
+  }
+  const maxHoldingDays = parseFloat([exits.maxHoldingDays, exits.maxHoldDays, exits.maxHoldingPeriod].find(value => value !== undefined && value !== null));
+  if (!isNaN(maxHoldingDays) && maxHoldingDays > 0) {
+    normalized.maxHoldingDays = maxHoldingDays;
+  }
+  
+  // Calendar exits - "month_end", "end of month", "monthly", ...
+  const rawExitAt = String(exits.exitAt || exits.exit_at || exits.calendarExit || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (rawExitAt) {
+    const period = ['week', 'month', 'quarter', 'year'].find(name => rawExitAt.includes(name) || (name === 'year' && rawExitAt.includes('annual')));
+    if (period) {
+      normalized.exitAt = `${period}_end`;
+    } else {
+      console.log('[STRATEGY] Ignoring invalid exitAt rule:', JSON.stringify(exits.exitAt));
+    }
+  }
+  
+  if (Object.keys(normalized).length === 0) {
+    return null;
+  }
+  
+  console.log('[STRATEGY] Using exit rules:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Conditions the model writes for actions that should trade on every bar ("always true")
+ */
+const ALWAYS_CONDITIONS = ['always', 'alwaystrue', 'true', 'none', 'schedule', 'scheduled'];
+
+/**
+ * Check whether a raw condition is missing or always met
+ * @param {object} condition - Raw condition
+ * @returns {boolean} - True if the action needs no condition
+ */
+function isAlwaysCondition(condition) {
+  if (!condition || condition === true) return true;
+  if (typeof condition !== 'object' || Object.keys(condition).length === 0) return true;
+  return [condition.type, condition.metric, condition.pattern]
+    .some(name => ALWAYS_CONDITIONS.includes(String(name || '').toLowerCase().replace(/[^a-z]/g, '')));
+}
+
+/**
+ * Normalize an action's calendar schedule
+ * @param {object|string} schedule - Raw schedule ({ every, weekdays, monthDay, dates }) or a phrase like
+ *   "monthly", "every 10 trading days", "last trading day of the month" or "mondays and thursdays"
+ * @returns {object|null} - Normalized schedule, or null if none is set
+ */
+function normalizeActionSchedule(schedule) {
+  if (!schedule) {
+    return null;
+  }
+  if (typeof schedule !== 'object') {
+    schedule = { frequency: schedule };
+  }
+  
+  const weekdayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const normalized = {};
+  
+  // Phrases (as a string or a frequency field) are read for every rule they mention
+  const phrase = String(schedule.frequency || schedule.period || '').toLowerCase();
+  if (phrase) {
+    // Weeks are counted as 5 trading days
+    const everyMatch = phrase.match(/every\s+(\d+)\s*(?:trading\s+)?(day|week)?/);
+    if (everyMatch) {
+      normalized.every = parseInt(everyMatch[1]) * (everyMatch[2] === 'week' ? 5 : 1);
+    } else if (/^(daily|day|every ?day)$/.test(phrase)) {
+      normalized.every = 1;
+    } else if (/^(bi-?weekly|fortnightly)$/.test(phrase)) {
+      normalized.every = 10;
+    } else if (/^(weekly|week|every ?week)$/.test(phrase)) {
+      normalized.every = 5;
+    }
+    if (phrase.includes('month')) {
+      normalized.monthDay = /last|end/.test(phrase) ? 'last' : 'first';
+    }
+    const words = phrase.split(/[^a-z]+/);
+    const weekdays = weekdayNames.filter(name => words.some(word => word === name || word === `${name}s` || word === name.slice(0, 3)));
+    if (weekdays.length > 0) {
+      normalized.weekdays = weekdays;
+    }
+    const dates = phrase.match(/\d{4}-\d{2}-\d{2}/g);
+    if (dates) {
+      normalized.dates = dates;
+    }
+  }
+  
+  const every = parseInt(schedule.every || schedule.everyDays || schedule.interval);
+  if (every > 0) {
+    normalized.every = every;
+  }
+  
+  const rawWeekdays = schedule.weekdays || schedule.weekday || schedule.daysOfWeek;
+  if (rawWeekdays) {
+    const weekdays = (Array.isArray(rawWeekdays) ? rawWeekdays : String(rawWeekdays).split(/[\s,]+/))
+      .map(day => typeof day === 'number' ? weekdayNames[day] : weekdayNames.find(name => name.startsWith(String(day).toLowerCase().slice(0, 3))))
+      .filter(day => day && day !== 'sunday' && day !== 'saturday');
+    if (weekdays.length > 0) {
+      normalized.weekdays = weekdays;
+    } else {
+      console.log('[STRATEGY] Ignoring invalid schedule weekdays:', JSON.stringify(rawWeekdays));
+    }
+  }
+  
+  const rawMonthDay = String(schedule.monthDay || schedule.dayOfMonth || '').toLowerCase();
+  if (['first', 'start', 'beginning', '1'].includes(rawMonthDay)) {
+    normalized.monthDay = 'first';
+  } else if (['last', 'end', '-1'].includes(rawMonthDay)) {
+    normalized.monthDay = 'last';
+  } else if (rawMonthDay) {
+    console.log('[STRATEGY] Ignoring invalid schedule monthDay:', JSON.stringify(rawMonthDay));
+  }
+  
+  const rawDates = schedule.dates || schedule.date;
+  if (rawDates) {
+    const dates = (Array.isArray(rawDates) ? rawDates : [rawDates])
+      .map(date => String(date).slice(0, 10))
+      .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+    if (dates.length > 0) {
+      normalized.dates = dates;
+    }
+  }
+  
+  if (Object.keys(normalized).length === 0) {
+    console.log('[STRATEGY] Ignoring schedule without any rules:', JSON.stringify(schedule));
+    return null;
+  }
+  
+  console.log('[STRATEGY] Using action schedule:', JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Work out the schedule of a buy, sell, short or cover action - its own schedule, a schedule written
+ * as its condition, or, for an action whose condition is always met, one from its timeframe
+ * @param {object} action - Raw action
+ * @param {object} condition - The action's raw condition
+ * @returns {object|null} - Normalized schedule, or null if the action trades on its condition
+ */
+function getActionSchedule(action, condition) {
+  const schedule = normalizeActionSchedule(action.schedule || action.Schedule ||
+    (condition && String(condition.type).toLowerCase() === 'schedule' ? (condition.schedule || condition) : null));
+  if (schedule || !isAlwaysCondition(condition)) {
+    return schedule;
+  }
+  
+  const timeframe = String(action.timeframe || action.Timeframe || 'weekly').toLowerCase();
+  console.log(`[STRATEGY] Action without a condition, trading on its ${timeframe} timeframe`);
+  return normalizeActionSchedule(timeframe);
+}
+
+module.exports = router;
@@ -0,0 +1,166 @@
+/**
+ * Backtest engine benchmark on synthetic data
+ *
+ * Usage (from the server directory):
+ *   npm run benchmark -- [--symbols 100] [--years 20] [--baseline <path to backtest.js>]
+ *
+ * Generates a deterministic random walk for each symbol (252 bars a year) and times
+ * runBacktest on a long-only strategy that mixes simple, daily technical and weekly
+ * technical conditions, with protective exits. With --baseline, the same run is also
+ * timed on another copy of the engine, e.g. one checked out from an older commit:
+ *   git worktree add /tmp/nlbacktest-baseline <commit>
+ *   npm run benchmark -- --baseline /tmp/nlbacktest-baseline/lib/backtest.js
+ * Older engines look bars up with a linear scan, so on the full 100 x 20 dataset the
+ * baseline run takes a few minutes (use --symbols/--years for a quicker comparison).
+ */
+const path = require('path');
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array} argv - Command line arguments
+ * @returns {object} Benchmark options
+ */
+function parseArgs(argv) {
+  const options = { symbols: 100, years: 20, baseline: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (name === 'symbols' || name === 'years') {
+      options[name] = parseInt(value);
+    } else if (name === 'baseline') {
+      options.baseline = path.resolve(value);
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Generate weekday OHLCV bars as a seeded random walk
+ * @param {number} seed - Random seed (one per symbol)
+ * @param {number} count - Number of bars
+ * @returns {Array} Bars, oldest to newest
+ */
+function generateBars(seed, count) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  
+  const bars = [];
+  const date = new Date(Date.UTC(2000, 0, 3));
+  let price = 20 + random() * 180;
+  
+  while (bars.length < count) {
+    const weekday = date.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      const open = price * (1 + (random() - 0.5) * 0.02);
+      const close = open * (1 + (random() - 0.5) * 0.04);
+      bars.push({
+        date: date.toISOString().split('T')[0],
+        open,
+        high: Math.max(open, close) * (1 + random() * 0.01),
+        low: Math.min(open, close) * (1 - random() * 0.01),
+        close,
+        volume: Math.round(1e6 * (0.5 + random()))
+      });
+      price = close;
+    }
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return bars;
+}
+
+const strategy = {
+  actions: [
+    {
+      type: 'buy',
+      timeframe: 'daily',
+      amount: { type: 'percentage', value: 2 },
+      condition: {
+        type: 'all',
+        conditions: [
+          { type: 'technical', indicator: 'rsi', params: { period: 14 }, operator: 'less_than', value: 35 },
+          { type: 'technical', indicator: 'ma_relative', params: { period: 200 }, operator: 'greater_than', value: 0 },
+          { type: 'technical', indicator: 'rsi', params: { period: 14 }, operator: 'less_than', value: 60, timeframe: 'weekly' }
+        ]
+      }
+    },
+    {
+      type: 'buy',
+      timeframe: 'daily',
+      amount: { type: 'percentage', value: 1 },
+      condition: {
+        type: 'any',
+        conditions: [
+          { type: 'technical', indicator: 'macd', params: { valueType: 'crossover', direction: 'bullish' } },
+          { type: 'technical', indicator: 'bbands', params: { valueType: 'percent_b' }, operator: 'less_than', value: 0 },
+          { type: 'simple', metric: 'percent_change', operator: 'less_than', value: -4 }
+        ]
+      }
+    }
+  ],
+  exits: { stopLoss: 8, takeProfit: 15, trailingStop: 10 },
+  universe: { type: 'custom', symbols: [] },
+  capital: { initial: 1000000 }
+};
+
+/**
+ * Time one backtest run with the engine's console logging silenced
+ * @param {string} enginePath - Path to a backtest.js module
+ * @param {object} stockData - Symbol -> bars
+ * @returns {object} { ms, transactions, finalValue }
+ */
+function timeRun(enginePath, stockData) {
+  const { runBacktest } = require(enginePath);
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  
+  const start = process.hrtime.bigint();
+  let results;
+  try {
+    results = runBacktest(strategy, stockData);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  
+  return {
+    ms,
+    transactions: results.transactions.length,
+    finalValue: results.valueHistory[results.valueHistory.length - 1].value
+  };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const barsPerSymbol = options.years * 252;
+  
+  const stockData = {};
+  for (let i = 0; i < options.symbols; i++) {
+    stockData[`SYM${i}`] = generateBars(i + 1, barsPerSymbol);
+  }
+  strategy.universe.symbols = Object.keys(stockData);
+  
+  const totalBars = options.symbols * barsPerSymbol;
+  console.log(`[BENCHMARK] ${options.symbols} symbols x ${options.years} years (${totalBars} bars)`);
+  
+  const report = (label, run) => {
+    console.log(`[BENCHMARK] ${label}: ${(run.ms / 1000).toFixed(2)}s, ${Math.round(totalBars / (run.ms / 1000))} bars/s, ${run.transactions} transactions, final value $${run.finalValue.toFixed(2)}`);
+  };
+  
+  const current = timeRun(path.resolve(__dirname, '../../lib/backtest'), stockData);
+  report('current engine', current);
+  
+  if (options.baseline) {
+    const baseline = timeRun(options.baseline, stockData);
+    report('baseline engine', baseline);
+    console.log(`[BENCHMARK] Speedup: ${(baseline.ms / current.ms).toFixed(1)}x`);
+  }
+}
+
+main();